@@ -45,7 +45,7 @@ module.exports = {
     // Variable and function rules
     'no-var': 'error',
     'prefer-const': 'error',
-    'no-unused-vars': ['error', { 'argsIgnorePattern': '^_' }],
+    'no-unused-vars': ['error', { 'argsIgnorePattern': '^_', 'ignoreRestSiblings': true }],
     'no-console': 'warn',
     'no-debugger': 'error',
     
@@ -0,0 +1,317 @@
+/**
+ * Summary languages.
+ *
+ * Summaries can be written in any of the languages below. Each one has the
+ * headings used by the exporters and the text-to-speech introduction, and the
+ * voice settings for audio exports: `ttsLocale` is the language of the
+ * fallback TTS service, the OpenAI voice can be chosen per language with
+ * TTS_VOICES, a JSON object keyed by language code, for example:
+ *   {"de":"onyx","es":"nova"}
+ *
+ * Detected source languages outside this list still get a name (for logs and
+ * the document history); their summaries are written in DEFAULT_LANGUAGE.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_VOICE = 'alloy';
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    ttsLocale: 'en-us',
+    labels: {
+      documentSummary: 'Document Summary',
+      title: 'Title',
+      originalDocument: 'Original Document',
+      author: 'Author',
+      summarySize: 'Summary Size',
+      sizes: { short: 'Short', medium: 'Medium', long: 'Long' },
+      executiveSummary: 'Executive Summary',
+      keyPoints: 'Key Points',
+      actionItems: 'Action Items',
+      importantDates: 'Important Dates',
+      relevantNames: 'Relevant Names',
+      places: 'Places',
+      placesMentioned: 'Places Mentioned',
+      generatedOn: 'Generated on',
+      generatedBy: 'Generated by Abstract: Document Summarizer',
+      sources: 'Sources',
+      page: 'Page',
+      audioTitle: 'Document Summary Audio',
+      audioClosing:
+        'End of summary. Thank you for using Abstract Document Summarizer.',
+      point: 'Point',
+      action: 'Action',
+      date: 'Date',
+      name: 'Name',
+      place: 'Place',
+    },
+  },
+  de: {
+    name: 'German',
+    ttsLocale: 'de-de',
+    labels: {
+      documentSummary: 'Dokumentzusammenfassung',
+      title: 'Titel',
+      originalDocument: 'Originaldokument',
+      author: 'Autor',
+      summarySize: 'Länge der Zusammenfassung',
+      sizes: { short: 'Kurz', medium: 'Mittel', long: 'Lang' },
+      executiveSummary: 'Zusammenfassung',
+      keyPoints: 'Kernpunkte',
+      actionItems: 'Maßnahmen',
+      importantDates: 'Wichtige Termine',
+      relevantNames: 'Relevante Namen',
+      places: 'Orte',
+      placesMentioned: 'Erwähnte Orte',
+      generatedOn: 'Erstellt am',
+      generatedBy: 'Erstellt mit Abstract: Document Summarizer',
+      sources: 'Quellen',
+      page: 'Seite',
+      audioTitle: 'Audiozusammenfassung des Dokuments',
+      audioClosing:
+        'Ende der Zusammenfassung. Vielen Dank, dass Sie Abstract Document Summarizer verwenden.',
+      point: 'Punkt',
+      action: 'Maßnahme',
+      date: 'Datum',
+      name: 'Name',
+      place: 'Ort',
+    },
+  },
+  es: {
+    name: 'Spanish',
+    ttsLocale: 'es-es',
+    labels: {
+      documentSummary: 'Resumen del documento',
+      title: 'Título',
+      originalDocument: 'Documento original',
+      author: 'Autor',
+      summarySize: 'Extensión del resumen',
+      sizes: { short: 'Corto', medium: 'Medio', long: 'Largo' },
+      executiveSummary: 'Resumen ejecutivo',
+      keyPoints: 'Puntos clave',
+      actionItems: 'Acciones pendientes',
+      importantDates: 'Fechas importantes',
+      relevantNames: 'Nombres relevantes',
+      places: 'Lugares',
+      placesMentioned: 'Lugares mencionados',
+      generatedOn: 'Generado el',
+      generatedBy: 'Generado por Abstract: Document Summarizer',
+      sources: 'Fuentes',
+      page: 'Página',
+      audioTitle: 'Resumen en audio del documento',
+      audioClosing:
+        'Fin del resumen. Gracias por usar Abstract Document Summarizer.',
+      point: 'Punto',
+      action: 'Acción',
+      date: 'Fecha',
+      name: 'Nombre',
+      place: 'Lugar',
+    },
+  },
+  fr: {
+    name: 'French',
+    ttsLocale: 'fr-fr',
+    labels: {
+      documentSummary: 'Résumé du document',
+      title: 'Titre',
+      originalDocument: 'Document original',
+      author: 'Auteur',
+      summarySize: 'Longueur du résumé',
+      sizes: { short: 'Court', medium: 'Moyen', long: 'Long' },
+      executiveSummary: 'Synthèse',
+      keyPoints: 'Points clés',
+      actionItems: 'Actions à mener',
+      importantDates: 'Dates importantes',
+      relevantNames: 'Noms pertinents',
+      places: 'Lieux',
+      placesMentioned: 'Lieux mentionnés',
+      generatedOn: 'Généré le',
+      generatedBy: 'Généré par Abstract: Document Summarizer',
+      sources: 'Sources',
+      page: 'Page',
+      audioTitle: 'Résumé audio du document',
+      audioClosing:
+        "Fin du résumé. Merci d'utiliser Abstract Document Summarizer.",
+      point: 'Point',
+      action: 'Action',
+      date: 'Date',
+      name: 'Nom',
+      place: 'Lieu',
+    },
+  },
+  it: {
+    name: 'Italian',
+    ttsLocale: 'it-it',
+    labels: {
+      documentSummary: 'Riepilogo del documento',
+      title: 'Titolo',
+      originalDocument: 'Documento originale',
+      author: 'Autore',
+      summarySize: 'Lunghezza del riepilogo',
+      sizes: { short: 'Breve', medium: 'Medio', long: 'Lungo' },
+      executiveSummary: 'Sintesi',
+      keyPoints: 'Punti chiave',
+      actionItems: 'Azioni da intraprendere',
+      importantDates: 'Date importanti',
+      relevantNames: 'Nomi rilevanti',
+      places: 'Luoghi',
+      placesMentioned: 'Luoghi menzionati',
+      generatedOn: 'Generato il',
+      generatedBy: 'Generato da Abstract: Document Summarizer',
+      sources: 'Fonti',
+      page: 'Pagina',
+      audioTitle: 'Riepilogo audio del documento',
+      audioClosing:
+        'Fine del riepilogo. Grazie per aver usato Abstract Document Summarizer.',
+      point: 'Punto',
+      action: 'Azione',
+      date: 'Data',
+      name: 'Nome',
+      place: 'Luogo',
+    },
+  },
+  pt: {
+    name: 'Portuguese',
+    ttsLocale: 'pt-pt',
+    labels: {
+      documentSummary: 'Resumo do documento',
+      title: 'Título',
+      originalDocument: 'Documento original',
+      author: 'Autor',
+      summarySize: 'Extensão do resumo',
+      sizes: { short: 'Curto', medium: 'Médio', long: 'Longo' },
+      executiveSummary: 'Resumo executivo',
+      keyPoints: 'Pontos-chave',
+      actionItems: 'Ações a realizar',
+      importantDates: 'Datas importantes',
+      relevantNames: 'Nomes relevantes',
+      places: 'Locais',
+      placesMentioned: 'Locais mencionados',
+      generatedOn: 'Gerado em',
+      generatedBy: 'Gerado por Abstract: Document Summarizer',
+      sources: 'Fontes',
+      page: 'Página',
+      audioTitle: 'Resumo em áudio do documento',
+      audioClosing:
+        'Fim do resumo. Obrigado por usar o Abstract Document Summarizer.',
+      point: 'Ponto',
+      action: 'Ação',
+      date: 'Data',
+      name: 'Nome',
+      place: 'Local',
+    },
+  },
+  nl: {
+    name: 'Dutch',
+    ttsLocale: 'nl-nl',
+    labels: {
+      documentSummary: 'Samenvatting van het document',
+      title: 'Titel',
+      originalDocument: 'Origineel document',
+      author: 'Auteur',
+      summarySize: 'Lengte van de samenvatting',
+      sizes: { short: 'Kort', medium: 'Middel', long: 'Lang' },
+      executiveSummary: 'Managementsamenvatting',
+      keyPoints: 'Belangrijkste punten',
+      actionItems: 'Actiepunten',
+      importantDates: 'Belangrijke datums',
+      relevantNames: 'Relevante namen',
+      places: 'Plaatsen',
+      placesMentioned: 'Genoemde plaatsen',
+      generatedOn: 'Gegenereerd op',
+      generatedBy: 'Gegenereerd door Abstract: Document Summarizer',
+      sources: 'Bronnen',
+      page: 'Pagina',
+      audioTitle: 'Audiosamenvatting van het document',
+      audioClosing:
+        'Einde van de samenvatting. Bedankt voor het gebruik van Abstract Document Summarizer.',
+      point: 'Punt',
+      action: 'Actie',
+      date: 'Datum',
+      name: 'Naam',
+      place: 'Plaats',
+    },
+  },
+};
+
+// Names of languages that can be detected but are not summary languages
+const OTHER_LANGUAGE_NAMES = {
+  pl: 'Polish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  el: 'Greek',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  ar: 'Arabic',
+  he: 'Hebrew',
+};
+
+/**
+ * Parse TTS_VOICES, ignoring an invalid value
+ * @returns {Object} - OpenAI voice per language code
+ */
+function parseVoices() {
+  if (!process.env.TTS_VOICES) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.TTS_VOICES);
+  } catch (error) {
+    console.warn(`Ignoring invalid JSON in TTS_VOICES: ${error.message}`);
+    return {};
+  }
+}
+
+const voices = parseVoices();
+
+/**
+ * Get the settings of a summary language
+ * @param {string} code - Language code
+ * @returns {Object} - Language settings, those of DEFAULT_LANGUAGE for unknown codes
+ */
+function getLanguage(code) {
+  const language = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+  return {
+    code: language,
+    ...LANGUAGES[language],
+    voice: voices[language] || DEFAULT_VOICE,
+  };
+}
+
+/**
+ * Get the English name of a language
+ * @param {string} code - Language code
+ * @returns {string|null} - Name, null for unknown codes
+ */
+function languageName(code) {
+  if (LANGUAGES[code]) {
+    return LANGUAGES[code].name;
+  }
+  return OTHER_LANGUAGE_NAMES[code] || null;
+}
+
+/**
+ * Resolve the summary language requested for a document
+ * @param {string} requested - Language code, 'source' for the language of the document, empty for DEFAULT_LANGUAGE
+ * @param {string} sourceLanguage - Detected language of the document
+ * @returns {string|null} - Summary language code, null if the request is invalid
+ */
+function resolveOutputLanguage(requested, sourceLanguage) {
+  if (!requested) {
+    return DEFAULT_LANGUAGE;
+  }
+  if (requested === 'source') {
+    return LANGUAGES[sourceLanguage] ? sourceLanguage : DEFAULT_LANGUAGE;
+  }
+  return LANGUAGES[requested] ? requested : null;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  OUTPUT_LANGUAGES: Object.keys(LANGUAGES),
+  getLanguage,
+  languageName,
+  resolveOutputLanguage,
+};
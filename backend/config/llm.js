@@ -0,0 +1,146 @@
+/**
+ * LLM provider configuration.
+ *
+ * The active provider is chosen with LLM_PROVIDER:
+ * - openai: api.openai.com (default)
+ * - azure: Azure OpenAI, models are deployment names
+ * - local: any OpenAI-compatible HTTP server such as llama.cpp or Ollama
+ *
+ * Every provider defines settings per task (summary, vision, chat, embedding;
+ * embeddings are off when the provider has no embedding model). The summary
+ * task's `structuredOutput` is one of json_schema, json_object or none,
+ * depending on what the server supports. Settings can be overridden per
+ * subscription plan with LLM_PLAN_SETTINGS, a JSON object keyed by plan
+ * and task, for example:
+ *   {"free":{"summary":{"model":"gpt-4o-mini"}}}
+ */
+
+/**
+ * Parse a JSON environment variable, ignoring invalid values
+ * @param {string} name - Environment variable name
+ * @returns {Object} - Parsed object or an empty object
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Ignoring invalid JSON in ${name}: ${error.message}`);
+    return {};
+  }
+}
+
+const providers = {
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    tasks: {
+      summary: {
+        // Structured outputs need a model that supports JSON schema
+        model: process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o',
+        temperature: 0.3,
+        structuredOutput: process.env.OPENAI_STRUCTURED_OUTPUT || 'json_schema',
+        // Includes the source passages cited for every list entry
+        maxTokens: { short: 1500, medium: 2200, long: 3500 },
+        singlePassChars: 16000,
+        chunkChars: 12000,
+      },
+      vision: {
+        model: process.env.OPENAI_VISION_MODEL || 'gpt-4o',
+        temperature: 0,
+        maxTokens: 1000,
+      },
+      chat: {
+        model: process.env.OPENAI_CHAT_MODEL || 'gpt-4o',
+        temperature: 0.2,
+        maxTokens: 800,
+        // Document excerpts sent with each question
+        contextChars: 12000,
+      },
+      embedding: {
+        model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+        // Shorter vectors keep the search index small
+        dimensions: parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS) || 512,
+        batchSize: 64,
+      },
+    },
+  },
+  azure: {
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    tasks: {
+      summary: {
+        model: process.env.AZURE_OPENAI_SUMMARY_DEPLOYMENT || 'gpt-4o',
+        temperature: 0.3,
+        structuredOutput:
+          process.env.AZURE_OPENAI_STRUCTURED_OUTPUT || 'json_schema',
+        maxTokens: { short: 1500, medium: 2200, long: 3500 },
+        singlePassChars: 16000,
+        chunkChars: 12000,
+      },
+      vision: {
+        model: process.env.AZURE_OPENAI_VISION_DEPLOYMENT || 'gpt-4o',
+        temperature: 0,
+        maxTokens: 1000,
+      },
+      chat: {
+        model: process.env.AZURE_OPENAI_CHAT_DEPLOYMENT || 'gpt-4o',
+        temperature: 0.2,
+        maxTokens: 800,
+        contextChars: 12000,
+      },
+      embedding: {
+        model: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+        dimensions:
+          parseInt(process.env.AZURE_OPENAI_EMBEDDING_DIMENSIONS) || undefined,
+        batchSize: 64,
+      },
+    },
+  },
+  local: {
+    // Local servers usually ignore the key but the client requires one
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    tasks: {
+      summary: {
+        model: process.env.LOCAL_LLM_SUMMARY_MODEL || 'llama3.1',
+        temperature: 0.3,
+        // Servers without JSON schema support can use json_object or none
+        structuredOutput:
+          process.env.LOCAL_LLM_STRUCTURED_OUTPUT || 'json_schema',
+        maxTokens: { short: 1200, medium: 1800, long: 3000 },
+        // Local models usually run with a much smaller context window
+        singlePassChars: 8000,
+        chunkChars: 6000,
+      },
+      vision: {
+        model: process.env.LOCAL_LLM_VISION_MODEL || 'llava',
+        temperature: 0,
+        maxTokens: 1000,
+      },
+      chat: {
+        model: process.env.LOCAL_LLM_CHAT_MODEL || 'llama3.1',
+        temperature: 0.2,
+        maxTokens: 600,
+        contextChars: 6000,
+      },
+      embedding: {
+        // e.g. nomic-embed-text; not every local server serves embeddings
+        model: process.env.LOCAL_LLM_EMBEDDING_MODEL,
+        batchSize: 16,
+      },
+    },
+  },
+};
+
+module.exports = {
+  provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+  providers,
+  planSettings: parseJsonEnv('LLM_PLAN_SETTINGS'),
+  // Request timeout in milliseconds, local models can be slow
+  timeout: parseInt(process.env.LLM_TIMEOUT) || 10 * 60 * 1000,
+  parseJsonEnv,
+};
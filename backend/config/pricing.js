@@ -0,0 +1,76 @@
+const { parseJsonEnv } = require('./llm');
+
+/**
+ * Prices of the LLM provider, used to estimate what every user costs (see
+ * services/usageMeter.js), and the optional spend limits of the plans.
+ *
+ * Prices are in USD: per million input and output tokens for chat and
+ * embedding models, per million characters for speech models, and optionally
+ * per image for vision models billed by image. Models are matched by name,
+ * dated versions such as "gpt-4o-2024-08-06" by their longest listed prefix.
+ * LLM_PRICES, a JSON object keyed by model, adds models or replaces the prices
+ * below, for example Azure deployment names or a local model:
+ *   {"my-gpt4o-deployment":{"input":2.5,"output":10},"llama3.1":{"input":0,"output":0}}
+ * Calls to models without a price are still counted, at no cost.
+ *
+ * Spend limits are off by default. PLAN_SPEND_LIMITS sets monthly limits on
+ * the tokens (input and output) and the estimated cost of each plan:
+ *   {"free":{"tokens":500000,"cost":1},"premium":{"cost":20}}
+ */
+
+const CURRENCY = 'USD';
+
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-3-large': { input: 0.13 },
+  'text-embedding-ada-002': { input: 0.1 },
+  'tts-1': { characters: 15 },
+  'tts-1-hd': { characters: 30 },
+};
+
+const prices = { ...DEFAULT_PRICES, ...parseJsonEnv('LLM_PRICES') };
+const spendLimits = parseJsonEnv('PLAN_SPEND_LIMITS');
+
+/**
+ * Get the price of a model
+ * @param {string} model - Model or deployment name
+ * @returns {Object|null} - Prices ({input, output, characters, image}), or null if the model has none
+ */
+function getModelPrice(model) {
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Get the monthly spend limits of a plan
+ * @param {string} plan - Subscription plan
+ * @returns {{tokens: number, cost: number}} - Token and cost limits, Infinity when not limited
+ */
+function getSpendLimits(plan) {
+  const limits = spendLimits[plan] || {};
+  return {
+    tokens: typeof limits.tokens === 'number' ? limits.tokens : Infinity,
+    cost: typeof limits.cost === 'number' ? limits.cost : Infinity,
+  };
+}
+
+module.exports = {
+  CURRENCY,
+  getModelPrice,
+  getSpendLimits,
+};
@@ -0,0 +1,59 @@
+const {
+  claimUpload,
+  releaseUpload,
+  removeUpload,
+} = require('../services/uploadStore');
+
+// Send the response for an error thrown by the upload store
+const sendUploadError = (res, error) => {
+  if (!error.status) {
+    console.error('Upload error:', error);
+    return res
+      .status(500)
+      .json({ error: 'Upload failed', details: error.message });
+  }
+
+  if (error.details && error.details.offset !== undefined) {
+    res.setHeader('Upload-Offset', error.details.offset);
+  }
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...error.details,
+  });
+};
+
+// Middleware that turns a complete resumable upload into req.file, so the
+// regular document pipeline can process it
+const finalizeResumableUpload = async (req, res, next) => {
+  try {
+    const upload = await claimUpload(req.user._id, req.params.uploadId);
+
+    req.file = {
+      path: upload.filePath,
+      originalname: upload.originalFilename,
+      size: upload.fileSize,
+      resumable: true,
+    };
+
+    // The pipeline deletes the file itself; drop the upload record once it answered,
+    // unless the pipeline kept the upload for another attempt (req.file.keepUpload)
+    res.on('finish', () => {
+      const done = req.file.keepUpload
+        ? releaseUpload(upload)
+        : removeUpload(upload);
+      done.catch(error =>
+        console.error('Error finishing resumable upload:', error)
+      );
+    });
+
+    next();
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+};
+
+module.exports = {
+  finalizeResumableUpload,
+  sendUploadError,
+};
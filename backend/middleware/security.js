@@ -1,5 +1,10 @@
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const fs = require('fs');
+const { SUPPORTED_EXTENSIONS } = require('../services/documentProcessor');
+const { detectFileType, resolveFileType } = require('../services/fileTypeDetector');
+const { MAX_RESUMABLE_UPLOAD_SIZE } = require('../services/uploadStore');
+const { OUTPUT_LANGUAGES } = require('../config/languages');
 
 // Rate limiting middleware
 const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100) => {
@@ -26,6 +31,24 @@ const validateDocumentUpload = [
     .optional()
     .isIn(['short', 'medium', 'long'])
     .withMessage('Summary size must be short, medium, or long'),
+  body('outputLanguage')
+    .optional()
+    .isIn([...OUTPUT_LANGUAGES, 'source'])
+    .withMessage(`Output language must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}`),
+  body('regenerate')
+    .optional()
+    .isBoolean()
+    .withMessage('Regenerate must be true or false'),
+];
+
+const validateChatQuestion = [
+  body('question')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('A question is required')
+    .isLength({ max: 2000 })
+    .withMessage('Questions are limited to 2000 characters'),
 ];
 
 const validateExportRequest = [
@@ -74,8 +97,10 @@ const validateFileUpload = (req, res, next) => {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  // Check file size (additional validation)
-  const maxSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+  // Check file size (additional validation); resumable uploads have their own limit
+  const maxSize = req.file.resumable
+    ? MAX_RESUMABLE_UPLOAD_SIZE
+    : parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
   if (req.file.size > maxSize) {
     return res.status(400).json({ 
       error: 'File too large',
@@ -85,17 +110,71 @@ const validateFileUpload = (req, res, next) => {
   }
 
   // Additional file type validation
-  const allowedTypes = ['.pdf', '.txt', '.docx', '.rtf', '.odt'];
   const fileExtension = req.file.originalname.toLowerCase().split('.').pop();
   
-  if (!allowedTypes.includes(`.${fileExtension}`)) {
+  if (!SUPPORTED_EXTENSIONS.includes(`.${fileExtension}`)) {
     return res.status(400).json({ 
       error: 'Invalid file type',
-      allowedTypes: allowedTypes,
+      allowedTypes: SUPPORTED_EXTENSIONS,
       receivedType: fileExtension
     });
   }
 
+  // The extension is chosen by the client, check it against the file contents
+  try {
+    req.file.detectedType = resolveFileType(req.file.path, req.file.originalname);
+  } catch (error) {
+    if (error.code !== 'file_type_mismatch') {
+      return next(error);
+    }
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({
+      error: 'File type mismatch',
+      details: error.message,
+      declaredType: error.declaredType,
+      detectedType: error.detectedType
+    });
+  }
+
+  next();
+};
+
+// ZIP archive upload validation middleware
+const validateArchiveUpload = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const maxSize = parseInt(process.env.MAX_ARCHIVE_SIZE) || 20 * 1024 * 1024;
+  if (req.file.size > maxSize) {
+    return res.status(400).json({ 
+      error: 'Archive too large',
+      maxSize: maxSize,
+      actualSize: req.file.size
+    });
+  }
+
+  const fileExtension = req.file.originalname.toLowerCase().split('.').pop();
+  if (fileExtension !== 'zip') {
+    return res.status(400).json({ 
+      error: 'Invalid file type',
+      allowedTypes: ['.zip'],
+      receivedType: fileExtension
+    });
+  }
+
+  // Office and OpenDocument files are ZIP containers too, but not archives of documents
+  const detected = detectFileType(req.file.path);
+  if (detected.type !== 'zip') {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({
+      error: 'File type mismatch',
+      details: `${req.file.originalname} is declared as .zip but contains ${detected.label}`,
+      declaredType: '.zip',
+      detectedType: detected.mimeType
+    });
+  }
+
   next();
 };
 
@@ -104,8 +183,10 @@ module.exports = {
   uploadLimiter,
   apiLimiter,
   validateDocumentUpload,
+  validateChatQuestion,
   validateExportRequest,
   handleValidationErrors,
   securityHeaders,
-  validateFileUpload
+  validateFileUpload,
+  validateArchiveUpload
 }; 
\ No newline at end of file
@@ -1,5 +1,23 @@
 const Subscription = require('../models/Subscription');
 const Usage = require('../models/Usage');
+const { CURRENCY } = require('../config/pricing');
+
+// Reasons for which the plan's token or cost limit was reached (see config/pricing.js)
+const SPEND_LIMIT_REASONS = ['token_limit', 'cost_limit'];
+
+// Explain a reached token or cost limit
+const spendLimitMessage = (reason, usage, limits) => {
+  if (reason === 'token_limit') {
+    return {
+      error: 'Token limit exceeded',
+      message: `You have used ${usage.totalTokens} tokens this month (limit: ${limits.tokens}). Please upgrade your plan to continue.`
+    };
+  }
+  return {
+    error: 'Usage cost limit exceeded',
+    message: `Your usage this month is estimated at ${usage.estimatedCost.toFixed(2)} ${CURRENCY} (limit: ${limits.cost} ${CURRENCY}). Please upgrade your plan to continue.`
+  };
+};
 
 // Middleware to check subscription status and usage limits
 const checkSubscription = async (req, res, next) => {
@@ -62,7 +80,7 @@ const canUploadDocument = async (req, res, next) => {
 
     // Check if user has exceeded their limit
     if (req.usage && req.usage.hasExceeded) {
-      const { reason, current, limit } = req.usage.limitReason;
+      const reason = req.usage.limitReason;
       const { current: usage } = req.usage;
       
       let errorMessage = 'You have reached your monthly limit. Please upgrade your plan to continue.';
@@ -74,13 +92,17 @@ const canUploadDocument = async (req, res, next) => {
       } else if (reason === 'page_limit') {
         errorMessage = 'Page limit exceeded';
         details = `You have processed ${usage.pageCount} pages this month (limit: ${req.usage.limits.pages}). Please upgrade your plan to continue.`;
+      } else if (SPEND_LIMIT_REASONS.includes(reason)) {
+        const spend = spendLimitMessage(reason, usage, req.usage.limits);
+        errorMessage = spend.error;
+        details = spend.message;
       }
       
       return res.status(403).json({
         error: errorMessage,
         message: details,
         currentUsage: usage,
-        limits: req.usage.limits,
+        limits: Usage.limitsForResponse(req.usage.limits),
         plan: req.subscription.plan,
         reason: reason
       });
@@ -93,6 +115,96 @@ const canUploadDocument = async (req, res, next) => {
   }
 };
 
+// Reply with 403 when an upload of several documents does not fit the plan
+const rejectOverAllowance = (req, res, allowance) => {
+  const { reason, current: usage, requested } = allowance;
+  const limits = Usage.getLimits(req.subscription.plan);
+
+  let errorMessage = 'Document limit exceeded';
+  let details = `This upload contains ${requested.documents} documents and you have processed ${usage.documentCount} documents this month (limit: ${limits.documents}). Please upgrade your plan to continue.`;
+
+  if (reason === 'page_limit') {
+    errorMessage = 'Page limit exceeded';
+    details = `This upload contains ${requested.pages} pages and you have processed ${usage.pageCount} pages this month (limit: ${limits.pages}). Please upgrade your plan to continue.`;
+  } else if (SPEND_LIMIT_REASONS.includes(reason)) {
+    const spend = spendLimitMessage(reason, usage, limits);
+    errorMessage = spend.error;
+    details = spend.message;
+  }
+
+  return res.status(403).json({
+    error: errorMessage,
+    message: details,
+    currentUsage: usage,
+    requested: requested,
+    limits: Usage.limitsForResponse(limits),
+    plan: req.subscription.plan,
+    reason: reason
+  });
+};
+
+// Middleware to check if user can ask another question about a document
+const canAskQuestion = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!req.subscription) {
+      await checkSubscription(req, res, () => {});
+      if (res.headersSent) return;
+    }
+
+    const allowance = await Usage.checkAllowance(req.user._id, req.subscription.plan, { chats: 1 });
+    if (!allowance.allowed) {
+      const limits = Usage.getLimits(req.subscription.plan);
+      const { error, message } = SPEND_LIMIT_REASONS.includes(allowance.reason)
+        ? spendLimitMessage(allowance.reason, allowance.current, limits)
+        : {
+          error: 'Question limit exceeded',
+          message: `You have asked ${allowance.current.chatCount} questions about your documents this month (limit: ${allowance.limit}). Please upgrade your plan to continue.`
+        };
+      return res.status(403).json({
+        error,
+        message,
+        currentUsage: allowance.current,
+        limits: Usage.limitsForResponse(limits),
+        plan: req.subscription.plan,
+        reason: allowance.reason
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking question permission:', error);
+    res.status(500).json({ error: 'Failed to check question permission' });
+  }
+};
+
+// Middleware to check that the plan's spend limits allow more calls to the LLM provider
+const canSpend = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!req.subscription) {
+      await checkSubscription(req, res, () => {});
+      if (res.headersSent) return;
+    }
+
+    const allowance = await Usage.checkAllowance(req.user._id, req.subscription.plan);
+    if (!allowance.allowed) {
+      return rejectOverAllowance(req, res, allowance);
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking spend limits:', error);
+    res.status(500).json({ error: 'Failed to check usage limits' });
+  }
+};
+
 // Middleware to check if user can access premium features
 const canAccessFeature = (feature) => {
   return async (req, res, next) => {
@@ -138,7 +250,8 @@ const incrementUsage = async (req, res, next) => {
     if (req.user && req.subscription) {
       // Get page count from the processed document
       const pageCount = req.documentPageCount || 0;
-      await Usage.incrementUsage(req.user._id, pageCount);
+      const ocrPageCount = req.documentOcrPageCount || 0;
+      await Usage.incrementUsage(req.user._id, pageCount, ocrPageCount);
     }
     next();
   } catch (error) {
@@ -151,6 +264,9 @@ const incrementUsage = async (req, res, next) => {
 module.exports = {
   checkSubscription,
   canUploadDocument,
+  canAskQuestion,
+  canSpend,
   canAccessFeature,
-  incrementUsage
+  incrementUsage,
+  rejectOverAllowance
 }; 
\ No newline at end of file
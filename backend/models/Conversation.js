@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Where an answer was found: a chunk of the document (see DocumentChunk)
+const citationSchema = new mongoose.Schema(
+  {
+    chunk: {
+      type: Number,
+      required: true,
+    },
+    pageStart: {
+      type: Number,
+    },
+    pageEnd: {
+      type: Number,
+    },
+    start: {
+      type: Number,
+    },
+    end: {
+      type: Number,
+    },
+    // Beginning of the cited text, for display
+    excerpt: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ['user', 'assistant'],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    citations: [citationSchema],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Questions and answers about one document, one conversation per user and document
+const conversationSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  messages: [messageSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+conversationSchema.index({ documentId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
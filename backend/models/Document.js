@@ -33,6 +33,32 @@ const documentSchema = new mongoose.Schema({
     }],
     places: [{
       type: String
+    }],
+    // Where the list entries come from: passages found in the extracted text,
+    // by list field and position of the entry; see services/citations.js
+    citations: [{
+      _id: false,
+      field: {
+        type: String,
+        enum: ['keyPoints', 'actionItems', 'importantDates', 'relevantNames', 'places']
+      },
+      item: {
+        type: Number
+      },
+      // Unset when the document has no real pages
+      page: {
+        type: Number
+      },
+      // Character offsets of the passage in the extracted text
+      start: {
+        type: Number
+      },
+      end: {
+        type: Number
+      },
+      quote: {
+        type: String
+      }
     }]
   },
   summarySize: {
@@ -47,17 +73,98 @@ const documentSchema = new mongoose.Schema({
   fileSize: {
     type: Number
   },
+  pageCount: {
+    type: Number
+  },
+  wordCount: {
+    type: Number
+  },
+  // Properties stored in the file itself (PDF info dictionary, OOXML/ODF core
+  // properties); see services/documentMetadata.js
+  metadata: {
+    title: {
+      type: String
+    },
+    author: {
+      type: String
+    },
+    subject: {
+      type: String
+    },
+    keywords: {
+      type: String
+    },
+    application: {
+      type: String
+    },
+    producer: {
+      type: String
+    },
+    created: {
+      type: Date
+    },
+    modified: {
+      type: Date
+    }
+  },
+  // Language detected in the extracted text (ISO 639-1 code, unset when the
+  // text is too short to tell) and the language the summary was written in;
+  // see config/languages.js
+  sourceLanguage: {
+    type: String
+  },
+  outputLanguage: {
+    type: String
+  },
+  // Tables found in the document, with the page they are on; see
+  // services/tableExport.js. Left out of document lists, tableCount says
+  // whether there are any
+  tables: [{
+    _id: false,
+    page: {
+      type: Number
+    },
+    rows: [[String]]
+  }],
+  tableCount: {
+    type: Number,
+    default: 0
+  },
+  // Embedding of the summary for semantic search, and the model that computed
+  // it and the embeddings of the document's chunks (see
+  // services/documentSearch.js); unset when embeddings are not configured
+  summaryEmbedding: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+  embeddingModel: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  // Set on documents that were uploaded inside a ZIP archive; points to the
+  // archive's own document, which holds the collection summary
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
   isAuthenticated: {
     type: Boolean,
     default: false
   }
 });
 
+// Title for lists and exports: the document's own title, else its file name
+documentSchema.virtual('title').get(function() {
+  return (this.metadata && this.metadata.title) || this.originalFilename;
+});
+documentSchema.set('toJSON', { virtuals: true });
+
 // Index for faster queries
 documentSchema.index({ userId: 1, createdAt: -1 });
+documentSchema.index({ collectionId: 1 });
 
 module.exports = mongoose.model('Document', documentSchema); 
\ No newline at end of file
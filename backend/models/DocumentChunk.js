@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Passage of a document's extracted text, kept for questions about the
+// document (see services/documentChat.js)
+const documentChunkSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Position of the chunk in the document, starting at 0
+  index: {
+    type: Number,
+    required: true,
+  },
+  // Heading of the section the chunk starts in
+  title: {
+    type: String,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  // Character offsets of the chunk in the extracted text
+  start: {
+    type: Number,
+  },
+  end: {
+    type: Number,
+  },
+  // Pages the chunk covers; unset when the document has no real pages
+  pageStart: {
+    type: Number,
+  },
+  pageEnd: {
+    type: Number,
+  },
+  // Embedding of the text for semantic search (see services/documentSearch.js);
+  // left out of queries unless asked for
+  embedding: {
+    type: [Number],
+    default: undefined,
+    select: false,
+  },
+});
+
+documentChunkSchema.index({ documentId: 1, index: 1 });
+documentChunkSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('DocumentChunk', documentChunkSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Days a cached summary is kept after it was last used
+const SUMMARY_CACHE_TTL_DAYS =
+  parseInt(process.env.SUMMARY_CACHE_TTL_DAYS) || 30;
+
+// Summary of a document text, reused when the same text is summarized again
+// with the same settings (see services/summaryCache.js)
+const summaryCacheSchema = new mongoose.Schema({
+  // Account the entry belongs to; entries are never shared between accounts
+  tenant: {
+    type: String,
+    required: true,
+  },
+  // Hash of the normalized text and the summary settings
+  key: {
+    type: String,
+    required: true,
+  },
+  // Result of generateSummary, with rawResponse and citations
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  model: {
+    type: String,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+summaryCacheSchema.index({ tenant: 1, key: 1 }, { unique: true });
+summaryCacheSchema.index(
+  { lastUsedAt: 1 },
+  { expireAfterSeconds: SUMMARY_CACHE_TTL_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('SummaryCache', summaryCacheSchema);
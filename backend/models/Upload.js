@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Resumable upload in progress (see services/uploadStore.js)
+const uploadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  originalFilename: {
+    type: String,
+    required: true,
+  },
+  // Total size announced when the upload was created
+  fileSize: {
+    type: Number,
+    required: true,
+  },
+  // Bytes received so far
+  offset: {
+    type: Number,
+    default: 0,
+  },
+  // Optional SHA-256 (hex) of the whole file, checked when the upload is finalized
+  checksum: {
+    type: String,
+  },
+  filePath: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'finalizing'],
+    default: 'uploading',
+  },
+  // Set while a chunk is being written, so concurrent chunks cannot interleave
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+uploadSchema.index({ userId: 1, createdAt: -1 });
+uploadSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('Upload', uploadSchema);
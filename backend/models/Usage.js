@@ -1,4 +1,40 @@
 const mongoose = require('mongoose');
+const { getSpendLimits } = require('../config/pricing');
+
+// Calls of one kind to the LLM provider, e.g. all summary requests of a month
+// (see services/usageMeter.js)
+const taskUsageSchema = new mongoose.Schema({
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  // Images sent to the vision model
+  images: {
+    type: Number,
+    default: 0
+  },
+  // Characters spoken by the TTS model
+  characters: {
+    type: Number,
+    default: 0
+  },
+  // Estimated cost in USD (see config/pricing.js)
+  cost: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Tasks that are accounted separately
+const SPEND_TASKS = ['summary', 'chat', 'embedding', 'vision', 'tts'];
 
 const usageSchema = new mongoose.Schema({
   userId: {
@@ -19,12 +55,58 @@ const usageSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Pages of scanned documents that were read by the vision model
+  ocrPageCount: {
+    type: Number,
+    default: 0
+  },
+  // Questions asked about processed documents
+  chatCount: {
+    type: Number,
+    default: 0
+  },
+  // LLM provider spend of the month: totals, and the same per task
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  ttsCharacters: {
+    type: Number,
+    default: 0
+  },
+  visionImages: {
+    type: Number,
+    default: 0
+  },
+  estimatedCost: {
+    type: Number,
+    default: 0
+  },
+  tasks: Object.fromEntries(SPEND_TASKS.map(task => [task, {
+    type: taskUsageSchema,
+    default: () => ({})
+  }])),
   lastReset: {
     type: Date,
     default: Date.now
   }
 });
 
+// Check the month's tokens and estimated cost against the plan's spend limits
+function spendLimitReached(currentUsage, limit) {
+  if (currentUsage.totalTokens >= limit.tokens) {
+    return { reason: 'token_limit', current: currentUsage.totalTokens, limit: limit.tokens };
+  }
+  if (currentUsage.estimatedCost >= limit.cost) {
+    return { reason: 'cost_limit', current: currentUsage.estimatedCost, limit: limit.cost };
+  }
+  return null;
+}
+
 // Compound index for userId + month to ensure unique monthly records
 usageSchema.index({ userId: 1, month: 1 }, { unique: true });
 
@@ -35,7 +117,7 @@ usageSchema.statics.getCurrentMonth = function() {
 };
 
 // Increment usage for current month
-usageSchema.statics.incrementUsage = async function(userId, pageCount = 0) {
+usageSchema.statics.incrementUsage = async function(userId, pageCount = 0, ocrPageCount = 0) {
   const currentMonth = this.getCurrentMonth();
   
   try {
@@ -44,7 +126,8 @@ usageSchema.statics.incrementUsage = async function(userId, pageCount = 0) {
       { 
         $inc: { 
           documentCount: 1,
-          pageCount: pageCount
+          pageCount: pageCount,
+          ocrPageCount: ocrPageCount
         },
         $setOnInsert: { lastReset: new Date() }
       },
@@ -59,7 +142,74 @@ usageSchema.statics.incrementUsage = async function(userId, pageCount = 0) {
   } catch (error) {
     // Handle duplicate key error (shouldn't happen with upsert)
     if (error.code === 11000) {
-      return this.incrementUsage(userId, pageCount);
+      return this.incrementUsage(userId, pageCount, ocrPageCount);
+    }
+    throw error;
+  }
+};
+
+// Count a question about a document for the current month
+usageSchema.statics.incrementChatUsage = async function(userId) {
+  const currentMonth = this.getCurrentMonth();
+
+  try {
+    return await this.findOneAndUpdate(
+      { userId, month: currentMonth },
+      {
+        $inc: { chatCount: 1 },
+        $setOnInsert: { lastReset: new Date() }
+      },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true
+      }
+    );
+  } catch (error) {
+    // Handle duplicate key error (shouldn't happen with upsert)
+    if (error.code === 11000) {
+      return this.incrementChatUsage(userId);
+    }
+    throw error;
+  }
+};
+
+// Add the tokens, characters, images and estimated cost of calls to the LLM provider
+usageSchema.statics.incrementSpend = async function(userId, task, { requests = 1, promptTokens = 0, completionTokens = 0, images = 0, characters = 0, cost = 0 } = {}) {
+  if (!SPEND_TASKS.includes(task)) {
+    throw new Error(`Unknown usage task: ${task}`);
+  }
+  const currentMonth = this.getCurrentMonth();
+
+  try {
+    return await this.findOneAndUpdate(
+      { userId, month: currentMonth },
+      {
+        $inc: {
+          promptTokens,
+          completionTokens,
+          ttsCharacters: characters,
+          visionImages: images,
+          estimatedCost: cost,
+          [`tasks.${task}.requests`]: requests,
+          [`tasks.${task}.promptTokens`]: promptTokens,
+          [`tasks.${task}.completionTokens`]: completionTokens,
+          [`tasks.${task}.images`]: images,
+          [`tasks.${task}.characters`]: characters,
+          [`tasks.${task}.cost`]: cost
+        },
+        $setOnInsert: { lastReset: new Date() }
+      },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true
+      }
+    );
+  } catch (error) {
+    // Handle duplicate key error (shouldn't happen with upsert)
+    if (error.code === 11000) {
+      return this.incrementSpend(userId, task, { requests, promptTokens, completionTokens, images, characters, cost });
     }
     throw error;
   }
@@ -71,10 +221,41 @@ usageSchema.statics.getCurrentUsage = async function(userId) {
   const usage = await this.findOne({ userId, month: currentMonth });
   return {
     documentCount: usage ? usage.documentCount : 0,
-    pageCount: usage ? usage.pageCount : 0
+    pageCount: usage ? usage.pageCount : 0,
+    ocrPageCount: usage ? usage.ocrPageCount : 0,
+    chatCount: usage ? usage.chatCount : 0,
+    totalTokens: usage ? usage.promptTokens + usage.completionTokens : 0,
+    estimatedCost: usage ? usage.estimatedCost : 0
   };
 };
 
+// Get the LLM provider spend of the last months, newest first
+usageSchema.statics.getSpendHistory = async function(userId, months = 6) {
+  const usages = await this.find({ userId })
+    .sort({ month: -1 })
+    .limit(months);
+  return usages.map(usage => ({
+    month: usage.month,
+    documentCount: usage.documentCount,
+    pageCount: usage.pageCount,
+    chatCount: usage.chatCount,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    totalTokens: usage.promptTokens + usage.completionTokens,
+    ttsCharacters: usage.ttsCharacters,
+    visionImages: usage.visionImages,
+    estimatedCost: usage.estimatedCost,
+    tasks: Object.fromEntries(SPEND_TASKS.map(task => [task, {
+      requests: usage.tasks[task].requests,
+      promptTokens: usage.tasks[task].promptTokens,
+      completionTokens: usage.tasks[task].completionTokens,
+      images: usage.tasks[task].images,
+      characters: usage.tasks[task].characters,
+      cost: usage.tasks[task].cost
+    }]))
+  }));
+};
+
 // Check if user has exceeded their limits
 usageSchema.statics.hasExceededLimit = async function(userId, plan) {
   const limits = {
@@ -83,9 +264,9 @@ usageSchema.statics.hasExceededLimit = async function(userId, plan) {
     pro: { documents: Infinity, pages: Infinity }
   };
   
-  const limit = limits[plan] || limits.free;
+  const limit = { ...(limits[plan] || limits.free), ...getSpendLimits(plan) };
   
-  if (limit.documents === Infinity && limit.pages === Infinity) {
+  if (Object.values(limit).every(value => value === Infinity)) {
     return { exceeded: false, reason: null }; // Pro users have unlimited
   }
   
@@ -110,19 +291,90 @@ usageSchema.statics.hasExceededLimit = async function(userId, plan) {
       limit: limit.pages
     };
   }
+
+  const spend = spendLimitReached(currentUsage, limit);
+  if (spend) {
+    return { exceeded: true, ...spend };
+  }
   
   return { exceeded: false, reason: null };
 };
 
-// Get usage limits for a plan
+// Check if the plan leaves room for more documents and pages, questions, or other LLM calls this month
+usageSchema.statics.checkAllowance = async function(userId, plan, { documents = 0, pages = 0, chats = 0 } = {}) {
+  const limit = this.getLimits(plan);
+  const currentUsage = await this.getCurrentUsage(userId);
+
+  // Nothing more is sent to the LLM provider once the spend limit is reached
+  const spend = spendLimitReached(currentUsage, limit);
+  if (spend) {
+    return {
+      allowed: false,
+      reason: spend.reason,
+      current: currentUsage,
+      requested: { documents, pages, chats },
+      limit: spend.limit
+    };
+  }
+
+  // Other calls to the provider (audio, photo OCR, search) only count against the spend limits
+  if (!documents && !pages && !chats) {
+    return { allowed: true, reason: null, current: currentUsage };
+  }
+
+  // Questions have their own limit; documents over the page limit do not block them
+  if (chats) {
+    if (currentUsage.chatCount + chats > limit.chats) {
+      return {
+        allowed: false,
+        reason: 'chat_limit',
+        current: currentUsage,
+        requested: { chats },
+        limit: limit.chats
+      };
+    }
+    return { allowed: true, reason: null, current: currentUsage };
+  }
+
+  if (currentUsage.documentCount + documents > limit.documents) {
+    return {
+      allowed: false,
+      reason: 'document_limit',
+      current: currentUsage,
+      requested: { documents, pages },
+      limit: limit.documents
+    };
+  }
+
+  if (currentUsage.pageCount + pages > limit.pages) {
+    return {
+      allowed: false,
+      reason: 'page_limit',
+      current: currentUsage,
+      requested: { documents, pages },
+      limit: limit.pages
+    };
+  }
+
+  return { allowed: true, reason: null, current: currentUsage };
+};
+
+// Get usage limits for a plan; tokens and cost are only limited when configured (see config/pricing.js)
 usageSchema.statics.getLimits = function(plan) {
   const limits = {
-    free: { documents: 5, pages: 100 },
-    premium: { documents: 50, pages: 1000 },
-    pro: { documents: Infinity, pages: Infinity }
+    free: { documents: 5, pages: 100, chats: 20 },
+    premium: { documents: 50, pages: 1000, chats: 500 },
+    pro: { documents: Infinity, pages: Infinity, chats: Infinity }
   };
   
-  return limits[plan] || limits.free;
+  return { ...(limits[plan] || limits.free), ...getSpendLimits(plan) };
+};
+
+// Limits as sent in responses: unlimited values (Infinity) become null, as JSON has no Infinity
+usageSchema.statics.limitsForResponse = function(limits) {
+  return Object.fromEntries(
+    Object.entries(limits).map(([name, value]) => [name, Number.isFinite(value) ? value : null])
+  );
 };
 
 module.exports = mongoose.model('Usage', usageSchema); 
\ No newline at end of file
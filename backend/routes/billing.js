@@ -5,6 +5,7 @@ const stripeService = require('../services/stripeService');
 const Subscription = require('../models/Subscription');
 const Usage = require('../models/Usage');
 const { requireAuth } = require('../middleware/auth');
+const { CURRENCY } = require('../config/pricing');
 
 // Create checkout session for subscription
 router.post('/create-checkout-session', requireAuth, async (req, res) => {
@@ -57,7 +58,7 @@ router.get('/subscription', requireAuth, async (req, res) => {
         usage: {
           documentsThisMonth: usage.documentCount,
           pagesThisMonth: usage.pageCount,
-          limits: limits
+          limits: Usage.limitsForResponse(limits)
         }
       });
     }
@@ -67,7 +68,7 @@ router.get('/subscription', requireAuth, async (req, res) => {
       usage: {
         documentsThisMonth: usage.documentCount,
         pagesThisMonth: usage.pageCount,
-        limits: limits
+        limits: Usage.limitsForResponse(limits)
       }
     });
   } catch (error) {
@@ -108,7 +109,7 @@ router.get('/usage', requireAuth, async (req, res) => {
     
     res.json({
       currentUsage,
-      limits: limits,
+      limits: Usage.limitsForResponse(limits),
       hasExceeded: limitCheck.exceeded,
       limitReason: limitCheck.reason,
       plan: subscription?.plan || 'free'
@@ -119,6 +120,31 @@ router.get('/usage', requireAuth, async (req, res) => {
   }
 });
 
+// Get tokens, TTS characters, vision images and estimated cost per month;
+// the token and cost limits are null when the plan has none
+router.get('/usage/costs', requireAuth, async (req, res) => {
+  try {
+    // Number of months, newest first (default 6, at most 24)
+    const months = Math.min(24, Math.max(1, parseInt(req.query.months) || 6));
+    const subscription = await Subscription.findOne({ userId: req.user._id });
+    const limits = Usage.getLimits(subscription?.plan || 'free');
+    const history = await Usage.getSpendHistory(req.user._id, months);
+
+    res.json({
+      currency: CURRENCY,
+      months: history,
+      limits: Usage.limitsForResponse({
+        tokens: limits.tokens,
+        cost: limits.cost
+      }),
+      plan: subscription?.plan || 'free'
+    });
+  } catch (error) {
+    console.error('Error getting usage costs:', error);
+    res.status(500).json({ error: 'Failed to get usage costs' });
+  }
+});
+
 // Stripe webhook handler (simplified for now)
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   console.log('Webhook received (simplified mode)');
@@ -0,0 +1,119 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { canUploadDocument } = require('../middleware/subscriptionAuth');
+const { sendUploadError } = require('../middleware/resumableUpload');
+const {
+  MAX_UPLOAD_CHUNK_SIZE,
+  createUpload,
+  getUpload,
+  appendChunk,
+  removeUpload,
+} = require('../services/uploadStore');
+
+const router = express.Router();
+
+// Set the tus style status headers of an upload
+const setUploadHeaders = (res, upload) => {
+  res.setHeader('Upload-Offset', upload.offset);
+  res.setHeader('Upload-Length', upload.fileSize);
+  res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+// JSON description of an upload
+const describeUpload = upload => ({
+  uploadId: upload._id,
+  filename: upload.originalFilename,
+  size: upload.fileSize,
+  offset: upload.offset,
+  complete: upload.offset === upload.fileSize,
+  expiresAt: upload.expiresAt,
+});
+
+// Start a resumable upload: { filename, size, checksum? }
+router.post('/', requireAuth, canUploadDocument, async (req, res) => {
+  try {
+    const upload = await createUpload(req.user._id, req.body);
+
+    setUploadHeaders(res, upload);
+    res.setHeader('Location', `${req.baseUrl}/${upload._id}`);
+    res.status(201).json({
+      ...describeUpload(upload),
+      maxChunkSize: MAX_UPLOAD_CHUNK_SIZE,
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Get the status of an upload (HEAD returns the same headers without a body)
+router.get('/:uploadId', requireAuth, async (req, res) => {
+  try {
+    const upload = await getUpload(req.user._id, req.params.uploadId);
+
+    setUploadHeaders(res, upload);
+    res.json(describeUpload(upload));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Append a chunk at Upload-Offset, checked against Upload-Checksum
+router.patch(
+  '/:uploadId',
+  requireAuth,
+  express.raw({
+    type: 'application/offset+octet-stream',
+    limit: MAX_UPLOAD_CHUNK_SIZE,
+  }),
+  async (req, res) => {
+    try {
+      if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({
+          error: 'Chunks must be sent as application/offset+octet-stream',
+        });
+      }
+
+      const offset = Number(req.get('Upload-Offset'));
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res
+          .status(400)
+          .json({ error: 'Upload-Offset header is required' });
+      }
+
+      const upload = await appendChunk(req.user._id, req.params.uploadId, {
+        offset,
+        data: req.body,
+        checksum: req.get('Upload-Checksum'),
+      });
+
+      setUploadHeaders(res, upload);
+      res.status(204).end();
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  }
+);
+
+// Cancel an upload
+router.delete('/:uploadId', requireAuth, async (req, res) => {
+  try {
+    const upload = await getUpload(req.user._id, req.params.uploadId);
+    await removeUpload(upload);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Chunks larger than the limit are rejected by the body parser
+router.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res
+      .status(413)
+      .json({ error: 'Chunk too large', maxChunkSize: MAX_UPLOAD_CHUNK_SIZE });
+  }
+  next(error);
+});
+
+module.exports = router;
@@ -20,16 +20,28 @@ function imageToBase64(filePath) {
   }
 }
 
-const { processDocument } = require('./services/documentProcessor');
-const { generateSummary } = require('./services/openaiService');
+const { SUPPORTED_EXTENSIONS } = require('./services/documentProcessor');
+const { extractDocument } = require('./services/extractionPool');
+const { startExpirySweep } = require('./services/uploadStore');
+const { generateSummary, generateCollectionSummary } = require('./services/openaiService');
+const { DEFAULT_LANGUAGE, OUTPUT_LANGUAGES, resolveOutputLanguage } = require('./config/languages');
+const { XLSX_MIME_TYPE, documentTables, tableToCsv, tablesToXlsx } = require('./services/tableExport');
+const { storeDocumentChunks, askQuestion, getConversation, clearConversation } = require('./services/documentChat');
+const { indexDocument, searchDocuments } = require('./services/documentSearch');
+const { usageRecorder } = require('./services/usageMeter');
+const { unpackArchive, removeUnpackedFiles } = require('./services/archiveExtractor');
 const { exportToPDF, exportToDOCX, exportToTXT, exportToMP3 } = require('./services/exportService');
 const { checkTTSServiceAvailability } = require('./services/openaiTTSService');
+const { getProgress, createProgressReporter } = require('./services/progressTracker');
 const { validateImageFile, testImageProcessability, processImage, organizeTextFromPhotos: joinTextFromPhotos } = require('./services/photoProcessor');
 const { exportToPDF: exportPhotoToPDF, exportToDOCX: exportPhotoToDOCX, exportToTXT: exportPhotoToTXT, exportToRTF: exportPhotoToRTF } = require('./services/photoExportService');
 
 const { requireAuth, optionalAuth } = require('./middleware/auth');
-const { canUploadDocument, incrementUsage, checkSubscription, canAccessFeature } = require('./middleware/subscriptionAuth');
+const { validateFileUpload, validateArchiveUpload, validateChatQuestion, handleValidationErrors } = require('./middleware/security');
+const { finalizeResumableUpload } = require('./middleware/resumableUpload');
+const { canUploadDocument, canAskQuestion, canSpend, incrementUsage, checkSubscription, canAccessFeature, rejectOverAllowance } = require('./middleware/subscriptionAuth');
 const Document = require('./models/Document');
+const Usage = require('./models/Usage');
 const Subscription = require('./models/Subscription');
 const Photo = require('./models/Photo');
 
@@ -47,7 +59,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/document-
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -89,14 +102,32 @@ const upload = multer({
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
   },
+  // Only the declared extension is known here; validateFileUpload checks the
+  // contents once the file is stored
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.txt', '.docx', '.rtf', '.odt'];
     const fileExtension = path.extname(file.originalname).toLowerCase();
     
-    if (allowedTypes.includes(fileExtension)) {
+    if (SUPPORTED_EXTENSIONS.includes(fileExtension)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, TXT, DOCX, RTF, and ODT files are allowed.'), false);
+      cb(new Error(`Invalid file type. Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+// Configure multer for ZIP archive uploads
+const MAX_ARCHIVE_SIZE = parseInt(process.env.MAX_ARCHIVE_SIZE) || 20 * 1024 * 1024; // 20MB default
+
+const archiveUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .zip archives are allowed.'), false);
     }
   }
 });
@@ -118,6 +149,7 @@ const photoUpload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB per image
     files: 50 // Maximum 50 images
   },
+  // The client supplied MIME type is checked against the contents by validateImageFile
   fileFilter: (req, file, cb) => {
     const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic'];
     
@@ -132,6 +164,7 @@ const photoUpload = multer({
 // Import routes
 const authRoutes = require('./routes/auth');
 const billingRoutes = require('./routes/billing');
+const uploadRoutes = require('./routes/uploads');
 
 // Routes
 app.get('/', (req, res) => {
@@ -169,8 +202,9 @@ app.use('/auth', authRoutes);
 // Billing routes
 app.use('/billing', billingRoutes);
 
-// Document processing endpoint for authenticated users with subscription checks
-app.post('/api/process-document', requireAuth, canUploadDocument, upload.single('document'), async (req, res) => {
+// Extract, summarize and save an uploaded document of an authenticated user
+// (direct uploads and finalized resumable uploads)
+const processUploadedDocument = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -178,13 +212,6 @@ app.post('/api/process-document', requireAuth, canUploadDocument, upload.single(
 
     console.log('Processing file:', req.file.originalname);
 
-    // Extract text and page count from the uploaded document
-    const documentData = await processDocument(req.file.path, req.file.originalname);
-    
-    if (!documentData.text || documentData.text.trim().length === 0) {
-      return res.status(400).json({ error: 'Could not extract text from the document' });
-    }
-
     // Get summary size from request body (default to 'short')
     let summarySize = req.body.summarySize || 'short';
     
@@ -196,11 +223,51 @@ app.post('/api/process-document', requireAuth, canUploadDocument, upload.single(
     // Validate summary size
     const validSizes = ['short', 'medium', 'long'];
     if (!validSizes.includes(summarySize)) {
+      fs.unlinkSync(req.file.path);
       return res.status(400).json({ error: 'Invalid summary size. Must be short, medium, or long.' });
     }
 
-    // Generate summary using OpenAI
-    const summary = await generateSummary(documentData.text, summarySize);
+    // Summary language: a language code, or 'source' for the detected language of the document,
+    // checked before the document is extracted
+    const requestedLanguage = req.body.outputLanguage;
+    if (!resolveOutputLanguage(requestedLanguage)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: `Invalid output language. Must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}.` });
+    }
+
+    const onProgress = createProgressReporter(req.user._id, req.body.progressId);
+
+    // Extract text and page count from the uploaded document, OCR'ing scanned PDF pages
+    const documentData = await extractDocument(req.file.path, req.file.originalname, {
+      ocr: true,
+      plan: req.subscription.plan,
+      password: req.body.password,
+      onProgress,
+      onUsage: usageRecorder(req.user._id)
+    });
+    
+    if (!documentData.text || documentData.text.trim().length === 0) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Could not extract text from the document' });
+    }
+
+    // 'source' becomes the detected language of the document
+    const outputLanguage = resolveOutputLanguage(requestedLanguage, documentData.language);
+
+    // Generate summary using OpenAI, reporting per-chunk progress for long documents
+    const { cached, ...summary } = await generateSummary(documentData.text, summarySize, {
+      plan: req.subscription.plan,
+      structure: documentData.structure,
+      sourceType: documentData.sourceType,
+      names: documentData.names,
+      outputLanguage,
+      userId: req.user._id,
+      // Upload with regenerate=true to summarize again instead of reusing a cached summary
+      regenerate: req.body.regenerate === true || req.body.regenerate === 'true',
+      onProgress
+    });
+
+    const tables = documentTables(documentData);
 
     // Save document to database (user is authenticated)
     const document = new Document({
@@ -210,13 +277,25 @@ app.post('/api/process-document', requireAuth, canUploadDocument, upload.single(
       summarySize: summarySize,
       fileType: path.extname(req.file.originalname).toLowerCase(),
       fileSize: req.file.size,
+      pageCount: documentData.pageCount,
+      wordCount: documentData.wordCount,
+      metadata: documentData.metadata,
+      sourceLanguage: documentData.language,
+      outputLanguage: outputLanguage,
+      tables: tables,
+      tableCount: tables.length,
       isAuthenticated: true
     });
     await document.save();
 
+    // Keep the text in chunks for questions about the document, and embed it for search
+    await storeDocumentChunks(document, documentData);
+    await indexDocument(document);
+
     // Increment usage with page count
     const { incrementUsage } = require('./middleware/subscriptionAuth');
     req.documentPageCount = documentData.pageCount;
+    req.documentOcrPageCount = (documentData.ocrPages || []).length;
     await incrementUsage(req, res, () => {});
 
     // Clean up uploaded file
@@ -225,29 +304,263 @@ app.post('/api/process-document', requireAuth, canUploadDocument, upload.single(
     res.json({
       success: true,
       originalFilename: req.file.originalname,
+      documentId: document._id,
       summary: summary,
+      cached: cached,
       summarySize: summarySize,
       plan: req.subscription.plan,
-      usage: req.usage
+      pageCount: documentData.pageCount,
+      wordCount: documentData.wordCount,
+      metadata: documentData.metadata,
+      encoding: documentData.encoding,
+      sourceLanguage: documentData.language,
+      outputLanguage: outputLanguage,
+      tableCount: tables.length,
+      ocrPages: documentData.ocrPages || [],
+      ocrFailedPages: documentData.ocrFailedPages || [],
+      usage: { ...req.usage, limits: Usage.limitsForResponse(req.usage.limits) }
     });
 
   } catch (error) {
     console.error('Error processing document:', error);
     
-    // Clean up uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
+    const passwordProblem = error.code === 'password_required' || error.code === 'password_incorrect';
+
+    // Clean up uploaded file if it exists; a resumable upload is kept so it can be finalized again with the password
+    if (passwordProblem && req.file && req.file.resumable) {
+      req.file.keepUpload = true;
+    } else if (req.file && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
 
+    // Encrypted documents: the client asks the user for the password and retries
+    if (passwordProblem) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    // Documents that timed out, crashed the extractor or have too many pages
+    if (error.code === 'extraction_failed') {
+      return res.status(422).json({
+        error: 'Document could not be processed',
+        details: error.message
+      });
+    }
+
     res.status(500).json({ 
       error: 'Error processing document',
       details: error.message 
     });
   }
+};
+
+// Document processing endpoint for authenticated users with subscription checks
+app.post('/api/process-document', requireAuth, canUploadDocument, upload.single('document'), validateFileUpload, processUploadedDocument);
+
+// Resumable uploads: a complete upload is processed like a direct upload
+app.post('/api/uploads/:uploadId/finalize', requireAuth, canUploadDocument, finalizeResumableUpload, validateFileUpload, processUploadedDocument);
+app.use('/api/uploads', uploadRoutes);
+
+// Archive processing endpoint: every supported document inside a ZIP file is
+// summarized and saved on its own, then combined into one collection summary
+app.post('/api/process-archive', requireAuth, canUploadDocument, archiveUpload.single('archive'), validateArchiveUpload, async (req, res) => {
+  const onProgress = createProgressReporter(req.user._id, req.body.progressId);
+  let archive = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    console.log('Processing archive:', req.file.originalname);
+
+    const plan = req.subscription.plan;
+
+    // Get summary size from request body (default to 'short')
+    let summarySize = req.body.summarySize || 'short';
+
+    // Check subscription plan for summary size restrictions
+    if (plan === 'free' && summarySize === 'long') {
+      summarySize = 'medium'; // Downgrade to medium for free users
+    }
+
+    // Validate summary size
+    const validSizes = ['short', 'medium', 'long'];
+    if (!validSizes.includes(summarySize)) {
+      return res.status(400).json({ error: 'Invalid summary size. Must be short, medium, or long.' });
+    }
+
+    // Checked here already, 'source' is resolved for every document
+    const requestedLanguage = req.body.outputLanguage;
+    if (!resolveOutputLanguage(requestedLanguage)) {
+      return res.status(400).json({ error: `Invalid output language. Must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}.` });
+    }
+
+    archive = unpackArchive(req.file.path, SUPPORTED_EXTENSIONS);
+    const skipped = archive.skipped.map(entry => ({ filename: entry.name, reason: entry.reason }));
+
+    if (archive.files.length === 0) {
+      return res.status(400).json({ error: 'The archive contains no supported documents', skipped });
+    }
+
+    // Every contained document is charged, so check the plan before doing any work
+    let allowance = await Usage.checkAllowance(req.user._id, plan, { documents: archive.files.length });
+    if (!allowance.allowed) {
+      return rejectOverAllowance(req, res, allowance);
+    }
+
+    // Extract the text of every document
+    const extracted = [];
+    for (const [index, file] of archive.files.entries()) {
+      onProgress({ stage: 'extracting', completed: index, total: archive.files.length });
+      try {
+        const documentData = await extractDocument(file.path, file.name, { ocr: true, plan, onUsage: usageRecorder(req.user._id) });
+        if (!documentData.text || documentData.text.trim().length === 0) {
+          skipped.push({ filename: file.name, reason: 'Could not extract text from the document' });
+        } else {
+          extracted.push({ file, documentData });
+        }
+      } catch (error) {
+        console.error(`Error processing ${file.name} from archive:`, error);
+        skipped.push({ filename: file.name, reason: error.message });
+      }
+    }
+
+    if (extracted.length === 0) {
+      return res.status(400).json({ error: 'Could not extract text from any document in the archive', skipped });
+    }
+
+    // Page counts are only known after extraction, check them before summarizing
+    const pageCount = extracted.reduce((total, item) => total + item.documentData.pageCount, 0);
+    allowance = await Usage.checkAllowance(req.user._id, plan, { documents: extracted.length, pages: pageCount });
+    if (!allowance.allowed) {
+      return rejectOverAllowance(req, res, allowance);
+    }
+
+    // Summarize and save every document as part of the collection
+    const collectionId = new mongoose.Types.ObjectId();
+    const documents = [];
+    for (const [index, { file, documentData }] of extracted.entries()) {
+      onProgress({ stage: 'summarizing', completed: index, total: extracted.length });
+
+      const outputLanguage = resolveOutputLanguage(requestedLanguage, documentData.language);
+      const { cached, ...summary } = await generateSummary(documentData.text, summarySize, {
+        plan,
+        structure: documentData.structure,
+        sourceType: documentData.sourceType,
+        names: documentData.names,
+        outputLanguage,
+        userId: req.user._id,
+        regenerate: req.body.regenerate === true || req.body.regenerate === 'true'
+      });
+
+      const tables = documentTables(documentData);
+
+      const document = new Document({
+        userId: req.user._id,
+        originalFilename: file.name,
+        summary: summary,
+        summarySize: summarySize,
+        fileType: path.extname(file.name).toLowerCase(),
+        fileSize: file.size,
+        pageCount: documentData.pageCount,
+        wordCount: documentData.wordCount,
+        metadata: documentData.metadata,
+        sourceLanguage: documentData.language,
+        outputLanguage: outputLanguage,
+        tables: tables,
+        tableCount: tables.length,
+        collectionId: collectionId,
+        isAuthenticated: true
+      });
+      await document.save();
+      await storeDocumentChunks(document, documentData);
+      await indexDocument(document);
+
+      // Each contained document is charged like a single upload
+      await Usage.incrementUsage(req.user._id, documentData.pageCount, (documentData.ocrPages || []).length);
+
+      documents.push({
+        filename: file.name,
+        documentId: document._id,
+        pageCount: documentData.pageCount,
+        wordCount: documentData.wordCount,
+        metadata: documentData.metadata,
+        encoding: documentData.encoding,
+        sourceLanguage: documentData.language,
+        outputLanguage: outputLanguage,
+        tableCount: tables.length,
+        ocrPages: documentData.ocrPages || [],
+        ocrFailedPages: documentData.ocrFailedPages || [],
+        cached: cached,
+        summary: summary
+      });
+    }
+
+    // Combine the document summaries into the collection summary
+    onProgress({ stage: 'merging', completed: documents.length, total: documents.length });
+    // With 'source', the collection is summarized in the language its documents share
+    const languages = [...new Set(documents.map(item => item.outputLanguage))];
+    const collectionLanguage = languages.length === 1 ? languages[0] : DEFAULT_LANGUAGE;
+    const collectionSummary = await generateCollectionSummary(documents, summarySize, { plan, outputLanguage: collectionLanguage, userId: req.user._id });
+
+    const collection = new Document({
+      _id: collectionId,
+      userId: req.user._id,
+      originalFilename: req.file.originalname,
+      summary: collectionSummary,
+      summarySize: summarySize,
+      outputLanguage: collectionLanguage,
+      fileType: '.zip',
+      fileSize: req.file.size,
+      isAuthenticated: true
+    });
+    await collection.save();
+    await indexDocument(collection);
+    onProgress({ stage: 'done', completed: documents.length, total: documents.length });
+
+    res.json({
+      success: true,
+      originalFilename: req.file.originalname,
+      summarySize: summarySize,
+      plan: plan,
+      collection: {
+        documentId: collection._id,
+        outputLanguage: collectionLanguage,
+        summary: collectionSummary
+      },
+      documents: documents,
+      skipped: skipped,
+      usage: await Usage.getCurrentUsage(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Error processing archive:', error);
+    onProgress({ stage: 'failed', completed: 0, total: 0 });
+
+    if (error.code === 'archive_rejected') {
+      return res.status(400).json({
+        error: 'Archive rejected',
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Error processing archive',
+      details: error.message
+    });
+  } finally {
+    // Clean up the archive and the unpacked files
+    if (archive) {
+      removeUnpackedFiles(archive.files);
+    }
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
 });
 
 // Document processing endpoint for guest users (short summaries only)
-app.post('/api/process-document-guest', upload.single('document'), async (req, res) => {
+app.post('/api/process-document-guest', upload.single('document'), validateFileUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -255,10 +568,20 @@ app.post('/api/process-document-guest', upload.single('document'), async (req, r
 
     console.log('Processing file (guest):', req.file.originalname);
 
+    // Summary language, checked before the document is extracted
+    const requestedLanguage = req.body.outputLanguage;
+    if (!resolveOutputLanguage(requestedLanguage)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: `Invalid output language. Must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}.` });
+    }
+
     // Extract text and page count from the uploaded document
-    const documentData = await processDocument(req.file.path, req.file.originalname);
+    const documentData = await extractDocument(req.file.path, req.file.originalname, {
+      password: req.body.password
+    });
     
     if (!documentData.text || documentData.text.trim().length === 0) {
+      fs.unlinkSync(req.file.path);
       return res.status(400).json({ error: 'Could not extract text from the document' });
     }
 
@@ -277,9 +600,18 @@ app.post('/api/process-document-guest', upload.single('document'), async (req, r
 
     // Guest users can only use short summaries
     const summarySize = 'short';
+
+    // 'source' becomes the detected language of the document
+    const outputLanguage = resolveOutputLanguage(requestedLanguage, documentData.language);
     
     // Generate summary using OpenAI
-    const summary = await generateSummary(documentData.text, summarySize);
+    const { cached, ...summary } = await generateSummary(documentData.text, summarySize, {
+      plan: 'guest',
+      structure: documentData.structure,
+      sourceType: documentData.sourceType,
+      names: documentData.names,
+      outputLanguage
+    });
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -291,6 +623,11 @@ app.post('/api/process-document-guest', upload.single('document'), async (req, r
       summarySize: summarySize,
       plan: 'guest',
       pageCount: documentData.pageCount,
+      wordCount: documentData.wordCount,
+      metadata: documentData.metadata,
+      encoding: documentData.encoding,
+      sourceLanguage: documentData.language,
+      outputLanguage: outputLanguage,
       requiresAuth: true, // Signal to frontend that auth is needed for more features
       message: 'Sign in to access medium and long summaries, export documents, and save your documents!'
     });
@@ -303,6 +640,19 @@ app.post('/api/process-document-guest', upload.single('document'), async (req, r
       fs.unlinkSync(req.file.path);
     }
 
+    // Encrypted documents: the client asks the user for the password and retries
+    if (error.code === 'password_required' || error.code === 'password_incorrect') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    // Documents that timed out, crashed the extractor or have too many pages
+    if (error.code === 'extraction_failed') {
+      return res.status(422).json({
+        error: 'Document could not be processed',
+        details: error.message
+      });
+    }
+
     res.status(500).json({ 
       error: 'Error processing document',
       details: error.message 
@@ -310,6 +660,17 @@ app.post('/api/process-document-guest', upload.single('document'), async (req, r
   }
 });
 
+// Get progress of a running document job
+app.get('/api/progress/:progressId', requireAuth, (req, res) => {
+  const progress = getProgress(req.user._id, req.params.progressId);
+
+  if (!progress) {
+    return res.status(404).json({ error: 'Progress not found' });
+  }
+
+  res.json(progress);
+});
+
 // Get user's document history (all authenticated users can access)
 app.get('/api/documents', requireAuth, async (req, res) => {
   try {
@@ -324,6 +685,7 @@ app.get('/api/documents', requireAuth, async (req, res) => {
     }
     
     const documents = await Document.find({ userId: req.user._id })
+      .select('-tables')
       .sort({ createdAt: -1 })
       .limit(documentLimit);
     
@@ -334,10 +696,156 @@ app.get('/api/documents', requireAuth, async (req, res) => {
   }
 });
 
+// Search the user's documents: ?q= is a natural language query, ?limit= the
+// number of documents (default 10). Matches by meaning when an embedding model
+// is configured, by keyword otherwise
+app.get('/api/documents/search', requireAuth, canSpend, async (req, res) => {
+  try {
+    const { mode, results } = await searchDocuments(req.user._id, req.query.q, { limit: req.query.limit });
+    res.json({ query: req.query.q, mode: mode, results: results });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error searching documents:', error);
+    res.status(500).json({ error: 'Error searching documents' });
+  }
+});
+
+// Tables found in a document: JSON by default, ?format=csv for one table
+// (?table=N, default 1) or ?format=xlsx for all tables (or the one in ?table)
+app.get('/api/documents/:id/tables', requireAuth, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id })
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be json, csv, or xlsx.' });
+    }
+
+    const tables = document.tables.map(table => ({ page: table.page, rows: table.rows }));
+    let numbers = tables.map((table, index) => index + 1);
+    if (req.query.table !== undefined || format === 'csv') {
+      const number = parseInt(req.query.table || '1');
+      if (!(number >= 1 && number <= tables.length)) {
+        return res.status(404).json({ error: 'Table not found', tableCount: tables.length });
+      }
+      numbers = [number];
+    }
+    const selected = numbers.map(number => tables[number - 1]);
+    const baseName = `tables-${document.originalFilename.replace(/\.[^/.]+$/, '')}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${numbers[0]}.csv"`);
+      // Byte order mark so spreadsheet programs read the file as UTF-8
+      return res.send('\uFEFF' + tableToCsv(selected[0]));
+    }
+    if (format === 'xlsx') {
+      if (selected.length === 0) {
+        return res.status(404).json({ error: 'Document has no tables' });
+      }
+      res.setHeader('Content-Type', XLSX_MIME_TYPE);
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+      return res.send(tablesToXlsx(selected, numbers));
+    }
+
+    res.json({
+      documentId: document._id,
+      tables: selected.map((table, index) => ({
+        number: numbers[index],
+        page: table.page,
+        rowCount: table.rows.length,
+        columnCount: Math.max(0, ...table.rows.map(row => row.length)),
+        rows: table.rows
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching document tables:', error);
+    res.status(500).json({ error: 'Error fetching document tables' });
+  }
+});
+
+// Questions about a document: each question is answered from the passages of
+// the document that match it best, with citations; the conversation is kept
+// per user and document, and every question counts against the plan
+app.post('/api/documents/:id/chat', requireAuth, validateChatQuestion, handleValidationErrors, canAskQuestion, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id }).select('-tables')
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { answer, citations } = await askQuestion(document, req.body.question, {
+      userId: req.user._id,
+      plan: req.subscription.plan
+    });
+    await Usage.incrementChatUsage(req.user._id);
+
+    res.json({
+      documentId: document._id,
+      answer: answer,
+      citations: citations,
+      usage: await Usage.getCurrentUsage(req.user._id)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error answering question:', error);
+    res.status(500).json({ error: 'Error answering question', details: error.message });
+  }
+});
+
+// Conversation about a document, oldest message first
+app.get('/api/documents/:id/chat', requireAuth, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id }).select('_id')
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      documentId: document._id,
+      messages: await getConversation(document, req.user._id)
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Error fetching conversation' });
+  }
+});
+
+// Start the conversation about a document over
+app.delete('/api/documents/:id/chat', requireAuth, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id }).select('_id')
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await clearConversation(document, req.user._id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Error deleting conversation' });
+  }
+});
+
 // Export endpoints (require authentication)
 app.post('/api/export/pdf', requireAuth, checkSubscription, async (req, res) => {
   try {
-    const { summaryData, originalFilename, summarySize } = req.body;
+    const { summaryData, originalFilename, summarySize, metadata, language } = req.body;
     
     if (!summaryData || !originalFilename) {
       return res.status(400).json({ error: 'Missing summary data or filename' });
@@ -347,7 +855,7 @@ app.post('/api/export/pdf', requireAuth, checkSubscription, async (req, res) =>
 
     // Add watermark for free users
     const addWatermark = req.subscription.plan === 'free';
-    const pdfBuffer = await exportToPDF(summaryData, originalFilename, summarySize, addWatermark);
+    const pdfBuffer = await exportToPDF(summaryData, originalFilename, summarySize, addWatermark, metadata, language);
     
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.pdf"`);
@@ -361,7 +869,7 @@ app.post('/api/export/pdf', requireAuth, checkSubscription, async (req, res) =>
 
 app.post('/api/export/docx', requireAuth, checkSubscription, async (req, res) => {
   try {
-    const { summaryData, originalFilename, summarySize } = req.body;
+    const { summaryData, originalFilename, summarySize, metadata, language } = req.body;
     
     if (!summaryData || !originalFilename) {
       return res.status(400).json({ error: 'Missing summary data or filename' });
@@ -371,7 +879,7 @@ app.post('/api/export/docx', requireAuth, checkSubscription, async (req, res) =>
 
     // Add watermark for free users
     const addWatermark = req.subscription.plan === 'free';
-    const docxBuffer = await exportToDOCX(summaryData, originalFilename, summarySize, addWatermark);
+    const docxBuffer = await exportToDOCX(summaryData, originalFilename, summarySize, addWatermark, metadata, language);
     
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
     res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.docx"`);
@@ -385,7 +893,7 @@ app.post('/api/export/docx', requireAuth, checkSubscription, async (req, res) =>
 
 app.post('/api/export/txt', requireAuth, checkSubscription, async (req, res) => {
   try {
-    const { summaryData, originalFilename, summarySize } = req.body;
+    const { summaryData, originalFilename, summarySize, metadata, language } = req.body;
     
     if (!summaryData || !originalFilename) {
       return res.status(400).json({ error: 'Missing summary data or filename' });
@@ -395,7 +903,7 @@ app.post('/api/export/txt', requireAuth, checkSubscription, async (req, res) =>
 
     // Add watermark for free users
     const addWatermark = req.subscription.plan === 'free';
-    const txtContent = await exportToTXT(summaryData, originalFilename, summarySize, addWatermark);
+    const txtContent = await exportToTXT(summaryData, originalFilename, summarySize, addWatermark, metadata, language);
     
     res.setHeader('Content-Type', 'text/plain');
     res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.txt"`);
@@ -407,9 +915,9 @@ app.post('/api/export/txt', requireAuth, checkSubscription, async (req, res) =>
   }
 });
 
-app.post('/api/export/mp3', requireAuth, checkSubscription, async (req, res) => {
+app.post('/api/export/mp3', requireAuth, checkSubscription, canSpend, async (req, res) => {
   try {
-    const { summaryData, originalFilename, summarySize } = req.body;
+    const { summaryData, originalFilename, summarySize, language } = req.body;
     
     if (!summaryData || !originalFilename) {
       return res.status(400).json({ error: 'Missing summary data or filename' });
@@ -418,7 +926,9 @@ app.post('/api/export/mp3', requireAuth, checkSubscription, async (req, res) =>
     console.log('MP3 Export Request:', { originalFilename, summarySize, hasSummaryData: !!summaryData });
 
     // Generate MP3 audio file
-    const mp3Buffer = await exportToMP3(summaryData, originalFilename, summarySize);
+    const mp3Buffer = await exportToMP3(summaryData, originalFilename, summarySize, false, language, {
+      onUsage: usageRecorder(req.user._id)
+    });
     
     res.setHeader('Content-Type', 'audio/mpeg');
     res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.mp3"`);
@@ -431,7 +941,7 @@ app.post('/api/export/mp3', requireAuth, checkSubscription, async (req, res) =>
 });
 
 // Photo processing endpoints (Pro users only)
-app.post('/api/process-photos', requireAuth, checkSubscription, photoUpload.array('photos', 50), async (req, res) => {
+app.post('/api/process-photos', requireAuth, checkSubscription, canSpend, photoUpload.array('photos', 50), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No photos uploaded' });
@@ -447,21 +957,24 @@ app.post('/api/process-photos', requireAuth, checkSubscription, photoUpload.arra
     const batchId = `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const photos = [];
 
+    // Check every photo before any of them is stored
+    const validations = req.files.map(validateImageFile);
+    const invalid = validations.find(validation => !validation.valid);
+    if (invalid) {
+      req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return res.status(400).json({ error: invalid.error });
+    }
+
     // Create photo records in database
     for (let i = 0; i < req.files.length; i++) {
       const file = req.files[i];
-      const validation = validateImageFile(file);
-      
-      if (!validation.valid) {
-        return res.status(400).json({ error: validation.error });
-      }
 
       const photo = new Photo({
         userId: req.user._id,
         batchId: batchId,
         originalFilename: file.originalname,
         fileSize: file.size,
-        mimeType: file.mimetype,
+        mimeType: validations[i].mimeType,
         processingOrder: i + 1,
         filePath: file.path // Store the file path for processing
       });
@@ -471,7 +984,7 @@ app.post('/api/process-photos', requireAuth, checkSubscription, photoUpload.arra
     }
 
     // Process photos in background
-    processPhotosInBackground(photos, batchId);
+    processPhotosInBackground(photos, batchId, req.subscription.plan);
 
     res.json({
       success: true,
@@ -680,7 +1193,7 @@ app.post('/api/photos/export/rtf', requireAuth, checkSubscription, async (req, r
 });
 
 // Background photo processing function
-async function processPhotosInBackground(photos, batchId) {
+async function processPhotosInBackground(photos, batchId, plan) {
   try {
     for (let i = 0; i < photos.length; i++) {
       const photo = photos[i];
@@ -707,7 +1220,7 @@ async function processPhotosInBackground(photos, batchId) {
         const base64Data = imageToBase64(photo.filePath);
         
         // Process the image
-        const result = await processImage(photo.filePath, photo.originalFilename);
+        const result = await processImage(photo.filePath, photo.originalFilename, { plan, onUsage: usageRecorder(photo.userId) });
         
         if (result.success) {
           // Update with results
@@ -769,6 +1282,9 @@ app.use((error, req, res, next) => {
   console.error('Error:', error);
   
   if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE' && error.field === 'archive') {
+      return res.status(400).json({ error: `Archive size too large. Maximum size is ${Math.round(MAX_ARCHIVE_SIZE / (1024 * 1024))}MB.` });
+    }
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File size too large. Maximum size is 5MB.' });
     }
@@ -779,6 +1295,7 @@ app.use((error, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
+  startExpirySweep();
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 }); 
\ No newline at end of file
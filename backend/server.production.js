@@ -18,19 +18,32 @@ const {
   uploadLimiter,
   apiLimiter,
   validateDocumentUpload,
+  validateChatQuestion,
   validateExportRequest,
   handleValidationErrors,
   securityHeaders,
-  validateFileUpload
+  validateFileUpload,
+  validateArchiveUpload
 } = require('./middleware/security');
 
 // Import services and middleware
-const { processDocument } = require('./services/documentProcessor');
-const { generateSummary } = require('./services/openaiService');
+const { SUPPORTED_EXTENSIONS } = require('./services/documentProcessor');
+const { extractDocument } = require('./services/extractionPool');
+const { startExpirySweep } = require('./services/uploadStore');
+const { generateSummary, generateCollectionSummary } = require('./services/openaiService');
+const { DEFAULT_LANGUAGE, OUTPUT_LANGUAGES, resolveOutputLanguage } = require('./config/languages');
+const { XLSX_MIME_TYPE, documentTables, tableToCsv, tablesToXlsx } = require('./services/tableExport');
+const { storeDocumentChunks, askQuestion, getConversation, clearConversation } = require('./services/documentChat');
+const { indexDocument, searchDocuments } = require('./services/documentSearch');
+const { usageRecorder } = require('./services/usageMeter');
+const { unpackArchive, removeUnpackedFiles } = require('./services/archiveExtractor');
 const { exportToPDF, exportToDOCX, exportToTXT } = require('./services/exportService');
+const { getProgress, createProgressReporter } = require('./services/progressTracker');
 const { requireAuth, optionalAuth } = require('./middleware/auth');
-const { canUploadDocument, incrementUsage, checkSubscription, canAccessFeature } = require('./middleware/subscriptionAuth');
+const { finalizeResumableUpload } = require('./middleware/resumableUpload');
+const { canUploadDocument, canAskQuestion, canSpend, incrementUsage, checkSubscription, canAccessFeature, rejectOverAllowance } = require('./middleware/subscriptionAuth');
 const Document = require('./models/Document');
+const Usage = require('./models/Usage');
 const Subscription = require('./models/Subscription');
 
 // Import passport configuration
@@ -66,8 +79,9 @@ app.use(compression());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset', 'Upload-Checksum'],
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
 }));
 
 // Body parsing middleware
@@ -121,14 +135,32 @@ const upload = multer({
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
   },
+  // Only the declared extension is known here; validateFileUpload checks the
+  // contents once the file is stored
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.txt', '.docx', '.rtf', '.odt'];
     const fileExtension = path.extname(file.originalname).toLowerCase();
     
-    if (allowedTypes.includes(fileExtension)) {
+    if (SUPPORTED_EXTENSIONS.includes(fileExtension)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, TXT, DOCX, RTF, and ODT files are allowed.'), false);
+      cb(new Error(`Invalid file type. Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+// Configure multer for ZIP archive uploads
+const MAX_ARCHIVE_SIZE = parseInt(process.env.MAX_ARCHIVE_SIZE) || 20 * 1024 * 1024; // 20MB default
+
+const archiveUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .zip archives are allowed.'), false);
     }
   }
 });
@@ -136,6 +168,7 @@ const upload = multer({
 // Import routes
 const authRoutes = require('./routes/auth');
 const billingRoutes = require('./routes/billing');
+const uploadRoutes = require('./routes/uploads');
 
 // Apply rate limiting to all routes
 app.use(apiLimiter);
@@ -146,6 +179,8 @@ app.use('/auth', authLimiter);
 // Apply rate limiting to upload endpoints
 app.use('/api/process-document', uploadLimiter);
 app.use('/api/process-document-guest', uploadLimiter);
+app.use('/api/process-archive', uploadLimiter);
+app.use('/api/uploads/:uploadId/finalize', uploadLimiter);
 
 // Routes
 app.get('/', (req, res) => {
@@ -177,6 +212,160 @@ app.use('/auth', authRoutes);
 // Billing routes
 app.use('/billing', billingRoutes);
 
+// Extract, summarize and save an uploaded document of an authenticated user
+// (direct uploads and finalized resumable uploads)
+const processUploadedDocument = async (req, res) => {
+  try {
+    logger.info(`Processing document: ${req.file.originalname} for user: ${req.user._id}`);
+
+    // Get summary size from request body (default to 'short')
+    let summarySize = req.body.summarySize || 'short';
+    
+    // Check subscription plan for summary size restrictions
+    if (req.subscription.plan === 'free' && summarySize === 'long') {
+      summarySize = 'medium'; // Downgrade to medium for free users
+      logger.info(`Downgraded summary size to medium for free user: ${req.user._id}`);
+    }
+    
+    // Validate summary size
+    const validSizes = ['short', 'medium', 'long'];
+    if (!validSizes.includes(summarySize)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Invalid summary size. Must be short, medium, or long.' });
+    }
+
+    // Summary language: a language code, or 'source' for the detected language of the document,
+    // checked before the document is extracted
+    const requestedLanguage = req.body.outputLanguage;
+    if (!resolveOutputLanguage(requestedLanguage)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: `Invalid output language. Must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}.` });
+    }
+
+    const onProgress = createProgressReporter(req.user._id, req.body.progressId);
+
+    // Extract text and page count from the uploaded document, OCR'ing scanned PDF pages
+    const documentData = await extractDocument(req.file.path, req.file.originalname, {
+      ocr: true,
+      plan: req.subscription.plan,
+      password: req.body.password,
+      onProgress,
+      onUsage: usageRecorder(req.user._id)
+    });
+    
+    if (!documentData.text || documentData.text.trim().length === 0) {
+      logger.warn(`No text extracted from document: ${req.file.originalname}`);
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: 'Could not extract text from the document' });
+    }
+
+    // 'source' becomes the detected language of the document
+    const outputLanguage = resolveOutputLanguage(requestedLanguage, documentData.language);
+
+    // Generate summary using OpenAI, reporting per-chunk progress for long documents
+    const { cached, ...summary } = await generateSummary(documentData.text, summarySize, {
+      plan: req.subscription.plan,
+      structure: documentData.structure,
+      sourceType: documentData.sourceType,
+      names: documentData.names,
+      outputLanguage,
+      userId: req.user._id,
+      // Upload with regenerate=true to summarize again instead of reusing a cached summary
+      regenerate: req.body.regenerate === true || req.body.regenerate === 'true',
+      onProgress
+    });
+
+    const tables = documentTables(documentData);
+
+    // Save document to database (user is authenticated)
+    const document = new Document({
+      userId: req.user._id,
+      originalFilename: req.file.originalname,
+      summary: summary,
+      summarySize: summarySize,
+      fileType: path.extname(req.file.originalname).toLowerCase(),
+      fileSize: req.file.size,
+      pageCount: documentData.pageCount,
+      wordCount: documentData.wordCount,
+      metadata: documentData.metadata,
+      sourceLanguage: documentData.language,
+      outputLanguage: outputLanguage,
+      tables: tables,
+      tableCount: tables.length,
+      isAuthenticated: true
+    });
+    await document.save();
+
+    // Keep the text in chunks for questions about the document, and embed it for search
+    await storeDocumentChunks(document, documentData);
+    await indexDocument(document);
+
+    // Increment usage with page count
+    req.documentPageCount = documentData.pageCount;
+    req.documentOcrPageCount = (documentData.ocrPages || []).length;
+    await incrementUsage(req, res, () => {});
+
+    // Clean up uploaded file
+    fs.unlinkSync(req.file.path);
+
+    logger.info(`Document processed successfully: ${req.file.originalname} for user: ${req.user._id}`);
+
+    res.json({
+      success: true,
+      originalFilename: req.file.originalname,
+      documentId: document._id,
+      summary: summary,
+      cached: cached,
+      summarySize: summarySize,
+      plan: req.subscription.plan,
+      pageCount: documentData.pageCount,
+      wordCount: documentData.wordCount,
+      metadata: documentData.metadata,
+      encoding: documentData.encoding,
+      sourceLanguage: documentData.language,
+      outputLanguage: outputLanguage,
+      tableCount: tables.length,
+      ocrPages: documentData.ocrPages || [],
+      ocrFailedPages: documentData.ocrFailedPages || [],
+      usage: { ...req.usage, limits: Usage.limitsForResponse(req.usage.limits) }
+    });
+
+  } catch (error) {
+    logger.error(`Error processing document: ${error.message}`, { 
+      userId: req.user._id, 
+      filename: req.file?.originalname,
+      stack: error.stack 
+    });
+    
+    const passwordProblem = error.code === 'password_required' || error.code === 'password_incorrect';
+
+    // Clean up uploaded file if it exists; a resumable upload is kept so it can be finalized again with the password
+    if (passwordProblem && req.file && req.file.resumable) {
+      req.file.keepUpload = true;
+    } else if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    // Encrypted documents: the client asks the user for the password and retries
+    if (passwordProblem) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    // Documents that timed out, crashed the extractor or have too many pages
+    if (error.code === 'extraction_failed') {
+      return res.status(422).json({
+        error: 'Document could not be processed',
+        details: error.message
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Error processing document',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Document processing endpoint for authenticated users with enhanced security
 app.post('/api/process-document', 
   requireAuth, 
@@ -185,82 +374,222 @@ app.post('/api/process-document',
   validateFileUpload,
   validateDocumentUpload,
   handleValidationErrors,
+  processUploadedDocument
+);
+
+// Resumable uploads: a complete upload is processed like a direct upload
+app.post('/api/uploads/:uploadId/finalize',
+  requireAuth,
+  canUploadDocument,
+  finalizeResumableUpload,
+  validateFileUpload,
+  validateDocumentUpload,
+  handleValidationErrors,
+  processUploadedDocument
+);
+app.use('/api/uploads', uploadRoutes);
+
+// Archive processing endpoint: every supported document inside a ZIP file is
+// summarized and saved on its own, then combined into one collection summary
+app.post('/api/process-archive',
+  requireAuth,
+  canUploadDocument,
+  archiveUpload.single('archive'),
+  validateArchiveUpload,
+  validateDocumentUpload,
+  handleValidationErrors,
   async (req, res) => {
+    const onProgress = createProgressReporter(req.user._id, req.body.progressId);
+    let archive = null;
+
     try {
-      logger.info(`Processing document: ${req.file.originalname} for user: ${req.user._id}`);
+      logger.info(`Processing archive: ${req.file.originalname} for user: ${req.user._id}`);
 
-      // Extract text and page count from the uploaded document
-      const documentData = await processDocument(req.file.path, req.file.originalname);
-      
-      if (!documentData.text || documentData.text.trim().length === 0) {
-        logger.warn(`No text extracted from document: ${req.file.originalname}`);
-        return res.status(400).json({ error: 'Could not extract text from the document' });
-      }
+      const plan = req.subscription.plan;
 
       // Get summary size from request body (default to 'short')
       let summarySize = req.body.summarySize || 'short';
-      
+
       // Check subscription plan for summary size restrictions
-      if (req.subscription.plan === 'free' && summarySize === 'long') {
+      if (plan === 'free' && summarySize === 'long') {
         summarySize = 'medium'; // Downgrade to medium for free users
         logger.info(`Downgraded summary size to medium for free user: ${req.user._id}`);
       }
-      
-      // Validate summary size
-      const validSizes = ['short', 'medium', 'long'];
-      if (!validSizes.includes(summarySize)) {
-        return res.status(400).json({ error: 'Invalid summary size. Must be short, medium, or long.' });
+
+      // Checked here already, 'source' is resolved for every document
+      const requestedLanguage = req.body.outputLanguage;
+      if (!resolveOutputLanguage(requestedLanguage)) {
+        return res.status(400).json({ error: `Invalid output language. Must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}.` });
       }
 
-      // Generate summary using OpenAI
-      const summary = await generateSummary(documentData.text, summarySize);
+      archive = unpackArchive(req.file.path, SUPPORTED_EXTENSIONS);
+      const skipped = archive.skipped.map(entry => ({ filename: entry.name, reason: entry.reason }));
+
+      if (archive.files.length === 0) {
+        logger.warn(`No supported documents in archive: ${req.file.originalname}`);
+        return res.status(400).json({ error: 'The archive contains no supported documents', skipped });
+      }
+
+      // Every contained document is charged, so check the plan before doing any work
+      let allowance = await Usage.checkAllowance(req.user._id, plan, { documents: archive.files.length });
+      if (!allowance.allowed) {
+        return rejectOverAllowance(req, res, allowance);
+      }
+
+      // Extract the text of every document
+      const extracted = [];
+      for (const [index, file] of archive.files.entries()) {
+        onProgress({ stage: 'extracting', completed: index, total: archive.files.length });
+        try {
+          const documentData = await extractDocument(file.path, file.name, { ocr: true, plan, onUsage: usageRecorder(req.user._id) });
+          if (!documentData.text || documentData.text.trim().length === 0) {
+            skipped.push({ filename: file.name, reason: 'Could not extract text from the document' });
+          } else {
+            extracted.push({ file, documentData });
+          }
+        } catch (error) {
+          logger.warn(`Error processing ${file.name} from archive: ${error.message}`);
+          skipped.push({ filename: file.name, reason: error.message });
+        }
+      }
+
+      if (extracted.length === 0) {
+        return res.status(400).json({ error: 'Could not extract text from any document in the archive', skipped });
+      }
+
+      // Page counts are only known after extraction, check them before summarizing
+      const pageCount = extracted.reduce((total, item) => total + item.documentData.pageCount, 0);
+      allowance = await Usage.checkAllowance(req.user._id, plan, { documents: extracted.length, pages: pageCount });
+      if (!allowance.allowed) {
+        return rejectOverAllowance(req, res, allowance);
+      }
+
+      // Summarize and save every document as part of the collection
+      const collectionId = new mongoose.Types.ObjectId();
+      const documents = [];
+      for (const [index, { file, documentData }] of extracted.entries()) {
+        onProgress({ stage: 'summarizing', completed: index, total: extracted.length });
+
+        const outputLanguage = resolveOutputLanguage(requestedLanguage, documentData.language);
+        const { cached, ...summary } = await generateSummary(documentData.text, summarySize, {
+          plan,
+          structure: documentData.structure,
+          sourceType: documentData.sourceType,
+          names: documentData.names,
+          outputLanguage,
+          userId: req.user._id,
+          regenerate: req.body.regenerate === true || req.body.regenerate === 'true'
+        });
+
+        const tables = documentTables(documentData);
+
+        const document = new Document({
+          userId: req.user._id,
+          originalFilename: file.name,
+          summary: summary,
+          summarySize: summarySize,
+          fileType: path.extname(file.name).toLowerCase(),
+          fileSize: file.size,
+          pageCount: documentData.pageCount,
+          wordCount: documentData.wordCount,
+          metadata: documentData.metadata,
+          sourceLanguage: documentData.language,
+          outputLanguage: outputLanguage,
+          tables: tables,
+          tableCount: tables.length,
+          collectionId: collectionId,
+          isAuthenticated: true
+        });
+        await document.save();
+        await storeDocumentChunks(document, documentData);
+        await indexDocument(document);
+
+        // Each contained document is charged like a single upload
+        await Usage.incrementUsage(req.user._id, documentData.pageCount, (documentData.ocrPages || []).length);
+
+        documents.push({
+          filename: file.name,
+          documentId: document._id,
+          pageCount: documentData.pageCount,
+          wordCount: documentData.wordCount,
+          metadata: documentData.metadata,
+          encoding: documentData.encoding,
+          sourceLanguage: documentData.language,
+          outputLanguage: outputLanguage,
+          tableCount: tables.length,
+          ocrPages: documentData.ocrPages || [],
+          ocrFailedPages: documentData.ocrFailedPages || [],
+          cached: cached,
+          summary: summary
+        });
+      }
 
-      // Save document to database (user is authenticated)
-      const document = new Document({
+      // Combine the document summaries into the collection summary
+      onProgress({ stage: 'merging', completed: documents.length, total: documents.length });
+      // With 'source', the collection is summarized in the language its documents share
+      const languages = [...new Set(documents.map(item => item.outputLanguage))];
+      const collectionLanguage = languages.length === 1 ? languages[0] : DEFAULT_LANGUAGE;
+      const collectionSummary = await generateCollectionSummary(documents, summarySize, { plan, outputLanguage: collectionLanguage, userId: req.user._id });
+
+      const collection = new Document({
+        _id: collectionId,
         userId: req.user._id,
         originalFilename: req.file.originalname,
-        summary: summary,
+        summary: collectionSummary,
         summarySize: summarySize,
-        fileType: path.extname(req.file.originalname).toLowerCase(),
+        outputLanguage: collectionLanguage,
+        fileType: '.zip',
         fileSize: req.file.size,
         isAuthenticated: true
       });
-      await document.save();
+      await collection.save();
+      await indexDocument(collection);
+      onProgress({ stage: 'done', completed: documents.length, total: documents.length });
 
-      // Increment usage with page count
-      req.documentPageCount = documentData.pageCount;
-      await incrementUsage(req, res, () => {});
-
-      // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
-
-      logger.info(`Document processed successfully: ${req.file.originalname} for user: ${req.user._id}`);
+      logger.info(`Archive processed successfully: ${req.file.originalname} (${documents.length} documents) for user: ${req.user._id}`);
 
       res.json({
         success: true,
         originalFilename: req.file.originalname,
-        summary: summary,
         summarySize: summarySize,
-        plan: req.subscription.plan,
-        usage: req.usage
+        plan: plan,
+        collection: {
+          documentId: collection._id,
+          outputLanguage: collectionLanguage,
+          summary: collectionSummary
+        },
+        documents: documents,
+        skipped: skipped,
+        usage: await Usage.getCurrentUsage(req.user._id)
       });
 
     } catch (error) {
-      logger.error(`Error processing document: ${error.message}`, { 
+      logger.error(`Error processing archive: ${error.message}`, { 
         userId: req.user._id, 
         filename: req.file?.originalname,
         stack: error.stack 
       });
-      
-      // Clean up uploaded file if it exists
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
+      onProgress({ stage: 'failed', completed: 0, total: 0 });
+
+      if (error.code === 'archive_rejected') {
+        return res.status(400).json({
+          error: 'Archive rejected',
+          details: error.message
+        });
       }
 
       res.status(500).json({ 
-        error: 'Error processing document',
+        error: 'Error processing archive',
         details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
       });
+    } finally {
+      // Clean up the archive and the unpacked files
+      if (archive) {
+        removeUnpackedFiles(archive.files);
+      }
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
     }
   }
 );
@@ -273,11 +602,21 @@ app.post('/api/process-document-guest',
     try {
       logger.info(`Processing document (guest): ${req.file.originalname}`);
 
+      // Summary language, checked before the document is extracted
+      const requestedLanguage = req.body.outputLanguage;
+      if (!resolveOutputLanguage(requestedLanguage)) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: `Invalid output language. Must be source or one of: ${OUTPUT_LANGUAGES.join(', ')}.` });
+      }
+
       // Extract text and page count from the uploaded document
-      const documentData = await processDocument(req.file.path, req.file.originalname);
+      const documentData = await extractDocument(req.file.path, req.file.originalname, {
+        password: req.body.password
+      });
       
       if (!documentData.text || documentData.text.trim().length === 0) {
         logger.warn(`No text extracted from guest document: ${req.file.originalname}`);
+        fs.unlinkSync(req.file.path);
         return res.status(400).json({ error: 'Could not extract text from the document' });
       }
 
@@ -297,9 +636,18 @@ app.post('/api/process-document-guest',
 
       // Guest users can only use short summaries
       const summarySize = 'short';
+
+      // 'source' becomes the detected language of the document
+      const outputLanguage = resolveOutputLanguage(requestedLanguage, documentData.language);
       
       // Generate summary using OpenAI
-      const summary = await generateSummary(documentData.text, summarySize);
+      const { cached, ...summary } = await generateSummary(documentData.text, summarySize, {
+        plan: 'guest',
+        structure: documentData.structure,
+        sourceType: documentData.sourceType,
+        names: documentData.names,
+        outputLanguage
+      });
 
       // Clean up uploaded file
       fs.unlinkSync(req.file.path);
@@ -313,6 +661,11 @@ app.post('/api/process-document-guest',
         summarySize: summarySize,
         plan: 'guest',
         pageCount: documentData.pageCount,
+        wordCount: documentData.wordCount,
+        metadata: documentData.metadata,
+        encoding: documentData.encoding,
+        sourceLanguage: documentData.language,
+        outputLanguage: outputLanguage,
         requiresAuth: true, // Signal to frontend that auth is needed for more features
         message: 'Sign in to access medium and long summaries, export documents, and save your documents!'
       });
@@ -328,6 +681,19 @@ app.post('/api/process-document-guest',
         fs.unlinkSync(req.file.path);
       }
 
+      // Encrypted documents: the client asks the user for the password and retries
+      if (error.code === 'password_required' || error.code === 'password_incorrect') {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+
+      // Documents that timed out, crashed the extractor or have too many pages
+      if (error.code === 'extraction_failed') {
+        return res.status(422).json({
+          error: 'Document could not be processed',
+          details: error.message
+        });
+      }
+
       res.status(500).json({ 
         error: 'Error processing document',
         details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -336,6 +702,17 @@ app.post('/api/process-document-guest',
   }
 );
 
+// Get progress of a running document job
+app.get('/api/progress/:progressId', requireAuth, (req, res) => {
+  const progress = getProgress(req.user._id, req.params.progressId);
+
+  if (!progress) {
+    return res.status(404).json({ error: 'Progress not found' });
+  }
+
+  res.json(progress);
+});
+
 // Get user's document history with enhanced security
 app.get('/api/documents', requireAuth, async (req, res) => {
   try {
@@ -352,6 +729,7 @@ app.get('/api/documents', requireAuth, async (req, res) => {
     }
     
     const documents = await Document.find({ userId: req.user._id })
+      .select('-tables')
       .sort({ createdAt: -1 })
       .limit(documentLimit);
     
@@ -366,6 +744,171 @@ app.get('/api/documents', requireAuth, async (req, res) => {
   }
 });
 
+// Search the user's documents: ?q= is a natural language query, ?limit= the
+// number of documents (default 10). Matches by meaning when an embedding model
+// is configured, by keyword otherwise
+app.get('/api/documents/search', requireAuth, canSpend, async (req, res) => {
+  try {
+    const { mode, results } = await searchDocuments(req.user._id, req.query.q, { limit: req.query.limit });
+    res.json({ query: req.query.q, mode: mode, results: results });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`Error searching documents: ${error.message}`, {
+      userId: req.user._id,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error searching documents' });
+  }
+});
+
+// Tables found in a document: JSON by default, ?format=csv for one table
+// (?table=N, default 1) or ?format=xlsx for all tables (or the one in ?table)
+app.get('/api/documents/:id/tables', requireAuth, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id })
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be json, csv, or xlsx.' });
+    }
+
+    const tables = document.tables.map(table => ({ page: table.page, rows: table.rows }));
+    let numbers = tables.map((table, index) => index + 1);
+    if (req.query.table !== undefined || format === 'csv') {
+      const number = parseInt(req.query.table || '1');
+      if (!(number >= 1 && number <= tables.length)) {
+        return res.status(404).json({ error: 'Table not found', tableCount: tables.length });
+      }
+      numbers = [number];
+    }
+    const selected = numbers.map(number => tables[number - 1]);
+    const baseName = `tables-${document.originalFilename.replace(/\.[^/.]+$/, '')}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}-${numbers[0]}.csv"`);
+      // Byte order mark so spreadsheet programs read the file as UTF-8
+      return res.send('\uFEFF' + tableToCsv(selected[0]));
+    }
+    if (format === 'xlsx') {
+      if (selected.length === 0) {
+        return res.status(404).json({ error: 'Document has no tables' });
+      }
+      res.setHeader('Content-Type', XLSX_MIME_TYPE);
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+      return res.send(tablesToXlsx(selected, numbers));
+    }
+
+    res.json({
+      documentId: document._id,
+      tables: selected.map((table, index) => ({
+        number: numbers[index],
+        page: table.page,
+        rowCount: table.rows.length,
+        columnCount: Math.max(0, ...table.rows.map(row => row.length)),
+        rows: table.rows
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error fetching document tables: ${error.message}`, {
+      userId: req.user._id,
+      documentId: req.params.id,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error fetching document tables' });
+  }
+});
+
+// Questions about a document: each question is answered from the passages of
+// the document that match it best, with citations; the conversation is kept
+// per user and document, and every question counts against the plan
+app.post('/api/documents/:id/chat', requireAuth, validateChatQuestion, handleValidationErrors, canAskQuestion, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id }).select('-tables')
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { answer, citations } = await askQuestion(document, req.body.question, {
+      userId: req.user._id,
+      plan: req.subscription.plan
+    });
+    await Usage.incrementChatUsage(req.user._id);
+
+    res.json({
+      documentId: document._id,
+      answer: answer,
+      citations: citations,
+      usage: await Usage.getCurrentUsage(req.user._id)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`Error answering question: ${error.message}`, {
+      userId: req.user._id,
+      documentId: req.params.id,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error answering question', details: error.message });
+  }
+});
+
+// Conversation about a document, oldest message first
+app.get('/api/documents/:id/chat', requireAuth, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id }).select('_id')
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      documentId: document._id,
+      messages: await getConversation(document, req.user._id)
+    });
+  } catch (error) {
+    logger.error(`Error fetching conversation: ${error.message}`, {
+      userId: req.user._id,
+      documentId: req.params.id,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error fetching conversation' });
+  }
+});
+
+// Start the conversation about a document over
+app.delete('/api/documents/:id/chat', requireAuth, async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await Document.findOne({ _id: req.params.id, userId: req.user._id }).select('_id')
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await clearConversation(document, req.user._id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting conversation: ${error.message}`, {
+      userId: req.user._id,
+      documentId: req.params.id,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Error deleting conversation' });
+  }
+});
+
 // Export endpoints with enhanced security
 app.post('/api/export/pdf', 
   requireAuth, 
@@ -374,13 +917,13 @@ app.post('/api/export/pdf',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { summaryData, originalFilename, summarySize } = req.body;
+      const { summaryData, originalFilename, summarySize, metadata, language } = req.body;
       
       logger.info(`PDF export request: ${originalFilename} for user: ${req.user._id}`);
 
       // Add watermark for free users
       const addWatermark = req.subscription.plan === 'free';
-      const pdfBuffer = await exportToPDF(summaryData, originalFilename, summarySize, addWatermark);
+      const pdfBuffer = await exportToPDF(summaryData, originalFilename, summarySize, addWatermark, metadata, language);
       
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.pdf"`);
@@ -406,13 +949,13 @@ app.post('/api/export/docx',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { summaryData, originalFilename, summarySize } = req.body;
+      const { summaryData, originalFilename, summarySize, metadata, language } = req.body;
       
       logger.info(`DOCX export request: ${originalFilename} for user: ${req.user._id}`);
 
       // Add watermark for free users
       const addWatermark = req.subscription.plan === 'free';
-      const docxBuffer = await exportToDOCX(summaryData, originalFilename, summarySize, addWatermark);
+      const docxBuffer = await exportToDOCX(summaryData, originalFilename, summarySize, addWatermark, metadata, language);
       
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
       res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.docx"`);
@@ -438,13 +981,13 @@ app.post('/api/export/txt',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { summaryData, originalFilename, summarySize } = req.body;
+      const { summaryData, originalFilename, summarySize, metadata, language } = req.body;
       
       logger.info(`TXT export request: ${originalFilename} for user: ${req.user._id}`);
 
       // Add watermark for free users
       const addWatermark = req.subscription.plan === 'free';
-      const txtContent = await exportToTXT(summaryData, originalFilename, summarySize, addWatermark);
+      const txtContent = await exportToTXT(summaryData, originalFilename, summarySize, addWatermark, metadata, language);
       
       res.setHeader('Content-Type', 'text/plain');
       res.setHeader('Content-Disposition', `attachment; filename="summary-${originalFilename.replace(/\.[^/.]+$/, '')}.txt"`);
@@ -473,6 +1016,9 @@ app.use((error, req, res, next) => {
   });
   
   if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE' && error.field === 'archive') {
+      return res.status(400).json({ error: `Archive size too large. Maximum size is ${Math.round(MAX_ARCHIVE_SIZE / (1024 * 1024))}MB.` });
+    }
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File size too large. Maximum size is 5MB.' });
     }
@@ -523,6 +1069,7 @@ process.on('SIGINT', () => {
 
 // Start server
 app.listen(PORT, () => {
+  startExpirySweep();
   logger.info(`Server is running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Node version: ${process.version}`);
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_LANGUAGE, getLanguage } = require('../config/languages');
 
 /**
  * Alternative TTS service using free APIs
@@ -12,15 +13,16 @@ const path = require('path');
  * @param {string} text - Text to convert to speech
  * @param {string} originalFilename - Original document filename for context
  * @param {string} summarySize - Summary size used
+ * @param {string} language - Language code of the summary (see config/languages.js)
  * @returns {Promise<Buffer>} - MP3 audio buffer
  */
-async function textToMP3Alternative(text, originalFilename, summarySize = 'short') {
+async function textToMP3Alternative(text, originalFilename, summarySize = 'short', language = DEFAULT_LANGUAGE) {
   try {
     // Prepare the text for speech synthesis
-    const speechText = prepareTextForSpeech(text, originalFilename, summarySize);
+    const speechText = prepareTextForSpeech(text, originalFilename, summarySize, language);
     
     // Use a free TTS service (example with gTTS-like service)
-    const audioBuffer = await generateSpeechWithFreeAPI(speechText);
+    const audioBuffer = await generateSpeechWithFreeAPI(speechText, getLanguage(language).ttsLocale);
     
     return audioBuffer;
     
@@ -33,9 +35,10 @@ async function textToMP3Alternative(text, originalFilename, summarySize = 'short
 /**
  * Generate speech using a free TTS API
  * @param {string} text - Text to convert
+ * @param {string} locale - Language of the text, e.g. 'de-de'
  * @returns {Promise<Buffer>} - Audio buffer
  */
-async function generateSpeechWithFreeAPI(text) {
+async function generateSpeechWithFreeAPI(text, locale = 'en-us') {
   try {
     // Option 1: Use a free TTS service (example)
     // You can replace this with any free TTS API
@@ -44,7 +47,7 @@ async function generateSpeechWithFreeAPI(text) {
       url: `https://api.voicerss.org/`,
       params: {
         key: process.env.VOICERSS_API_KEY || 'free_key', // You can get a free key
-        hl: 'en-us',
+        hl: locale,
         src: text,
         c: 'MP3',
         f: '44khz_16bit_stereo'
@@ -92,24 +95,27 @@ Alternative: Use PDF, DOCX, or TXT export options instead.
  * @param {string} text - Original text
  * @param {string} originalFilename - Original document filename
  * @param {string} summarySize - Summary size used
+ * @param {string} language - Language code of the summary
  * @returns {string} - Formatted text for speech
  */
-function prepareTextForSpeech(text, originalFilename, summarySize) {
+function prepareTextForSpeech(text, originalFilename, summarySize, language = DEFAULT_LANGUAGE) {
+  const { code, labels } = getLanguage(language);
+
   // Extract filename without extension
   const filename = originalFilename.replace(/\.[^/.]+$/, '');
   
   // Create a professional introduction
-  let speechText = `Document Summary Audio. `;
-  speechText += `Original document: ${filename}. `;
-  speechText += `Summary size: ${summarySize.charAt(0).toUpperCase() + summarySize.slice(1)}. `;
-  speechText += `Generated on ${new Date().toLocaleDateString()}. `;
+  let speechText = `${labels.audioTitle}. `;
+  speechText += `${labels.originalDocument}: ${filename}. `;
+  speechText += `${labels.summarySize}: ${labels.sizes[summarySize] || summarySize}. `;
+  speechText += `${labels.generatedOn} ${new Date().toLocaleDateString(code)}. `;
   speechText += `\n\n`;
   
   // Add the main content
   speechText += text;
   
   // Add closing
-  speechText += `\n\nEnd of summary. Thank you for using Abstract Document Summarizer.`;
+  speechText += `\n\n${labels.audioClosing}`;
   
   return speechText;
 }
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+/**
+ * ZIP archive unpacking for collection uploads.
+ *
+ * Entries are never written under their own names: every supported file is
+ * inflated into a temporary file next to the uploaded archive. Archives are
+ * rejected as a whole when they look unsafe: too many entries, absolute or
+ * parent-relative paths, a suspicious compression ratio, or more unpacked data
+ * than allowed. Entry sizes are enforced while inflating, so a lying header
+ * cannot make the server inflate more than the limit.
+ */
+
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 100;
+const ARCHIVE_MAX_UNPACKED_SIZE =
+  parseInt(process.env.ARCHIVE_MAX_UNPACKED_SIZE) || 100 * 1024 * 1024;
+const ARCHIVE_MAX_RATIO = parseInt(process.env.ARCHIVE_MAX_RATIO) || 100;
+// Contained files get the same limit as single uploads
+const MAX_ENTRY_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+// Small files compress well without being bombs, only check larger ones
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Create an error for an archive that must not be processed
+ * @param {string} message - Reason
+ * @returns {Error} - Error with code 'archive_rejected'
+ */
+function archiveRejected(message) {
+  const error = new Error(message);
+  error.code = 'archive_rejected';
+  return error;
+}
+
+/**
+ * Check whether an entry name escapes the archive root
+ * @param {string} name - Entry name
+ * @returns {boolean} - True for absolute paths, drive letters and ".." segments
+ */
+function isUnsafePath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  return (
+    normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized.split('/').includes('..')
+  );
+}
+
+/**
+ * Check whether an entry is operating system metadata (__MACOSX, .DS_Store, ...)
+ * @param {string} name - Entry name
+ * @returns {boolean} - True for entries that are not user files
+ */
+function isSystemEntry(name) {
+  return name
+    .replace(/\\/g, '/')
+    .split('/')
+    .some(segment => segment === '__MACOSX' || segment.startsWith('.'));
+}
+
+/**
+ * Inflate an entry without trusting its declared size
+ * @param {Object} entry - adm-zip entry
+ * @returns {Buffer} - Entry contents
+ */
+function inflateEntry(entry) {
+  const { method, size, crc } = entry.header;
+  const compressed = entry.getCompressedData();
+  let data;
+  if (method === STORED) {
+    data = compressed;
+  } else if (method === DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: size || 1 });
+    } catch (error) {
+      throw archiveRejected(
+        `Entry ${entry.entryName} is larger than its declared size`
+      );
+    }
+  } else {
+    throw new Error('unsupported compression method');
+  }
+
+  if (data.length !== size || zlib.crc32(data) !== crc) {
+    throw new Error('entry is corrupt');
+  }
+  return data;
+}
+
+/**
+ * Check whether an entry declares a compression ratio that only bombs reach
+ * @param {Object} entry - adm-zip entry
+ * @returns {boolean} - True for large entries that compress too well
+ */
+function hasSuspiciousRatio(entry) {
+  const { size, compressedSize } = entry.header;
+  return (
+    size > RATIO_CHECK_MIN_SIZE &&
+    size / Math.max(compressedSize, 1) > ARCHIVE_MAX_RATIO
+  );
+}
+
+/**
+ * Inflate the start of an entry, e.g. to recognize a file format, without
+ * inflating more than a limit whatever its header declares
+ * @param {Object} entry - adm-zip entry
+ * @param {number} maxLength - Bytes needed at most
+ * @returns {Buffer} - The entry, or a prefix of it when it is longer than maxLength
+ */
+function readEntryPrefix(entry, maxLength) {
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === STORED) {
+    return compressed.subarray(0, maxLength);
+  }
+  if (entry.header.method !== DEFLATED) {
+    throw new Error('unsupported compression method');
+  }
+
+  // Inflate ever longer runs of the compressed data until the output would
+  // exceed the limit; a sync flush returns what a truncated run holds
+  let prefix = Buffer.alloc(0);
+  for (let length = 16 * 1024; ; length *= 2) {
+    try {
+      prefix = zlib.inflateRawSync(compressed.subarray(0, length), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        maxOutputLength: maxLength,
+      });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        return prefix;
+      }
+      throw error;
+    }
+    if (length >= compressed.length) {
+      return prefix;
+    }
+  }
+}
+
+/**
+ * Unpack the supported files of a ZIP archive into temporary files
+ * @param {string} filePath - Path to the uploaded archive
+ * @param {Array<string>} supportedExtensions - Extensions that can be processed
+ * @returns {{files: Array<{name: string, path: string, size: number}>, skipped: Array<{name: string, reason: string}>}} - Unpacked files and entries that were left out
+ */
+function unpackArchive(filePath, supportedExtensions) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (error) {
+    throw archiveRejected(`Not a valid ZIP archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries();
+  if (entries.length > ARCHIVE_MAX_ENTRIES) {
+    throw archiveRejected(
+      `Archive has ${entries.length} entries (limit: ${ARCHIVE_MAX_ENTRIES})`
+    );
+  }
+
+  let unpackedSize = 0;
+  for (const entry of entries) {
+    if (isUnsafePath(entry.entryName)) {
+      throw archiveRejected(`Unsafe path in archive: ${entry.entryName}`);
+    }
+    if (hasSuspiciousRatio(entry)) {
+      throw archiveRejected(
+        `Entry ${entry.entryName} has a suspicious compression ratio`
+      );
+    }
+    unpackedSize += entry.header.size;
+  }
+  if (unpackedSize > ARCHIVE_MAX_UNPACKED_SIZE) {
+    throw archiveRejected(
+      `Archive unpacks to ${unpackedSize} bytes (limit: ${ARCHIVE_MAX_UNPACKED_SIZE})`
+    );
+  }
+
+  const files = [];
+  const skipped = [];
+  try {
+    entries.forEach((entry, index) => {
+      const name = entry.entryName;
+      if (entry.isDirectory || isSystemEntry(name)) {
+        return;
+      }
+
+      const extension = path.extname(name).toLowerCase();
+      if (extension === '.zip') {
+        skipped.push({ name, reason: 'Nested archives are not processed' });
+        return;
+      }
+      if (!supportedExtensions.includes(extension)) {
+        skipped.push({ name, reason: 'Unsupported file type' });
+        return;
+      }
+      if (entry.header.flags & 1) {
+        skipped.push({ name, reason: 'Encrypted entry' });
+        return;
+      }
+      if (entry.header.size > MAX_ENTRY_SIZE) {
+        skipped.push({
+          name,
+          reason: `File too large (limit: ${MAX_ENTRY_SIZE} bytes)`,
+        });
+        return;
+      }
+
+      let data;
+      try {
+        data = inflateEntry(entry);
+      } catch (error) {
+        if (error.code === 'archive_rejected') {
+          throw error;
+        }
+        skipped.push({ name, reason: `Could not unpack: ${error.message}` });
+        return;
+      }
+
+      const entryPath = `${filePath}-entry-${index + 1}${extension}`;
+      fs.writeFileSync(entryPath, data);
+      files.push({ name, path: entryPath, size: data.length });
+    });
+  } catch (error) {
+    removeUnpackedFiles(files);
+    throw error;
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Delete the temporary files created by unpackArchive
+ * @param {Array<{path: string}>} files - Unpacked files
+ */
+function removeUnpackedFiles(files) {
+  for (const file of files) {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+}
+
+module.exports = {
+  unpackArchive,
+  removeUnpackedFiles,
+  hasSuspiciousRatio,
+  readEntryPrefix,
+};
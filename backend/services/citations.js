@@ -0,0 +1,196 @@
+const { pageAtOffset } = require('./documentStructure');
+const { LIST_FIELDS } = require('./summarySchema');
+
+/**
+ * Source citations of summary entries.
+ *
+ * The model returns, for every key point, action item, date, name and place,
+ * one or two passages copied from the document (see services/summarySchema.js).
+ * A passage is only cited when it is found in the extracted text: first as
+ * is, then ignoring case, whitespace and the kind of quotes and dashes, which
+ * models and extractors tend to change. Passages that are not found are
+ * dropped, so a citation always points at text the document really contains,
+ * by its character offsets [start, end) and, for documents with real pages,
+ * its page.
+ */
+
+// Shorter passages match by chance and prove nothing
+const MIN_QUOTE_LENGTH = 4;
+// Passages cited per entry
+const MAX_QUOTES_PER_ENTRY = 2;
+
+const CHARACTER_FOLDS = [
+  { pattern: /[‘’‚‛′`´]/, replacement: "'" },
+  { pattern: /[“”„‟″«»]/, replacement: '"' },
+  { pattern: /[‐-―−]/, replacement: '-' },
+  { pattern: /…/, replacement: '...' },
+];
+
+/**
+ * Normalize a text for comparing passages, keeping where every character came from
+ * @param {string} text - Text
+ * @returns {{normalized: string, offsets: Array<number>}} - Lowercase text with folded quotes and dashes and single spaces, and the offset in `text` of each of its characters
+ */
+function normalizeText(text) {
+  let normalized = '';
+  const offsets = [];
+  let space = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char) || char === '­') {
+      // Soft hyphens are dropped, whitespace runs become one space
+      space = space || char !== '­';
+      continue;
+    }
+    if (space && normalized) {
+      normalized += ' ';
+      offsets.push(i - 1);
+    }
+    space = false;
+
+    const fold = CHARACTER_FOLDS.find(({ pattern }) => pattern.test(char));
+    const folded = fold ? fold.replacement : char.toLowerCase();
+    for (const part of folded) {
+      normalized += part;
+      offsets.push(i);
+    }
+  }
+  return { normalized, offsets };
+}
+
+/**
+ * Strip the ellipses that mark a passage as an excerpt
+ * @param {string} text - Passage
+ * @returns {string} - Trimmed passage without leading and trailing ellipses
+ */
+function stripEllipses(text) {
+  return text
+    .trim()
+    .replace(/^(?:\.\.\.|…)\s*/, '')
+    .replace(/\s*(?:\.\.\.|…)$/, '');
+}
+
+/**
+ * Strip what models put around a quoted passage
+ * @param {string} quote - Passage as returned by the model
+ * @returns {string} - Passage without surrounding quotes and ellipses, inside or outside the quotes
+ */
+function cleanQuote(quote) {
+  const trimmed = stripEllipses(quote);
+  // Only a pair of quotes encloses the passage; a single one is part of it
+  return /^["'“”„‘’«»].*["'“”„‘’«»]$/s.test(trimmed) && trimmed.length > 1
+    ? stripEllipses(trimmed.slice(1, -1))
+    : trimmed;
+}
+
+/**
+ * Find a passage in a document text
+ * @param {string} text - Extracted document text
+ * @param {string} quote - Passage to find
+ * @param {Object} normalizedText - Result of normalizeText(text); computed when omitted
+ * @returns {{start: number, end: number}|null} - Offsets of the first occurrence, or null if the text does not contain the passage
+ */
+function locateQuote(text, quote, normalizedText = null) {
+  const cleaned = cleanQuote(quote || '');
+  if (cleaned.length < MIN_QUOTE_LENGTH) {
+    return null;
+  }
+
+  const exact = text.indexOf(cleaned);
+  if (exact !== -1) {
+    return { start: exact, end: exact + cleaned.length };
+  }
+
+  const { normalized, offsets } = normalizedText || normalizeText(text);
+  const needle = normalizeText(cleaned).normalized;
+  const index = normalized.indexOf(needle);
+  if (!needle || index === -1) {
+    return null;
+  }
+  return { start: offsets[index], end: offsets[index + needle.length - 1] + 1 };
+}
+
+/**
+ * Check the source passages of a summary against the document text
+ * @param {Object} sources - Passages per list field, aligned with the entries (see parseSummaryResponse)
+ * @param {string} text - Extracted document text
+ * @param {Object} structure - Document structure from processDocument, used for the pages
+ * @returns {Array<Object>} - Citations with field, item (position in the list), page, start, end and the cited text, in list order
+ */
+function verifyCitations(sources, text, structure) {
+  if (!sources || !text) {
+    return [];
+  }
+
+  const normalizedText = normalizeText(text);
+  const realPages = structure && !structure.pagesEstimated;
+  const citations = [];
+  let rejected = 0;
+
+  for (const field of LIST_FIELDS) {
+    (sources[field] || []).forEach((quotes, item) => {
+      const found = [];
+      for (const quote of quotes) {
+        const span = locateQuote(text, quote, normalizedText);
+        if (!span) {
+          rejected++;
+          continue;
+        }
+        if (
+          found.length < MAX_QUOTES_PER_ENTRY &&
+          !found.some(other => other.start === span.start)
+        ) {
+          found.push(span);
+        }
+      }
+
+      for (const { start, end } of found) {
+        citations.push({
+          field,
+          item,
+          page: realPages
+            ? pageAtOffset(structure, start) || undefined
+            : undefined,
+          start,
+          end,
+          quote: text.substring(start, end),
+        });
+      }
+    });
+  }
+
+  if (rejected > 0) {
+    console.warn(
+      `Dropped ${rejected} source passage(s) that are not in the document text`
+    );
+  }
+  return citations;
+}
+
+/**
+ * Check stored citations against a document text again, e.g. those of a
+ * cached summary reused for a new upload of the same text, whose offsets and
+ * pages may differ
+ * @param {Array<Object>} citations - Citations with field, item and quote
+ * @param {string} text - Extracted document text
+ * @param {Object} structure - Document structure from processDocument, used for the pages
+ * @returns {Array<Object>} - Citations found in the text, as returned by verifyCitations
+ */
+function reverifyCitations(citations, text, structure) {
+  const sources = {};
+  for (const { field, item, quote } of citations || []) {
+    if (!LIST_FIELDS.includes(field) || !quote) {
+      continue;
+    }
+    sources[field] = sources[field] || [];
+    sources[field][item] = [...(sources[field][item] || []), quote];
+  }
+  return verifyCitations(sources, text, structure);
+}
+
+module.exports = {
+  locateQuote,
+  verifyCitations,
+  reverifyCitations,
+};
@@ -0,0 +1,120 @@
+const { decodeBytes } = require('../utils/encoding');
+
+/**
+ * CSV reader.
+ *
+ * Decodes the file (UTF-8, falling back to windows-1252), detects the
+ * delimiter and parses quoted fields with embedded delimiters, quotes and
+ * line breaks. Values stay strings; services/spreadsheetProfile.js recognizes
+ * numbers and dates. Semicolon separated files come from locales that write
+ * decimal commas, so the sheet is flagged as such.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SNIFF_LINES = 20;
+
+/**
+ * Decode CSV bytes
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {string} - Decoded text without byte order mark
+ */
+function decodeCsv(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true })
+      .decode(buffer)
+      .replace(/^\uFEFF/, '');
+  } catch (error) {
+    return decodeBytes(buffer);
+  }
+}
+
+/**
+ * Split text into rows of fields
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @param {number} maxRows - Stop after this many rows
+ * @returns {Array<Array<string>>} - Rows
+ */
+function parseRows(text, delimiter, maxRows = Infinity) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if ((field || row.length > 0) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into a consistent number of fields
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(text) {
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const widths = parseRows(text, delimiter, SNIFF_LINES)
+      .filter(row => row.some(field => field.trim()))
+      .map(row => row.length);
+    if (widths.length === 0 || widths[0] < 2) {
+      continue;
+    }
+    const consistent = widths.filter(width => width === widths[0]).length;
+    const score = (consistent / widths.length) * widths[0];
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Extract the rows of a CSV file
+ * @param {Buffer} buffer - Raw file contents
+ * @param {string} name - Sheet name, usually the file name
+ * @returns {{sheets: Array<Object>}} - A single sheet with name, rows and decimalComma flag
+ */
+function readCsv(buffer, name) {
+  const text = decodeCsv(buffer);
+  const delimiter = detectDelimiter(text);
+  const rows = parseRows(text, delimiter).map(row =>
+    row.map(field => field.trim())
+  );
+  return { sheets: [{ name, rows, decimalComma: delimiter === ';' }] };
+}
+
+module.exports = {
+  readCsv,
+};
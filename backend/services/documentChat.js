@@ -0,0 +1,402 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const Conversation = require('../models/Conversation');
+const { chunkText } = require('./textChunker');
+const {
+  createChatCompletion,
+  getTaskSettings,
+  isProviderConfigured,
+} = require('./llmProvider');
+const { recordUsage } = require('./usageMeter');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Questions about a processed document.
+ *
+ * The extracted text is saved with the document in short chunks that keep
+ * their character offsets and pages. For every question the chunks are ranked
+ * by the question's words (BM25), the best ones are sent to the chat model as
+ * numbered excerpts, and the model cites the excerpts it used as [n]. Those
+ * markers become the citations of the answer. Each user has one conversation
+ * per document; its last turns are sent along so follow-up questions work.
+ */
+
+// Characters per stored chunk
+const CHAT_CHUNK_CHARS = parseInt(process.env.CHAT_CHUNK_CHARS) || 1500;
+// Most chunks sent with a question (also limited by the task's contextChars)
+const CHAT_CONTEXT_CHUNKS = parseInt(process.env.CHAT_CONTEXT_CHUNKS) || 6;
+// Earlier questions and answers sent with a question
+const CHAT_HISTORY_TURNS = parseInt(process.env.CHAT_HISTORY_TURNS) || 6;
+const MAX_QUESTION_LENGTH = 2000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Words are compared by their first letters, so "terminate" finds "termination"
+const TERM_LENGTH = 6;
+
+const SYSTEM_PROMPT =
+  'You answer questions about a document. You are given numbered excerpts of the document and the question. Answer only from the excerpts; if they do not contain the answer, say that the document does not seem to cover it. After every statement, cite the excerpts it is based on by their numbers in square brackets, for example [2] or [1][3]. Quote figures, dates and names exactly as they appear. Answer in the language of the question.';
+
+/**
+ * Split an extracted document into the chunks stored for questions
+ * @param {Object} documentData - Result of processDocument
+ * @returns {Array<Object>} - Chunks with index, title, text, offsets and pages
+ */
+function createChunks(documentData) {
+  const { text, structure } = documentData;
+  const realPages = structure && !structure.pagesEstimated;
+  return chunkText(text, { maxChars: CHAT_CHUNK_CHARS, structure }).map(
+    chunk => ({
+      index: chunk.index,
+      title: chunk.title || undefined,
+      text: chunk.text,
+      start: chunk.start,
+      end: chunk.end,
+      pageStart: realPages && chunk.pages ? chunk.pages.start : undefined,
+      pageEnd: realPages && chunk.pages ? chunk.pages.end : undefined,
+    })
+  );
+}
+
+/**
+ * Save the text of a processed document for questions
+ * @param {Object} document - Saved Document
+ * @param {Object} documentData - Result of processDocument
+ * @returns {Promise<number>} - Number of stored chunks
+ */
+async function storeDocumentChunks(document, documentData) {
+  const chunks = createChunks(documentData).filter(chunk => chunk.text.trim());
+  await DocumentChunk.insertMany(
+    chunks.map(chunk => ({
+      ...chunk,
+      documentId: document._id,
+      userId: document.userId,
+    }))
+  );
+  return chunks.length;
+}
+
+/**
+ * Split text into search terms
+ * @param {string} text - Text
+ * @returns {Array<string>} - Lowercase terms without accents, cut to TERM_LENGTH
+ */
+function terms(text) {
+  const words =
+    text
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter(word => word.length > 1 || /\d/.test(word))
+    .map(word => word.substring(0, TERM_LENGTH));
+}
+
+/**
+ * Collect the terms of weighted query texts
+ * @param {Array<{text: string, weight: number}>} queries - Query texts; the weight scales their terms
+ * @returns {Map<string, number>} - Weight of every query term
+ */
+function queryTerms(queries) {
+  const weights = new Map();
+  for (const { text, weight } of queries) {
+    for (const term of terms(text)) {
+      weights.set(term, Math.max(weights.get(term) || 0, weight));
+    }
+  }
+  return weights;
+}
+
+/**
+ * Count the query terms in a text
+ * @param {string} text - Text
+ * @param {Map<string, number>} weights - Query terms (see queryTerms)
+ * @returns {{frequencies: Map<string, number>, length: number}} - Occurrences of the query terms, and the number of terms of the text
+ */
+function countTerms(text, weights) {
+  const frequencies = new Map();
+  const textTerms = terms(text);
+  for (const term of textTerms) {
+    if (weights.has(term)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+  }
+  return { frequencies, length: textTerms.length };
+}
+
+/**
+ * Rank counted texts by how well they match a query (BM25)
+ * @param {Array<Object>} items - Items with the `frequencies` and `length` of countTerms
+ * @param {Map<string, number>} weights - Query terms (see queryTerms)
+ * @returns {Array<{item: Object, score: number}>} - Matching items, best first
+ */
+function rankCounts(items, weights) {
+  const averageLength =
+    items.reduce((sum, item) => sum + item.length, 0) / items.length || 1;
+
+  const idf = new Map();
+  for (const term of weights.keys()) {
+    const containing = items.filter(item => item.frequencies.has(term)).length;
+    idf.set(
+      term,
+      Math.log(1 + (items.length - containing + 0.5) / (containing + 0.5))
+    );
+  }
+
+  const ranked = [];
+  for (const item of items) {
+    let score = 0;
+    for (const [term, weight] of weights) {
+      const frequency = item.frequencies.get(term);
+      if (!frequency) {
+        continue;
+      }
+      score +=
+        weight *
+        idf.get(term) *
+        ((frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + (B * item.length) / averageLength)));
+    }
+    if (score > 0) {
+      ranked.push({ item, score });
+    }
+  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Rank chunks by how well they match a query (BM25)
+ * @param {Array<Object>} chunks - Chunks with text
+ * @param {Array<{text: string, weight: number}>} queries - Query texts; the weight scales their terms
+ * @returns {Array<{chunk: Object, score: number}>} - Matching chunks, best first
+ */
+function rankChunks(chunks, queries) {
+  const weights = queryTerms(queries);
+  const items = chunks.map(chunk => ({
+    chunk,
+    ...countTerms(chunk.text, weights),
+  }));
+  return rankCounts(items, weights).map(({ item, score }) => ({
+    chunk: item.chunk,
+    score,
+  }));
+}
+
+/**
+ * Pick the excerpts sent with a question
+ * @param {Array<Object>} chunks - Chunks of the document in order
+ * @param {string} question - Question
+ * @param {Array<Object>} history - Earlier messages of the conversation
+ * @param {number} contextChars - Maximum characters of excerpts
+ * @returns {Array<Object>} - Chunks in document order
+ */
+function selectExcerpts(chunks, question, history, contextChars) {
+  // A follow-up question often only makes sense with the one before it
+  const previous = [...history].reverse().find(item => item.role === 'user');
+  const queries = [{ text: question, weight: 1 }];
+  if (previous) {
+    queries.push({ text: previous.content, weight: 0.5 });
+  }
+
+  let ranked = rankChunks(chunks, queries).map(item => item.chunk);
+  if (ranked.length === 0) {
+    // Nothing matches (e.g. "what is this about?"): use the beginning
+    ranked = chunks;
+  }
+
+  const selected = [];
+  let length = 0;
+  for (const chunk of ranked) {
+    if (selected.length >= CHAT_CONTEXT_CHUNKS) {
+      break;
+    }
+    if (selected.length > 0 && length + chunk.text.length > contextChars) {
+      continue;
+    }
+    selected.push(chunk);
+    length += chunk.text.length;
+  }
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Describe where an excerpt is in the document
+ * @param {Object} chunk - Chunk
+ * @returns {string} - Location, e.g. "page 3, section: Termination"
+ */
+function excerptLocation(chunk) {
+  const location = [];
+  if (chunk.pageStart) {
+    location.push(
+      chunk.pageStart === chunk.pageEnd
+        ? `page ${chunk.pageStart}`
+        : `pages ${chunk.pageStart}-${chunk.pageEnd}`
+    );
+  }
+  if (chunk.title) {
+    location.push(`section: ${chunk.title}`);
+  }
+  return location.join(', ');
+}
+
+/**
+ * Turn the excerpt markers of an answer into citations. The markers are
+ * renumbered to point into the returned citations, like footnotes
+ * @param {string} answer - Answer citing excerpts as [n]
+ * @param {Array<Object>} excerpts - Excerpts sent with the question, numbered from 1
+ * @returns {{answer: string, citations: Array<Object>}} - Answer citing its citations as [n], cited chunks in order of first citation
+ */
+function resolveCitations(answer, excerpts) {
+  const cited = [];
+  const resolved = answer.replace(
+    /\[(\d+(?:\s*,\s*\d+)*)\]/g,
+    (marker, numbers) =>
+      numbers
+        .split(',')
+        .map(number => excerpts[Number(number) - 1])
+        .filter(Boolean)
+        .map(chunk => {
+          if (!cited.includes(chunk)) {
+            cited.push(chunk);
+          }
+          return `[${cited.indexOf(chunk) + 1}]`;
+        })
+        .join('')
+  );
+
+  return {
+    answer: resolved,
+    citations: cited.map(chunk => ({
+      chunk: chunk.index,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      start: chunk.start,
+      end: chunk.end,
+      excerpt: chunk.text.trim().substring(0, 200),
+    })),
+  };
+}
+
+/**
+ * Answer a question about a document and add it to the user's conversation
+ * @param {Object} document - Document the question is about
+ * @param {string} question - Question
+ * @param {Object} options - Options
+ * @param {Object} options.userId - Asking user
+ * @param {string} options.plan - Subscription plan, used to pick the model settings
+ * @returns {Promise<{answer: string, citations: Array<Object>}>} - Answer citing its citations as [n], and the cited chunks
+ */
+async function askQuestion(document, question, { userId, plan } = {}) {
+  const text = typeof question === 'string' ? question.trim() : '';
+  if (!text) {
+    throw httpError(400, 'question_required', 'A question is required');
+  }
+  if (text.length > MAX_QUESTION_LENGTH) {
+    throw httpError(
+      400,
+      'question_too_long',
+      `Questions are limited to ${MAX_QUESTION_LENGTH} characters`
+    );
+  }
+  if (!isProviderConfigured()) {
+    throw new Error('LLM provider is not configured');
+  }
+
+  const chunks = await DocumentChunk.find({ documentId: document._id }).sort({
+    index: 1,
+  });
+  if (chunks.length === 0) {
+    throw httpError(
+      409,
+      'no_document_text',
+      'The text of this document is not available for questions. Upload the document again to ask about it.'
+    );
+  }
+
+  const conversation =
+    (await Conversation.findOne({ documentId: document._id, userId })) ||
+    new Conversation({ documentId: document._id, userId, messages: [] });
+  const history = conversation.messages.slice(-CHAT_HISTORY_TURNS * 2);
+
+  const settings = getTaskSettings('chat', plan);
+  const excerpts = selectExcerpts(chunks, text, history, settings.contextChars);
+  const excerptText = excerpts
+    .map((chunk, index) => {
+      const location = excerptLocation(chunk);
+      return `[${index + 1}]${location ? ` (${location})` : ''}\n${chunk.text.trim()}`;
+    })
+    .join('\n\n');
+
+  const completion = await createChatCompletion('chat', {
+    plan,
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      // Earlier answers cite other excerpts than the ones below; drop their markers
+      ...history.map(message => ({
+        role: message.role,
+        content: message.content.replace(/\s*\[\d+\]/g, ''),
+      })),
+      {
+        role: 'user',
+        content: `Document: ${document.title}\n\nExcerpts:\n\n${excerptText}\n\nQuestion: ${text}`,
+      },
+    ],
+  });
+
+  await recordUsage(userId, {
+    task: 'chat',
+    model: completion.model,
+    usage: completion.usage,
+  });
+
+  const { answer, citations } = resolveCitations(
+    completion.content.trim(),
+    excerpts
+  );
+
+  conversation.messages.push(
+    { role: 'user', content: text },
+    { role: 'assistant', content: answer, citations }
+  );
+  conversation.updatedAt = new Date();
+  await conversation.save();
+
+  return { answer, citations };
+}
+
+/**
+ * Get the user's conversation about a document
+ * @param {Object} document - Document
+ * @param {Object} userId - User
+ * @returns {Promise<Array<Object>>} - Messages, oldest first
+ */
+async function getConversation(document, userId) {
+  const conversation = await Conversation.findOne({
+    documentId: document._id,
+    userId,
+  });
+  return conversation ? conversation.messages : [];
+}
+
+/**
+ * Delete the user's conversation about a document
+ * @param {Object} document - Document
+ * @param {Object} userId - User
+ * @returns {Promise<void>}
+ */
+async function clearConversation(document, userId) {
+  await Conversation.deleteOne({ documentId: document._id, userId });
+}
+
+module.exports = {
+  createChunks,
+  storeDocumentChunks,
+  queryTerms,
+  countTerms,
+  rankCounts,
+  rankChunks,
+  askQuestion,
+  getConversation,
+  clearConversation,
+};
@@ -0,0 +1,172 @@
+const { findElement, findElements, textContent } = require('../utils/xmlTree');
+const { readPart } = require('../utils/officePackage');
+
+/**
+ * Document properties.
+ *
+ * Every format reports the same metadata fields, all optional:
+ *   title, author, subject, keywords - as entered by the author
+ *   application                      - program that created the document
+ *   producer                         - program that wrote the PDF
+ *   created, modified                - Dates
+ * Empty values are left out.
+ */
+
+const MAX_PROPERTY_LENGTH = 500;
+
+/**
+ * Clean up a property value
+ * @param {*} value - Raw value
+ * @returns {string} - Trimmed single-line text, empty if there is none
+ */
+function cleanText(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value
+    .replace(/\0/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_PROPERTY_LENGTH);
+}
+
+/**
+ * Parse a date property
+ * @param {string|Date} value - ISO 8601 date or Date
+ * @returns {Date|null} - Date or null if the value is not a valid date
+ */
+function cleanDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build a metadata object, leaving out empty fields
+ * @param {Object} properties - Raw properties
+ * @returns {Object} - Metadata
+ */
+function createMetadata(properties) {
+  const metadata = {};
+  for (const [key, value] of Object.entries(properties)) {
+    const cleaned =
+      key === 'created' || key === 'modified'
+        ? cleanDate(value)
+        : cleanText(value);
+    if (cleaned) {
+      metadata[key] = cleaned;
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Parse a PDF date string ("D:YYYYMMDDHHmmSSOHH'mm'")
+ * @param {string} value - PDF date
+ * @returns {Date|null} - Date or null if the value is not a PDF date
+ */
+function parsePdfDate(value) {
+  const match =
+    typeof value === 'string' &&
+    value.match(
+      /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/
+    );
+  if (!match) {
+    return null;
+  }
+  const [, year, month = '01', day = '01', hour = '00', minute = '00'] = match;
+  const second = match[6] || '00';
+  let zone = 'Z';
+  if (match[7] === '+' || match[7] === '-') {
+    zone = `${match[7]}${match[8] || '00'}:${match[9] || '00'}`;
+  }
+  return cleanDate(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`
+  );
+}
+
+/**
+ * Read the metadata of a PDF from its info dictionary
+ * @param {Object} info - Info dictionary as returned by pdf-parse
+ * @returns {Object} - Metadata
+ */
+function pdfMetadata(info) {
+  if (!info) {
+    return {};
+  }
+  return createMetadata({
+    title: info.Title,
+    author: info.Author,
+    subject: info.Subject,
+    keywords: info.Keywords,
+    application: info.Creator,
+    producer: info.Producer,
+    created: parsePdfDate(info.CreationDate),
+    modified: parsePdfDate(info.ModDate),
+  });
+}
+
+/**
+ * Read the core and application properties of an OOXML package
+ * (docProps/core.xml and docProps/app.xml)
+ * @param {AdmZip} zip - Opened package
+ * @returns {Promise<Object>} - Metadata
+ */
+async function readOoxmlMetadata(zip) {
+  const core = await readPart(zip, 'docProps/core.xml');
+  const app = await readPart(zip, 'docProps/app.xml');
+  const property = (root, name) => textContent(findElement(root, name));
+
+  return createMetadata({
+    title: property(core, 'dc:title'),
+    author: property(core, 'dc:creator'),
+    subject: property(core, 'dc:subject'),
+    keywords: property(core, 'cp:keywords'),
+    application: property(app, 'Application'),
+    created: property(core, 'dcterms:created'),
+    modified: property(core, 'dcterms:modified'),
+  });
+}
+
+/**
+ * Read the metadata of an OpenDocument package (meta.xml)
+ * @param {AdmZip} zip - Opened package
+ * @returns {Promise<Object>} - Metadata
+ */
+async function readOdfMetadata(zip) {
+  const meta = findElement(await readPart(zip, 'meta.xml'), 'office:meta');
+  const property = name => textContent(findElement(meta, name));
+
+  return createMetadata({
+    title: property('dc:title'),
+    author: property('meta:initial-creator') || property('dc:creator'),
+    subject: property('dc:subject'),
+    keywords: findElements(meta, 'meta:keyword')
+      .map(keyword => textContent(keyword).trim())
+      .filter(Boolean)
+      .join(', '),
+    application: property('meta:generator'),
+    created: property('meta:creation-date'),
+    modified: property('dc:date'),
+  });
+}
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number} - Number of words (runs of letters or digits)
+ */
+function countWords(text) {
+  const words = (text || '').match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu);
+  return words ? words.length : 0;
+}
+
+module.exports = {
+  createMetadata,
+  pdfMetadata,
+  readOoxmlMetadata,
+  readOdfMetadata,
+  countWords,
+};
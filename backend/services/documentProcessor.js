@@ -1,90 +1,275 @@
 const fs = require('fs');
 const path = require('path');
 const pdfParse = require('pdf-parse');
-const { Document } = require('docx');
+const { readDocx } = require('./docxExtractor');
+const { readOdt, readOdp, readOds } = require('./odfExtractor');
+const { readPptx } = require('./pptxExtractor');
+const { readRtf } = require('./rtfExtractor');
+const { readXlsx } = require('./xlsxExtractor');
+const { readCsv } = require('./csvExtractor');
+const { readHtml, parseHtml } = require('./htmlExtractor');
+const { readMarkdown } = require('./markdownExtractor');
+const { readEpub } = require('./epubExtractor');
+const { readEml, readMsg } = require('./emailExtractor');
+const { profileSheet, profileBlocks } = require('./spreadsheetProfile');
+const {
+  blocksFromPlainText,
+  blocksFromDocument,
+  createDocumentResult,
+} = require('./documentStructure');
+const { ocrPdfPages } = require('./pdfOcr');
+const { layoutPage } = require('./pdfLayout');
+const { resolveFileType } = require('./fileTypeDetector');
+const { passwordError } = require('./odfEncryption');
+const { createMetadata, pdfMetadata, countWords } = require('./documentMetadata');
+const { decodeText, normalizeControlCharacters } = require('../utils/encoding');
+const { detectLanguage } = require('./languageDetector');
+
+// Errors that reach the client as they are instead of as extraction failures
+const PASSWORD_ERRORS = ['password_required', 'password_incorrect'];
+
+// PDF pages with less extracted text than this are treated as scanned images
+const OCR_MIN_CHARS_PER_PAGE = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE) || 50;
+// Upper bound on pages sent to the vision model for a single document
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+// Spreadsheets count one page per sheet, or per this many rows for longer sheets
+const SPREADSHEET_ROWS_PER_PAGE = parseInt(process.env.SPREADSHEET_ROWS_PER_PAGE) || 100;
+// Messages attached to messages are extracted down to this depth
+const MAX_ATTACHMENT_DEPTH = 2;
+
+// File extensions processDocument can extract text from
+const SUPPORTED_EXTENSIONS = ['.pdf', '.txt', '.docx', '.rtf', '.odt', '.pptx', '.odp', '.xlsx', '.ods', '.csv', '.epub', '.html', '.htm', '.md', '.eml', '.msg'];
 
 /**
  * Process document and extract text based on file type
+ *
+ * The file type is detected from the file contents; files whose contents do
+ * not match their extension are rejected with a 'file_type_mismatch' error
+ * before any extractor runs. Encrypted PDF and OpenDocument files are read
+ * with options.password; without it, or with a wrong one, they fail with a
+ * 'password_required' or 'password_incorrect' error.
+ *
+ * Besides the flat text, every extractor returns a normalized structure with
+ * pages, sections, paragraphs and tables as character offsets into `text`
+ * (see services/documentStructure.js), along with the document properties
+ * (title, author, dates; see services/documentMetadata.js) and a word count.
+ *
  * @param {string} filePath - Path to the uploaded file
  * @param {string} originalName - Original filename
- * @returns {Promise<{text: string, pageCount: number}>} - Extracted text content and page count
+ * @param {Object} options - Additional options
+ * @param {boolean} options.ocr - OCR scanned PDF pages through the vision model
+ * @param {string} options.plan - Subscription plan, used to pick the vision model settings
+ * @param {Function} options.onProgress - Called with {stage, completed, total} while pages are OCR'd
+ * @param {Function} options.onUsage - Called with every vision model call while pages are OCR'd (see services/usageMeter.js)
+ * @param {number} options.maxPages - Reject documents with more pages than this
+ * @param {string} options.password - Password of an encrypted PDF or OpenDocument file (never logged)
+ * @returns {Promise<{text: string, pageCount: number, wordCount: number, language: string, structure: Object, sourceType: string, metadata: Object}>} - Extracted text content, page and word count, detected language (null if unknown), document structure, source type and metadata ('document', 'presentation', 'spreadsheet', 'book' or 'email'; PDFs and emails also report `ocrPages` and the `ocrFailedPages` OCR could not read, emails the header `names`)
  */
-async function processDocument(filePath, originalName) {
-  const fileExtension = path.extname(originalName).toLowerCase();
+async function processDocument(filePath, originalName, options = {}) {
+  const fileExtension = resolveFileType(filePath, originalName);
   
   try {
+    let result;
     switch (fileExtension) {
       case '.pdf':
-        return await extractTextFromPDF(filePath);
+        result = await extractTextFromPDF(filePath, options);
+        break;
       case '.docx':
-        return await extractTextFromDOCX(filePath);
+        result = await extractTextFromDOCX(filePath);
+        break;
       case '.txt':
-        return await extractTextFromTXT(filePath);
+        result = await extractTextFromTXT(filePath);
+        break;
       case '.rtf':
-        return await extractTextFromRTF(filePath);
+        result = await extractTextFromRTF(filePath);
+        break;
       case '.odt':
-        return await extractTextFromODT(filePath);
+        result = await extractTextFromODT(filePath, options.password);
+        break;
+      case '.pptx':
+        result = await extractTextFromPPTX(filePath);
+        break;
+      case '.odp':
+        result = await extractTextFromODP(filePath, options.password);
+        break;
+      case '.xlsx':
+        result = await extractTextFromXLSX(filePath);
+        break;
+      case '.ods':
+        result = await extractTextFromODS(filePath, options.password);
+        break;
+      case '.csv':
+        result = await extractTextFromCSV(filePath, originalName);
+        break;
+      case '.epub':
+        result = await extractTextFromEPUB(filePath);
+        break;
+      case '.html':
+      case '.htm':
+        result = await extractTextFromHTML(filePath);
+        break;
+      case '.md':
+        result = await extractTextFromMarkdown(filePath);
+        break;
+      case '.eml':
+      case '.msg':
+        result = await extractTextFromEmail(filePath, fileExtension, options);
+        break;
       default:
         throw new Error(`Unsupported file type: ${fileExtension}`);
     }
+    checkPageLimit(result.pageCount, options.maxPages);
+    return {
+      sourceType: 'document',
+      metadata: {},
+      wordCount: countWords(result.text),
+      language: detectLanguage(result.text),
+      ...result
+    };
   } catch (error) {
+    if (PASSWORD_ERRORS.includes(error.code)) {
+      throw error;
+    }
     console.error(`Error processing ${fileExtension} file:`, error);
     throw new Error(`Failed to extract text from ${fileExtension} file: ${error.message}`);
   }
 }
 
+/**
+ * Throw when a document has more pages than allowed
+ * @param {number} pageCount - Pages of the document
+ * @param {number} maxPages - Page limit, none when not set
+ */
+function checkPageLimit(pageCount, maxPages) {
+  if (maxPages && pageCount > maxPages) {
+    throw new Error(`Document has ${pageCount} pages (limit: ${maxPages})`);
+  }
+}
+
 /**
  * Extract text from PDF file
+ *
+ * Pages with (almost) no text layer are scanned images. When OCR is enabled
+ * they are rendered and read by the vision model instead.
+ *
+ * Encrypted PDFs are opened with options.password.
+ *
  * @param {string} filePath - Path to PDF file
- * @returns {Promise<{text: string, pageCount: number}>} - Extracted text and page count
+ * @param {Object} options - OCR, page limit and password options (see processDocument)
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, ocrPages: Array<number>, ocrFailedPages: Array<number>, metadata: Object}>} - Extracted text, page count, structure, the pages that were OCR'd, the scanned pages OCR failed on and the info dictionary
  */
-async function extractTextFromPDF(filePath) {
+async function extractTextFromPDF(filePath, options = {}) {
   try {
     const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    return {
-      text: data.text,
-      pageCount: data.numpages
-    };
+    const pages = [];
+    const pageBlocks = [];
+    // pdf.js reads the underlying ArrayBuffer, so hand it an unshared copy
+    const data = await pdfParse({ data: new Uint8Array(dataBuffer), password: options.password }, {
+      // Stop reading text at the page limit, numpages still counts every page
+      max: options.maxPages || 0,
+      // Same line joining as the pdf-parse default, but keep each page apart
+      // and read tables from the positions of the text
+      pagerender: async pageData => {
+        const textContent = await pageData.getTextContent({
+          normalizeWhitespace: false,
+          disableCombineTextItems: false
+        });
+        const { text, blocks } = layoutPage(textContent.items);
+        pages[pageData.pageIndex] = text;
+        pageBlocks[pageData.pageIndex] = blocks;
+        return text;
+      }
+    });
+
+    checkPageLimit(data.numpages, options.maxPages);
+
+    const scannedPages = [];
+    for (let i = 0; i < data.numpages; i++) {
+      if ((pages[i] || '').replace(/\s/g, '').length < OCR_MIN_CHARS_PER_PAGE) {
+        scannedPages.push(i + 1);
+      }
+    }
+
+    const ocrPages = [];
+    let ocrFailedPages = [];
+    if (options.ocr && scannedPages.length > 0) {
+      if (scannedPages.length > OCR_MAX_PAGES) {
+        console.warn(`PDF has ${scannedPages.length} scanned pages, only the first ${OCR_MAX_PAGES} are OCR'd`);
+      }
+      const { texts, failedPages } = await ocrPdfPages(filePath, scannedPages.slice(0, OCR_MAX_PAGES), {
+        plan: options.plan,
+        password: options.password,
+        onProgress: options.onProgress,
+        onUsage: options.onUsage
+      });
+      ocrFailedPages = failedPages;
+      for (const [pageNumber, text] of texts) {
+        // Keep the text layer if it was already longer than what OCR found
+        if (text.length > (pages[pageNumber - 1] || '').trim().length) {
+          pages[pageNumber - 1] = text;
+          pageBlocks[pageNumber - 1] = blocksFromPlainText(text);
+          ocrPages.push(pageNumber);
+        }
+      }
+    }
+
+    const blocks = [];
+    for (let i = 0; i < data.numpages; i++) {
+      blocks.push(...(pageBlocks[i] || []), { type: 'pageBreak' });
+    }
+
+    const result = createDocumentResult(blocks, { pageCount: data.numpages, keepEmptyPages: true });
+    for (const page of result.structure.pages) {
+      if (ocrPages.includes(page.number)) {
+        page.ocr = true;
+      }
+    }
+
+    return { ...result, ocrPages, ocrFailedPages, metadata: pdfMetadata(data.info) };
   } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw passwordError(options.password ? 'password_incorrect' : 'password_required');
+    }
     throw new Error(`PDF processing error: ${error.message}`);
   }
 }
 
+/**
+ * Turn footnotes and endnotes into a trailing "Notes" section
+ * @param {Array<{number: number, text: string}>} notes - Collected notes
+ * @returns {Array<Object>} - Blocks for the notes section
+ */
+function noteBlocks(notes) {
+  if (notes.length === 0) {
+    return [];
+  }
+  return [
+    { type: 'heading', level: 1, text: 'Notes' },
+    ...notes.map(note => ({ type: 'paragraph', text: `[${note.number}] ${note.text}` }))
+  ];
+}
+
 /**
  * Extract text from DOCX file
  * @param {string} filePath - Path to DOCX file
- * @returns {Promise<{text: string, pageCount: number}>} - Extracted text and estimated page count
+ * @returns {Promise<{text: string, pageCount: number, structure: Object}>} - Extracted text, page count and structure
  */
 async function extractTextFromDOCX(filePath) {
   try {
-    const dataBuffer = fs.readFileSync(filePath);
-    const doc = new Document({ sections: [] });
-    await doc.load(dataBuffer);
-    
-    let text = '';
-    let paragraphCount = 0;
-    
-    for (const section of doc.sections) {
-      for (const paragraph of section.children) {
-        paragraphCount++;
-        for (const run of paragraph.children) {
-          if (run.text) {
-            text += run.text + ' ';
-          }
-        }
-        text += '\n';
-      }
-    }
-    
-    // Estimate page count based on paragraphs and text length
-    // Rough estimate: ~15-20 paragraphs per page, or ~500 words per page
-    const wordCount = text.split(/\s+/).length;
-    const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
-    
+    const docx = await readDocx(filePath);
+
+    const blocks = docx.headers.map(text => ({ type: 'paragraph', text }));
+    blocks.push(...docx.blocks);
+    blocks.push(...noteBlocks(docx.notes));
+    blocks.push(...docx.footers.map(text => ({ type: 'paragraph', text })));
+
+    // Prefer the page count Word stored with the file, then explicit page breaks
     return {
-      text: text.trim(),
-      pageCount: estimatedPages
+      ...createDocumentResult(blocks, {
+        pageCount: docx.storedPageCount,
+        paginate: true
+      }),
+      metadata: docx.metadata
     };
   } catch (error) {
     throw new Error(`DOCX processing error: ${error.message}`);
@@ -93,18 +278,25 @@ async function extractTextFromDOCX(filePath) {
 
 /**
  * Extract text from TXT file
+ *
+ * The encoding is detected from the byte order mark or the content (see
+ * utils/encoding.js). Form feeds start a new page.
+ *
  * @param {string} filePath - Path to TXT file
- * @returns {Promise<{text: string, pageCount: number}>} - Extracted text and estimated page count
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, encoding: string}>} - Extracted text, estimated page count, structure and detected encoding
  */
 async function extractTextFromTXT(filePath) {
   try {
-    const text = fs.readFileSync(filePath, 'utf8');
-    const wordCount = text.split(/\s+/).length;
-    const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
-    
+    const { text, encoding } = decodeText(fs.readFileSync(filePath));
+    const pages = normalizeControlCharacters(text).split('\f');
+    const blocks = pages.flatMap((page, index) => [
+      ...(index > 0 ? [{ type: 'pageBreak' }] : []),
+      ...blocksFromPlainText(page)
+    ]);
+
     return {
-      text: text,
-      pageCount: estimatedPages
+      ...createDocumentResult(blocks, { paginate: true }),
+      encoding
     };
   } catch (error) {
     throw new Error(`TXT processing error: ${error.message}`);
@@ -114,28 +306,14 @@ async function extractTextFromTXT(filePath) {
 /**
  * Extract text from RTF file
  * @param {string} filePath - Path to RTF file
- * @returns {Promise<{text: string, pageCount: number}>} - Extracted text and estimated page count
+ * @returns {Promise<{text: string, pageCount: number, structure: Object}>} - Extracted text, estimated page count and structure
  */
 async function extractTextFromRTF(filePath) {
   try {
-    const rtfContent = fs.readFileSync(filePath, 'utf8');
-    // Simple RTF text extraction - remove RTF formatting tags
-    const text = rtfContent
-      .replace(/\\[a-z]+\d*\s?/g, '') // Remove RTF commands
-      .replace(/\{[^}]*\}/g, '') // Remove RTF groups
-      .replace(/\\'/g, "'") // Handle escaped apostrophes
-      .replace(/\\"/g, '"') // Handle escaped quotes
-      .replace(/\\n/g, '\n') // Handle newlines
-      .replace(/\\t/g, '\t') // Handle tabs
-      .trim();
-    
-    const wordCount = text.split(/\s+/).length;
-    const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
-    
-    return {
-      text: text,
-      pageCount: estimatedPages
-    };
+    const rtf = readRtf(fs.readFileSync(filePath));
+    const blocks = [...rtf.blocks, ...noteBlocks(rtf.notes)];
+
+    return createDocumentResult(blocks, { paginate: true });
   } catch (error) {
     throw new Error(`RTF processing error: ${error.message}`);
   }
@@ -144,61 +322,352 @@ async function extractTextFromRTF(filePath) {
 /**
  * Extract text from ODT file
  * @param {string} filePath - Path to ODT file
- * @returns {Promise<{text: string, pageCount: number}>} - Extracted text and estimated page count
+ * @param {string} password - Password of an encrypted file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object}>} - Extracted text, estimated page count and structure
  */
-async function extractTextFromODT(filePath) {
+async function extractTextFromODT(filePath, password) {
   try {
-    // ODT files are ZIP archives containing XML
-    // For now, we'll use a simple approach to extract text
-    // In a production environment, you might want to use a dedicated ODT parser
-    
-    const AdmZip = require('adm-zip');
-    const xml2js = require('xml2js');
-    
-    const zip = new AdmZip(filePath);
-    const contentXml = zip.getEntry('content.xml');
-    
-    if (!contentXml) {
-      throw new Error('Could not find content.xml in ODT file');
-    }
-    
-    const xmlContent = contentXml.getData().toString('utf8');
-    const parser = new xml2js.Parser();
-    const result = await parser.parseStringPromise(xmlContent);
-    
-    // Extract text from the XML structure
-    let text = '';
-    const extractTextFromNode = (node) => {
-      if (typeof node === 'string') {
-        text += node + ' ';
-      } else if (node && typeof node === 'object') {
-        for (const key in node) {
-          if (key === '_') {
-            text += node[key] + ' ';
-          } else if (Array.isArray(node[key])) {
-            node[key].forEach(extractTextFromNode);
-          } else if (typeof node[key] === 'object') {
-            extractTextFromNode(node[key]);
-          }
-        }
-      }
-    };
-    
-    extractTextFromNode(result);
-    const wordCount = text.split(/\s+/).length;
-    const estimatedPages = Math.max(1, Math.ceil(wordCount / 500));
-    
+    const odt = await readOdt(filePath, password);
+
+    const blocks = [...odt.blocks, ...noteBlocks(odt.notes)];
+
     return {
-      text: text.trim(),
-      pageCount: estimatedPages
+      ...createDocumentResult(blocks, {
+        pageCount: odt.storedPageCount,
+        paginate: true
+      }),
+      metadata: odt.metadata
     };
   } catch (error) {
+    if (PASSWORD_ERRORS.includes(error.code)) {
+      throw error;
+    }
     // Fallback to simple text extraction if ODT parsing fails
     console.warn('ODT parsing failed, attempting fallback:', error.message);
     return await extractTextFromTXT(filePath);
   }
 }
 
+/**
+ * Build the document for a slide deck, one page per slide
+ * @param {Array<Object>} slides - Slides with title, blocks and notes
+ * @param {Object} metadata - Document properties
+ * @returns {{text: string, pageCount: number, structure: Object, sourceType: string, metadata: Object}} - Document data
+ */
+function presentationResult(slides, metadata) {
+  const visibleSlides = slides.filter(slide => !slide.hidden);
+  const blocks = [];
+
+  visibleSlides.forEach((slide, index) => {
+    const heading = slide.title ? `Slide ${index + 1}: ${slide.title}` : `Slide ${index + 1}`;
+    blocks.push({ type: 'heading', level: 1, text: heading }, ...slide.blocks);
+    if (slide.notes.length > 0) {
+      blocks.push(
+        { type: 'heading', level: 2, text: 'Speaker notes' },
+        ...slide.notes.map(text => ({ type: 'paragraph', text }))
+      );
+    }
+    blocks.push({ type: 'pageBreak' });
+  });
+
+  return {
+    ...createDocumentResult(blocks, { pageCount: visibleSlides.length, keepEmptyPages: true }),
+    sourceType: 'presentation',
+    metadata
+  };
+}
+
+/**
+ * Extract slides from PPTX file
+ * @param {string} filePath - Path to PPTX file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string}>} - Extracted text, slide count and structure
+ */
+async function extractTextFromPPTX(filePath) {
+  try {
+    const { slides, metadata } = await readPptx(filePath);
+    return presentationResult(slides, metadata);
+  } catch (error) {
+    throw new Error(`PPTX processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract slides from ODP file
+ * @param {string} filePath - Path to ODP file
+ * @param {string} password - Password of an encrypted file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string}>} - Extracted text, slide count and structure
+ */
+async function extractTextFromODP(filePath, password) {
+  try {
+    const { slides, metadata } = await readOdp(filePath, password);
+    return presentationResult(slides, metadata);
+  } catch (error) {
+    if (PASSWORD_ERRORS.includes(error.code)) {
+      throw error;
+    }
+    throw new Error(`ODP processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Build the document for a workbook, one profile per sheet
+ *
+ * Sheets are described by their columns, statistics and sample rows rather
+ * than every cell (see services/spreadsheetProfile.js).
+ *
+ * The word count covers every cell, not just the profile.
+ *
+ * @param {Array<Object>} sheets - Sheets with name and rows
+ * @param {Object} metadata - Document properties
+ * @returns {{text: string, pageCount: number, wordCount: number, structure: Object, sourceType: string, metadata: Object}} - Document data
+ */
+function spreadsheetResult(sheets, metadata = {}) {
+  const profiles = sheets.map(profileSheet).filter(profile => profile.rowCount > 0 || sheets.length === 1);
+  const blocks = [];
+  let pageCount = 0;
+
+  for (const profile of profiles) {
+    blocks.push(...profileBlocks(profile), { type: 'pageBreak' });
+    pageCount += Math.max(1, Math.ceil(profile.rowCount / SPREADSHEET_ROWS_PER_PAGE));
+  }
+
+  let wordCount = 0;
+  for (const sheet of sheets) {
+    for (const row of sheet.rows) {
+      for (const value of row) {
+        if (value !== null && value !== undefined && !(value instanceof Date)) {
+          wordCount += countWords(String(value));
+        }
+      }
+    }
+  }
+
+  return {
+    ...createDocumentResult(blocks, { pageCount, keepEmptyPages: true }),
+    sourceType: 'spreadsheet',
+    wordCount,
+    metadata
+  };
+}
+
+/**
+ * Extract sheets from XLSX file
+ * @param {string} filePath - Path to XLSX file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string}>} - Sheet profiles, page count and structure
+ */
+async function extractTextFromXLSX(filePath) {
+  try {
+    const { sheets, metadata } = await readXlsx(filePath);
+    return spreadsheetResult(sheets, metadata);
+  } catch (error) {
+    throw new Error(`XLSX processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract sheets from ODS file
+ * @param {string} filePath - Path to ODS file
+ * @param {string} password - Password of an encrypted file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string}>} - Sheet profiles, page count and structure
+ */
+async function extractTextFromODS(filePath, password) {
+  try {
+    const { sheets, metadata } = await readOds(filePath, password);
+    return spreadsheetResult(sheets, metadata);
+  } catch (error) {
+    if (PASSWORD_ERRORS.includes(error.code)) {
+      throw error;
+    }
+    throw new Error(`ODS processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract rows from CSV file
+ * @param {string} filePath - Path to CSV file
+ * @param {string} originalName - Original filename, used as the sheet name
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string}>} - Sheet profile, page count and structure
+ */
+async function extractTextFromCSV(filePath, originalName) {
+  try {
+    const { sheets } = readCsv(fs.readFileSync(filePath), path.basename(originalName, path.extname(originalName)));
+    return spreadsheetResult(sheets);
+  } catch (error) {
+    throw new Error(`CSV processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract chapters from EPUB file
+ *
+ * Chapters follow the spine order and each starts with a level 1 heading, so
+ * long books are chunked and summarized chapter by chapter.
+ *
+ * @param {string} filePath - Path to EPUB file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string}>} - Extracted text, estimated page count and structure
+ */
+async function extractTextFromEPUB(filePath) {
+  try {
+    const { blocks, metadata } = await readEpub(filePath);
+    return {
+      ...createDocumentResult(blocks, { paginate: true }),
+      sourceType: 'book',
+      metadata
+    };
+  } catch (error) {
+    throw new Error(`EPUB processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from HTML file
+ * @param {string} filePath - Path to HTML file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object}>} - Extracted text, estimated page count and structure
+ */
+async function extractTextFromHTML(filePath) {
+  try {
+    const { title, blocks } = readHtml(fs.readFileSync(filePath));
+    // Pages without a top level heading are titled by their <title>
+    const hasTitle = blocks.some(block => block.type === 'heading' && block.level === 1);
+    const content = title && !hasTitle ? [{ type: 'heading', level: 1, text: title }, ...blocks] : blocks;
+    return {
+      ...createDocumentResult(content, { paginate: true }),
+      metadata: createMetadata({ title })
+    };
+  } catch (error) {
+    throw new Error(`HTML processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from Markdown file
+ * @param {string} filePath - Path to Markdown file
+ * @returns {Promise<{text: string, pageCount: number, structure: Object}>} - Extracted text, estimated page count and structure
+ */
+async function extractTextFromMarkdown(filePath) {
+  try {
+    const { blocks } = readMarkdown(fs.readFileSync(filePath, 'utf8'));
+    return createDocumentResult(blocks, { paginate: true });
+  } catch (error) {
+    throw new Error(`Markdown processing error: ${error.message}`);
+  }
+}
+
+/**
+ * Format mailboxes for a header line
+ * @param {Array<{name: string, address: string}>} mailboxes - Mailboxes
+ * @returns {string} - "Name <address>" list
+ */
+function formatMailboxes(mailboxes) {
+  return mailboxes
+    .map(mailbox => (mailbox.name && mailbox.address ? `${mailbox.name} <${mailbox.address}>` : mailbox.name || mailbox.address))
+    .join(', ');
+}
+
+/**
+ * Extract a message and its attachments from EML or MSG file
+ *
+ * The document starts with the headers and body of the message. Every
+ * attachment in a supported format is run through processDocument again and
+ * appended under its own "Attachment:" heading; other attachments are only
+ * listed.
+ *
+ * @param {string} filePath - Path to the message file
+ * @param {string} fileExtension - '.eml' or '.msg'
+ * @param {Object} options - Processing options (see processDocument), passed on to the attachments
+ * @returns {Promise<{text: string, pageCount: number, structure: Object, sourceType: string, ocrPages: Array<number>, ocrFailedPages: Array<number>, names: Array<string>}>} - Extracted text, page count, structure, OCR'd pages, pages OCR failed on and the people in the headers
+ */
+async function extractTextFromEmail(filePath, fileExtension, options = {}) {
+  const label = fileExtension === '.msg' ? 'MSG' : 'EML';
+  try {
+    const buffer = fs.readFileSync(filePath);
+    const message = fileExtension === '.msg' ? readMsg(buffer) : await readEml(buffer);
+    const depth = options.attachmentDepth || 0;
+
+    const blocks = [{ type: 'heading', level: 1, text: message.subject || '(no subject)' }];
+    const headers = [
+      ['From', formatMailboxes(message.from)],
+      ['To', formatMailboxes(message.to)],
+      ['Cc', formatMailboxes(message.cc)],
+      ['Date', message.date && !Number.isNaN(message.date.getTime()) ? message.date.toUTCString() : ''],
+      ['Attachments', message.attachments.map(attachment => attachment.filename).join(', ')]
+    ];
+    for (const [name, value] of headers) {
+      if (value) {
+        blocks.push({ type: 'paragraph', text: `${name}: ${value}` });
+      }
+    }
+
+    // Plain text bodies read better than HTML laid out with tables
+    if (message.text.trim()) {
+      blocks.push(...blocksFromPlainText(message.text));
+    } else if (message.html) {
+      blocks.push(...parseHtml(message.html).blocks);
+    }
+    let pageCount = createDocumentResult(blocks, { paginate: true }).pageCount;
+
+    const ocrPages = [];
+    const ocrFailedPages = [];
+    for (const [index, attachment] of message.attachments.entries()) {
+      const extension = path.extname(attachment.filename).toLowerCase();
+      const isMessage = extension === '.eml' || extension === '.msg';
+      if (!SUPPORTED_EXTENSIONS.includes(extension) || (isMessage && depth >= MAX_ATTACHMENT_DEPTH)) {
+        continue;
+      }
+
+      const attachmentPath = `${filePath}-attachment-${index + 1}${extension}`;
+      blocks.push({ type: 'pageBreak' }, { type: 'heading', level: 1, text: `Attachment: ${attachment.filename}` });
+      try {
+        fs.writeFileSync(attachmentPath, attachment.content);
+        // The password belongs to the message file, not to its attachments
+        const result = await processDocument(attachmentPath, attachment.filename, {
+          ...options,
+          password: undefined,
+          attachmentDepth: depth + 1
+        });
+        blocks.push(...blocksFromDocument(result, { headingShift: 1 }));
+        ocrPages.push(...(result.ocrPages || []).map(page => pageCount + page));
+        ocrFailedPages.push(...(result.ocrFailedPages || []).map(page => pageCount + page));
+        pageCount += result.pageCount;
+      } catch (error) {
+        console.warn(`Skipping attachment ${attachment.filename}:`, error.message);
+        blocks.push({
+          type: 'paragraph',
+          text: PASSWORD_ERRORS.includes(error.code) ? '(This attachment is password protected.)' : '(This attachment could not be read.)'
+        });
+      } finally {
+        if (fs.existsSync(attachmentPath)) {
+          fs.unlinkSync(attachmentPath);
+        }
+      }
+    }
+
+    const names = [];
+    for (const mailbox of [...message.from, ...message.to, ...message.cc]) {
+      const name = mailbox.name || mailbox.address;
+      if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+        names.push(name);
+      }
+    }
+
+    return {
+      ...createDocumentResult(blocks, { pageCount }),
+      sourceType: 'email',
+      ocrPages,
+      ocrFailedPages,
+      names,
+      metadata: createMetadata({
+        title: message.subject,
+        author: formatMailboxes(message.from),
+        created: message.date
+      })
+    };
+  } catch (error) {
+    throw new Error(`${label} processing error: ${error.message}`);
+  }
+}
+
 module.exports = {
-  processDocument
+  processDocument,
+  SUPPORTED_EXTENSIONS
 }; 
\ No newline at end of file
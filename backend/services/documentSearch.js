@@ -0,0 +1,366 @@
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const {
+  createEmbeddings,
+  getTaskSettings,
+  isEmbeddingConfigured,
+} = require('./llmProvider');
+const { queryTerms, countTerms, rankCounts } = require('./documentChat');
+const {
+  getUserIndex,
+  invalidateUserIndex,
+  searchIndex,
+} = require('./vectorIndex');
+const { recordUsage } = require('./usageMeter');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Search across a user's documents.
+ *
+ * When the LLM provider has an embedding model, the summary and the stored
+ * text chunks (see services/documentChat.js) of every saved document are
+ * embedded, and queries are answered from the user's vector index
+ * (services/vectorIndex.js). Without an embedding model, when the user has no
+ * embedded documents yet, or when the query cannot be embedded, the same
+ * texts are ranked by the words of the query (BM25). Documents that are not
+ * embedded (saved before the embedding model was configured, or whose
+ * embedding failed) are ranked by keyword within semantic searches too. Either
+ * way a document scores as its best matching summary or passage, and the best
+ * passages are returned with it. Semantic matches below SEARCH_MIN_SCORE
+ * (cosine similarity) are dropped, so a query about nothing in the documents
+ * finds nothing. Keyword search reads the chunks as a stream and keeps only
+ * their counts of the query terms; the text is loaded again for the best
+ * matches only.
+ */
+
+const DEFAULT_RESULTS = 10;
+const MAX_RESULTS = 50;
+const MAX_QUERY_LENGTH = 500;
+const PASSAGES_PER_DOCUMENT = 3;
+const EXCERPT_LENGTH = 300;
+// Lowest cosine similarity of a semantic match; depends on the embedding model
+const SEARCH_MIN_SCORE = parseFloat(process.env.SEARCH_MIN_SCORE) || 0.25;
+// Matches of each kind kept for grouping into documents
+const MAX_CANDIDATES = 500;
+
+/**
+ * Get the text of a summary that is embedded and searched
+ * @param {Object} summary - Stored summary
+ * @returns {string} - Executive summary and key points
+ */
+function summaryText(summary) {
+  return [summary.executiveSummary, ...(summary.keyPoints || [])].join('\n');
+}
+
+/**
+ * Shorten a text for display in the results
+ * @param {string} text - Text
+ * @returns {string} - Start of the text
+ */
+function excerpt(text) {
+  const trimmed = text.trim().replace(/\s+/g, ' ');
+  return trimmed.length > EXCERPT_LENGTH
+    ? `${trimmed.substring(0, EXCERPT_LENGTH)}…`
+    : trimmed;
+}
+
+/**
+ * Compute and store the embeddings of a saved document's summary and chunks.
+ * Does nothing when embeddings are not configured; failures are logged, the
+ * document can still be found by keyword
+ * @param {Object} document - Saved Document
+ * @returns {Promise<boolean>} - True if the document was embedded
+ */
+async function indexDocument(document) {
+  if (!isEmbeddingConfigured()) {
+    return false;
+  }
+
+  try {
+    const chunks = await DocumentChunk.find({ documentId: document._id })
+      .select('_id text')
+      .sort({ index: 1 });
+    const { embeddings, model, usage } = await createEmbeddings([
+      summaryText(document.summary),
+      ...chunks.map(chunk => chunk.text),
+    ]);
+    await recordUsage(document.userId, { task: 'embedding', model, usage });
+
+    if (chunks.length > 0) {
+      await DocumentChunk.bulkWrite(
+        chunks.map((chunk, index) => ({
+          updateOne: {
+            filter: { _id: chunk._id },
+            update: { embedding: embeddings[index + 1] },
+          },
+        }))
+      );
+    }
+    // The model is set last: only completely embedded documents are searched
+    await Document.updateOne(
+      { _id: document._id },
+      { summaryEmbedding: embeddings[0], embeddingModel: model }
+    );
+    invalidateUserIndex(document.userId);
+    return true;
+  } catch (error) {
+    console.warn(
+      `Could not compute embeddings for document ${document._id}: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Load the embedded summaries and chunks of a user's documents
+ * @param {Object} userId - User
+ * @param {string} model - Embedding model in use
+ * @returns {Promise<Array<Object>>} - Index entries with their embedding
+ */
+async function loadUserEntries(userId, model) {
+  const documents = await Document.find({ userId, embeddingModel: model })
+    .select('summaryEmbedding')
+    .lean();
+  const chunks = await DocumentChunk.find({
+    documentId: { $in: documents.map(document => document._id) },
+  })
+    .select('embedding documentId index text start end pageStart pageEnd')
+    .lean();
+
+  return [
+    ...documents.map(document => ({
+      documentId: String(document._id),
+      chunk: null,
+      embedding: document.summaryEmbedding,
+    })),
+    ...chunks
+      .filter(chunk => chunk.embedding && chunk.embedding.length > 0)
+      .map(chunk => ({
+        documentId: String(chunk.documentId),
+        chunk: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        excerpt: excerpt(chunk.text),
+        embedding: chunk.embedding,
+      })),
+  ];
+}
+
+/**
+ * Rank a user's summaries and chunks by embedding similarity to the query,
+ * and those of documents without embeddings by its words
+ * @param {Object} userId - User
+ * @param {string} query - Query
+ * @returns {Promise<Array<{entry: Object, score: number}>|null>} - Matches, best first; null if the user has no embedded documents
+ */
+async function semanticMatches(userId, query) {
+  const { model } = getTaskSettings('embedding');
+  const entries = await getUserIndex(userId, () =>
+    loadUserEntries(userId, model)
+  );
+  if (entries.length === 0) {
+    return null;
+  }
+  const { embeddings, usage } = await createEmbeddings([query]);
+  await recordUsage(userId, { task: 'embedding', model, usage });
+  const matches = searchIndex(entries, embeddings[0], MAX_CANDIDATES).filter(
+    match => match.score >= SEARCH_MIN_SCORE
+  );
+
+  const unembedded = await keywordMatches(userId, query, {
+    embeddingModel: { $ne: model },
+  });
+  return mergeMatches(matches, unembedded);
+}
+
+/**
+ * Add keyword matches to semantic matches. BM25 scores are not comparable to
+ * cosine similarities, so they are scaled to make the best keyword match
+ * score as the best semantic match.
+ * @param {Array<{entry: Object, score: number}>} semantic - Semantic matches, best first
+ * @param {Array<{entry: Object, score: number}>} keyword - Keyword matches of other documents, best first
+ * @returns {Array<{entry: Object, score: number}>} - All matches, best first
+ */
+function mergeMatches(semantic, keyword) {
+  if (keyword.length === 0) {
+    return semantic;
+  }
+  const best = semantic.length > 0 ? Math.max(semantic[0].score, 0) : 1;
+  const scale = best / keyword[0].score;
+  return [
+    ...semantic,
+    ...keyword.map(({ entry, score }) => ({ entry, score: score * scale })),
+  ].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Rank a user's summaries and chunks by the words of the query
+ * @param {Object} userId - User
+ * @param {string} query - Query
+ * @param {Object} filter - Conditions on the documents searched (all of the user's by default)
+ * @returns {Promise<Array<{entry: Object, score: number}>>} - Best MAX_CANDIDATES matches, best first
+ */
+async function keywordMatches(userId, query, filter = null) {
+  const documents = await Document.find({ userId, ...filter })
+    .select('summary.executiveSummary summary.keyPoints')
+    .lean();
+  if (documents.length === 0) {
+    return [];
+  }
+  const weights = queryTerms([{ text: query, weight: 1 }]);
+
+  const entries = documents.map(document => ({
+    documentId: String(document._id),
+    chunk: null,
+    ...countTerms(summaryText(document.summary), weights),
+  }));
+  const chunks = DocumentChunk.find(
+    filter
+      ? { userId, documentId: { $in: documents.map(document => document._id) } }
+      : { userId }
+  )
+    .select('documentId index text start end pageStart pageEnd')
+    .lean()
+    .cursor();
+  for await (const chunk of chunks) {
+    entries.push({
+      id: chunk._id,
+      documentId: String(chunk.documentId),
+      chunk: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      ...countTerms(chunk.text, weights),
+    });
+  }
+
+  const matches = rankCounts(entries, weights)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ item: entry, score }) => ({ entry, score }));
+
+  const passages = matches.filter(({ entry }) => entry.chunk !== null);
+  const texts = await DocumentChunk.find({
+    _id: { $in: passages.map(({ entry }) => entry.id) },
+  })
+    .select('text')
+    .lean();
+  const textById = new Map(texts.map(chunk => [String(chunk._id), chunk.text]));
+  for (const { entry } of passages) {
+    entry.text = textById.get(String(entry.id)) || '';
+  }
+  return matches;
+}
+
+/**
+ * Group matches by document
+ * @param {Array<{entry: Object, score: number}>} matches - Matches, best first
+ * @param {number} limit - Maximum number of documents
+ * @returns {Array<Object>} - Documents with their score and best passages, best first
+ */
+function groupMatches(matches, limit) {
+  const groups = new Map();
+  for (const { entry, score } of matches) {
+    let group = groups.get(entry.documentId);
+    if (!group) {
+      if (groups.size >= limit) {
+        continue;
+      }
+      group = { documentId: entry.documentId, score, passages: [] };
+      groups.set(entry.documentId, group);
+    }
+    if (entry.chunk !== null && group.passages.length < PASSAGES_PER_DOCUMENT) {
+      group.passages.push({
+        chunk: entry.chunk,
+        pageStart: entry.pageStart,
+        pageEnd: entry.pageEnd,
+        start: entry.start,
+        end: entry.end,
+        excerpt: entry.excerpt || excerpt(entry.text),
+        score: Number(score.toFixed(4)),
+      });
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Search a user's documents
+ * @param {Object} userId - User; only their documents are searched
+ * @param {string} query - Natural language query
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of documents (default 10, at most 50)
+ * @returns {Promise<{mode: string, results: Array<Object>}>} - 'semantic' or 'keyword', and the matching documents, best first
+ */
+async function searchDocuments(userId, query, { limit } = {}) {
+  const text = typeof query === 'string' ? query.trim() : '';
+  if (!text) {
+    throw httpError(400, 'query_required', 'A search query is required');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw httpError(
+      400,
+      'query_too_long',
+      `Search queries are limited to ${MAX_QUERY_LENGTH} characters`
+    );
+  }
+  const maxResults = Math.min(
+    MAX_RESULTS,
+    Math.max(1, parseInt(limit) || DEFAULT_RESULTS)
+  );
+
+  let mode = 'keyword';
+  let matches = null;
+  if (isEmbeddingConfigured()) {
+    try {
+      matches = await semanticMatches(userId, text);
+      mode = matches ? 'semantic' : mode;
+    } catch (error) {
+      console.warn(
+        `Semantic search failed, searching by keyword: ${error.message}`
+      );
+    }
+  }
+  if (!matches) {
+    matches = await keywordMatches(userId, text);
+  }
+
+  const groups = groupMatches(matches, maxResults);
+  const documents = await Document.find({
+    _id: { $in: groups.map(group => group.documentId) },
+    userId,
+  }).select(
+    'originalFilename fileType pageCount metadata summary.executiveSummary collectionId createdAt'
+  );
+  const byId = new Map(
+    documents.map(document => [String(document._id), document])
+  );
+
+  return {
+    mode,
+    results: groups
+      .filter(group => byId.has(group.documentId))
+      .map(group => {
+        const document = byId.get(group.documentId);
+        return {
+          documentId: document._id,
+          title: document.title,
+          originalFilename: document.originalFilename,
+          fileType: document.fileType,
+          pageCount: document.pageCount,
+          collectionId: document.collectionId,
+          createdAt: document.createdAt,
+          executiveSummary: document.summary.executiveSummary,
+          score: Number(group.score.toFixed(4)),
+          passages: group.passages,
+        };
+      }),
+  };
+}
+
+module.exports = {
+  indexDocument,
+  searchDocuments,
+};
@@ -0,0 +1,377 @@
+/**
+ * Normalized document structure shared by all extractors.
+ *
+ * Extractors describe a document as an ordered list of blocks:
+ *   { type: 'heading', level, text }
+ *   { type: 'paragraph', text }
+ *   { type: 'listItem', level, label, text }
+ *   { type: 'table', rows: [[cell, ...], ...] }
+ *   { type: 'pageBreak' }
+ *
+ * buildDocument renders the blocks into the flat `text` used for
+ * summarization and records where every page, section, paragraph and table
+ * lives in that text as character offsets [start, end).
+ */
+
+const WORDS_PER_PAGE = 500;
+
+// Lines that usually open a new section in contracts, reports and papers
+const HEADING_PATTERNS = [
+  {
+    pattern:
+      /^(article|section|chapter|part|schedule|annex|appendix|exhibit)\s+[\w.-]+/i,
+    level: () => 1,
+  },
+  {
+    pattern: /^(\d+(?:\.\d+)*)\.?\s+[A-Z][^.!?]{0,80}$/,
+    level: match => Math.min(match[1].split('.').length, 6),
+  },
+  { pattern: /^[A-Z][A-Z0-9 ,'&/()-]{3,80}$/, level: () => 1 },
+];
+
+/**
+ * Guess the heading level of a line of plain text
+ * @param {string} line - Single line of text
+ * @returns {number|null} - Heading level or null if the line is not a heading
+ */
+function detectHeadingLevel(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 100) {
+    return null;
+  }
+  for (const { pattern, level } of HEADING_PATTERNS) {
+    const match = trimmed.match(pattern);
+    if (match) {
+      return level(match);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn plain text into blocks, splitting paragraphs on blank lines and
+ * recognizing heading-like lines
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} - Blocks
+ */
+function blocksFromPlainText(text) {
+  const blocks = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const lines = paragraph.split('\n');
+    let buffer = [];
+    const flush = () => {
+      const joined = buffer.join('\n').trim();
+      if (joined) {
+        blocks.push({ type: 'paragraph', text: joined });
+      }
+      buffer = [];
+    };
+
+    for (const line of lines) {
+      const level = detectHeadingLevel(line);
+      if (level) {
+        flush();
+        blocks.push({ type: 'heading', level, text: line.trim() });
+      } else {
+        buffer.push(line);
+      }
+    }
+    flush();
+  }
+  return blocks;
+}
+
+/**
+ * Render a table as a Markdown table under a caption, so the summarizer can
+ * tell rows and columns apart and refer to the table
+ * @param {Array<Array<string>>} rows - Table rows, the first one is taken as the header
+ * @param {string} caption - Caption line
+ * @returns {string} - Table text
+ */
+function renderTable(rows, caption) {
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const line = cells =>
+    `| ${cells
+      .map(cell =>
+        (cell || '').replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')
+      )
+      .join(' | ')} |`;
+  const padded = rows.map(row => [
+    ...row,
+    ...Array(columnCount - row.length).fill(''),
+  ]);
+
+  return [
+    caption,
+    line(padded[0]),
+    line(Array(columnCount).fill('---')),
+    ...padded.slice(1).map(line),
+  ].join('\n');
+}
+
+/**
+ * Count the whitespace-separated runs of a string, to estimate pages; the
+ * word count stored with a document is countWords in
+ * services/documentMetadata.js
+ * @param {string} text - Text
+ * @returns {number} - Number of runs
+ */
+function countWhitespaceWords(text) {
+  const words = text.match(/\S+/g);
+  return words ? words.length : 0;
+}
+
+/**
+ * Render blocks into text and build the structure with character offsets
+ * @param {Array<Object>} blocks - Blocks in document order
+ * @param {Object} options - Build options
+ * @param {boolean} options.paginate - Start a new page every WORDS_PER_PAGE words when the source has no page breaks
+ * @param {boolean} options.keepEmptyPages - Start a page on every page break, even if the current page has no text
+ * @returns {{text: string, structure: Object}} - Flat text and structure tree
+ */
+function buildDocument(
+  blocks,
+  { paginate = false, keepEmptyPages = false } = {}
+) {
+  const hasPageBreaks = blocks.some(block => block.type === 'pageBreak');
+  const estimatePages = paginate && !hasPageBreaks;
+
+  let text = '';
+  const pages = [{ number: 1, start: 0, end: 0 }];
+  const paragraphs = [];
+  const tables = [];
+  const rootSections = [];
+  const openSections = [];
+  let wordsOnPage = 0;
+
+  const currentPage = () => pages[pages.length - 1];
+
+  const startPage = () => {
+    const page = currentPage();
+    page.end = text.length;
+    pages.push({
+      number: page.number + 1,
+      start: text.length,
+      end: text.length,
+    });
+    wordsOnPage = 0;
+  };
+
+  const append = (content, gap) => {
+    if (text) {
+      text += gap;
+    }
+    const start = text.length;
+    text += content;
+    return { start, end: text.length };
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'pageBreak') {
+      if (keepEmptyPages || text.length > currentPage().start) {
+        startPage();
+      }
+      continue;
+    }
+
+    if (estimatePages && wordsOnPage >= WORDS_PER_PAGE) {
+      startPage();
+    }
+
+    if (block.type === 'heading') {
+      const title = block.text.replace(/\s+/g, ' ').trim();
+      if (!title) {
+        continue;
+      }
+      const level = block.level || 1;
+      const span = append(title, '\n\n');
+      paragraphs.push({
+        type: 'heading',
+        level,
+        ...span,
+        page: currentPage().number,
+      });
+
+      while (
+        openSections.length > 0 &&
+        openSections[openSections.length - 1].level >= level
+      ) {
+        openSections.pop().end = span.start;
+      }
+      const section = {
+        title,
+        level,
+        start: span.start,
+        end: span.end,
+        page: currentPage().number,
+        children: [],
+      };
+      if (openSections.length > 0) {
+        openSections[openSections.length - 1].children.push(section);
+      } else {
+        rootSections.push(section);
+      }
+      openSections.push(section);
+      wordsOnPage += countWhitespaceWords(title);
+      continue;
+    }
+
+    if (block.type === 'table') {
+      const rows = block.rows.filter(row => row.some(cell => cell.trim()));
+      if (rows.length === 0) {
+        continue;
+      }
+      const page = currentPage().number;
+      const caption = estimatePages
+        ? `Table ${tables.length + 1}:`
+        : `Table ${tables.length + 1} (page ${page}):`;
+      const rendered = renderTable(rows, caption);
+      const span = append(rendered, '\n\n');
+      tables.push({ ...span, page, rows });
+      wordsOnPage += countWhitespaceWords(rendered);
+      continue;
+    }
+
+    const content =
+      block.type === 'listItem'
+        ? `${'  '.repeat(block.level || 0)}${block.label ? block.label + ' ' : ''}${block.text.trim()}`
+        : block.text.replace(/[ \t]+$/gm, '').trim();
+    if (!content.trim()) {
+      continue;
+    }
+    const previous = paragraphs[paragraphs.length - 1];
+    const gap =
+      block.type === 'listItem' && previous && previous.type === 'listItem'
+        ? '\n'
+        : '\n\n';
+    const span = append(content, gap);
+    paragraphs.push({
+      type: block.type === 'listItem' ? 'listItem' : 'paragraph',
+      ...span,
+      page: currentPage().number,
+    });
+    wordsOnPage += countWhitespaceWords(content);
+  }
+
+  currentPage().end = text.length;
+  for (const section of openSections) {
+    section.end = text.length;
+  }
+
+  // Drop a trailing empty page left by a final page break
+  if (pages.length > 1 && currentPage().start === currentPage().end) {
+    pages.pop();
+  }
+
+  return {
+    text,
+    structure: {
+      pages,
+      pagesEstimated: estimatePages,
+      sections: rootSections,
+      paragraphs,
+      tables,
+    },
+  };
+}
+
+/**
+ * Build a structured document result as returned by processDocument
+ * @param {Array<Object>} blocks - Blocks in document order
+ * @param {Object} options - Build options
+ * @param {number} options.pageCount - Known page count (optional)
+ * @param {boolean} options.paginate - Estimate pages when the source has no page breaks
+ * @param {boolean} options.keepEmptyPages - Keep pages without text so page numbers match the source (one page break per source page)
+ * @returns {{text: string, pageCount: number, structure: Object}} - Document data
+ */
+function createDocumentResult(
+  blocks,
+  { pageCount, paginate = false, keepEmptyPages = false } = {}
+) {
+  const { text, structure } = buildDocument(blocks, {
+    paginate,
+    keepEmptyPages,
+  });
+  return {
+    text,
+    pageCount: pageCount || Math.max(1, structure.pages.length),
+    structure,
+  };
+}
+
+/**
+ * Find the page that contains a character offset
+ * @param {Object} structure - Document structure
+ * @param {number} offset - Character offset in the document text
+ * @returns {number|null} - Page number
+ */
+function pageAtOffset(structure, offset) {
+  if (!structure || !structure.pages) {
+    return null;
+  }
+  // Offsets between two pages belong to the earlier one
+  let found = null;
+  for (const page of structure.pages) {
+    if (page.start > offset && found) {
+      break;
+    }
+    found = page;
+  }
+  return found ? found.number : null;
+}
+
+/**
+ * Turn a built document back into blocks, e.g. to embed an attachment in the
+ * document that contains it
+ * @param {{text: string, structure: Object}} document - Result of createDocumentResult
+ * @param {Object} options - Conversion options
+ * @param {number} options.headingShift - Levels added to every heading
+ * @returns {Array<Object>} - Blocks with page breaks where the source had real pages
+ */
+function blocksFromDocument({ text, structure }, { headingShift = 0 } = {}) {
+  const items = [
+    ...structure.paragraphs,
+    ...structure.tables.map(table => ({ ...table, type: 'table' })),
+  ].sort((a, b) => a.start - b.start);
+
+  const blocks = [];
+  let page = items.length > 0 ? items[0].page : 1;
+  for (const item of items) {
+    if (item.page !== page && !structure.pagesEstimated) {
+      blocks.push({ type: 'pageBreak' });
+    }
+    page = item.page;
+
+    const content = text.substring(item.start, item.end);
+    if (item.type === 'heading') {
+      blocks.push({
+        type: 'heading',
+        level: Math.min(6, item.level + headingShift),
+        text: content,
+      });
+    } else if (item.type === 'table') {
+      blocks.push({ type: 'table', rows: item.rows });
+    } else if (item.type === 'listItem') {
+      // The rendered item already carries its indentation and label
+      const indent = content.length - content.trimStart().length;
+      blocks.push({
+        type: 'listItem',
+        level: Math.floor(indent / 2),
+        label: '',
+        text: content.trim(),
+      });
+    } else {
+      blocks.push({ type: 'paragraph', text: content });
+    }
+  }
+  return blocks;
+}
+
+module.exports = {
+  detectHeadingLevel,
+  blocksFromPlainText,
+  blocksFromDocument,
+  createDocumentResult,
+  pageAtOffset,
+  countWhitespaceWords,
+};
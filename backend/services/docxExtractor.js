@@ -0,0 +1,547 @@
+const AdmZip = require('adm-zip');
+const {
+  childElements,
+  childElement,
+  findElements,
+  findElement,
+  textContent,
+} = require('../utils/xmlTree');
+const { toLetters, toRoman } = require('../utils/numberFormat');
+const { readPart, readRelationships } = require('../utils/officePackage');
+const { readOoxmlMetadata } = require('./documentMetadata');
+
+/**
+ * DOCX (Office Open XML) reader.
+ *
+ * Reads word/document.xml directly and turns it into an ordered list of
+ * blocks: headings with their level, paragraphs, numbered and bulleted list
+ * items, tables and page breaks. Footnotes, endnotes, headers and footers
+ * are read from their own parts.
+ */
+
+const RELATIONSHIP_TYPES = {
+  header:
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/header',
+  footer:
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer',
+};
+
+// Elements whose text is never part of the visible document
+const SKIPPED_ELEMENTS = new Set([
+  'w:pPr',
+  'w:rPr',
+  'w:delText',
+  'w:instrText',
+  'w:del',
+  'w:moveFrom',
+]);
+
+/**
+ * Get the value of a w:val attribute on a child element
+ * @param {Object} node - Parent element
+ * @param {string} name - Child element name
+ * @returns {string|undefined} - Attribute value
+ */
+function childValue(node, name) {
+  const child = childElement(node, name);
+  return child ? child.attrs['w:val'] : undefined;
+}
+
+/**
+ * Build a map of paragraph style IDs to heading levels
+ * @param {Object|null} stylesRoot - Root of word/styles.xml
+ * @returns {Map<string, number>} - Heading level by style ID
+ */
+function readHeadingStyles(stylesRoot) {
+  const styles = new Map();
+  for (const style of childElements(stylesRoot, 'w:style')) {
+    if (style.attrs['w:type'] !== 'paragraph') {
+      continue;
+    }
+    const name = (childValue(style, 'w:name') || '').toLowerCase();
+    const outline = childValue(childElement(style, 'w:pPr'), 'w:outlineLvl');
+    styles.set(style.attrs['w:styleId'], {
+      basedOn: childValue(style, 'w:basedOn'),
+      name,
+      outline: outline !== undefined ? parseInt(outline) : undefined,
+    });
+  }
+
+  const levels = new Map();
+  const resolve = (styleId, depth = 0) => {
+    const style = styles.get(styleId);
+    if (!style || depth > 10) {
+      return null;
+    }
+    const heading = style.name.match(/^heading\s*(\d)$/);
+    if (heading) {
+      return parseInt(heading[1]);
+    }
+    if (style.name === 'title') {
+      return 1;
+    }
+    if (style.outline !== undefined && style.outline < 9) {
+      return style.outline + 1;
+    }
+    return style.basedOn ? resolve(style.basedOn, depth + 1) : null;
+  };
+
+  for (const styleId of styles.keys()) {
+    const level = resolve(styleId);
+    if (level) {
+      levels.set(styleId, level);
+    }
+  }
+  return levels;
+}
+
+/**
+ * Read list definitions from word/numbering.xml
+ * @param {Object|null} numberingRoot - Root of word/numbering.xml
+ * @returns {Map<string, Object>} - Level definitions and start overrides by numId
+ */
+function readNumbering(numberingRoot) {
+  const abstracts = new Map();
+  for (const abstract of childElements(numberingRoot, 'w:abstractNum')) {
+    const levels = {};
+    for (const lvl of childElements(abstract, 'w:lvl')) {
+      levels[lvl.attrs['w:ilvl']] = {
+        format: childValue(lvl, 'w:numFmt') || 'decimal',
+        text: childValue(lvl, 'w:lvlText') || '',
+        start: parseInt(childValue(lvl, 'w:start') || '1'),
+      };
+    }
+    abstracts.set(abstract.attrs['w:abstractNumId'], levels);
+  }
+
+  const numbering = new Map();
+  for (const num of childElements(numberingRoot, 'w:num')) {
+    const levels = {
+      ...(abstracts.get(childValue(num, 'w:abstractNumId')) || {}),
+    };
+    for (const override of childElements(num, 'w:lvlOverride')) {
+      const start = childValue(override, 'w:startOverride');
+      const ilvl = override.attrs['w:ilvl'];
+      if (start !== undefined && levels[ilvl]) {
+        levels[ilvl] = { ...levels[ilvl], start: parseInt(start) };
+      }
+    }
+    numbering.set(num.attrs['w:numId'], levels);
+  }
+  return numbering;
+}
+
+/**
+ * Format a list counter in the given numbering format
+ * @param {number} value - Counter value
+ * @param {string} format - OOXML numFmt value
+ * @returns {string} - Formatted counter
+ */
+function formatCounter(value, format) {
+  switch (format) {
+    case 'lowerLetter':
+      return toLetters(value);
+    case 'upperLetter':
+      return toLetters(value).toUpperCase();
+    case 'lowerRoman':
+      return toRoman(value);
+    case 'upperRoman':
+      return toRoman(value).toUpperCase();
+    case 'decimalZero':
+      return String(value).padStart(2, '0');
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Create the list counter state used while walking the document
+ * @param {Map<string, Object>} numbering - List definitions by numId
+ * @returns {Function} - Returns the label for a list item at (numId, level)
+ */
+function createListCounter(numbering) {
+  const counters = new Map();
+
+  return (numId, level) => {
+    const levels = numbering.get(numId);
+    if (!levels || numId === '0') {
+      return null;
+    }
+    const definition = levels[level] || {
+      format: 'decimal',
+      text: '',
+      start: 1,
+    };
+    if (definition.format === 'bullet' || definition.format === 'none') {
+      return definition.format === 'bullet' ? '•' : '';
+    }
+
+    const values = counters.get(numId) || [];
+    for (let i = 0; i <= level; i++) {
+      if (values[i] === undefined) {
+        values[i] = (levels[i] ? levels[i].start : 1) - (i === level ? 1 : 0);
+      }
+    }
+    values[level]++;
+    values.length = level + 1;
+    counters.set(numId, values);
+
+    const template = definition.text || `%${level + 1}.`;
+    return template.replace(/%(\d)/g, (match, index) => {
+      const i = parseInt(index) - 1;
+      const format = levels[i] ? levels[i].format : 'decimal';
+      return formatCounter(values[i] || 1, format);
+    });
+  };
+}
+
+/**
+ * Create a walker that turns WordprocessingML content into blocks
+ * @param {Object} context - Styles, numbering and note reference state
+ * @returns {Object} - Walker functions
+ */
+function createWalker(context) {
+  const { headingStyles, nextListLabel, noteRefs, useRenderedBreaks } = context;
+
+  /**
+   * Record a page break at the current position of the paragraph
+   * @param {Object} state - Collected text and page breaks
+   */
+  const addPageBreak = state => {
+    if (state.text.trim()) {
+      state.breaksAfter++;
+    } else {
+      state.breaksBefore++;
+    }
+  };
+
+  /**
+   * Collect the inline text of a paragraph
+   * @param {Object} node - Element node
+   * @param {Object} state - Collected text and page breaks
+   */
+  const collectInline = (node, state) => {
+    for (const child of node.children || []) {
+      if (child.text !== undefined || SKIPPED_ELEMENTS.has(child.name)) {
+        continue;
+      }
+      switch (child.name) {
+        case 'w:t':
+          state.text += textContent(child);
+          break;
+        case 'w:tab':
+        case 'w:ptab':
+          state.text += '\t';
+          break;
+        case 'w:br':
+          if (child.attrs['w:type'] === 'page') {
+            if (!useRenderedBreaks) {
+              addPageBreak(state);
+            }
+          } else {
+            state.text += '\n';
+          }
+          break;
+        case 'w:cr':
+          state.text += '\n';
+          break;
+        case 'w:noBreakHyphen':
+          state.text += '-';
+          break;
+        case 'w:lastRenderedPageBreak':
+          if (useRenderedBreaks) {
+            addPageBreak(state);
+          }
+          break;
+        case 'w:footnoteReference':
+        case 'w:endnoteReference': {
+          const kind =
+            child.name === 'w:footnoteReference' ? 'footnote' : 'endnote';
+          state.text += `[${noteRefs.add(kind, child.attrs['w:id'])}]`;
+          break;
+        }
+        default:
+          collectInline(child, state);
+      }
+    }
+  };
+
+  /**
+   * Convert a paragraph into blocks
+   * @param {Object} paragraph - w:p element
+   * @param {Array<Object>} blocks - Output blocks
+   */
+  const walkParagraph = (paragraph, blocks) => {
+    const pPr = childElement(paragraph, 'w:pPr');
+    const state = { text: '', breaksBefore: 0, breaksAfter: 0 };
+    if (pPr && childElement(pPr, 'w:pageBreakBefore') && !useRenderedBreaks) {
+      state.breaksBefore++;
+    }
+    collectInline(paragraph, state);
+
+    for (let i = 0; i < state.breaksBefore; i++) {
+      blocks.push({ type: 'pageBreak' });
+    }
+
+    const text = state.text.replace(/[ \t]+$/g, '');
+    if (text.trim()) {
+      const styleId = childValue(pPr, 'w:pStyle');
+      const outline = childValue(pPr, 'w:outlineLvl');
+      const numPr = childElement(pPr, 'w:numPr');
+      const headingLevel =
+        outline !== undefined && parseInt(outline) < 9
+          ? parseInt(outline) + 1
+          : headingStyles.get(styleId);
+
+      if (headingLevel) {
+        blocks.push({
+          type: 'heading',
+          level: headingLevel,
+          text: text.trim(),
+        });
+      } else if (numPr) {
+        const level = parseInt(childValue(numPr, 'w:ilvl') || '0');
+        const label = nextListLabel(childValue(numPr, 'w:numId'), level);
+        blocks.push(
+          label === null
+            ? { type: 'paragraph', text }
+            : { type: 'listItem', level, label, text: text.trim() }
+        );
+      } else {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+
+    for (let i = 0; i < state.breaksAfter; i++) {
+      blocks.push({ type: 'pageBreak' });
+    }
+
+    // A section break inside a paragraph starts a new page unless continuous
+    const sectPr = pPr && childElement(pPr, 'w:sectPr');
+    if (sectPr && !useRenderedBreaks) {
+      const type = childValue(sectPr, 'w:type') || 'nextPage';
+      if (type !== 'continuous') {
+        blocks.push({ type: 'pageBreak' });
+      }
+    }
+  };
+
+  /**
+   * Convert a table into a table block
+   * @param {Object} table - w:tbl element
+   * @param {Array<Object>} blocks - Output blocks
+   */
+  const walkTable = (table, blocks) => {
+    const rows = [];
+    for (const row of childElements(table, 'w:tr')) {
+      const cells = [];
+      for (const cell of childElements(row, 'w:tc')) {
+        const tcPr = childElement(cell, 'w:tcPr');
+        const cellBlocks = [];
+        walkBlocks(cell, cellBlocks);
+        const vMerge = tcPr && childElement(tcPr, 'w:vMerge');
+        const continued = vMerge && vMerge.attrs['w:val'] !== 'restart';
+        cells.push(continued ? '' : blocksToPlainText(cellBlocks));
+
+        const span = parseInt(childValue(tcPr, 'w:gridSpan') || '1');
+        for (let i = 1; i < span; i++) {
+          cells.push('');
+        }
+      }
+      if (cells.some(cell => cell.trim())) {
+        rows.push(cells);
+      }
+    }
+    if (rows.length > 0) {
+      blocks.push({ type: 'table', rows });
+    }
+  };
+
+  /**
+   * Convert block-level content (body, cell, note, header) into blocks
+   * @param {Object} container - Element containing block-level content
+   * @param {Array<Object>} blocks - Output blocks
+   */
+  const walkBlocks = (container, blocks) => {
+    for (const child of container.children || []) {
+      switch (child.name) {
+        case 'w:p':
+          walkParagraph(child, blocks);
+          break;
+        case 'w:tbl':
+          walkTable(child, blocks);
+          break;
+        case 'w:sdt':
+          walkBlocks(childElement(child, 'w:sdtContent') || child, blocks);
+          break;
+        case 'w:customXml':
+        case 'w:ins':
+        case 'w:moveTo':
+          walkBlocks(child, blocks);
+          break;
+        default:
+          break;
+      }
+    }
+  };
+
+  return { walkBlocks };
+}
+
+/**
+ * Render blocks as plain text without structure markers
+ * @param {Array<Object>} blocks - Blocks
+ * @returns {string} - Plain text
+ */
+function blocksToPlainText(blocks) {
+  return blocks
+    .filter(block => block.type !== 'pageBreak')
+    .map(block =>
+      block.type === 'table'
+        ? block.rows.map(row => row.join(' | ')).join('\n')
+        : block.type === 'listItem'
+          ? `${block.label} ${block.text}`.trim()
+          : block.text
+    )
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Read footnotes or endnotes in the order they are referenced
+ * @param {AdmZip} zip - Opened package
+ * @param {string} partName - word/footnotes.xml or word/endnotes.xml
+ * @param {string} elementName - w:footnote or w:endnote
+ * @param {Array<Object>} refs - References in document order
+ * @param {Function} walkBlocks - Block walker
+ * @returns {Promise<Array<Object>>} - Notes with their reference number
+ */
+async function readNotes(zip, partName, elementName, refs, walkBlocks) {
+  if (refs.length === 0) {
+    return [];
+  }
+  const root = await readPart(zip, partName);
+  const byId = new Map(
+    childElements(root, elementName).map(note => [note.attrs['w:id'], note])
+  );
+
+  return refs
+    .map(ref => {
+      const note = byId.get(ref.id);
+      if (!note) {
+        return null;
+      }
+      const blocks = [];
+      walkBlocks(note, blocks);
+      return { number: ref.number, text: blocksToPlainText(blocks) };
+    })
+    .filter(note => note && note.text);
+}
+
+/**
+ * Read the page count Word stored in docProps/app.xml
+ * @param {AdmZip} zip - Opened package
+ * @returns {Promise<number|null>} - Page count or null if not recorded
+ */
+async function readStoredPageCount(zip) {
+  const root = await readPart(zip, 'docProps/app.xml');
+  const pages = parseInt(textContent(findElement(root, 'Pages')));
+  return pages > 0 ? pages : null;
+}
+
+/**
+ * Extract structured content from a DOCX file
+ * @param {string} filePath - Path to DOCX file
+ * @returns {Promise<Object>} - Blocks, notes, headers, footers, page count and document properties
+ */
+async function readDocx(filePath) {
+  const zip = new AdmZip(filePath);
+  const documentRoot = await readPart(zip, 'word/document.xml');
+  if (!documentRoot) {
+    throw new Error('Could not find word/document.xml in DOCX file');
+  }
+  const body = childElement(documentRoot, 'w:body');
+  if (!body) {
+    throw new Error('DOCX file has no document body');
+  }
+
+  const noteRefs = {
+    footnote: [],
+    endnote: [],
+    count: 0,
+    add(kind, id) {
+      const existing = this[kind].find(ref => ref.id === id);
+      if (existing) {
+        return existing.number;
+      }
+      this.count++;
+      this[kind].push({ id, number: this.count });
+      return this.count;
+    },
+  };
+
+  const { walkBlocks } = createWalker({
+    headingStyles: readHeadingStyles(await readPart(zip, 'word/styles.xml')),
+    nextListLabel: createListCounter(
+      readNumbering(await readPart(zip, 'word/numbering.xml'))
+    ),
+    noteRefs,
+    useRenderedBreaks: findElements(body, 'w:lastRenderedPageBreak').length > 0,
+  });
+
+  const blocks = [];
+  walkBlocks(body, blocks);
+
+  const footnotes = await readNotes(
+    zip,
+    'word/footnotes.xml',
+    'w:footnote',
+    noteRefs.footnote,
+    walkBlocks
+  );
+  const endnotes = await readNotes(
+    zip,
+    'word/endnotes.xml',
+    'w:endnote',
+    noteRefs.endnote,
+    walkBlocks
+  );
+
+  // Headers and footers repeat on every page, so keep each distinct text once
+  const headers = [];
+  const footers = [];
+  for (const rel of await readRelationships(zip, 'word/document.xml')) {
+    const target =
+      rel.type === RELATIONSHIP_TYPES.header
+        ? headers
+        : rel.type === RELATIONSHIP_TYPES.footer
+          ? footers
+          : null;
+    if (!target) {
+      continue;
+    }
+    const root = await readPart(zip, rel.part);
+    if (!root) {
+      continue;
+    }
+    const partBlocks = [];
+    walkBlocks(root, partBlocks);
+    const text = blocksToPlainText(partBlocks);
+    if (text && !target.includes(text)) {
+      target.push(text);
+    }
+  }
+
+  return {
+    blocks,
+    notes: [...footnotes, ...endnotes].sort((a, b) => a.number - b.number),
+    headers,
+    footers,
+    storedPageCount: await readStoredPageCount(zip),
+    metadata: await readOoxmlMetadata(zip),
+  };
+}
+
+module.exports = {
+  readDocx,
+};
@@ -0,0 +1,128 @@
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+
+/**
+ * Email reader for MIME messages (.eml) and Outlook messages (.msg).
+ *
+ * Both formats are read into the same message shape:
+ *   { subject, from, to, cc: [{name, address}], date, text, html,
+ *     attachments: [{filename, content}] }
+ * `text` is only set when the message has a plain text body; `html` holds the
+ * HTML body. Inline images and hidden attachments are left out.
+ */
+
+/**
+ * Convert a mailparser address object into a list of mailboxes
+ * @param {Object|Array<Object>|undefined} field - Parsed address header
+ * @returns {Array<{name: string, address: string}>} - Mailboxes, groups flattened
+ */
+function mailboxes(field) {
+  const entries = [];
+  const visit = list => {
+    for (const entry of list || []) {
+      if (entry.group) {
+        visit(entry.group);
+      } else if (entry.name || entry.address) {
+        entries.push({ name: entry.name || '', address: entry.address || '' });
+      }
+    }
+  };
+  for (const header of [].concat(field || [])) {
+    visit(header.value);
+  }
+  return entries;
+}
+
+/**
+ * Read a MIME message
+ * @param {Buffer} buffer - Raw .eml file
+ * @returns {Promise<Object>} - Message (see module comment)
+ */
+async function readEml(buffer) {
+  // Keep the real plain text part apart from text generated out of the HTML
+  const mail = await simpleParser(buffer, { skipHtmlToText: true });
+
+  return {
+    subject: mail.subject || '',
+    from: mailboxes(mail.from),
+    to: mailboxes(mail.to),
+    cc: mailboxes(mail.cc),
+    date: mail.date || null,
+    text: mail.text || '',
+    html: typeof mail.html === 'string' ? mail.html : '',
+    attachments: (mail.attachments || [])
+      .filter(attachment => !attachment.related)
+      .map((attachment, index) => ({
+        filename:
+          attachment.filename ||
+          (attachment.contentType === 'message/rfc822'
+            ? `message-${index + 1}.eml`
+            : `attachment-${index + 1}`),
+        content: attachment.content,
+      })),
+  };
+}
+
+/**
+ * Read an Outlook message
+ * @param {Buffer} buffer - Raw .msg file
+ * @returns {Object} - Message (see module comment)
+ */
+function readMsg(buffer) {
+  const reader = new MsgReader(
+    buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+  );
+  const data = reader.getFileData();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+
+  const recipients = type =>
+    (data.recipients || [])
+      .filter(recipient => (recipient.recipType || 'to') === type)
+      .map(recipient => ({
+        name: recipient.name || '',
+        address: recipient.smtpAddress || recipient.email || '',
+      }));
+  const date = data.messageDeliveryTime || data.clientSubmitTime;
+  let html = data.bodyHtml || '';
+  if (!html && data.html) {
+    html = new TextDecoder('utf-8').decode(data.html);
+  }
+
+  return {
+    subject: data.subject || '',
+    from:
+      data.senderName || data.senderEmail
+        ? [
+            {
+              name: data.senderName || '',
+              address: data.senderSmtpAddress || data.senderEmail || '',
+            },
+          ]
+        : [],
+    to: recipients('to'),
+    cc: recipients('cc'),
+    date: date ? new Date(date) : null,
+    text: data.body || '',
+    html,
+    attachments: (data.attachments || [])
+      .filter(attachment => !attachment.attachmentHidden)
+      .map((attachment, index) => {
+        const file = reader.getAttachment(attachment);
+        return {
+          filename:
+            file.fileName ||
+            (attachment.innerMsgContent
+              ? `message-${index + 1}.msg`
+              : `attachment-${index + 1}`),
+          content: Buffer.from(file.content),
+        };
+      }),
+  };
+}
+
+module.exports = {
+  readEml,
+  readMsg,
+};
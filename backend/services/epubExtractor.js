@@ -0,0 +1,218 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const {
+  childElements,
+  childElement,
+  findElement,
+  findElements,
+  textContent,
+} = require('../utils/xmlTree');
+const { readPart } = require('../utils/officePackage');
+const { createMetadata } = require('./documentMetadata');
+const { parseHtml } = require('./htmlExtractor');
+
+/**
+ * EPUB reader.
+ *
+ * Follows the package spine so chapters come in reading order. Every chapter
+ * starts with a level 1 heading, titled from the table of contents (EPUB 3
+ * navigation document or EPUB 2 NCX) or the chapter's first heading, and the
+ * headings inside it are shifted below that level. Documents without a title
+ * of their own (continuations of a split chapter) are appended to the
+ * previous chapter.
+ */
+
+/**
+ * Resolve an href relative to a package file and drop its fragment
+ * @param {string} base - Part name the href appears in
+ * @param {string} href - Relative reference
+ * @returns {string} - Part name inside the package
+ */
+function resolveHref(base, href) {
+  const target = decodeURIComponent(href.split('#')[0]);
+  return path.posix.normalize(
+    path.posix.join(path.posix.dirname(base), target)
+  );
+}
+
+/**
+ * Read the table of contents as chapter titles by part name
+ * @param {AdmZip} zip - Opened package
+ * @param {Object} manifest - Manifest items by id
+ * @param {Object} spine - spine element
+ * @returns {Promise<Map<string, string>>} - First title that points into each part
+ */
+async function readTableOfContents(zip, manifest, spine) {
+  const titles = new Map();
+  const addTitle = (part, title) => {
+    const text = title.replace(/\s+/g, ' ').trim();
+    if (text && !titles.has(part)) {
+      titles.set(part, text);
+    }
+  };
+
+  const nav = Object.values(manifest).find(item =>
+    (item.properties || '').split(/\s+/).includes('nav')
+  );
+  const navEntry = nav && zip.getEntry(nav.part);
+  if (navEntry) {
+    const document = parseDocument(navEntry.getData().toString('utf8'), {
+      recognizeSelfClosing: true,
+    });
+    const navs = DomUtils.findAll(
+      element => element.name === 'nav',
+      document.children
+    );
+    const toc =
+      navs.find(element =>
+        (element.attribs['epub:type'] || '').split(/\s+/).includes('toc')
+      ) || navs[0];
+    for (const link of toc
+      ? DomUtils.findAll(element => element.name === 'a', [toc])
+      : []) {
+      if (link.attribs.href) {
+        addTitle(
+          resolveHref(nav.part, link.attribs.href),
+          DomUtils.textContent(link)
+        );
+      }
+    }
+    if (titles.size > 0) {
+      return titles;
+    }
+  }
+
+  const ncx = manifest[spine.attrs.toc];
+  const root = ncx ? await readPart(zip, ncx.part) : null;
+  for (const point of findElements(root, 'navPoint')) {
+    const content = childElement(point, 'content');
+    if (content && content.attrs.src) {
+      addTitle(
+        resolveHref(ncx.part, content.attrs.src),
+        textContent(findElement(childElement(point, 'navLabel'), 'text'))
+      );
+    }
+  }
+  return titles;
+}
+
+/**
+ * Build the blocks of one chapter
+ * @param {Array<Object>} blocks - Blocks of the chapter document
+ * @param {string} title - Title from the table of contents
+ * @returns {Array<Object>} - Blocks starting with a level 1 chapter heading when a title is known
+ */
+function chapterBlocks(blocks, title) {
+  // Covers and other image-only documents
+  if (blocks.length === 0) {
+    return [];
+  }
+  let content = blocks;
+  let chapterTitle = title;
+  const first = content[0];
+  if (first && first.type === 'heading') {
+    // The chapter document usually repeats its title as the first heading
+    if (
+      !chapterTitle ||
+      first.text.toLowerCase() === chapterTitle.toLowerCase()
+    ) {
+      chapterTitle = chapterTitle || first.text;
+      content = content.slice(1);
+    }
+  }
+  if (!chapterTitle) {
+    return content;
+  }
+
+  const levels = content
+    .filter(block => block.type === 'heading')
+    .map(block => block.level);
+  const shift = levels.length > 0 ? 2 - Math.min(...levels) : 0;
+  return [
+    { type: 'heading', level: 1, text: chapterTitle },
+    ...content.map(block =>
+      block.type === 'heading'
+        ? { ...block, level: Math.min(6, block.level + shift) }
+        : block
+    ),
+  ];
+}
+
+/**
+ * Extract chapters from an EPUB file
+ * @param {string} filePath - Path to EPUB file
+ * @returns {Promise<{title: string, blocks: Array<Object>, metadata: Object}>} - Book title, blocks in spine order and the book's metadata
+ */
+async function readEpub(filePath) {
+  const zip = new AdmZip(filePath);
+  const container = await readPart(zip, 'META-INF/container.xml');
+  const rootfile = findElement(container, 'rootfile');
+  if (!rootfile || !rootfile.attrs['full-path']) {
+    throw new Error('Could not find the package document in EPUB file');
+  }
+
+  const packagePart = rootfile.attrs['full-path'];
+  const opf = await readPart(zip, packagePart);
+  const spine = findElement(opf, 'spine');
+  if (!spine) {
+    throw new Error('EPUB package has no spine');
+  }
+
+  const manifest = {};
+  for (const item of findElements(findElement(opf, 'manifest'), 'item')) {
+    manifest[item.attrs.id] = {
+      part: resolveHref(packagePart, item.attrs.href || ''),
+      mediaType: item.attrs['media-type'],
+      properties: item.attrs.properties,
+    };
+  }
+  const tocTitles = await readTableOfContents(zip, manifest, spine);
+
+  const blocks = [];
+  for (const itemref of childElements(spine, 'itemref')) {
+    const item = manifest[itemref.attrs.idref];
+    // Non-linear items (pop-up notes, answer keys) are outside the reading order
+    if (
+      !item ||
+      itemref.attrs.linear === 'no' ||
+      !/html/.test(item.mediaType || '')
+    ) {
+      continue;
+    }
+    const entry = zip.getEntry(item.part);
+    if (!entry) {
+      continue;
+    }
+
+    const chapter = parseHtml(entry.getData().toString('utf8'), {
+      xhtml: true,
+    });
+    blocks.push(...chapterBlocks(chapter.blocks, tocTitles.get(item.part)));
+  }
+
+  const metadata = findElement(opf, 'metadata');
+  const property = name =>
+    findElements(metadata, name)
+      .map(element => textContent(element).trim())
+      .filter(Boolean)
+      .join(', ');
+  const modified = findElements(metadata, 'meta').find(
+    meta => meta.attrs.property === 'dcterms:modified'
+  );
+  return {
+    title: textContent(findElement(metadata, 'dc:title')).trim(),
+    blocks,
+    metadata: createMetadata({
+      title: textContent(findElement(metadata, 'dc:title')),
+      author: property('dc:creator'),
+      subject: property('dc:subject'),
+      created: textContent(findElement(metadata, 'dc:date')),
+      modified: textContent(modified),
+    }),
+  };
+}
+
+module.exports = {
+  readEpub,
+};
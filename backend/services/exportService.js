@@ -1,18 +1,110 @@
 const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
-const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, FootnoteReferenceRun } = require('docx');
 const { textToMP3, formatSummaryForSpeech } = require('./openaiTTSService');
+const { DEFAULT_LANGUAGE, getLanguage } = require('../config/languages');
+const { LIST_FIELDS } = require('./summarySchema');
 
 /**
- * Export summary to PDF format
+ * Describe the summarized document: its own title and author when known,
+ * and the file it came from
+ * @param {string} originalFilename - Original document filename
+ * @param {Object} metadata - Document properties (see services/documentMetadata.js)
+ * @param {Object} labels - Headings in the summary language (see config/languages.js)
+ * @returns {Array<string>} - Header lines
+ */
+function sourceLines(originalFilename, metadata = {}, labels = getLanguage(DEFAULT_LANGUAGE).labels) {
+  const lines = [];
+  if (metadata && typeof metadata.title === 'string' && metadata.title.trim()) {
+    lines.push(`${labels.title}: ${metadata.title.trim()}`);
+  }
+  lines.push(`${labels.originalDocument}: ${originalFilename}`);
+  if (metadata && typeof metadata.author === 'string' && metadata.author.trim()) {
+    lines.push(`${labels.author}: ${metadata.author.trim()}`);
+  }
+  return lines;
+}
+
+/**
+ * Get the name of a summary size in the summary language
+ * @param {string} summarySize - Summary size used
+ * @param {Object} labels - Headings in the summary language
+ * @returns {string} - Size name
+ */
+function sizeName(summarySize, labels) {
+  return labels.sizes[summarySize] || summarySize.charAt(0).toUpperCase() + summarySize.slice(1);
+}
+
+// Longest quote printed in a source note
+const MAX_NOTE_QUOTE_LENGTH = 300;
+
+/**
+ * Number the source citations of a summary (see services/citations.js) in
+ * the order their entries are exported
  * @param {Object} summaryData - Summary data object
+ * @returns {Array<Object>} - Citations of existing entries, each with a `number` from 1
+ */
+function numberCitations(summaryData) {
+  const citations = Array.isArray(summaryData.citations) ? summaryData.citations : [];
+  return LIST_FIELDS
+    .flatMap(field => citations
+      .filter(citation => citation.field === field && citation.quote &&
+        Array.isArray(summaryData[field]) && citation.item < summaryData[field].length)
+      .sort((a, b) => a.item - b.item))
+    .map((citation, index) => ({ ...citation, number: index + 1 }));
+}
+
+/**
+ * Get the notes of one list entry
+ * @param {Array<Object>} notes - Numbered citations
+ * @param {string} field - List field
+ * @param {number} index - Position of the entry in the list
+ * @returns {Array<Object>} - Numbered citations of the entry
+ */
+function notesFor(notes, field, index) {
+  return notes.filter(note => note.field === field && note.item === index);
+}
+
+/**
+ * Get the note markers printed after a list entry
+ * @param {Array<Object>} notes - Numbered citations
+ * @param {string} field - List field
+ * @param {number} index - Position of the entry in the list
+ * @returns {string} - Markers like " [1][2]", or an empty string
+ */
+function footnoteMarks(notes, field, index) {
+  const marks = notesFor(notes, field, index).map(note => `[${note.number}]`).join('');
+  return marks ? ` ${marks}` : '';
+}
+
+/**
+ * Describe the source of a list entry
+ * @param {Object} citation - Citation with page and quote
+ * @param {Object} labels - Headings in the summary language
+ * @returns {string} - Page and quoted passage, e.g. 'Page 3: "..."'
+ */
+function citationText(citation, labels) {
+  const quote = citation.quote.replace(/\s+/g, ' ').trim();
+  const shortened = quote.length > MAX_NOTE_QUOTE_LENGTH
+    ? `${quote.substring(0, MAX_NOTE_QUOTE_LENGTH)}…`
+    : quote;
+  return citation.page ? `${labels.page} ${citation.page}: "${shortened}"` : `"${shortened}"`;
+}
+
+/**
+ * Export summary to PDF format
+ * @param {Object} summaryData - Summary data object; its citations are printed as numbered sources
  * @param {string} originalFilename - Original document filename
  * @param {string} summarySize - Summary size used
  * @param {boolean} addWatermark - Whether to add watermark for free users
+ * @param {Object} metadata - Document properties; the title and author are printed with the file name
+ * @param {string} language - Language code of the summary, used for the headings
  * @returns {Promise<Buffer>} - PDF buffer
  */
-async function exportToPDF(summaryData, originalFilename, summarySize = 'short', addWatermark = false) {
+async function exportToPDF(summaryData, originalFilename, summarySize = 'short', addWatermark = false, metadata = {}, language = DEFAULT_LANGUAGE) {
+  const { code, labels } = getLanguage(language);
+  const notes = numberCitations(summaryData);
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
@@ -32,25 +124,27 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
       // Add title
       doc.fontSize(20)
          .font('Helvetica-Bold')
-         .text('Document Summary', { align: 'center' })
+         .text(labels.documentSummary, { align: 'center' })
          .moveDown();
 
-      // Add original filename and summary size
-      doc.fontSize(12)
-         .font('Helvetica')
-         .text(`Original Document: ${originalFilename}`, { align: 'center' })
-         .moveDown(0.5);
+      // Add document title, original filename and summary size
+      sourceLines(originalFilename, metadata, labels).forEach(line => {
+        doc.fontSize(12)
+           .font('Helvetica')
+           .text(line, { align: 'center' })
+           .moveDown(0.5);
+      });
       
       doc.fontSize(10)
          .font('Helvetica')
-         .text(`Summary Size: ${summarySize.charAt(0).toUpperCase() + summarySize.slice(1)}`, { align: 'center' })
+         .text(`${labels.summarySize}: ${sizeName(summarySize, labels)}`, { align: 'center' })
          .moveDown(2);
 
       // Add executive summary
       if (summaryData.executiveSummary) {
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Executive Summary')
+           .text(labels.executiveSummary)
            .moveDown();
         
         doc.fontSize(12)
@@ -63,13 +157,13 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
       if (summaryData.keyPoints && summaryData.keyPoints.length > 0) {
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Key Points')
+           .text(labels.keyPoints)
            .moveDown();
         
-        summaryData.keyPoints.forEach(point => {
+        summaryData.keyPoints.forEach((point, index) => {
           doc.fontSize(12)
              .font('Helvetica')
-             .text(`• ${point}`)
+             .text(`• ${point}${footnoteMarks(notes, 'keyPoints', index)}`)
              .moveDown(0.5);
         });
         doc.moveDown();
@@ -79,13 +173,13 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
       if (summaryData.actionItems && summaryData.actionItems.length > 0) {
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Action Items')
+           .text(labels.actionItems)
            .moveDown();
         
-        summaryData.actionItems.forEach(item => {
+        summaryData.actionItems.forEach((item, index) => {
           doc.fontSize(12)
              .font('Helvetica')
-             .text(`• ${item}`)
+             .text(`• ${item}${footnoteMarks(notes, 'actionItems', index)}`)
              .moveDown(0.5);
         });
         doc.moveDown();
@@ -95,13 +189,13 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
       if (summaryData.importantDates && summaryData.importantDates.length > 0) {
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Important Dates')
+           .text(labels.importantDates)
            .moveDown();
         
-        summaryData.importantDates.forEach(date => {
+        summaryData.importantDates.forEach((date, index) => {
           doc.fontSize(12)
              .font('Helvetica')
-             .text(`• ${date}`)
+             .text(`• ${date}${footnoteMarks(notes, 'importantDates', index)}`)
              .moveDown(0.5);
         });
         doc.moveDown();
@@ -111,13 +205,13 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
       if (summaryData.relevantNames && summaryData.relevantNames.length > 0) {
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Relevant Names')
+           .text(labels.relevantNames)
            .moveDown();
         
-        summaryData.relevantNames.forEach(name => {
+        summaryData.relevantNames.forEach((name, index) => {
           doc.fontSize(12)
              .font('Helvetica')
-             .text(`• ${name}`)
+             .text(`• ${name}${footnoteMarks(notes, 'relevantNames', index)}`)
              .moveDown(0.5);
         });
         doc.moveDown();
@@ -127,29 +221,45 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
       if (summaryData.places && summaryData.places.length > 0) {
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Places')
+           .text(labels.places)
            .moveDown();
         
-        summaryData.places.forEach(place => {
+        summaryData.places.forEach((place, index) => {
           doc.fontSize(12)
              .font('Helvetica')
-             .text(`• ${place}`)
+             .text(`• ${place}${footnoteMarks(notes, 'places', index)}`)
              .moveDown(0.5);
         });
         doc.moveDown();
       }
 
+      // Add the sources of the list entries as numbered notes
+      if (notes.length > 0) {
+        doc.fontSize(16)
+           .font('Helvetica-Bold')
+           .text(labels.sources)
+           .moveDown();
+
+        notes.forEach(note => {
+          doc.fontSize(10)
+             .font('Helvetica')
+             .text(`[${note.number}] ${citationText(note, labels)}`)
+             .moveDown(0.3);
+        });
+        doc.moveDown();
+      }
+
       // Add footer
       doc.fontSize(10)
          .font('Helvetica')
-         .text(`Generated on: ${new Date().toLocaleString()}`, { align: 'center' });
+         .text(`${labels.generatedOn}: ${new Date().toLocaleString(code)}`, { align: 'center' });
 
       // Add watermark for free users
       if (addWatermark) {
         doc.fontSize(12)
            .font('Helvetica')
            .fillColor('gray')
-           .text('Generated by Abstract: Document Summarizer', { align: 'center' });
+           .text(labels.generatedBy, { align: 'center' });
       }
 
       doc.end();
@@ -161,29 +271,33 @@ async function exportToPDF(summaryData, originalFilename, summarySize = 'short',
 
 /**
  * Export summary to DOCX format
- * @param {Object} summaryData - Summary data object
+ * @param {Object} summaryData - Summary data object; its citations become footnotes
  * @param {string} originalFilename - Original document filename
  * @param {string} summarySize - Summary size used
  * @param {boolean} addWatermark - Whether to add watermark for free users
+ * @param {Object} metadata - Document properties; the title and author are printed with the file name
+ * @param {string} language - Language code of the summary, used for the headings
  * @returns {Promise<Buffer>} - DOCX buffer
  */
-async function exportToDOCX(summaryData, originalFilename, summarySize = 'short', addWatermark = false) {
+async function exportToDOCX(summaryData, originalFilename, summarySize = 'short', addWatermark = false, metadata = {}, language = DEFAULT_LANGUAGE) {
+  const { code, labels } = getLanguage(language);
+  const notes = numberCitations(summaryData);
   try {
     const children = [];
 
     // Add title
     children.push(
       new Paragraph({
-        text: 'Document Summary',
+        text: labels.documentSummary,
         heading: HeadingLevel.HEADING_1,
         alignment: 'center'
       }),
-      new Paragraph({
-        text: `Original Document: ${originalFilename}`,
+      ...sourceLines(originalFilename, metadata, labels).map(line => new Paragraph({
+        text: line,
         alignment: 'center'
-      }),
+      })),
       new Paragraph({
-        text: `Summary Size: ${summarySize.charAt(0).toUpperCase() + summarySize.slice(1)}`,
+        text: `${labels.summarySize}: ${sizeName(summarySize, labels)}`,
         alignment: 'center'
       }),
       new Paragraph({ text: '' }) // Empty line
@@ -193,7 +307,7 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (summaryData.executiveSummary) {
       children.push(
         new Paragraph({
-          text: 'Executive Summary',
+          text: labels.executiveSummary,
           heading: HeadingLevel.HEADING_2
         }),
         new Paragraph({
@@ -207,15 +321,18 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (summaryData.keyPoints && summaryData.keyPoints.length > 0) {
       children.push(
         new Paragraph({
-          text: 'Key Points',
+          text: labels.keyPoints,
           heading: HeadingLevel.HEADING_2
         })
       );
       
-      summaryData.keyPoints.forEach(point => {
+      summaryData.keyPoints.forEach((point, index) => {
         children.push(
           new Paragraph({
-            text: `• ${point}`,
+            children: [
+              new TextRun(`• ${point}`),
+              ...notesFor(notes, 'keyPoints', index).map(note => new FootnoteReferenceRun(note.number))
+            ],
             bullet: { level: 0 }
           })
         );
@@ -227,15 +344,18 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (summaryData.actionItems && summaryData.actionItems.length > 0) {
       children.push(
         new Paragraph({
-          text: 'Action Items',
+          text: labels.actionItems,
           heading: HeadingLevel.HEADING_2
         })
       );
       
-      summaryData.actionItems.forEach(item => {
+      summaryData.actionItems.forEach((item, index) => {
         children.push(
           new Paragraph({
-            text: `• ${item}`,
+            children: [
+              new TextRun(`• ${item}`),
+              ...notesFor(notes, 'actionItems', index).map(note => new FootnoteReferenceRun(note.number))
+            ],
             bullet: { level: 0 }
           })
         );
@@ -247,15 +367,18 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (summaryData.importantDates && summaryData.importantDates.length > 0) {
       children.push(
         new Paragraph({
-          text: 'Important Dates',
+          text: labels.importantDates,
           heading: HeadingLevel.HEADING_2
         })
       );
       
-      summaryData.importantDates.forEach(date => {
+      summaryData.importantDates.forEach((date, index) => {
         children.push(
           new Paragraph({
-            text: `• ${date}`,
+            children: [
+              new TextRun(`• ${date}`),
+              ...notesFor(notes, 'importantDates', index).map(note => new FootnoteReferenceRun(note.number))
+            ],
             bullet: { level: 0 }
           })
         );
@@ -267,15 +390,18 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (summaryData.relevantNames && summaryData.relevantNames.length > 0) {
       children.push(
         new Paragraph({
-          text: 'Relevant Names',
+          text: labels.relevantNames,
           heading: HeadingLevel.HEADING_2
         })
       );
       
-      summaryData.relevantNames.forEach(name => {
+      summaryData.relevantNames.forEach((name, index) => {
         children.push(
           new Paragraph({
-            text: `• ${name}`,
+            children: [
+              new TextRun(`• ${name}`),
+              ...notesFor(notes, 'relevantNames', index).map(note => new FootnoteReferenceRun(note.number))
+            ],
             bullet: { level: 0 }
           })
         );
@@ -287,15 +413,18 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (summaryData.places && summaryData.places.length > 0) {
       children.push(
         new Paragraph({
-          text: 'Places',
+          text: labels.places,
           heading: HeadingLevel.HEADING_2
         })
       );
       
-      summaryData.places.forEach(place => {
+      summaryData.places.forEach((place, index) => {
         children.push(
           new Paragraph({
-            text: `• ${place}`,
+            children: [
+              new TextRun(`• ${place}`),
+              ...notesFor(notes, 'places', index).map(note => new FootnoteReferenceRun(note.number))
+            ],
             bullet: { level: 0 }
           })
         );
@@ -306,7 +435,7 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     // Add footer
     children.push(
       new Paragraph({
-        text: `Generated on: ${new Date().toLocaleString()}`,
+        text: `${labels.generatedOn}: ${new Date().toLocaleString(code)}`,
         alignment: 'center'
       })
     );
@@ -315,13 +444,22 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
     if (addWatermark) {
       children.push(
         new Paragraph({
-          text: 'Generated by Abstract: Document Summarizer',
+          text: labels.generatedBy,
           alignment: 'center'
         })
       );
     }
 
+    // The sources of the list entries become footnotes
+    const footnotes = {};
+    notes.forEach(note => {
+      footnotes[note.number] = {
+        children: [new Paragraph({ text: citationText(note, labels) })]
+      };
+    });
+
     const doc = new Document({
+      footnotes: footnotes,
       sections: [{
         properties: {},
         children: children
@@ -334,88 +472,107 @@ async function exportToDOCX(summaryData, originalFilename, summarySize = 'short'
   }
 }
 
+/**
+ * Format a heading of the TXT export, underlined
+ * @param {string} heading - Heading text
+ * @returns {string} - Heading lines
+ */
+function txtHeading(heading) {
+  const text = heading.toUpperCase();
+  return `${text}\n${'-'.repeat(text.length)}\n`;
+}
+
 /**
  * Export summary to TXT format
- * @param {Object} summaryData - Summary data object
+ * @param {Object} summaryData - Summary data object; its citations are printed as numbered sources
  * @param {string} originalFilename - Original document filename
  * @param {string} summarySize - Summary size used
  * @param {boolean} addWatermark - Whether to add watermark for free users
+ * @param {Object} metadata - Document properties; the title and author are printed with the file name
+ * @param {string} language - Language code of the summary, used for the headings
  * @returns {Promise<string>} - TXT content
  */
-async function exportToTXT(summaryData, originalFilename, summarySize = 'short', addWatermark = false) {
+async function exportToTXT(summaryData, originalFilename, summarySize = 'short', addWatermark = false, metadata = {}, language = DEFAULT_LANGUAGE) {
+  const { code, labels } = getLanguage(language);
+  const notes = numberCitations(summaryData);
   try {
     let content = '';
 
     // Add title
-    content += 'DOCUMENT SUMMARY\n';
+    content += `${labels.documentSummary.toUpperCase()}\n`;
     content += '='.repeat(50) + '\n\n';
-    content += `Original Document: ${originalFilename}\n`;
-    content += `Summary Size: ${summarySize.charAt(0).toUpperCase() + summarySize.slice(1)}\n\n`;
+    sourceLines(originalFilename, metadata, labels).forEach(line => {
+      content += `${line}\n`;
+    });
+    content += `${labels.summarySize}: ${sizeName(summarySize, labels)}\n\n`;
 
     // Add executive summary
     if (summaryData.executiveSummary) {
-      content += 'EXECUTIVE SUMMARY\n';
-      content += '-'.repeat(20) + '\n';
+      content += txtHeading(labels.executiveSummary);
       content += summaryData.executiveSummary + '\n\n';
     }
 
     // Add key points
     if (summaryData.keyPoints && summaryData.keyPoints.length > 0) {
-      content += 'KEY POINTS\n';
-      content += '-'.repeat(12) + '\n';
-      summaryData.keyPoints.forEach(point => {
-        content += `• ${point}\n`;
+      content += txtHeading(labels.keyPoints);
+      summaryData.keyPoints.forEach((point, index) => {
+        content += `• ${point}${footnoteMarks(notes, 'keyPoints', index)}\n`;
       });
       content += '\n';
     }
 
     // Add action items
     if (summaryData.actionItems && summaryData.actionItems.length > 0) {
-      content += 'ACTION ITEMS\n';
-      content += '-'.repeat(14) + '\n';
-      summaryData.actionItems.forEach(item => {
-        content += `• ${item}\n`;
+      content += txtHeading(labels.actionItems);
+      summaryData.actionItems.forEach((item, index) => {
+        content += `• ${item}${footnoteMarks(notes, 'actionItems', index)}\n`;
       });
       content += '\n';
     }
 
     // Add important dates
     if (summaryData.importantDates && summaryData.importantDates.length > 0) {
-      content += 'IMPORTANT DATES\n';
-      content += '-'.repeat(16) + '\n';
-      summaryData.importantDates.forEach(date => {
-        content += `• ${date}\n`;
+      content += txtHeading(labels.importantDates);
+      summaryData.importantDates.forEach((date, index) => {
+        content += `• ${date}${footnoteMarks(notes, 'importantDates', index)}\n`;
       });
       content += '\n';
     }
 
     // Add relevant names
     if (summaryData.relevantNames && summaryData.relevantNames.length > 0) {
-      content += 'RELEVANT NAMES\n';
-      content += '-'.repeat(15) + '\n';
-      summaryData.relevantNames.forEach(name => {
-        content += `• ${name}\n`;
+      content += txtHeading(labels.relevantNames);
+      summaryData.relevantNames.forEach((name, index) => {
+        content += `• ${name}${footnoteMarks(notes, 'relevantNames', index)}\n`;
       });
       content += '\n';
     }
 
     // Add places
     if (summaryData.places && summaryData.places.length > 0) {
-      content += 'PLACES\n';
-      content += '-'.repeat(7) + '\n';
-      summaryData.places.forEach(place => {
-        content += `• ${place}\n`;
+      content += txtHeading(labels.places);
+      summaryData.places.forEach((place, index) => {
+        content += `• ${place}${footnoteMarks(notes, 'places', index)}\n`;
+      });
+      content += '\n';
+    }
+
+    // Add the sources of the list entries as numbered notes
+    if (notes.length > 0) {
+      content += txtHeading(labels.sources);
+      notes.forEach(note => {
+        content += `[${note.number}] ${citationText(note, labels)}\n`;
       });
       content += '\n';
     }
 
     // Add footer
     content += '='.repeat(50) + '\n';
-    content += `Generated on: ${new Date().toLocaleString()}\n`;
+    content += `${labels.generatedOn}: ${new Date().toLocaleString(code)}\n`;
 
     // Add watermark for free users
     if (addWatermark) {
-      content += '\nGenerated by Abstract: Document Summarizer\n';
+      content += `\n${labels.generatedBy}\n`;
     }
 
     return content;
@@ -430,15 +587,17 @@ async function exportToTXT(summaryData, originalFilename, summarySize = 'short',
  * @param {string} originalFilename - Original document filename
  * @param {string} summarySize - Summary size used
  * @param {boolean} addWatermark - Whether to add watermark for free users (not applicable for audio)
+ * @param {string} language - Language code of the summary, used for the spoken headings and the voice
+ * @param {Object} options - Options passed to textToMP3 (onUsage)
  * @returns {Promise<Buffer>} - MP3 buffer
  */
-async function exportToMP3(summaryData, originalFilename, summarySize = 'short', addWatermark = false) {
+async function exportToMP3(summaryData, originalFilename, summarySize = 'short', addWatermark = false, language = DEFAULT_LANGUAGE, options = {}) {
   try {
     // Format the summary data for speech synthesis
-    const speechText = formatSummaryForSpeech(summaryData);
+    const speechText = formatSummaryForSpeech(summaryData, language);
     
     // Convert to MP3 using text-to-speech service
-    const mp3Buffer = await textToMP3(speechText, originalFilename, summarySize);
+    const mp3Buffer = await textToMP3(speechText, originalFilename, summarySize, language, options);
     
     return mp3Buffer;
   } catch (error) {
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+// Native modules used by the workers have to be loaded by the main thread
+// first, so their shared libraries stay loaded while workers come and go:
+// sharp for images, and the canvas pdf.js renders scanned pages on for OCR
+require('sharp');
+require('@napi-rs/canvas');
+
+/**
+ * Pool of worker threads for text extraction.
+ *
+ * PDF, XML and ZIP parsing is CPU heavy and synchronous in places, so it runs
+ * in worker threads instead of the main event loop. Every job gets a
+ * wall-clock timeout, extended by OCR_PAGE_TIMEOUT_MS for every scanned page
+ * once OCR starts, every worker a heap limit, and documents with more pages
+ * than allowed are rejected. A worker that times out, runs out of memory or
+ * crashes is terminated and replaced; its job fails with an
+ * 'extraction_failed' error, as does any other extraction error (except a
+ * file type mismatch or a missing or wrong password), and the
+ * temporary files it left next to the upload are removed.
+ */
+
+const EXTRACTION_WORKERS =
+  parseInt(process.env.EXTRACTION_WORKERS) ||
+  Math.max(1, Math.min(4, os.availableParallelism() - 1));
+const EXTRACTION_TIMEOUT_MS =
+  parseInt(process.env.EXTRACTION_TIMEOUT_MS) || 3 * 60 * 1000;
+const EXTRACTION_MAX_HEAP_MB =
+  parseInt(process.env.EXTRACTION_MAX_HEAP_MB) || 512;
+const EXTRACTION_MAX_PAGES = parseInt(process.env.EXTRACTION_MAX_PAGES) || 500;
+// Time added to a job for every page sent to the vision model, so paid OCR is
+// not cut off by the timeout meant for parsing
+const OCR_PAGE_TIMEOUT_MS =
+  parseInt(process.env.OCR_PAGE_TIMEOUT_MS) || 20 * 1000;
+
+const WORKER_SCRIPT = path.join(__dirname, 'extractionWorker.js');
+
+// Worker errors that reach the caller with their own code
+const PASSED_THROUGH_ERRORS = [
+  'file_type_mismatch',
+  'password_required',
+  'password_incorrect',
+];
+
+const idleWorkers = [];
+// Running job of every busy worker
+const activeJobs = new Map();
+const queue = [];
+let workerCount = 0;
+let nextJobId = 1;
+
+/**
+ * Create an error for a failed extraction job
+ * @param {string} message - Reason
+ * @returns {Error} - Error with code 'extraction_failed'
+ */
+function extractionFailed(message) {
+  const error = new Error(message);
+  error.code = 'extraction_failed';
+  return error;
+}
+
+/**
+ * Start a worker thread
+ * @returns {Worker} - New worker
+ */
+function createWorker() {
+  const worker = new Worker(WORKER_SCRIPT, {
+    resourceLimits: { maxOldGenerationSizeMb: EXTRACTION_MAX_HEAP_MB },
+  });
+  workerCount++;
+
+  worker.on('message', message => handleMessage(worker, message));
+  worker.on('error', error =>
+    retireWorker(
+      worker,
+      error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? extractionFailed(
+            `Extraction ran out of memory (limit: ${EXTRACTION_MAX_HEAP_MB}MB)`
+          )
+        : extractionFailed(`Extraction crashed: ${error.message}`)
+    )
+  );
+  worker.on('exit', code =>
+    retireWorker(
+      worker,
+      extractionFailed(`Extraction stopped unexpectedly (exit code ${code})`)
+    )
+  );
+  return worker;
+}
+
+/**
+ * (Re)start the timer of a running job, which fails it at its deadline
+ * @param {Worker} worker - Worker running the job
+ * @param {Object} job - Job with startedAt and timeout (in milliseconds)
+ */
+function startTimer(worker, job) {
+  clearTimeout(job.timer);
+  job.timer = setTimeout(
+    () =>
+      retireWorker(
+        worker,
+        extractionFailed(
+          `Extraction timed out after ${Math.round(job.timeout / 1000)}s`
+        )
+      ),
+    job.startedAt + job.timeout - Date.now()
+  );
+}
+
+/**
+ * Start queued jobs on idle or new workers
+ */
+function dispatch() {
+  while (
+    queue.length > 0 &&
+    (idleWorkers.length > 0 || workerCount < EXTRACTION_WORKERS)
+  ) {
+    const worker = idleWorkers.pop() || createWorker();
+    const job = queue.shift();
+
+    job.startedAt = Date.now();
+    job.timeout = EXTRACTION_TIMEOUT_MS;
+    startTimer(worker, job);
+    activeJobs.set(worker, job);
+    worker.ref();
+    worker.postMessage({
+      id: job.id,
+      filePath: job.filePath,
+      originalName: job.originalName,
+      options: job.options,
+    });
+  }
+}
+
+/**
+ * Handle a message from a worker
+ * @param {Worker} worker - Worker that sent the message
+ * @param {Object} message - {id, progress}, {id, usage}, {id, result} or {id, error}
+ */
+function handleMessage(worker, message) {
+  const job = activeJobs.get(worker);
+  if (!job || message.id !== job.id) {
+    return;
+  }
+  if (message.progress) {
+    const { stage, completed, total } = message.progress;
+    if (stage === 'ocr' && completed === 0) {
+      job.timeout += total * OCR_PAGE_TIMEOUT_MS;
+      startTimer(worker, job);
+    }
+    job.onProgress(message.progress);
+    return;
+  }
+  if (message.usage) {
+    job.onUsage(message.usage);
+    return;
+  }
+
+  clearTimeout(job.timer);
+  activeJobs.delete(worker);
+  // Idle workers must not keep the process alive
+  worker.unref();
+  idleWorkers.push(worker);
+
+  if (message.error) {
+    const error = PASSED_THROUGH_ERRORS.includes(message.error.code)
+      ? Object.assign(new Error(message.error.message), message.error)
+      : extractionFailed(message.error.message);
+    job.reject(error);
+  } else {
+    job.resolve(message.result);
+  }
+  dispatch();
+}
+
+/**
+ * Terminate a worker that failed and fail its job
+ * @param {Worker} worker - Worker to remove from the pool
+ * @param {Error} error - Error for the running job
+ */
+function retireWorker(worker, error) {
+  if (worker.retired) {
+    return;
+  }
+  worker.retired = true;
+  workerCount--;
+
+  const idleIndex = idleWorkers.indexOf(worker);
+  if (idleIndex !== -1) {
+    idleWorkers.splice(idleIndex, 1);
+  }
+  worker.terminate();
+
+  const job = activeJobs.get(worker);
+  if (job) {
+    clearTimeout(job.timer);
+    activeJobs.delete(worker);
+    console.error(`Extraction of ${job.originalName} failed:`, error.message);
+    removeTemporaryFiles(job.filePath);
+    job.reject(error);
+  }
+  dispatch();
+}
+
+/**
+ * Delete the files an interrupted extraction left next to the upload
+ * (email attachments and rendered PDF pages)
+ * @param {string} filePath - Path to the uploaded file
+ */
+function removeTemporaryFiles(filePath) {
+  const directory = path.dirname(filePath);
+  const prefixes = [
+    `${path.basename(filePath)}-`,
+    `${path.basename(filePath, path.extname(filePath))}-page-`,
+  ];
+  try {
+    for (const name of fs.readdirSync(directory)) {
+      if (prefixes.some(prefix => name.startsWith(prefix))) {
+        fs.unlinkSync(path.join(directory, name));
+      }
+    }
+  } catch (error) {
+    console.warn('Could not remove temporary extraction files:', error.message);
+  }
+}
+
+/**
+ * Extract text from a document in a worker thread
+ *
+ * Takes the same arguments and returns the same result as processDocument.
+ * Failures are reported as 'extraction_failed' errors ('file_type_mismatch'
+ * and password errors are passed through).
+ *
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} originalName - Original filename
+ * @param {Object} options - processDocument options; onProgress and onUsage are called from the main thread
+ * @returns {Promise<Object>} - Result of processDocument
+ */
+function extractDocument(filePath, originalName, options = {}) {
+  const { onProgress, onUsage, ...workerOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    queue.push({
+      id: nextJobId++,
+      filePath,
+      originalName,
+      options: { ...workerOptions, maxPages: EXTRACTION_MAX_PAGES },
+      onProgress: onProgress || (() => {}),
+      onUsage: onUsage || (() => {}),
+      resolve,
+      reject,
+    });
+    dispatch();
+  });
+}
+
+module.exports = {
+  extractDocument,
+};
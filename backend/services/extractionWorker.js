@@ -0,0 +1,25 @@
+const { parentPort } = require('worker_threads');
+const { processDocument } = require('./documentProcessor');
+
+/**
+ * Worker thread entry point of the extraction pool (see extractionPool.js).
+ *
+ * Runs processDocument for one job at a time and answers with
+ * {id, progress}, {id, usage}, {id, result} or {id, error} messages.
+ */
+
+parentPort.on('message', async ({ id, filePath, originalName, options }) => {
+  try {
+    const result = await processDocument(filePath, originalName, {
+      ...options,
+      onProgress: progress => parentPort.postMessage({ id, progress }),
+      onUsage: usage => parentPort.postMessage({ id, usage }),
+    });
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { message: error.message, code: error.code },
+    });
+  }
+});
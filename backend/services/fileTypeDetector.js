@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { detectEncoding } = require('../utils/encoding');
+const { hasSuspiciousRatio, readEntryPrefix } = require('./archiveExtractor');
+
+/**
+ * File type detection from file contents.
+ *
+ * Binary formats are recognized by their signature: PDF, RTF, OLE compound
+ * files (Outlook messages), images (JPEG, PNG, GIF, WebP, HEIC) and ZIP
+ * containers. ZIP containers are told apart by their parts: ODF and EPUB by
+ * the `mimetype` entry, OOXML by the main part type in [Content_Types].xml,
+ * falling back to the default part names and the ODF body element. Detection
+ * runs on the request thread before any upload limit of the extraction
+ * workers applies, so it only inflates the start of these parts and skips
+ * parts with the compression ratio of a ZIP bomb.
+ * Text based formats (TXT, CSV, HTML, Markdown, EML) have no signature and are
+ * accepted as any of them when the content is text.
+ *
+ * A detected type is {type, label, extensions, mimeType}, where `extensions`
+ * lists the file extensions the content is valid for.
+ */
+
+const HEADER_SIZE = 8192;
+// Bytes of a ZIP part inflated to recognize the container
+const ZIP_PART_PREFIX_SIZE = 1024 * 1024;
+// Share of control characters above which a file without NUL bytes is binary
+const MAX_CONTROL_RATIO = 0.1;
+
+const TEXT_EXTENSIONS = ['.txt', '.csv', '.html', '.htm', '.md', '.eml'];
+
+const TYPES = {
+  pdf: {
+    label: 'a PDF document',
+    extensions: ['.pdf'],
+    mimeType: 'application/pdf',
+  },
+  rtf: {
+    label: 'an RTF document',
+    extensions: ['.rtf'],
+    mimeType: 'application/rtf',
+  },
+  cfb: {
+    label: 'an Outlook message or legacy Office file',
+    extensions: ['.msg'],
+    mimeType: 'application/vnd.ms-outlook',
+  },
+  docx: {
+    label: 'a Word document',
+    extensions: ['.docx'],
+    mimeType:
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  },
+  pptx: {
+    label: 'a PowerPoint presentation',
+    extensions: ['.pptx'],
+    mimeType:
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  },
+  xlsx: {
+    label: 'an Excel workbook',
+    extensions: ['.xlsx'],
+    mimeType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  odt: {
+    label: 'an OpenDocument text',
+    extensions: ['.odt'],
+    mimeType: 'application/vnd.oasis.opendocument.text',
+  },
+  odp: {
+    label: 'an OpenDocument presentation',
+    extensions: ['.odp'],
+    mimeType: 'application/vnd.oasis.opendocument.presentation',
+  },
+  ods: {
+    label: 'an OpenDocument spreadsheet',
+    extensions: ['.ods'],
+    mimeType: 'application/vnd.oasis.opendocument.spreadsheet',
+  },
+  epub: {
+    label: 'an EPUB book',
+    extensions: ['.epub'],
+    mimeType: 'application/epub+zip',
+  },
+  zip: {
+    label: 'a ZIP archive',
+    extensions: ['.zip'],
+    mimeType: 'application/zip',
+  },
+  jpeg: {
+    label: 'a JPEG image',
+    extensions: ['.jpg', '.jpeg'],
+    mimeType: 'image/jpeg',
+  },
+  png: { label: 'a PNG image', extensions: ['.png'], mimeType: 'image/png' },
+  gif: { label: 'a GIF image', extensions: ['.gif'], mimeType: 'image/gif' },
+  webp: {
+    label: 'a WebP image',
+    extensions: ['.webp'],
+    mimeType: 'image/webp',
+  },
+  heic: {
+    label: 'a HEIC image',
+    extensions: ['.heic', '.heif'],
+    mimeType: 'image/heic',
+  },
+  text: {
+    label: 'plain text',
+    extensions: TEXT_EXTENSIONS,
+    mimeType: 'text/plain',
+  },
+  unknown: {
+    label: 'unrecognized binary data',
+    extensions: [],
+    mimeType: 'application/octet-stream',
+  },
+};
+
+// `mimetype` entries of ODF packages and EPUB books
+const PACKAGE_MIME_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/epub+zip': 'epub',
+};
+
+// Main part content types of OOXML packages, including templates and macro-enabled files
+const OOXML_MAIN_PARTS = [
+  [/(wordprocessingml|ms-word)\.[\w.]*main\+xml/i, 'docx'],
+  [/(presentationml|ms-powerpoint)\.[\w.]*main\+xml/i, 'pptx'],
+  [/(spreadsheetml|ms-excel)\.[\w.]*main\+xml/i, 'xlsx'],
+];
+
+// Default main part names, for packages written without content types
+const OOXML_DEFAULT_PARTS = {
+  'word/document.xml': 'docx',
+  'ppt/presentation.xml': 'pptx',
+  'xl/workbook.xml': 'xlsx',
+};
+
+// Body elements of ODF content.xml, for packages written without a mimetype entry
+const ODF_BODY_TYPES = {
+  text: 'odt',
+  presentation: 'odp',
+  spreadsheet: 'ods',
+};
+
+// ISO base media brands used by HEIF/HEIC images
+const HEIF_BRANDS = [
+  'heic',
+  'heix',
+  'hevc',
+  'hevx',
+  'heim',
+  'heis',
+  'mif1',
+  'msf1',
+];
+
+// Declared image types that mean the same as a detected one
+const MIME_TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/heif': 'image/heic',
+};
+
+/**
+ * Build a detected type
+ * @param {string} type - Key in TYPES
+ * @returns {Object} - Detected type
+ */
+function fileType(type) {
+  return { type, ...TYPES[type] };
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Buffer} - Up to HEADER_SIZE bytes
+ */
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const length = fs.readSync(fd, buffer, 0, HEADER_SIZE, 0);
+    return buffer.subarray(0, length);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read the start of a ZIP part for detection
+ * @param {Object} zip - adm-zip archive
+ * @param {string} name - Part name
+ * @returns {string|null} - Start of the part, null if it is missing, unreadable or looks like a bomb
+ */
+function readZipPart(zip, name) {
+  const entry = zip.getEntry(name);
+  if (!entry || hasSuspiciousRatio(entry)) {
+    return null;
+  }
+  try {
+    return readEntryPrefix(entry, ZIP_PART_PREFIX_SIZE).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Tell the kind of ZIP container from its parts
+ * @param {string} filePath - Path to the ZIP file
+ * @returns {string} - Key in TYPES
+ */
+function detectZipType(filePath) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (error) {
+    return 'unknown';
+  }
+
+  const mimetype = readZipPart(zip, 'mimetype');
+  if (mimetype) {
+    const packageType = PACKAGE_MIME_TYPES[mimetype.trim()];
+    if (packageType) {
+      return packageType;
+    }
+  }
+
+  const contentTypes = readZipPart(zip, '[Content_Types].xml');
+  if (contentTypes) {
+    const match = OOXML_MAIN_PARTS.find(([pattern]) =>
+      pattern.test(contentTypes)
+    );
+    if (match) {
+      return match[1];
+    }
+  }
+  const mainPart = Object.keys(OOXML_DEFAULT_PARTS).find(name =>
+    zip.getEntry(name)
+  );
+  if (mainPart) {
+    return OOXML_DEFAULT_PARTS[mainPart];
+  }
+
+  const content = readZipPart(zip, 'content.xml');
+  if (content) {
+    const body = /<office:(text|presentation|spreadsheet)[\s>]/.exec(content);
+    if (body) {
+      return ODF_BODY_TYPES[body[1]];
+    }
+  }
+
+  return 'zip';
+}
+
+/**
+ * Check whether bytes look like text
+ * @param {Buffer} header - First bytes of the file
+ * @returns {boolean} - True for text in any common encoding
+ */
+function looksLikeText(header) {
+  // UTF-16 text is full of NUL bytes, and often has no byte order mark
+  if (detectEncoding(header).encoding.startsWith('utf-16')) {
+    return true;
+  }
+
+  let control = 0;
+  for (const byte of header) {
+    if (byte === 0) {
+      return false;
+    }
+    // Tab, line feeds, form feed, carriage return and escape are common in text
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1b].includes(byte)) {
+      control++;
+    }
+  }
+  return control <= header.length * MAX_CONTROL_RATIO;
+}
+
+/**
+ * Detect the type of a file from its contents
+ * @param {string} filePath - Path to the file
+ * @returns {{type: string, label: string, extensions: Array<string>, mimeType: string}} - Detected type
+ */
+function detectFileType(filePath) {
+  const header = readHeader(filePath);
+  const ascii = header.toString('latin1');
+
+  // Readers accept a PDF header anywhere in the first kilobyte
+  if (ascii.slice(0, 1024).includes('%PDF-')) {
+    return fileType('pdf');
+  }
+  if (ascii.startsWith('{\\rtf')) {
+    return fileType('rtf');
+  }
+  if (ascii.startsWith('PK\x03\x04') || ascii.startsWith('PK\x05\x06')) {
+    return fileType(detectZipType(filePath));
+  }
+  if (ascii.startsWith('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1')) {
+    return fileType('cfb');
+  }
+  if (ascii.startsWith('\xff\xd8\xff')) {
+    return fileType('jpeg');
+  }
+  if (ascii.startsWith('\x89PNG\r\n\x1a\n')) {
+    return fileType('png');
+  }
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) {
+    return fileType('gif');
+  }
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') {
+    return fileType('webp');
+  }
+  if (ascii.slice(4, 8) === 'ftyp') {
+    // The major brand, or one of the compatible brands listed after it
+    const boxSize = Math.min(header.readUInt32BE(0), header.length);
+    for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+      if (
+        offset !== 12 &&
+        HEIF_BRANDS.includes(ascii.slice(offset, offset + 4))
+      ) {
+        return fileType('heic');
+      }
+    }
+  }
+  if (header.length === 0 || looksLikeText(header)) {
+    return fileType('text');
+  }
+  return fileType('unknown');
+}
+
+/**
+ * Create the error for a file whose content does not match its declared type
+ * @param {string} name - File name shown to the user
+ * @param {string} declaredType - Declared extension or MIME type
+ * @param {Object} detected - Detected type
+ * @returns {Error} - Error with code 'file_type_mismatch'
+ */
+function fileTypeMismatch(name, declaredType, detected) {
+  const error = new Error(
+    `${name} is declared as ${declaredType || 'an unknown type'} but contains ${detected.label}`
+  );
+  error.code = 'file_type_mismatch';
+  error.declaredType = declaredType;
+  error.detectedType = detected.mimeType;
+  return error;
+}
+
+/**
+ * Check a file's extension against its contents
+ * @param {string} filePath - Path to the file
+ * @param {string} originalName - File name with the declared extension
+ * @returns {string} - Extension to route the file on
+ * @throws {Error} - 'file_type_mismatch' error when the contents are of another type
+ */
+function resolveFileType(filePath, originalName) {
+  const declared = path.extname(originalName).toLowerCase();
+  const detected = detectFileType(filePath);
+  if (!detected.extensions.includes(declared)) {
+    throw fileTypeMismatch(path.basename(originalName), declared, detected);
+  }
+  return detected.extensions.length === 1 ? detected.extensions[0] : declared;
+}
+
+/**
+ * Check an image's declared MIME type against its contents
+ * @param {string} filePath - Path to the image
+ * @param {string} originalName - File name shown to the user
+ * @param {string} declaredMimeType - MIME type sent by the client
+ * @returns {string} - Detected MIME type
+ * @throws {Error} - 'file_type_mismatch' error when the contents are of another type
+ */
+function resolveImageType(filePath, originalName, declaredMimeType) {
+  const declared = (declaredMimeType || '').toLowerCase();
+  const detected = detectFileType(filePath);
+  if ((MIME_TYPE_ALIASES[declared] || declared) !== detected.mimeType) {
+    throw fileTypeMismatch(originalName, declared, detected);
+  }
+  return detected.mimeType;
+}
+
+module.exports = {
+  detectFileType,
+  resolveFileType,
+  resolveImageType,
+};
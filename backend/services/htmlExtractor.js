@@ -0,0 +1,322 @@
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { decodeBytes } = require('../utils/encoding');
+
+/**
+ * HTML reader.
+ *
+ * Parses HTML (and the XHTML chapters of EPUB books) and turns the main
+ * content into the block list used by services/documentStructure.js:
+ * headings, paragraphs, list items and tables. Scripts, styles, forms and
+ * navigation chrome (nav, header, footer, aside and their ARIA roles) are
+ * dropped. When the page marks its main content (<main>, role="main"), only
+ * that part is read.
+ */
+
+// Elements that never carry document content
+const SKIPPED_ELEMENTS = new Set([
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'head',
+  'nav',
+  'aside',
+  'form',
+  'button',
+  'select',
+  'iframe',
+  'object',
+  'svg',
+  'canvas',
+  'audio',
+  'video',
+]);
+
+// Page level headers and footers are site chrome, inside an article they are content
+const CHROME_ELEMENTS = new Set(['header', 'footer']);
+const CONTENT_CONTAINERS = new Set(['article', 'main', 'section']);
+
+const SKIPPED_ROLES = new Set([
+  'navigation',
+  'banner',
+  'contentinfo',
+  'complementary',
+  'search',
+  'doc-toc',
+]);
+
+// Elements that start a new paragraph
+const BLOCK_ELEMENTS = new Set([
+  'address',
+  'article',
+  'blockquote',
+  'body',
+  'caption',
+  'center',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'hr',
+  'html',
+  'main',
+  'p',
+  'section',
+  'summary',
+]);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+/**
+ * Check whether an element and its content should be skipped
+ * @param {Object} element - DOM element
+ * @returns {boolean} - True for scripts, navigation chrome and hidden elements
+ */
+function isSkipped(element) {
+  const attribs = element.attribs || {};
+  if (CHROME_ELEMENTS.has(element.name)) {
+    let parent = element.parent;
+    while (parent && !CONTENT_CONTAINERS.has(parent.name)) {
+      parent = parent.parent;
+    }
+    if (!parent) {
+      return true;
+    }
+  }
+  return (
+    SKIPPED_ELEMENTS.has(element.name) ||
+    SKIPPED_ROLES.has(attribs.role) ||
+    (attribs['epub:type'] || '').split(/\s+/).includes('toc') ||
+    attribs['aria-hidden'] === 'true' ||
+    attribs.hidden !== undefined
+  );
+}
+
+/**
+ * Get the text of an element with whitespace collapsed
+ * @param {Object} node - DOM node
+ * @returns {string} - Inline text, line breaks kept for <br>
+ */
+function inlineText(node) {
+  if (node.type === 'text') {
+    return node.data.replace(/\s+/g, ' ');
+  }
+  if (node.type !== 'tag' || isSkipped(node)) {
+    return '';
+  }
+  if (node.name === 'br') {
+    return '\n';
+  }
+  return (node.children || []).map(inlineText).join('');
+}
+
+/**
+ * Tidy collected inline text
+ * @param {string} text - Collected text
+ * @returns {string} - Text with trimmed lines
+ */
+function cleanText(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Turn a table into a table block
+ * @param {Object} table - table element
+ * @returns {Object|null} - Table block
+ */
+function tableBlock(table) {
+  const rows = [];
+  const visit = node => {
+    for (const child of node.children || []) {
+      if (child.type !== 'tag' || child.name === 'table') {
+        continue;
+      }
+      if (child.name === 'tr') {
+        const cells = (child.children || [])
+          .filter(cell => cell.name === 'td' || cell.name === 'th')
+          .map(cell => cleanText(inlineText(cell)).replace(/\n/g, ' '));
+        if (cells.some(Boolean)) {
+          rows.push(cells);
+        }
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(table);
+  return rows.length > 0 ? { type: 'table', rows } : null;
+}
+
+/**
+ * Turn the content of an HTML element into blocks
+ * @param {Object} root - Element to read
+ * @returns {Array<Object>} - Blocks (see services/documentStructure.js)
+ */
+function htmlBlocks(root) {
+  const blocks = [];
+  let text = '';
+  // List item waiting for its text, labelled on the first flush
+  let listItem = null;
+
+  const flush = () => {
+    const content = cleanText(text);
+    text = '';
+    if (!content) {
+      return;
+    }
+    if (listItem) {
+      blocks.push({ type: 'listItem', ...listItem, text: content });
+      listItem = null;
+    } else {
+      blocks.push({ type: 'paragraph', text: content });
+    }
+  };
+
+  const walk = (node, listLevel) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        text += child.data.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.type !== 'tag' || isSkipped(child)) {
+        continue;
+      }
+
+      const heading = HEADING_PATTERN.exec(child.name);
+      if (heading) {
+        flush();
+        const content = cleanText(inlineText(child)).replace(/\n/g, ' ');
+        if (content) {
+          blocks.push({
+            type: 'heading',
+            level: parseInt(heading[1]),
+            text: content,
+          });
+        }
+        continue;
+      }
+
+      switch (child.name) {
+        case 'br':
+          text += '\n';
+          break;
+        case 'table': {
+          flush();
+          const block = tableBlock(child);
+          if (block) {
+            blocks.push(block);
+          }
+          break;
+        }
+        case 'pre': {
+          flush();
+          const content = DomUtils.textContent(child).replace(/\s+$/, '');
+          if (content.trim()) {
+            blocks.push({ type: 'paragraph', text: content });
+          }
+          break;
+        }
+        case 'ul':
+        case 'ol': {
+          flush();
+          let counter = parseInt(child.attribs.start) || 1;
+          for (const item of child.children || []) {
+            if (item.type !== 'tag' || item.name !== 'li' || isSkipped(item)) {
+              continue;
+            }
+            flush();
+            listItem = {
+              level: listLevel,
+              label: child.name === 'ol' ? `${counter++}.` : '•',
+            };
+            walk(item, listLevel + 1);
+            flush();
+            listItem = null;
+          }
+          break;
+        }
+        default:
+          if (BLOCK_ELEMENTS.has(child.name)) {
+            flush();
+            walk(child, listLevel);
+            flush();
+          } else {
+            walk(child, listLevel);
+          }
+      }
+    }
+  };
+
+  walk(root, 0);
+  flush();
+  return blocks;
+}
+
+/**
+ * Parse HTML and extract its title and content blocks
+ * @param {string} html - HTML or XHTML source
+ * @param {Object} options - Parse options
+ * @param {boolean} options.xhtml - Source is XHTML, self-closing tags are recognized
+ * @returns {{title: string, blocks: Array<Object>}} - Page title and blocks
+ */
+function parseHtml(html, options = {}) {
+  const document = parseDocument(html, {
+    recognizeSelfClosing: Boolean(options.xhtml),
+  });
+  const titleElement = DomUtils.findOne(
+    element => element.name === 'title',
+    document.children
+  );
+  const main = DomUtils.findOne(
+    element =>
+      element.name === 'main' ||
+      (element.attribs && element.attribs.role === 'main'),
+    document.children
+  );
+
+  return {
+    title: titleElement
+      ? DomUtils.textContent(titleElement).replace(/\s+/g, ' ').trim()
+      : '',
+    blocks: htmlBlocks(main || document),
+  };
+}
+
+/**
+ * Find the character set declared by an HTML file
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {string} - Encoding label, utf-8 when none is declared
+ */
+function detectCharset(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return 'utf-8';
+  }
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const match =
+    /<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i.exec(head) ||
+    /<\?xml[^>]+encoding\s*=\s*["']([\w-]+)/i.exec(head);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Extract the title and content blocks of an HTML file
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {{title: string, blocks: Array<Object>}} - Page title and blocks
+ */
+function readHtml(buffer) {
+  // TextDecoder drops the byte order mark
+  const html = decodeBytes(buffer, detectCharset(buffer));
+  return parseHtml(html);
+}
+
+module.exports = {
+  parseHtml,
+  readHtml,
+};
@@ -0,0 +1,117 @@
+/**
+ * Language detection for extracted text.
+ *
+ * Text in a non-Latin script is identified by its script. Latin text is
+ * compared against the most frequent function words of each language (articles,
+ * prepositions, pronouns), which appear in any text of a few sentences and
+ * rarely in other languages.
+ */
+
+// Only the start of long documents is looked at
+const SAMPLE_SIZE = 20000;
+// Fewer matched words than this are not enough to tell
+const MIN_MATCHES = 5;
+
+const FUNCTION_WORDS = {
+  en: 'the and of to in is that for it with as was on are be this by not or from have an which but they his at were been has their will would there',
+  de: 'der die und das den ist nicht sich mit des auf für ein eine dem zu im von werden wird auch als bei oder nach einer wurde sind aus sie durch über',
+  es: 'el la los las del que y en un una por para con se es no su al lo como más pero sus le ya fue este esta entre cuando muy sin sobre también',
+  fr: 'le la les des et est une un du en que qui dans pour pas sur au aux avec ce cette sont par plus ne se il elle nous vous leur été être',
+  it: 'il di che la è e per un una non sono del della gli le si con da al dei nel alla anche più ma come questo questa lo delle essere',
+  pt: 'o a os as de do da dos das que e em um uma para com não no na por se mais ao como mas foi pelo pela são seu sua também ou',
+  nl: 'de het een en van in is dat op te zijn voor met niet aan er ook als bij door maar om dan worden wordt naar uit deze nog heeft',
+  pl: 'i w nie na się z jest do to że o jak ale po co tak za od jego przez być są był tego które który oraz może dla',
+};
+
+const WORD_SETS = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([code, words]) => [
+    code,
+    new Set(words.split(' ')),
+  ])
+);
+
+// Languages recognized by their script, checked in this order
+const SCRIPTS = [
+  { code: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { code: 'ko', pattern: /\p{Script=Hangul}/gu },
+  { code: 'zh', pattern: /\p{Script=Han}/gu },
+  { code: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+  { code: 'el', pattern: /\p{Script=Greek}/gu },
+  { code: 'ar', pattern: /\p{Script=Arabic}/gu },
+  { code: 'he', pattern: /\p{Script=Hebrew}/gu },
+];
+
+/**
+ * Count the matches of a pattern
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number} - Number of matches
+ */
+function countMatches(text, pattern) {
+  const matches = text.match(pattern);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Identify a language by the script of the text
+ * @param {string} sample - Text sample
+ * @returns {string|null} - Language code, null for Latin text
+ */
+function detectScript(sample) {
+  const letters = countMatches(sample, /\p{L}/gu);
+  if (letters === 0) {
+    return null;
+  }
+  const latin = countMatches(sample, /\p{Script=Latin}/gu);
+  for (const { code, pattern } of SCRIPTS) {
+    const count = countMatches(sample, pattern);
+    // Japanese mixes kana with Han characters, a few kana are enough
+    const share = code === 'ja' ? 0.1 : 0.3;
+    if (count / letters >= share && count > latin / 2) {
+      if (
+        code === 'ru' &&
+        countMatches(sample, /[ієїґІЄЇҐ]/gu) > count * 0.01
+      ) {
+        return 'uk';
+      }
+      return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Extracted text
+ * @returns {string|null} - ISO 639-1 language code, null if the text is too short or ambiguous
+ */
+function detectLanguage(text) {
+  const sample = (text || '').substring(0, SAMPLE_SIZE);
+  const script = detectScript(sample);
+  if (script) {
+    return script;
+  }
+
+  const scores = Object.fromEntries(
+    Object.keys(WORD_SETS).map(code => [code, 0])
+  );
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  for (const word of words) {
+    for (const [code, set] of Object.entries(WORD_SETS)) {
+      if (set.has(word)) {
+        scores[code]++;
+      }
+    }
+  }
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  // The function words of related languages overlap, the winner has to stand out
+  if (best[1] < MIN_MATCHES || best[1] < second[1] * 1.2) {
+    return null;
+  }
+  return best[0];
+}
+
+module.exports = {
+  detectLanguage,
+};
@@ -0,0 +1,237 @@
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+const llmConfig = require('../config/llm');
+
+/**
+ * Provider layer for chat and vision models.
+ *
+ * All supported backends speak the OpenAI chat completions protocol, so a
+ * provider is an OpenAI client pointed at the right endpoint plus the task
+ * settings (model, temperature, max tokens) configured in config/llm.js.
+ */
+
+const clients = {};
+
+/**
+ * Get the name of the active provider
+ * @returns {string} - Provider name
+ */
+function getProviderName() {
+  const name = llmConfig.provider;
+  if (!llmConfig.providers[name]) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Use one of: ${Object.keys(llmConfig.providers).join(', ')}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Check whether the active provider has the configuration it needs
+ * @returns {boolean} - True if the provider can be used
+ */
+function isProviderConfigured() {
+  const name = getProviderName();
+  const settings = llmConfig.providers[name];
+
+  switch (name) {
+    case 'openai':
+      return Boolean(settings.apiKey);
+    case 'azure':
+      return Boolean(settings.apiKey && settings.endpoint);
+    case 'local':
+      return Boolean(settings.baseURL);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether the active provider can compute embeddings
+ * @returns {boolean} - True if an embedding model is configured
+ */
+function isEmbeddingConfigured() {
+  const provider = llmConfig.providers[getProviderName()];
+  return Boolean(
+    isProviderConfigured() &&
+      provider.tasks.embedding &&
+      provider.tasks.embedding.model
+  );
+}
+
+/**
+ * Get (and cache) the client for the active provider
+ * @returns {OpenAI} - OpenAI compatible client
+ */
+function getClient() {
+  const name = getProviderName();
+  if (clients[name]) {
+    return clients[name];
+  }
+
+  const settings = llmConfig.providers[name];
+  if (!isProviderConfigured()) {
+    throw new Error(`LLM provider "${name}" is not configured`);
+  }
+
+  if (name === 'azure') {
+    clients[name] = new AzureOpenAI({
+      apiKey: settings.apiKey,
+      endpoint: settings.endpoint,
+      apiVersion: settings.apiVersion,
+      timeout: llmConfig.timeout,
+    });
+  } else {
+    clients[name] = new OpenAI({
+      apiKey: settings.apiKey,
+      baseURL: settings.baseURL,
+      timeout: llmConfig.timeout,
+    });
+  }
+
+  return clients[name];
+}
+
+/**
+ * Resolve the settings for a task, applying plan overrides
+ * @param {string} task - Task name ('summary', 'vision', 'chat', 'embedding')
+ * @param {string} plan - Subscription plan of the caller (optional)
+ * @returns {Object} - Task settings (model, temperature, maxTokens, ...)
+ */
+function getTaskSettings(task, plan) {
+  const provider = llmConfig.providers[getProviderName()];
+  const base = provider.tasks[task];
+  if (!base) {
+    throw new Error(`LLM task "${task}" is not configured`);
+  }
+
+  const planOverrides =
+    (plan &&
+      llmConfig.planSettings[plan] &&
+      llmConfig.planSettings[plan][task]) ||
+    {};
+
+  return { ...base, ...planOverrides };
+}
+
+/**
+ * Resolve the max tokens of a task, which may be set per summary size
+ * @param {Object} settings - Task settings
+ * @param {string} size - Summary size (optional)
+ * @returns {number} - Maximum response tokens
+ */
+function resolveMaxTokens(settings, size) {
+  if (typeof settings.maxTokens === 'object') {
+    return settings.maxTokens[size] || settings.maxTokens.short;
+  }
+  return settings.maxTokens;
+}
+
+/**
+ * Build the response_format parameter for a JSON schema request
+ *
+ * Providers differ in what they support, so the task setting
+ * `structuredOutput` selects strict JSON schema, plain JSON mode or no
+ * response_format at all (the prompt still describes the expected JSON).
+ *
+ * @param {Object} settings - Task settings
+ * @param {Object} responseFormat - Requested format ({name, schema})
+ * @returns {Object|undefined} - response_format parameter
+ */
+function buildResponseFormat(settings, responseFormat) {
+  if (!responseFormat) {
+    return undefined;
+  }
+
+  switch (settings.structuredOutput) {
+    case 'json_schema':
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: responseFormat.name,
+          schema: responseFormat.schema,
+          strict: true,
+        },
+      };
+    case 'json_object':
+      return { type: 'json_object' };
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Create a chat completion for a task with the active provider
+ * @param {string} task - Task name ('summary', 'vision', 'chat')
+ * @param {Object} request - Completion request
+ * @param {Array<Object>} request.messages - Chat messages
+ * @param {string} request.plan - Subscription plan of the caller (optional)
+ * @param {string} request.size - Summary size used to pick max tokens (optional)
+ * @param {number} request.maxTokens - Explicit max tokens, overrides the task settings (optional)
+ * @param {Object} request.responseFormat - JSON schema the response must follow, as {name, schema} (optional)
+ * @returns {Promise<{content: string, model: string, usage: Object}>} - Response text and metadata
+ */
+async function createChatCompletion(
+  task,
+  { messages, plan, size, maxTokens, responseFormat }
+) {
+  const settings = getTaskSettings(task, plan);
+  const request = {
+    model: settings.model,
+    messages,
+    max_tokens: maxTokens || resolveMaxTokens(settings, size),
+    temperature: settings.temperature,
+  };
+
+  const format = buildResponseFormat(settings, responseFormat);
+  if (format) {
+    request.response_format = format;
+  }
+
+  const completion = await getClient().chat.completions.create(request);
+
+  return {
+    content: completion.choices[0].message.content || '',
+    model: completion.model || settings.model,
+    usage: completion.usage || null,
+  };
+}
+
+/**
+ * Compute embeddings with the active provider, in batches
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<{embeddings: Array<Array<number>>, model: string, usage: Object}>} - One vector per text, in order
+ */
+async function createEmbeddings(texts) {
+  const settings = getTaskSettings('embedding');
+  const embeddings = [];
+  const usage = { prompt_tokens: 0, total_tokens: 0 };
+
+  for (let i = 0; i < texts.length; i += settings.batchSize) {
+    const request = {
+      model: settings.model,
+      input: texts.slice(i, i + settings.batchSize),
+    };
+    if (settings.dimensions) {
+      request.dimensions = settings.dimensions;
+    }
+    const response = await getClient().embeddings.create(request);
+    const data = [...response.data].sort((a, b) => a.index - b.index);
+    embeddings.push(...data.map(item => item.embedding));
+    if (response.usage) {
+      usage.prompt_tokens += response.usage.prompt_tokens || 0;
+      usage.total_tokens += response.usage.total_tokens || 0;
+    }
+  }
+
+  return { embeddings, model: settings.model, usage };
+}
+
+module.exports = {
+  getProviderName,
+  isProviderConfigured,
+  isEmbeddingConfigured,
+  getTaskSettings,
+  createChatCompletion,
+  createEmbeddings,
+};
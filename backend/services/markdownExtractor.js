@@ -0,0 +1,223 @@
+/**
+ * Markdown reader.
+ *
+ * Turns Markdown into the block list used by services/documentStructure.js,
+ * keeping the heading structure (ATX and setext headings), lists with their
+ * nesting, pipe tables, code blocks and paragraphs. Inline markup (emphasis,
+ * code spans, links, images and HTML tags) is reduced to its text.
+ */
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const TABLE_DELIMITER =
+  /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+/**
+ * Reduce inline Markdown to plain text
+ * @param {string} text - Markdown inline content
+ * @returns {string} - Plain text
+ */
+function inlineText(text) {
+  return text
+    .replace(/`+([^`]*?)`+/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(\*|_)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, '$1')
+    .trim();
+}
+
+/**
+ * Split a pipe table row into cells
+ * @param {string} line - Table row
+ * @returns {Array<string>} - Cell texts
+ */
+function tableCells(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => inlineText(cell.replace(/\\\|/g, '|')));
+}
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} source - Markdown source
+ * @returns {Array<Object>} - Blocks (see services/documentStructure.js)
+ */
+function parseMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  // Indentation of the open list levels, innermost last
+  let listIndents = [];
+  let afterBlank = false;
+
+  const flushParagraph = () => {
+    const text = inlineText(paragraph.join(' '));
+    paragraph = [];
+    if (!text) {
+      return;
+    }
+    const item = blocks[blocks.length - 1];
+    if (item && item.type === 'listItem' && item.open) {
+      item.text = [item.text, text].filter(Boolean).join(' ');
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  };
+
+  const closeList = () => {
+    const item = blocks[blocks.length - 1];
+    if (item && item.open) {
+      delete item.open;
+    }
+  };
+
+  let i = 0;
+  // YAML front matter
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end !== -1) {
+      i = end + 1;
+    }
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flushParagraph();
+      afterBlank = true;
+      continue;
+    }
+    const continuesList = !afterBlank || /^[ \t]/.test(line);
+    afterBlank = false;
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      flushParagraph();
+      closeList();
+      listIndents = [];
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        if (lines[i].trim().startsWith(fence[1])) {
+          break;
+        }
+        code.push(lines[i]);
+      }
+      if (code.join('').trim()) {
+        blocks.push({ type: 'paragraph', text: code.join('\n').trimEnd() });
+      }
+      continue;
+    }
+
+    const heading = ATX_HEADING.exec(line);
+    if (heading) {
+      flushParagraph();
+      closeList();
+      listIndents = [];
+      const text = inlineText(heading[2] || '');
+      if (text) {
+        blocks.push({ type: 'heading', level: heading[1].length, text });
+      }
+      continue;
+    }
+
+    const underline = SETEXT_UNDERLINE.exec(line);
+    if (underline && paragraph.length > 0 && listIndents.length === 0) {
+      const text = inlineText(paragraph.join(' '));
+      paragraph = [];
+      blocks.push({
+        type: 'heading',
+        level: underline[1][0] === '=' ? 1 : 2,
+        text,
+      });
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      flushParagraph();
+      closeList();
+      listIndents = [];
+      continue;
+    }
+
+    if (
+      line.includes('|') &&
+      paragraph.length === 0 &&
+      TABLE_DELIMITER.test(lines[i + 1] || '') &&
+      lines[i + 1].includes('-')
+    ) {
+      closeList();
+      listIndents = [];
+      const rows = [tableCells(line)];
+      for (i += 2; i < lines.length && lines[i].includes('|'); i++) {
+        rows.push(tableCells(lines[i]));
+      }
+      i--;
+      blocks.push({ type: 'table', rows });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      flushParagraph();
+      closeList();
+      const indent = item[1].replace(/\t/g, '    ').length;
+      while (
+        listIndents.length > 0 &&
+        listIndents[listIndents.length - 1] > indent
+      ) {
+        listIndents.pop();
+      }
+      if (
+        listIndents.length === 0 ||
+        listIndents[listIndents.length - 1] < indent
+      ) {
+        listIndents.push(indent);
+      }
+      const marker = item[2];
+      blocks.push({
+        type: 'listItem',
+        level: listIndents.length - 1,
+        label: /\d/.test(marker) ? `${parseInt(marker)}.` : '•',
+        text: inlineText(item[3].replace(/^\[[ xX]\][ \t]+/, '')),
+        open: true,
+      });
+      continue;
+    }
+
+    // Unindented text after a blank line ends the list
+    if (listIndents.length > 0 && !continuesList) {
+      closeList();
+      listIndents = [];
+    }
+    // Block quotes read as plain paragraphs
+    paragraph.push(line.replace(/^ {0,3}(>[ \t]?)+/, '').trim());
+  }
+
+  flushParagraph();
+  closeList();
+  return blocks;
+}
+
+/**
+ * Extract structured content from a Markdown file
+ * @param {string} source - Markdown source
+ * @returns {{blocks: Array<Object>}} - Blocks
+ */
+function readMarkdown(source) {
+  return { blocks: parseMarkdown(source) };
+}
+
+module.exports = {
+  readMarkdown,
+};
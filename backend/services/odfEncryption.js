@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { argon2id } = require('hash-wasm');
+const {
+  childElements,
+  childElement,
+  findElement,
+} = require('../utils/xmlTree');
+const { readPart } = require('../utils/officePackage');
+
+/**
+ * Decryption of password protected OpenDocument packages.
+ *
+ * Encrypted parts are listed in META-INF/manifest.xml with their cipher, key
+ * derivation and checksum. Each part is deflated and then encrypted with a
+ * key derived from a digest of the password (the "start key"). Packages saved
+ * with LibreOffice's whole-package encryption hold a single encrypted part,
+ * `encrypted-package`, which is the real package.
+ *
+ * Supported: AES-256 in CBC and GCM mode with PBKDF2 or Argon2id keys. The
+ * Blowfish cipher of old OpenOffice.org files is not available in Node.
+ */
+
+const MANIFEST_NS = 'urn:oasis:names:tc:opendocument:xmlns:manifest:1.0';
+
+const CIPHERS = {
+  'http://www.w3.org/2001/04/xmlenc#aes128-cbc': 'aes-128-cbc',
+  'http://www.w3.org/2001/04/xmlenc#aes192-cbc': 'aes-192-cbc',
+  'http://www.w3.org/2001/04/xmlenc#aes256-cbc': 'aes-256-cbc',
+  'http://www.w3.org/2009/xmlenc11#aes128-gcm': 'aes-128-gcm',
+  'http://www.w3.org/2009/xmlenc11#aes192-gcm': 'aes-192-gcm',
+  'http://www.w3.org/2009/xmlenc11#aes256-gcm': 'aes-256-gcm',
+};
+
+const START_KEY_DIGESTS = {
+  SHA1: 'sha1',
+  'http://www.w3.org/2000/09/xmldsig#sha1': 'sha1',
+  'http://www.w3.org/2000/09/xmldsig#sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmlenc#sha256': 'sha256',
+};
+
+const CHECKSUM_DIGESTS = {
+  'SHA1/1K': 'sha1',
+  [`${MANIFEST_NS}#sha1-1k`]: 'sha1',
+  [`${MANIFEST_NS}#sha256-1k`]: 'sha256',
+};
+
+const ARGON2ID =
+  'urn:org:documentfoundation:names:experimental:office:manifest:argon2id';
+
+const GCM_TAG_LENGTH = 16;
+
+// Parts that have to be decrypted for text extraction (pictures stay encrypted)
+const DECRYPTED_PARTS = /\.xml$|^encrypted-package$/;
+
+/**
+ * Create an error for a missing or wrong password
+ * @param {string} code - 'password_required' or 'password_incorrect'
+ * @returns {Error} - Error with code
+ */
+function passwordError(code) {
+  const error = new Error(
+    code === 'password_required'
+      ? 'Document is password protected'
+      : 'Incorrect document password'
+  );
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the encryption parameters of a manifest file entry
+ * @param {Object} fileEntry - manifest:file-entry element
+ * @returns {Object|null} - Encryption parameters or null if the part is not encrypted
+ */
+function readEncryptionData(fileEntry) {
+  const data = childElement(fileEntry, 'manifest:encryption-data');
+  if (!data) {
+    return null;
+  }
+  const algorithm = childElement(data, 'manifest:algorithm');
+  const derivation = childElement(data, 'manifest:key-derivation');
+  const startKey = childElement(data, 'manifest:start-key-generation');
+  const argon2Args = findElement(derivation, 'loext:argon2-args');
+  const attr = (element, name) => (element ? element.attrs[name] : undefined);
+
+  return {
+    size: parseInt(fileEntry.attrs['manifest:size']) || 0,
+    algorithm: attr(algorithm, 'manifest:algorithm-name'),
+    iv: Buffer.from(
+      attr(algorithm, 'manifest:initialisation-vector') || '',
+      'base64'
+    ),
+    derivation: attr(derivation, 'manifest:key-derivation-name'),
+    salt: Buffer.from(attr(derivation, 'manifest:salt') || '', 'base64'),
+    iterations: parseInt(attr(derivation, 'manifest:iteration-count')) || 0,
+    keySize: parseInt(attr(derivation, 'manifest:key-size')) || 16,
+    argon2: argon2Args && {
+      iterations: parseInt(argon2Args.attrs['loext:t']),
+      memorySize: parseInt(argon2Args.attrs['loext:m']),
+      parallelism: parseInt(argon2Args.attrs['loext:p']),
+    },
+    startKeyDigest:
+      START_KEY_DIGESTS[
+        attr(startKey, 'manifest:start-key-generation-name') || 'SHA1'
+      ],
+    checksumDigest: CHECKSUM_DIGESTS[data.attrs['manifest:checksum-type']],
+    checksum: Buffer.from(data.attrs['manifest:checksum'] || '', 'base64'),
+  };
+}
+
+/**
+ * Derive the key of an encrypted part
+ * @param {string} password - Document password
+ * @param {Object} params - Encryption parameters
+ * @returns {Promise<Buffer>} - Key
+ */
+async function deriveKey(password, params) {
+  if (!params.startKeyDigest) {
+    throw new Error('Unsupported ODF start key algorithm');
+  }
+  const startKey = crypto
+    .createHash(params.startKeyDigest)
+    .update(password, 'utf8')
+    .digest();
+
+  if (params.derivation === 'PBKDF2') {
+    return crypto.pbkdf2Sync(
+      startKey,
+      params.salt,
+      params.iterations,
+      params.keySize,
+      'sha1'
+    );
+  }
+  if (params.derivation === ARGON2ID && params.argon2) {
+    return Buffer.from(
+      await argon2id({
+        password: startKey,
+        salt: params.salt,
+        ...params.argon2,
+        hashLength: params.keySize,
+        outputType: 'binary',
+      })
+    );
+  }
+  throw new Error(`Unsupported ODF key derivation: ${params.derivation}`);
+}
+
+/**
+ * Decrypt one part of the package
+ * @param {Buffer} data - Encrypted part data
+ * @param {string} password - Document password
+ * @param {Object} params - Encryption parameters
+ * @returns {Promise<Buffer>} - Decrypted and inflated part
+ */
+async function decryptPart(data, password, params) {
+  const cipher = CIPHERS[params.algorithm];
+  if (!cipher) {
+    throw new Error(
+      `Unsupported ODF encryption algorithm: ${params.algorithm}`
+    );
+  }
+  const key = await deriveKey(password, params);
+
+  let compressed;
+  if (cipher.endsWith('-gcm')) {
+    // The authentication tag follows the ciphertext; a wrong key fails it
+    const decipher = crypto.createDecipheriv(cipher, key, params.iv);
+    decipher.setAuthTag(data.subarray(data.length - GCM_TAG_LENGTH));
+    try {
+      compressed = Buffer.concat([
+        decipher.update(data.subarray(0, data.length - GCM_TAG_LENGTH)),
+        decipher.final(),
+      ]);
+    } catch (error) {
+      throw passwordError('password_incorrect');
+    }
+  } else {
+    // W3C padding only defines the last byte, so it is removed by hand
+    const decipher = crypto.createDecipheriv(cipher, key, params.iv);
+    decipher.setAutoPadding(false);
+    const padded = Buffer.concat([decipher.update(data), decipher.final()]);
+    const padding = padded[padded.length - 1];
+    if (!padding || padding > 16) {
+      throw passwordError('password_incorrect');
+    }
+    compressed = padded.subarray(0, padded.length - padding);
+
+    // The checksum covers the first kilobyte of the decrypted part
+    if (params.checksumDigest) {
+      const matches = candidate =>
+        crypto
+          .createHash(params.checksumDigest)
+          .update(candidate.subarray(0, 1024))
+          .digest()
+          .equals(params.checksum);
+      if (!matches(compressed) && !matches(padded)) {
+        throw passwordError('password_incorrect');
+      }
+    }
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, {
+      maxOutputLength: params.size || undefined,
+    });
+  } catch (error) {
+    // Without a checksum a wrong key only shows up as garbage here
+    throw passwordError('password_incorrect');
+  }
+}
+
+/**
+ * Decrypt a password protected OpenDocument package
+ *
+ * Packages without encrypted parts are returned unchanged, whether or not a
+ * password was given.
+ *
+ * @param {AdmZip} zip - Opened package
+ * @param {string} password - Document password
+ * @returns {Promise<AdmZip>} - Package with readable parts
+ */
+async function decryptOdfPackage(zip, password) {
+  const manifest = await readPart(zip, 'META-INF/manifest.xml');
+  const encryptedParts = childElements(manifest, 'manifest:file-entry')
+    .map(fileEntry => ({
+      name: fileEntry.attrs['manifest:full-path'],
+      params: readEncryptionData(fileEntry),
+    }))
+    .filter(part => part.params && DECRYPTED_PARTS.test(part.name));
+
+  if (encryptedParts.length === 0) {
+    return zip;
+  }
+  if (!password) {
+    throw passwordError('password_required');
+  }
+
+  for (const { name, params } of encryptedParts) {
+    const entry = zip.getEntry(name);
+    if (!entry) {
+      continue;
+    }
+    // Encrypted parts are stored, so their raw bytes are the ciphertext
+    const data = await decryptPart(entry.getCompressedData(), password, params);
+    if (name === 'encrypted-package') {
+      return new AdmZip(data);
+    }
+    zip.updateFile(entry, data);
+  }
+  return zip;
+}
+
+module.exports = {
+  decryptOdfPackage,
+  passwordError,
+};
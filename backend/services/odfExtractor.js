@@ -0,0 +1,571 @@
+const AdmZip = require('adm-zip');
+const {
+  childElements,
+  childElement,
+  findElement,
+  findElements,
+} = require('../utils/xmlTree');
+const { toLetters, toRoman } = require('../utils/numberFormat');
+const { readPart } = require('../utils/officePackage');
+const { decryptOdfPackage } = require('./odfEncryption');
+const { readOdfMetadata } = require('./documentMetadata');
+
+/**
+ * OpenDocument (ODF) reader.
+ *
+ * Reads content.xml of OpenDocument packages and turns the text body into
+ * the block list used by services/documentStructure.js.
+ */
+
+// Elements that never contribute visible text
+const SKIPPED_ELEMENTS = new Set([
+  'office:annotation',
+  'office:annotation-end',
+  'text:tracked-changes',
+  'text:note-citation',
+  'text:bookmark',
+  'text:bookmark-start',
+  'text:bookmark-end',
+  'text:sequence-decls',
+  'text:variable-decls',
+  'svg:title',
+  'svg:desc',
+]);
+
+// Presentation placeholders that repeat on every slide
+const SKIPPED_PRESENTATION_CLASSES = new Set([
+  'page-number',
+  'date-time',
+  'footer',
+  'header',
+  'page',
+]);
+
+// Limits for repeated rows and cells, sheets are padded to 1M rows and 16K columns
+const MAX_REPEATED_ROWS = 1000;
+const MAX_SHEET_COLUMNS = 1024;
+
+/**
+ * Collect inline text of an ODF paragraph or heading
+ * @param {Object} node - Element node
+ * @param {Object} state - Collected text, page breaks and notes
+ */
+function collectInline(node, state) {
+  for (const child of node.children || []) {
+    if (child.text !== undefined) {
+      state.text += child.text.replace(/\s+/g, ' ');
+      continue;
+    }
+    if (SKIPPED_ELEMENTS.has(child.name)) {
+      continue;
+    }
+    switch (child.name) {
+      case 'text:s':
+        state.text += ' '.repeat(parseInt(child.attrs['text:c'] || '1'));
+        break;
+      case 'text:tab':
+        state.text += '\t';
+        break;
+      case 'text:line-break':
+        state.text += '\n';
+        break;
+      case 'text:soft-page-break':
+        if (state.text.trim()) {
+          state.breaksAfter++;
+        } else {
+          state.breaksBefore++;
+        }
+        break;
+      case 'text:note': {
+        const body = childElement(child, 'text:note-body');
+        state.notes.push(body ? odfBlockText(body) : '');
+        state.text += `[${state.noteNumber + state.notes.length}]`;
+        break;
+      }
+      default:
+        collectInline(child, state);
+    }
+  }
+}
+
+/**
+ * Get the plain text of block-level ODF content
+ * @param {Object} node - Element containing paragraphs
+ * @returns {string} - Plain text with one line per paragraph
+ */
+function odfBlockText(node) {
+  const paragraphs = [];
+  const visit = current => {
+    for (const child of current.children || []) {
+      if (child.name === 'text:p' || child.name === 'text:h') {
+        paragraphs.push(child);
+      } else if (child.name && !SKIPPED_ELEMENTS.has(child.name)) {
+        visit(child);
+      }
+    }
+  };
+  visit(node);
+
+  return paragraphs
+    .map(paragraph => {
+      const state = {
+        text: '',
+        breaksBefore: 0,
+        breaksAfter: 0,
+        notes: [],
+        noteNumber: 0,
+      };
+      collectInline(paragraph, state);
+      return state.text.trim();
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Read list styles so list items can be labelled with numbers or bullets
+ * @param {Array<Object|null>} roots - Parsed content.xml and styles.xml
+ * @returns {Map<string, Object>} - Level definitions by list style name
+ */
+function readListStyles(roots) {
+  const styles = new Map();
+  for (const root of roots) {
+    for (const style of findElements(root, 'text:list-style')) {
+      const levels = {};
+      for (const level of style.children || []) {
+        const index = parseInt(level.attrs && level.attrs['text:level']) - 1;
+        if (Number.isNaN(index)) {
+          continue;
+        }
+        if (level.name === 'text:list-level-style-number') {
+          levels[index] = {
+            format: level.attrs['style:num-format'] || '1',
+            prefix: level.attrs['style:num-prefix'] || '',
+            suffix: level.attrs['style:num-suffix'] || '.',
+            start: parseInt(level.attrs['text:start-value'] || '1'),
+          };
+        } else if (level.name === 'text:list-level-style-bullet') {
+          levels[index] = { bullet: level.attrs['text:bullet-char'] || '•' };
+        }
+      }
+      styles.set(style.attrs['style:name'], levels);
+    }
+  }
+  return styles;
+}
+
+/**
+ * Format a list counter in an ODF number format
+ * @param {number} value - Counter value
+ * @param {string} format - style:num-format value
+ * @returns {string} - Formatted counter
+ */
+function formatCounter(value, format) {
+  switch (format) {
+    case 'a':
+      return toLetters(value);
+    case 'A':
+      return toLetters(value).toUpperCase();
+    case 'i':
+      return toRoman(value);
+    case 'I':
+      return toRoman(value).toUpperCase();
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Create a walker that turns ODF text content into blocks
+ * @param {Map<string, Object>} listStyles - List styles by name
+ * @returns {Object} - Block walker and the footnotes it collected
+ */
+function createWalker(listStyles) {
+  let noteCount = 0;
+  const notes = [];
+
+  const walkParagraph = (node, blocks, list) => {
+    const state = {
+      text: '',
+      breaksBefore: 0,
+      breaksAfter: 0,
+      notes: [],
+      noteNumber: noteCount,
+    };
+    collectInline(node, state);
+    noteCount += state.notes.length;
+    state.notes.forEach((note, index) => {
+      notes.push({ number: state.noteNumber + index + 1, text: note });
+    });
+
+    for (let i = 0; i < state.breaksBefore; i++) {
+      blocks.push({ type: 'pageBreak' });
+    }
+
+    const text = state.text.trim();
+    if (text) {
+      if (node.name === 'text:h') {
+        const level = parseInt(node.attrs['text:outline-level'] || '1');
+        blocks.push({ type: 'heading', level, text });
+      } else if (list && !list.labelled) {
+        list.labelled = true;
+        blocks.push({
+          type: 'listItem',
+          level: list.level,
+          label: list.label,
+          text,
+        });
+      } else {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+
+    for (let i = 0; i < state.breaksAfter; i++) {
+      blocks.push({ type: 'pageBreak' });
+    }
+  };
+
+  const walkList = (node, blocks, parent) => {
+    const styleName =
+      node.attrs['text:style-name'] || (parent && parent.styleName);
+    const level = parent ? parent.level + 1 : 0;
+    const levels = listStyles.get(styleName) || {};
+    const definition = levels[level] || { bullet: '•' };
+    let counter =
+      definition.start !== undefined &&
+      node.attrs['text:continue-numbering'] !== 'true'
+        ? definition.start - 1
+        : 0;
+
+    for (const item of childElements(node, 'text:list-item').concat(
+      childElements(node, 'text:list-header')
+    )) {
+      let label = '';
+      if (item.name === 'text:list-item') {
+        if (definition.bullet) {
+          label = definition.bullet;
+        } else {
+          counter = item.attrs['text:start-value']
+            ? parseInt(item.attrs['text:start-value'])
+            : counter + 1;
+          label = `${definition.prefix}${formatCounter(counter, definition.format)}${definition.suffix}`;
+        }
+      }
+      const context = { styleName, level, label, labelled: false };
+      for (const child of item.children || []) {
+        if (child.name === 'text:list') {
+          walkList(child, blocks, context);
+        } else if (child.name === 'text:p' || child.name === 'text:h') {
+          walkParagraph(child, blocks, context);
+        }
+      }
+    }
+  };
+
+  const walkTable = (node, blocks) => {
+    const rows = [];
+    for (const row of findElements(node, 'table:table-row')) {
+      const cells = [];
+      for (const cell of row.children || []) {
+        if (
+          cell.name !== 'table:table-cell' &&
+          cell.name !== 'table:covered-table-cell'
+        ) {
+          continue;
+        }
+        const value =
+          cell.name === 'table:table-cell' ? odfBlockText(cell) : '';
+        // Repeated empty cells pad rows to the sheet width, do not expand them
+        const repeat = value
+          ? Math.min(
+              parseInt(cell.attrs['table:number-columns-repeated'] || '1'),
+              100
+            )
+          : 1;
+        for (let i = 0; i < repeat; i++) {
+          cells.push(value);
+        }
+      }
+      while (cells.length > 0 && !cells[cells.length - 1]) {
+        cells.pop();
+      }
+      if (cells.length > 0) {
+        rows.push(cells);
+      }
+    }
+    if (rows.length > 0) {
+      blocks.push({ type: 'table', rows });
+    }
+  };
+
+  const walkBlocks = (container, blocks) => {
+    for (const child of container.children || []) {
+      switch (child.name) {
+        case 'text:p':
+        case 'text:h':
+          walkParagraph(child, blocks, null);
+          break;
+        case 'text:list':
+          walkList(child, blocks, null);
+          break;
+        case 'table:table':
+          walkTable(child, blocks);
+          break;
+        case 'text:soft-page-break':
+          blocks.push({ type: 'pageBreak' });
+          break;
+        case 'text:section':
+        case 'text:index-body':
+        case 'text:table-of-content':
+        case 'text:alphabetical-index':
+        case 'text:illustration-index':
+        case 'text:bibliography':
+          walkBlocks(child, blocks);
+          break;
+        default:
+          break;
+      }
+    }
+  };
+
+  return { walkBlocks, notes };
+}
+
+/**
+ * Open an OpenDocument package, decrypting it if it is password protected
+ * @param {string} filePath - Path to the package
+ * @param {string} password - Document password, if any
+ * @returns {Promise<AdmZip>} - Package with readable parts
+ */
+function openPackage(filePath, password) {
+  return decryptOdfPackage(new AdmZip(filePath), password);
+}
+
+/**
+ * Read the page count stored in meta.xml
+ * @param {AdmZip} zip - Opened package
+ * @returns {Promise<number|null>} - Page count or null if not recorded
+ */
+async function readStoredPageCount(zip) {
+  const root = await readPart(zip, 'meta.xml');
+  const stats = findElement(root, 'meta:document-statistic');
+  const pages = stats ? parseInt(stats.attrs['meta:page-count']) : NaN;
+  return pages > 0 ? pages : null;
+}
+
+/**
+ * Extract structured content from an ODT file
+ * @param {string} filePath - Path to ODT file
+ * @param {string} password - Password of an encrypted file
+ * @returns {Promise<Object>} - Blocks, notes, stored page count and document properties
+ */
+async function readOdt(filePath, password) {
+  const zip = await openPackage(filePath, password);
+  const content = await readPart(zip, 'content.xml');
+  if (!content) {
+    throw new Error('Could not find content.xml in ODT file');
+  }
+  const text = findElement(content, 'office:text');
+  if (!text) {
+    throw new Error('ODT file has no text body');
+  }
+
+  const styles = await readPart(zip, 'styles.xml');
+  const { walkBlocks, notes } = createWalker(readListStyles([content, styles]));
+  const blocks = [];
+  walkBlocks(text, blocks);
+
+  return {
+    blocks,
+    notes: notes.filter(note => note.text),
+    storedPageCount: await readStoredPageCount(zip),
+    metadata: await readOdfMetadata(zip),
+  };
+}
+
+/**
+ * Collect the title and content blocks of the shapes on a presentation page
+ * @param {Object} container - draw:page or draw:g element
+ * @param {Object} slide - Slide being built ({title, blocks})
+ * @param {Function} walkBlocks - Block walker
+ */
+function walkDrawShapes(container, slide, walkBlocks) {
+  for (const shape of container.children || []) {
+    if (!shape.name) {
+      continue;
+    }
+    if (shape.name === 'draw:g') {
+      walkDrawShapes(shape, slide, walkBlocks);
+      continue;
+    }
+    if (!shape.name.startsWith('draw:')) {
+      continue;
+    }
+
+    const presentationClass = shape.attrs['presentation:class'];
+    if (SKIPPED_PRESENTATION_CLASSES.has(presentationClass)) {
+      continue;
+    }
+    if (presentationClass === 'title') {
+      slide.title = slide.title || odfBlockText(shape).replace(/\n/g, ' ');
+      continue;
+    }
+
+    if (shape.name === 'draw:frame') {
+      for (const child of shape.children || []) {
+        if (child.name === 'draw:text-box') {
+          walkBlocks(child, slide.blocks);
+        } else if (child.name === 'table:table') {
+          walkBlocks({ children: [child] }, slide.blocks);
+        }
+      }
+    } else {
+      // Custom shapes, rectangles and the like hold paragraphs directly
+      walkBlocks(shape, slide.blocks);
+    }
+  }
+}
+
+/**
+ * Extract slides from an ODP file
+ * @param {string} filePath - Path to ODP file
+ * @param {string} password - Password of an encrypted file
+ * @returns {Promise<{slides: Array<Object>, metadata: Object}>} - Slides in presentation order with title, blocks and notes, and the document properties
+ */
+async function readOdp(filePath, password) {
+  const zip = await openPackage(filePath, password);
+  const content = await readPart(zip, 'content.xml');
+  if (!content) {
+    throw new Error('Could not find content.xml in ODP file');
+  }
+  const presentation = findElement(content, 'office:presentation');
+  if (!presentation) {
+    throw new Error('ODP file has no presentation body');
+  }
+
+  const styles = await readPart(zip, 'styles.xml');
+  const { walkBlocks } = createWalker(readListStyles([content, styles]));
+
+  const slides = childElements(presentation, 'draw:page').map(page => {
+    const slide = { title: '', blocks: [], notes: [], hidden: false };
+    walkDrawShapes(
+      {
+        children: (page.children || []).filter(
+          child => child.name !== 'presentation:notes'
+        ),
+      },
+      slide,
+      walkBlocks
+    );
+
+    const notes = childElement(page, 'presentation:notes');
+    for (const frame of childElements(notes, 'draw:frame')) {
+      if (frame.attrs['presentation:class'] === 'notes') {
+        slide.notes.push(...odfBlockText(frame).split('\n').filter(Boolean));
+      }
+    }
+    return slide;
+  });
+
+  return { slides, metadata: await readOdfMetadata(zip) };
+}
+
+/**
+ * Get the value of a spreadsheet cell
+ * @param {Object} cell - table:table-cell element
+ * @returns {*} - String, number, boolean, Date or null
+ */
+function odsCellValue(cell) {
+  const attrs = cell.attrs || {};
+  switch (attrs['office:value-type']) {
+    case 'float':
+    case 'percentage':
+    case 'currency':
+      return parseFloat(attrs['office:value']);
+    case 'boolean':
+      return attrs['office:boolean-value'] === 'true';
+    case 'date': {
+      // Date-times without a zone are read as UTC, like plain dates
+      const value = attrs['office:date-value'] || '';
+      const date = new Date(/T[^Z+-]*$/.test(value) ? `${value}Z` : value);
+      return Number.isNaN(date.getTime()) ? odfBlockText(cell) || null : date;
+    }
+    default:
+      return odfBlockText(cell) || null;
+  }
+}
+
+/**
+ * Read the rows of a spreadsheet table
+ * @param {Object} table - table:table element
+ * @returns {Array<Array<*>>} - Rows of cell values
+ */
+function readSheetRows(table) {
+  const rows = [];
+  for (const row of findElements(table, 'table:table-row')) {
+    const cells = [];
+    for (const cell of row.children || []) {
+      if (
+        cell.name !== 'table:table-cell' &&
+        cell.name !== 'table:covered-table-cell'
+      ) {
+        continue;
+      }
+      const value =
+        cell.name === 'table:table-cell' ? odsCellValue(cell) : null;
+      const repeat = parseInt(
+        cell.attrs['table:number-columns-repeated'] || '1'
+      );
+      for (let i = 0; i < repeat && cells.length < MAX_SHEET_COLUMNS; i++) {
+        cells.push(value);
+      }
+    }
+    while (cells.length > 0 && cells[cells.length - 1] === null) {
+      cells.pop();
+    }
+
+    // Repeated empty rows pad the sheet, do not expand them
+    const repeat =
+      cells.length > 0
+        ? Math.min(
+            parseInt(row.attrs['table:number-rows-repeated'] || '1'),
+            MAX_REPEATED_ROWS
+          )
+        : 1;
+    for (let i = 0; i < repeat; i++) {
+      rows.push(cells);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Extract sheets from an ODS file
+ * @param {string} filePath - Path to ODS file
+ * @param {string} password - Password of an encrypted file
+ * @returns {Promise<{sheets: Array<{name: string, rows: Array<Array<*>>}>, metadata: Object}>} - Sheets in document order and the document properties
+ */
+async function readOds(filePath, password) {
+  const zip = await openPackage(filePath, password);
+  const content = await readPart(zip, 'content.xml');
+  if (!content) {
+    throw new Error('Could not find content.xml in ODS file');
+  }
+  const spreadsheet = findElement(content, 'office:spreadsheet');
+  if (!spreadsheet) {
+    throw new Error('ODS file has no spreadsheet body');
+  }
+
+  const sheets = childElements(spreadsheet, 'table:table').map(table => ({
+    name: table.attrs['table:name'] || '',
+    rows: readSheetRows(table),
+  }));
+
+  return { sheets, metadata: await readOdfMetadata(zip) };
+}
+
+module.exports = {
+  readOdt,
+  readOdp,
+  readOds,
+};
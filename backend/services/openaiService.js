@@ -1,47 +1,356 @@
-const OpenAI = require('openai');
+const { chunkText } = require('./textChunker');
+const { createChatCompletion, getProviderName, getTaskSettings, isProviderConfigured } = require('./llmProvider');
+const { SUMMARY_SCHEMA, parseSummaryResponse } = require('./summarySchema');
+const { verifyCitations, reverifyCitations } = require('./citations');
+const { summaryCacheKey, cacheTenant, getCachedSummary, storeCachedSummary } = require('./summaryCache');
+const { recordUsage } = require('./usageMeter');
+const { getLanguage } = require('../config/languages');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Version of the summary prompts and response format; bump it when they change
+// so that summaries cached with the old ones are not reused (see services/summaryCache.js)
+const SUMMARY_PROMPT_VERSION = 1;
+
+// Number of chunk summaries requested from the LLM provider at the same time
+const CHUNK_CONCURRENCY = parseInt(process.env.SUMMARY_CHUNK_CONCURRENCY) || 2;
+
+// Define summary size configurations (model settings live in config/llm.js)
+const summaryConfigs = {
+  short: {
+    size: 'short',
+    summarySize: 'Short'
+  },
+  medium: {
+    size: 'medium',
+    summarySize: 'Medium'
+  },
+  long: {
+    size: 'long',
+    summarySize: 'Large'
+  }
+};
+
+const SYSTEM_PROMPT = "You are a professional document analyst. Create clear, well-structured summaries that match the requested length exactly. For Short summaries, write exactly 1 paragraph. For Medium summaries, write exactly 3 paragraphs. For Large summaries, write exactly 5 paragraphs. Each paragraph should be separated by a blank line and provide comprehensive coverage of the document content.";
+
+// Describes the JSON object every summary request must return
+const RESPONSE_FORMAT = `
+Respond with a single JSON object and nothing else, using exactly these keys:
+{
+  "executiveSummary": "[SUMMARY_PLACEHOLDER]",
+  "keyPoints": ["Key point 1", "Key point 2"],
+  "actionItems": ["Action item 1"],
+  "importantDates": ["Date 1"],
+  "relevantNames": ["Name/Entity 1"],
+  "places": ["Place 1"],
+  "sources": {
+    "keyPoints": [["Passage for key point 1"], ["Passage for key point 2"]],
+    "actionItems": [["Passage for action item 1"]],
+    "importantDates": [["Passage for date 1"]],
+    "relevantNames": [["Passage for name 1"]],
+    "places": [["Passage for place 1"]]
+  }
+}
+Use an empty array when a list has no entries. Separate paragraphs of the executive summary with "\\n\\n".
+`;
+
+// Extra instructions for sources that are not plain prose documents
+const SOURCE_GUIDANCE = {
+  presentation: 'The source is a slide presentation. Each "Slide N" heading starts a new slide and is followed by the slide content and its speaker notes. Use the speaker notes to understand the slides, and keep the key points in the order of the slides they come from.',
+  spreadsheet: 'The source is a spreadsheet. Each "Sheet" heading starts a sheet, described by its row count, per-column statistics, notable values and a few sample rows instead of every cell. Base the summary on these figures, quote numbers as given, and do not guess at rows that are not shown.',
+  book: 'The source is a book. Each level 1 heading starts a new chapter. Follow the chapters in order: make clear how the content develops from chapter to chapter, and mention which chapter the key points and dates come from.',
+  collection: 'The source is a collection of separate documents uploaded together as one archive, and each part is one document titled with its file name. Describe what the collection contains as a whole and how the documents relate to each other, and mention which document the key points, action items and dates come from.',
+  email: 'The source is an email message. It starts with the subject and the From, To, Cc and Date headers, followed by the body, which may quote earlier messages of the thread. Attached documents follow under "Attachment:" headings. Summarize the conversation together with what each attachment contributes, and include the senders and recipients among the relevant names.'
+};
+
+// Instructions for documents with tables (rendered by services/documentStructure.js)
+const TABLE_GUIDANCE = 'Tables are given as Markdown tables, each under a "Table N" caption (with its page when known); the first row holds the column headers. When a key point relies on figures from a table, quote the figures exactly as they appear and say which table, row and column they come from.';
+
+/**
+ * Get the prompt instructions for the summary language
+ * @param {Object} context - Model context
+ * @returns {string} - Instructions to add to the prompt
+ */
+function languageGuidance(context) {
+  const { name } = getLanguage(context.outputLanguage);
+  return `\nWrite the executive summary and every list entry in ${name}, whatever the language of the source. Keep names, quotations and figures as they appear in the source.\n`;
+}
+
+// Instructions for the source passages every list entry is cited with (see services/citations.js)
+const CITATION_GUIDANCE = 'For every entry of the five lists, add to "sources", under the same key and at the same position, one or two short passages of the document text the entry is based on: a few words up to one sentence each, copied character for character. Do not translate, shorten, correct or reword them, even when the summary is in another language. Passages that cannot be found in the document are discarded. Use an empty list for an entry that no single passage supports.';
+
+// Instructions for merging notes whose entries carry source passages
+const MERGE_CITATION_GUIDANCE = 'Entries in the notes are followed by their source passages in square brackets. For every entry you keep, copy the passages of the entries it is made from into "sources", under the same key and at the same position, unchanged and at most two. Use an empty list for an entry whose notes have no passages.';
+
+// Collections are summarized from the document summaries, which have no passages to cite
+const COLLECTION_CITATION_GUIDANCE = 'Leave every list in "sources" empty.';
+
+/**
+ * Get the prompt instructions for source passages
+ * @param {Object} context - Model context
+ * @param {boolean} merging - True when the prompt merges notes instead of reading the document
+ * @returns {string} - Instructions to add to the prompt
+ */
+function citationGuidance(context, merging = false) {
+  if (context.sourceType === 'collection') {
+    return `\n${COLLECTION_CITATION_GUIDANCE}\n`;
+  }
+  return `\n${merging ? MERGE_CITATION_GUIDANCE : CITATION_GUIDANCE}\n`;
+}
+
+/**
+ * Get the prompt instructions for tables
+ * @param {Object} context - Model context
+ * @returns {string} - Instructions to add to the prompt, or an empty string
+ */
+function tableGuidance(context) {
+  return context.hasTables ? `\n${TABLE_GUIDANCE}\n` : '';
+}
+
+/**
+ * Get the prompt instructions for a source type
+ * @param {string} sourceType - Source type reported by processDocument
+ * @returns {string} - Instructions to add to the prompt, or an empty string
+ */
+function sourceGuidance(sourceType) {
+  return SOURCE_GUIDANCE[sourceType] ? `\n${SOURCE_GUIDANCE[sourceType]}\n` : '';
+}
 
 /**
  * Generate summary and extract key information from document text
+ *
+ * Short documents are summarized in a single call. Longer documents are
+ * split into chunks that are summarized one by one and then merged, so the
+ * final summary covers the whole document instead of its first pages.
+ *
+ * Summaries of signed-in users are cached per account: the same text
+ * summarized again with the same settings returns the stored summary.
+ *
  * @param {string} text - Extracted text from document
  * @param {string} summarySize - Summary size: 'short', 'medium', 'long'
- * @returns {Promise<Object>} - Summary and extracted information
+ * @param {Object} options - Additional options
+ * @param {string} options.plan - Subscription plan, used to pick the model settings
+ * @param {Function} options.onProgress - Called with {stage, completed, total} as chunks are processed
+ * @param {Object} options.structure - Document structure from processDocument, used to chunk on sections and pages
+ * @param {string} options.sourceType - Source type from processDocument (e.g. 'presentation'), adapts the prompts
+ * @param {Array<string>} options.names - Names known from the source itself (e.g. email headers), added to relevantNames
+ * @param {string} options.outputLanguage - Language code of the summary (see config/languages.js), English by default
+ * @param {Object} options.userId - Signed-in user; their summaries are cached and the model calls are recorded in their usage
+ * @param {boolean} options.regenerate - Ignore a cached summary and generate it again
+ * @returns {Promise<Object>} - Summary and extracted information, with the verified source citations of the list entries, and `cached` if it came from the cache
  */
-async function generateSummary(text, summarySize = 'short') {
+async function generateSummary(text, summarySize = 'short', options = {}) {
+  const onProgress = options.onProgress || (() => {});
+
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key is not configured');
+    if (!isProviderConfigured()) {
+      throw new Error('LLM provider is not configured');
     }
 
-    // Truncate text if it's too long for the API
-    const maxTokens = 4000; // Leave room for response
-    const truncatedText = text.length > maxTokens * 4 ? text.substring(0, maxTokens * 4) + '...' : text;
-
-    // Define summary size configurations
-    const summaryConfigs = {
-      short: {
-        summarySize: 'Short',
-        maxTokens: 1000
-      },
-      medium: {
-        summarySize: 'Medium',
-        maxTokens: 1500
-      },
-      long: {
-        summarySize: 'Large',
-        maxTokens: 2500
-      }
+    const config = summaryConfigs[summarySize] || summaryConfigs.short;
+    const settings = getTaskSettings('summary', options.plan);
+    const context = {
+      plan: options.plan,
+      userId: options.userId,
+      sourceType: options.sourceType,
+      outputLanguage: options.outputLanguage,
+      hasTables: Boolean(options.structure && options.structure.tables && options.structure.tables.length > 0),
+      singlePassChars: settings.singlePassChars,
+      chunkChars: settings.chunkChars
     };
 
+    const tenant = cacheTenant(options.userId);
+    const cacheKey = tenant && summaryCacheKey(text, {
+      summarySize: config.size,
+      outputLanguage: options.outputLanguage,
+      sourceType: options.sourceType,
+      names: options.names,
+      provider: getProviderName(),
+      model: settings.model,
+      promptVersion: SUMMARY_PROMPT_VERSION
+    });
+
+    if (cacheKey && !options.regenerate) {
+      const cached = await getCachedSummary(tenant, cacheKey);
+      if (cached) {
+        onProgress({ stage: 'done', completed: 1, total: 1 });
+        // Offsets and pages can differ between extractions of the same text
+        return {
+          ...cached,
+          citations: reverifyCitations(cached.citations, text, options.structure),
+          cached: true
+        };
+      }
+    }
+
+    const response = await summarizeText(text, config, context, options.structure, onProgress);
+    const result = withCitations(response, text, options);
+    if (cacheKey) {
+      await storeCachedSummary(tenant, cacheKey, result, settings.model);
+    }
+    return { ...result, cached: false };
+
+  } catch (error) {
+    console.error('OpenAI API Error:', error);
+    onProgress({ stage: 'failed', completed: 0, total: 0 });
+    throw apiError(error);
+  }
+}
+
+/**
+ * Summarize a document text with the model, in one call or chunk by chunk
+ * @param {string} text - Extracted text from document
+ * @param {Object} config - Summary size configuration
+ * @param {Object} context - Model context
+ * @param {Object} structure - Document structure from processDocument, used to chunk on sections and pages
+ * @param {Function} onProgress - Called with {stage, completed, total} as chunks are processed
+ * @returns {Promise<{rawResponse: string, summary: Object}>} - Final summary response
+ */
+async function summarizeText(text, config, context, structure, onProgress) {
+  if (text.length <= context.singlePassChars) {
+    onProgress({ stage: 'summarizing', completed: 0, total: 1 });
+    const result = await requestSummary(buildSummaryPrompt(text, config, context), context, config.size);
+    onProgress({ stage: 'done', completed: 1, total: 1 });
+    return result;
+  }
+
+  // Map: summarize every chunk of the document
+  const chunks = chunkText(text, { maxChars: context.chunkChars, structure });
+  let completed = 0;
+  onProgress({ stage: 'summarizing', completed, total: chunks.length });
+
+  const partials = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk) => {
+    const partial = await summarizeChunk(chunk, chunks.length, context);
+    completed++;
+    onProgress({ stage: 'summarizing', completed, total: chunks.length });
+    return partial;
+  });
+
+  // Reduce: merge the partial results into the final summary
+  onProgress({ stage: 'merging', completed: chunks.length, total: chunks.length });
+  const result = await mergePartialSummaries(partials, config, context);
+  onProgress({ stage: 'done', completed: chunks.length, total: chunks.length });
+
+  return result;
+}
+
+/**
+ * Generate one summary for a collection of documents that were already summarized
+ *
+ * The document summaries are merged like the parts of a long document, each
+ * part titled with its file name (and the document's own title, if it has one).
+ *
+ * @param {Array<{filename: string, summary: Object, metadata: Object}>} documents - Summarized documents in archive order
+ * @param {string} summarySize - Summary size: 'short', 'medium', 'long'
+ * @param {Object} options - Additional options
+ * @param {string} options.plan - Subscription plan, used to pick the model settings
+ * @param {string} options.outputLanguage - Language code of the summary (see config/languages.js), English by default
+ * @param {Object} options.userId - Signed-in user the model calls are recorded for
+ * @returns {Promise<Object>} - Summary and extracted information for the whole collection
+ */
+async function generateCollectionSummary(documents, summarySize = 'short', options = {}) {
+  try {
+    if (!isProviderConfigured()) {
+      throw new Error('LLM provider is not configured');
+    }
+
     const config = summaryConfigs[summarySize] || summaryConfigs.short;
+    const settings = getTaskSettings('summary', options.plan);
+    const context = {
+      plan: options.plan,
+      userId: options.userId,
+      sourceType: 'collection',
+      outputLanguage: options.outputLanguage,
+      singlePassChars: settings.singlePassChars,
+      chunkChars: settings.chunkChars
+    };
 
-    const prompt = `
-Summarize the following document into a ${config.summarySize} summary. The summary should capture the main ideas and key details. Use clear and concise language suitable for a general audience.
+    const partials = documents.map((document, index) => ({
+      index,
+      title: document.metadata && document.metadata.title ? `${document.metadata.title} (${document.filename})` : document.filename,
+      ...document.summary
+    }));
+    const result = await mergePartialSummaries(partials, config, context);
+    return {
+      rawResponse: result.rawResponse,
+      ...omitSources(result.summary),
+      citations: []
+    };
+
+  } catch (error) {
+    console.error('OpenAI API Error:', error);
+    throw apiError(error);
+  }
+}
+
+/**
+ * Convert an error from the LLM provider into a user facing error
+ * @param {Error} error - Provider error
+ * @returns {Error} - Error with a readable message
+ */
+function apiError(error) {
+  if (error.code === 'insufficient_quota') {
+    return new Error('OpenAI API quota exceeded. Please check your account.');
+  } else if (error.code === 'rate_limit_exceeded') {
+    return new Error('OpenAI API rate limit exceeded. Please try again later.');
+  } else if (error.code === 'invalid_api_key') {
+    return new Error('Invalid OpenAI API key. Please check your configuration.');
+  }
+  return new Error(`OpenAI API error: ${error.message}`);
+}
+
+/**
+ * Turn the source passages of a summary into verified citations
+ * @param {{rawResponse: string, summary: Object}} result - Final summary response
+ * @param {string} text - Extracted document text
+ * @param {Object} options - Options of generateSummary (structure and known names)
+ * @returns {Object} - Summary with `citations` instead of `sources`
+ */
+function withCitations(result, text, options) {
+  return {
+    rawResponse: result.rawResponse,
+    ...withKnownNames(omitSources(result.summary), options.names),
+    citations: verifyCitations(result.summary.sources, text, options.structure)
+  };
+}
+
+/**
+ * Copy a parsed summary without its source passages
+ * @param {Object} summary - Parsed summary
+ * @returns {Object} - Summary without `sources`
+ */
+function omitSources(summary) {
+  const copy = { ...summary };
+  delete copy.sources;
+  return copy;
+}
 
+/**
+ * Add names that are known from the source to the extracted names
+ * @param {Object} summary - Parsed summary
+ * @param {Array<string>} names - Known names, e.g. the people in email headers
+ * @returns {Object} - Summary with the missing names appended to relevantNames
+ */
+function withKnownNames(summary, names) {
+  const relevantNames = [...(summary.relevantNames || [])];
+  for (const name of names || []) {
+    const lower = name.toLowerCase();
+    if (!relevantNames.some(existing => existing.toLowerCase().includes(lower))) {
+      relevantNames.push(name);
+    }
+  }
+  return { ...summary, relevantNames };
+}
+
+/**
+ * Build the prompt for summarizing a complete document
+ * @param {string} text - Document text
+ * @param {Object} config - Summary size configuration
+ * @param {Object} context - Model context (source type, whether the document has tables)
+ * @returns {string} - Prompt text
+ */
+function buildSummaryPrompt(text, config, context = {}) {
+  return `
+Summarize the following document into a ${config.summarySize} summary. The summary should capture the main ideas and key details. Use clear and concise language suitable for a general audience.
+${sourceGuidance(context.sourceType)}${tableGuidance(context)}${languageGuidance(context)}${citationGuidance(context)}
 Executive Summary Requirements:
 - Short: Write exactly 1 paragraph with comprehensive coverage of the main points
 - Medium: Write exactly 3 paragraphs with detailed coverage and analysis
@@ -57,161 +366,278 @@ Please analyze the following document and provide:
 6. PLACES: Extract locations, addresses, or geographical references
 
 Document content:
-${truncatedText}
+${text}
 
-Please format your response as follows:
+${RESPONSE_FORMAT.replace('[SUMMARY_PLACEHOLDER]', `Your ${config.summarySize} summary here with the exact number of paragraphs specified`)}`;
+}
 
-EXECUTIVE SUMMARY:
-[Your ${config.summarySize} summary here with the exact number of paragraphs specified]
+/**
+ * Summarize one chunk of a long document
+ * @param {Object} chunk - Chunk from chunkText
+ * @param {number} totalChunks - Number of chunks in the document
+ * @param {Object} context - Model context (plan and size limits)
+ * @returns {Promise<Object>} - Parsed partial summary with the chunk position
+ */
+async function summarizeChunk(chunk, totalChunks, context) {
+  const location = [];
+  if (chunk.title) {
+    location.push(`section: ${chunk.title}`);
+  }
+  if (chunk.pages && chunk.pages.start) {
+    location.push(chunk.pages.start === chunk.pages.end
+      ? `page ${chunk.pages.start}`
+      : `pages ${chunk.pages.start}-${chunk.pages.end}`);
+  }
 
-KEY POINTS:
-• [Key point 1]
-• [Key point 2]
-• [Key point 3]
+  const prompt = `
+The following text is part ${chunk.index + 1} of ${totalChunks} of a longer document${location.length > 0 ? ` (${location.join(', ')})` : ''}. Its notes will later be merged with the notes of the other parts.
+${sourceGuidance(context.sourceType)}${tableGuidance(context)}${citationGuidance(context)}
+Please analyze this part only and provide:
 
-ACTION ITEMS:
-• [Action item 1]
-• [Action item 2]
+1. EXECUTIVE SUMMARY: One concise paragraph covering the main points of this part
+2. KEY POINTS: The main ideas and concepts in this part
+3. ACTION ITEMS: Any tasks, obligations, to-dos, or actionable content
+4. IMPORTANT DATES: Any dates, deadlines, or timelines mentioned
+5. RELEVANT NAMES: People, organizations, companies, or entities
+6. PLACES: Locations, addresses, or geographical references
 
-IMPORTANT DATES:
-• [Date 1]
-• [Date 2]
+Only list items that actually appear in this part. Leave a section empty if there is nothing to report.
 
-RELEVANT NAMES:
-• [Name/Entity 1]
-• [Name/Entity 2]
+Document part:
+${chunk.text}
 
-PLACES:
-• [Place 1]
-• [Place 2]
-`;
+${RESPONSE_FORMAT.replace('[SUMMARY_PLACEHOLDER]', 'One paragraph summary of this part')}`;
+
+  const result = await requestSummary(prompt, context, 'short');
+
+  return {
+    index: chunk.index,
+    title: chunk.title,
+    ...result.summary
+  };
+}
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional document analyst. Create clear, well-structured summaries that match the requested length exactly. For Short summaries, write exactly 1 paragraph. For Medium summaries, write exactly 3 paragraphs. For Large summaries, write exactly 5 paragraphs. Each paragraph should be separated by a blank line and provide comprehensive coverage of the document content."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: config.maxTokens,
-      temperature: 0.3,
+/**
+ * Merge partial chunk summaries into the final summary
+ *
+ * If the partial results are themselves too long for one call they are
+ * merged in groups first, and the group results are merged again.
+ *
+ * @param {Array<Object>} partials - Parsed partial summaries in document order
+ * @param {Object} config - Summary size configuration
+ * @param {Object} context - Model context (plan and size limits)
+ * @returns {Promise<{rawResponse: string, summary: Object}>} - Final summary
+ */
+async function mergePartialSummaries(partials, config, context) {
+  let notes = partials.map(formatPartialSummary);
+
+  while (notes.join('\n\n').length > context.singlePassChars && notes.length > 1) {
+    const groups = packNotes(notes, context.singlePassChars);
+    notes = await mapWithConcurrency(groups, CHUNK_CONCURRENCY, async (group) => {
+      const result = await requestSummary(
+        buildMergePrompt(group.join('\n\n'), summaryConfigs.short, true, context),
+        context,
+        'medium'
+      );
+      return formatPartialSummary(result.summary);
     });
+  }
 
-    const response = completion.choices[0].message.content;
-    
-    // Parse the response into structured format
-    const parsedResponse = parseOpenAIResponse(response);
-    
-    return {
-      rawResponse: response,
-      ...parsedResponse
-    };
+  return requestSummary(buildMergePrompt(notes.join('\n\n'), config, false, context), context, config.size);
+}
 
-  } catch (error) {
-    console.error('OpenAI API Error:', error);
-    
-    if (error.code === 'insufficient_quota') {
-      throw new Error('OpenAI API quota exceeded. Please check your account.');
-    } else if (error.code === 'rate_limit_exceeded') {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-    } else if (error.code === 'invalid_api_key') {
-      throw new Error('Invalid OpenAI API key. Please check your configuration.');
-    } else {
-      throw new Error(`OpenAI API error: ${error.message}`);
+/**
+ * Build the prompt that merges notes from several document parts
+ * @param {string} notes - Formatted partial summaries
+ * @param {Object} config - Summary size configuration
+ * @param {boolean} intermediate - True when the result will be merged again
+ * @param {Object} context - Model context (source type)
+ * @returns {string} - Prompt text
+ */
+function buildMergePrompt(notes, config, intermediate, context = {}) {
+  const summaryInstruction = intermediate
+    ? 'One or two paragraphs covering all of the parts below'
+    : `${config.summarySize} summary of the whole document following the exact paragraph requirements above`;
+
+  return `
+${context.sourceType === 'collection'
+    ? 'The notes below were written for separate documents of one collection, one part per document. Combine them into a single analysis of the whole collection.'
+    : 'The notes below were written for consecutive parts of one long document, in document order. Combine them into a single analysis of the whole document.'}
+${sourceGuidance(context.sourceType)}${languageGuidance(context)}${citationGuidance(context, true)}
+Executive Summary Requirements:
+- Short: Write exactly 1 paragraph with comprehensive coverage of the main points
+- Medium: Write exactly 3 paragraphs with detailed coverage and analysis
+- Large: Write exactly 5 paragraphs with comprehensive coverage of all document sections
+
+Please provide:
+
+1. EXECUTIVE SUMMARY: ${summaryInstruction}
+2. KEY POINTS: The most important ideas across all parts, without repetition
+3. ACTION ITEMS: All tasks and obligations, merging duplicates
+4. IMPORTANT DATES: All dates, deadlines, and timelines, merging duplicates
+5. RELEVANT NAMES: All people, organizations, and entities, merging duplicates
+6. PLACES: All locations, merging duplicates
+
+Notes:
+${notes}
+
+${RESPONSE_FORMAT.replace('[SUMMARY_PLACEHOLDER]', summaryInstruction)}`;
+}
+
+/**
+ * Format a parsed summary as plain text notes for a merge prompt
+ * @param {Object} partial - Parsed summary sections, with the source passages of its entries when it has them
+ * @returns {string} - Notes text
+ */
+function formatPartialSummary(partial) {
+  const heading = partial.index !== undefined
+    ? `PART ${partial.index + 1}${partial.title ? ` - ${partial.title}` : ''}`
+    : 'PART';
+  const sources = partial.sources || {};
+  const entry = (item, quotes) => quotes && quotes.length > 0
+    ? `• ${item} [${quotes.map(quote => JSON.stringify(quote)).join(', ')}]`
+    : `• ${item}`;
+  const list = (label, field) => partial[field].length > 0
+    ? `${label}:\n${partial[field].map((item, index) => entry(item, (sources[field] || [])[index])).join('\n')}`
+    : `${label}: none`;
+
+  return [
+    `=== ${heading} ===`,
+    `SUMMARY: ${partial.executiveSummary}`,
+    list('KEY POINTS', 'keyPoints'),
+    list('ACTION ITEMS', 'actionItems'),
+    list('IMPORTANT DATES', 'importantDates'),
+    list('RELEVANT NAMES', 'relevantNames'),
+    list('PLACES', 'places')
+  ].join('\n');
+}
+
+/**
+ * Group notes so that each group stays below maxChars
+ * @param {Array<string>} notes - Notes in document order
+ * @param {number} maxChars - Maximum characters per group
+ * @returns {Array<Array<string>>} - Groups of notes, each with at least two entries when possible
+ */
+function packNotes(notes, maxChars) {
+  const groups = [];
+  let current = [];
+  let length = 0;
+
+  for (const note of notes) {
+    if (current.length > 1 && length + note.length > maxChars) {
+      groups.push(current);
+      current = [];
+      length = 0;
     }
+    current.push(note);
+    length += note.length + 2;
   }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups;
 }
 
 /**
- * Parse OpenAI response into structured format
- * @param {string} response - Raw response from OpenAI
- * @returns {Object} - Parsed response object
+ * Request a structured summary and validate it
+ *
+ * The provider is asked for JSON matching SUMMARY_SCHEMA. If the response
+ * is malformed, the validation errors are sent back once and the model is
+ * asked to correct its answer.
+ *
+ * @param {string} prompt - User prompt
+ * @param {Object} context - Model context (plan, size limits and the user the calls are recorded for)
+ * @param {string} size - Summary size used to pick the max tokens
+ * @returns {Promise<{rawResponse: string, summary: Object}>} - Raw response text and validated summary
  */
-function parseOpenAIResponse(response) {
-  const sections = {
-    executiveSummary: '',
-    keyPoints: [],
-    actionItems: [],
-    importantDates: [],
-    relevantNames: [],
-    places: []
+async function requestSummary(prompt, context, size) {
+  const messages = [
+    {
+      role: "system",
+      content: SYSTEM_PROMPT
+    },
+    {
+      role: "user",
+      content: prompt
+    }
+  ];
+  const request = {
+    plan: context.plan,
+    size,
+    responseFormat: { name: 'document_summary', schema: SUMMARY_SCHEMA }
   };
 
-  const lines = response.split('\n');
-  let currentSection = '';
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    if (!trimmedLine) continue;
-
-    // Identify sections
-    if (trimmedLine.toUpperCase().includes('EXECUTIVE SUMMARY')) {
-      currentSection = 'executiveSummary';
-      continue;
-    } else if (trimmedLine.toUpperCase().includes('KEY POINTS')) {
-      currentSection = 'keyPoints';
-      continue;
-    } else if (trimmedLine.toUpperCase().includes('ACTION ITEMS')) {
-      currentSection = 'actionItems';
-      continue;
-    } else if (trimmedLine.toUpperCase().includes('IMPORTANT DATES')) {
-      currentSection = 'importantDates';
-      continue;
-    } else if (trimmedLine.toUpperCase().includes('RELEVANT NAMES')) {
-      currentSection = 'relevantNames';
-      continue;
-    } else if (trimmedLine.toUpperCase().includes('PLACES')) {
-      currentSection = 'places';
-      continue;
-    }
+  const first = await createChatCompletion('summary', { ...request, messages });
+  await recordUsage(context.userId, { task: 'summary', model: first.model, usage: first.usage });
+  let parsed = parseSummaryResponse(first.content);
+  if (parsed.summary) {
+    return { rawResponse: first.content, summary: parsed.summary };
+  }
 
-    // Process content based on current section
-    if (currentSection === 'executiveSummary') {
-      sections.executiveSummary += trimmedLine + ' ';
-    } else if (currentSection && trimmedLine.startsWith('•')) {
-      const content = trimmedLine.substring(1).trim();
-      if (content) {
-        sections[currentSection].push(content);
-      }
-    } else if (currentSection && trimmedLine.startsWith('-')) {
-      const content = trimmedLine.substring(1).trim();
-      if (content) {
-        sections[currentSection].push(content);
+  console.warn('Malformed summary response, retrying:', parsed.errors.join('; '));
+
+  const retry = await createChatCompletion('summary', {
+    ...request,
+    messages: [
+      ...messages,
+      { role: "assistant", content: first.content },
+      {
+        role: "user",
+        content: `Your previous response was not valid: ${parsed.errors.join('; ')}. Respond again with only the corrected JSON object.`
       }
-    }
+    ]
+  });
+  await recordUsage(context.userId, { task: 'summary', model: retry.model, usage: retry.usage });
+  parsed = parseSummaryResponse(retry.content);
+  if (parsed.summary) {
+    return { rawResponse: retry.content, summary: parsed.summary };
   }
 
-  // Clean up executive summary
-  sections.executiveSummary = sections.executiveSummary.trim();
+  throw new Error(`Summary response was malformed after retry: ${parsed.errors.join('; ')}`);
+}
+
+/**
+ * Run an async function over items with a limited number in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const current = next++;
+      results[current] = await fn(items[current]);
+    }
+  };
 
-  return sections;
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 /**
- * Test OpenAI API connection
+ * Test LLM provider connection
  * @returns {Promise<boolean>} - True if connection is successful
  */
 async function testConnection() {
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
+    await createChatCompletion('summary', {
       messages: [{ role: "user", content: "Hello" }],
-      max_tokens: 5,
+      maxTokens: 5
     });
     return true;
   } catch (error) {
-    console.error('OpenAI connection test failed:', error);
+    console.error('LLM connection test failed:', error);
     return false;
   }
 }
 
 module.exports = {
   generateSummary,
+  generateCollectionSummary,
   testConnection
 }; 
\ No newline at end of file
@@ -1,5 +1,8 @@
 const OpenAI = require('openai');
 const { textToMP3Alternative } = require('./alternativeTTSService');
+const { DEFAULT_LANGUAGE, getLanguage } = require('../config/languages');
+
+const TTS_MODEL = 'tts-1';
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -11,19 +14,27 @@ const openai = new OpenAI({
  * @param {string} text - Text to convert to speech
  * @param {string} originalFilename - Original document filename for context
  * @param {string} summarySize - Summary size used
+ * @param {string} language - Language code of the summary (see config/languages.js)
+ * @param {Object} options - Additional options
+ * @param {Function} options.onUsage - Called with the speech model call, for usage accounting (see services/usageMeter.js)
  * @returns {Promise<Buffer>} - MP3 audio buffer
  */
-async function textToMP3(text, originalFilename, summarySize = 'short') {
+async function textToMP3(text, originalFilename, summarySize = 'short', language = DEFAULT_LANGUAGE, options = {}) {
   try {
     // Prepare the text for speech synthesis
-    const speechText = prepareTextForSpeech(text, originalFilename, summarySize);
+    const speechText = prepareTextForSpeech(text, originalFilename, summarySize, language);
     
-    // Generate speech using OpenAI TTS
+    // Generate speech using OpenAI TTS; the voices speak every language, the
+    // one used can be configured per language (TTS_VOICES)
     const mp3 = await openai.audio.speech.create({
-      model: "tts-1",
-      voice: "alloy", // Professional, neutral voice
+      model: TTS_MODEL,
+      voice: getLanguage(language).voice,
       input: speechText,
     });
+    // Speech is billed by the characters of the input
+    if (options.onUsage) {
+      options.onUsage({ task: 'tts', model: TTS_MODEL, characters: speechText.length });
+    }
 
     // Convert to buffer
     const buffer = Buffer.from(await mp3.arrayBuffer());
@@ -38,7 +49,7 @@ async function textToMP3(text, originalFilename, summarySize = 'short') {
         console.log('OpenAI TTS quota exceeded, trying alternative service...');
         try {
           // Try alternative TTS service
-          return await textToMP3Alternative(text, originalFilename, summarySize);
+          return await textToMP3Alternative(text, originalFilename, summarySize, language);
         } catch (fallbackError) {
           throw new Error('OpenAI TTS quota exceeded and alternative service unavailable. Please check your billing at https://platform.openai.com/account/billing or try again later.');
         }
@@ -63,7 +74,7 @@ async function checkTTSServiceAvailability() {
   try {
     // Try a minimal test request
     const testMp3 = await openai.audio.speech.create({
-      model: "tts-1",
+      model: TTS_MODEL,
       voice: "alloy",
       input: "Test",
     });
@@ -79,24 +90,27 @@ async function checkTTSServiceAvailability() {
  * @param {string} text - Original text
  * @param {string} originalFilename - Original document filename
  * @param {string} summarySize - Summary size used
+ * @param {string} language - Language code of the summary
  * @returns {string} - Formatted text for speech
  */
-function prepareTextForSpeech(text, originalFilename, summarySize) {
+function prepareTextForSpeech(text, originalFilename, summarySize, language = DEFAULT_LANGUAGE) {
+  const { code, labels } = getLanguage(language);
+
   // Extract filename without extension
   const filename = originalFilename.replace(/\.[^/.]+$/, '');
   
   // Create a professional introduction
-  let speechText = `Document Summary Audio. `;
-  speechText += `Original document: ${filename}. `;
-  speechText += `Summary size: ${summarySize.charAt(0).toUpperCase() + summarySize.slice(1)}. `;
-  speechText += `Generated on ${new Date().toLocaleDateString()}. `;
+  let speechText = `${labels.audioTitle}. `;
+  speechText += `${labels.originalDocument}: ${filename}. `;
+  speechText += `${labels.summarySize}: ${labels.sizes[summarySize] || summarySize}. `;
+  speechText += `${labels.generatedOn} ${new Date().toLocaleDateString(code)}. `;
   speechText += `\n\n`;
   
   // Add the main content
   speechText += text;
   
   // Add closing
-  speechText += `\n\nEnd of summary. Thank you for using Abstract Document Summarizer.`;
+  speechText += `\n\n${labels.audioClosing}`;
   
   return speechText;
 }
@@ -104,59 +118,61 @@ function prepareTextForSpeech(text, originalFilename, summarySize) {
 /**
  * Convert summary data to speech-friendly text
  * @param {Object} summaryData - Summary data object
+ * @param {string} language - Language code of the summary, used for the spoken headings
  * @returns {string} - Formatted text for speech synthesis
  */
-function formatSummaryForSpeech(summaryData) {
+function formatSummaryForSpeech(summaryData, language = DEFAULT_LANGUAGE) {
+  const { labels } = getLanguage(language);
   let speechText = '';
   
   // Add executive summary
   if (summaryData.executiveSummary) {
-    speechText += `Executive Summary. `;
+    speechText += `${labels.executiveSummary}. `;
     speechText += summaryData.executiveSummary;
     speechText += `\n\n`;
   }
   
   // Add key points
   if (summaryData.keyPoints && summaryData.keyPoints.length > 0) {
-    speechText += `Key Points. `;
+    speechText += `${labels.keyPoints}. `;
     summaryData.keyPoints.forEach((point, index) => {
-      speechText += `Point ${index + 1}: ${point}. `;
+      speechText += `${labels.point} ${index + 1}: ${point}. `;
     });
     speechText += `\n\n`;
   }
   
   // Add action items
   if (summaryData.actionItems && summaryData.actionItems.length > 0) {
-    speechText += `Action Items. `;
+    speechText += `${labels.actionItems}. `;
     summaryData.actionItems.forEach((item, index) => {
-      speechText += `Action ${index + 1}: ${item}. `;
+      speechText += `${labels.action} ${index + 1}: ${item}. `;
     });
     speechText += `\n\n`;
   }
   
   // Add important dates
   if (summaryData.importantDates && summaryData.importantDates.length > 0) {
-    speechText += `Important Dates. `;
+    speechText += `${labels.importantDates}. `;
     summaryData.importantDates.forEach((date, index) => {
-      speechText += `Date ${index + 1}: ${date}. `;
+      speechText += `${labels.date} ${index + 1}: ${date}. `;
     });
     speechText += `\n\n`;
   }
   
   // Add relevant names
   if (summaryData.relevantNames && summaryData.relevantNames.length > 0) {
-    speechText += `Relevant Names. `;
+    speechText += `${labels.relevantNames}. `;
     summaryData.relevantNames.forEach((name, index) => {
-      speechText += `Name ${index + 1}: ${name}. `;
+      speechText += `${labels.name} ${index + 1}: ${name}. `;
     });
     speechText += `\n\n`;
   }
   
   // Add places
   if (summaryData.places && summaryData.places.length > 0) {
-    speechText += `Places Mentioned. `;
+    speechText += `${labels.placesMentioned}. `;
     summaryData.places.forEach((place, index) => {
-      speechText += `Place ${index + 1}: ${place}. `;
+      speechText += `${labels.place} ${index + 1}: ${place}. `;
     });
     speechText += `\n\n`;
   }
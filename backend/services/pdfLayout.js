@@ -0,0 +1,195 @@
+const { blocksFromPlainText } = require('./documentStructure');
+
+/**
+ * Page layout of PDF text.
+ *
+ * pdf.js returns the text of a page as positioned items. Items on the same
+ * baseline are joined into lines, in content stream order. Runs of lines that
+ * are split into cells by wide horizontal gaps, with the cells of all lines
+ * falling into the same columns, are read as tables; everything else becomes
+ * plain text.
+ */
+
+// Horizontal gap (in font sizes) that separates two table cells
+const CELL_GAP = 1;
+// Vertical distance (in font sizes) above which two lines are not rows of the same table
+const MAX_ROW_DISTANCE = 3;
+// Tables need at least this many rows with two or more cells
+const MIN_TABLE_ROWS = 2;
+// Cells of prose set in two columns are much longer than table cells
+const MAX_AVERAGE_CELL_LENGTH = 40;
+
+/**
+ * Group text items into lines
+ * @param {Array<Object>} items - pdf.js text content items
+ * @returns {Array<Object>} - Lines with baseline, text and positioned items
+ */
+function textLines(items) {
+  const lines = [];
+  let line = null;
+  for (const item of items) {
+    const y = item.transform[5];
+    if (!line || line.y !== y) {
+      line = { y, text: '', items: [] };
+      lines.push(line);
+    }
+    line.text += item.str;
+    if (item.str.trim()) {
+      line.items.push({
+        str: item.str,
+        x: item.transform[4],
+        end: item.transform[4] + (item.width || 0),
+        size: Math.hypot(item.transform[2], item.transform[3]) || 10,
+      });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Split a line into cells at wide gaps
+ * @param {Object} line - Line from textLines
+ * @returns {Array<{text: string, start: number, end: number}>} - Cells from left to right
+ */
+function lineCells(line) {
+  const items = [...line.items].sort((a, b) => a.x - b.x);
+  const cells = [];
+  let cell = null;
+  for (const item of items) {
+    const gap = cell ? item.x - cell.end : Infinity;
+    if (gap >= item.size * CELL_GAP) {
+      cell = { text: item.str, start: item.x, end: item.end };
+      cells.push(cell);
+      continue;
+    }
+    const spaced = /\s$/.test(cell.text) || /^\s/.test(item.str);
+    cell.text += gap > item.size * 0.15 && !spaced ? ` ${item.str}` : item.str;
+    cell.end = Math.max(cell.end, item.end);
+  }
+  for (const found of cells) {
+    found.text = found.text.replace(/\s+/g, ' ').trim();
+  }
+  return cells;
+}
+
+/**
+ * Find the columns of a table: horizontal ranges covered by the cells of
+ * every row, overlapping ranges merged
+ * @param {Array<Array<Object>>} rows - Cells per row
+ * @returns {Array<{start: number, end: number}>} - Columns from left to right
+ */
+function tableColumns(rows) {
+  const ranges = rows.flat().sort((a, b) => a.start - b.start);
+  const columns = [];
+  for (const { start, end } of ranges) {
+    const last = columns[columns.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      columns.push({ start, end });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Read a run of lines as a table
+ * @param {Array<Object>} lines - Lines with their cells
+ * @returns {Array<Array<string>>|null} - Table rows, null if the lines do not form a table
+ */
+function readTable(lines) {
+  const rows = lines.map(line => line.cells);
+  if (rows.filter(cells => cells.length > 1).length < MIN_TABLE_ROWS) {
+    return null;
+  }
+  const columns = tableColumns(rows);
+  if (columns.length < 2) {
+    return null;
+  }
+  const cells = rows.flat();
+  const averageLength =
+    cells.reduce((sum, cell) => sum + cell.text.length, 0) / cells.length;
+  if (averageLength > MAX_AVERAGE_CELL_LENGTH) {
+    return null;
+  }
+
+  return rows.map(row => {
+    const values = columns.map(() => '');
+    for (const cell of row) {
+      const index = columns.findIndex(column => cell.start <= column.end);
+      values[index] = values[index]
+        ? `${values[index]} ${cell.text}`
+        : cell.text;
+    }
+    return values;
+  });
+}
+
+/**
+ * Check whether a line can continue a table that ends with another line
+ * @param {Object} previous - Last line of the table
+ * @param {Object} line - Next line
+ * @returns {boolean} - True if the line is close enough below the previous one
+ */
+function continuesTable(previous, line) {
+  const size = Math.max(...line.items.map(item => item.size));
+  const distance = previous.y - line.y;
+  return distance > 0 && distance <= size * MAX_ROW_DISTANCE;
+}
+
+/**
+ * Lay out the text of a PDF page
+ * @param {Array<Object>} items - pdf.js text content items of the page
+ * @returns {{text: string, blocks: Array<Object>}} - Plain page text (one line per baseline) and blocks with the detected tables
+ */
+function layoutPage(items) {
+  const lines = textLines(items).map(line => ({
+    ...line,
+    cells: lineCells(line),
+  }));
+
+  const blocks = [];
+  let textBuffer = [];
+  const flushText = () => {
+    blocks.push(...blocksFromPlainText(textBuffer.join('\n')));
+    textBuffer = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    // A table starts with a line of several cells and continues while the
+    // following lines are close below it; single-cell lines inside the run
+    // are kept (e.g. a row with only its first column filled)
+    let end = i;
+    if (lines[i].cells.length > 1) {
+      end = i + 1;
+      while (
+        end < lines.length &&
+        lines[end].cells.length > 0 &&
+        continuesTable(lines[end - 1], lines[end])
+      ) {
+        end++;
+      }
+      while (end > i && lines[end - 1].cells.length < 2) {
+        end--;
+      }
+    }
+
+    const rows = end > i ? readTable(lines.slice(i, end)) : null;
+    if (rows) {
+      flushText();
+      blocks.push({ type: 'table', rows });
+      i = end;
+    } else {
+      textBuffer.push(lines[i].text);
+      i++;
+    }
+  }
+  flushText();
+
+  return { text: lines.map(line => line.text).join('\n'), blocks };
+}
+
+module.exports = {
+  layoutPage,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { processImage } = require('./photoProcessor');
+
+/**
+ * OCR fallback for scanned PDF pages.
+ *
+ * Pages are rendered to PNG with pdf.js and sent through the photo vision
+ * pipeline (processImage), which optimizes the image, extracts its text and
+ * removes the temporary file. OCR is a best-effort fallback: a page that
+ * cannot be rendered or read is reported and skipped, and the other pages are
+ * still read.
+ */
+
+// Render at 2x so small print stays readable after the 2048px resize
+const RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+
+const NO_TEXT_RESPONSES = ['no text found', 'no text detected'];
+
+let pdfjsLoading = null;
+
+/**
+ * Load pdf.js, which is only published as an ES module
+ * @returns {Promise<Object>} - pdf.js module
+ */
+function loadPdfjs() {
+  if (!pdfjsLoading) {
+    pdfjsLoading = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsLoading;
+}
+
+/**
+ * Render one PDF page to a PNG file
+ * @param {Object} pdf - pdf.js document
+ * @param {number} pageNumber - 1-based page number
+ * @param {string} outputPath - Where to write the PNG
+ */
+async function renderPage(pdf, pageNumber, outputPath) {
+  const page = await pdf.getPage(pageNumber);
+  try {
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const { canvas, context } = pdf.canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+    await fs.writeFile(outputPath, canvas.toBuffer('image/png'));
+    pdf.canvasFactory.destroy({ canvas, context });
+  } finally {
+    page.cleanup();
+  }
+}
+
+/**
+ * OCR selected pages of a PDF through the vision pipeline
+ * @param {string} filePath - Path to the PDF file
+ * @param {Array<number>} pageNumbers - 1-based page numbers to OCR
+ * @param {Object} options - Additional options
+ * @param {string} options.plan - Subscription plan, used to pick the vision model settings
+ * @param {string} options.password - Password of an encrypted PDF
+ * @param {Function} options.onProgress - Called with {stage, completed, total} after every page
+ * @param {Function} options.onUsage - Called with every vision model call (see services/usageMeter.js)
+ * @returns {Promise<{texts: Map<number, string>, failedPages: Array<number>}>} - Recognized text by page number (pages without text are left out) and the pages OCR failed on
+ */
+async function ocrPdfPages(filePath, pageNumbers, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(await fs.readFile(filePath));
+  const pdf = await pdfjs.getDocument({
+    data,
+    password: options.password,
+    isEvalSupported: false,
+    standardFontDataUrl: path.join(
+      path.dirname(require.resolve('pdfjs-dist/package.json')),
+      'standard_fonts/'
+    ),
+  }).promise;
+
+  const texts = new Map();
+  const failedPages = [];
+  const baseName = path.basename(filePath, path.extname(filePath));
+  let completed = 0;
+
+  try {
+    onProgress({ stage: 'ocr', completed, total: pageNumbers.length });
+
+    for (const pageNumber of pageNumbers) {
+      const imageName = `${baseName}-page-${pageNumber}.png`;
+      const imagePath = path.join(path.dirname(filePath), imageName);
+      let result;
+      try {
+        await renderPage(pdf, pageNumber, imagePath);
+        // processImage removes the rendered image when it is done
+        result = await processImage(imagePath, imageName, {
+          plan: options.plan,
+          onUsage: options.onUsage,
+        });
+      } catch (error) {
+        await fs.rm(imagePath, { force: true });
+        result = { success: false, error: error.message };
+      }
+
+      if (!result.success) {
+        console.warn(`OCR of page ${pageNumber} failed: ${result.error}`);
+        failedPages.push(pageNumber);
+      } else {
+        const text = (result.extractedText || '').trim();
+        if (text && !NO_TEXT_RESPONSES.includes(text.toLowerCase())) {
+          texts.set(pageNumber, text);
+        }
+      }
+
+      completed++;
+      onProgress({ stage: 'ocr', completed, total: pageNumbers.length });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return { texts, failedPages };
+}
+
+module.exports = {
+  ocrPdfPages,
+};
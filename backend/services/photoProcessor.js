@@ -1,17 +1,17 @@
-const OpenAI = require('openai');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { createChatCompletion } = require('./llmProvider');
+const { resolveImageType } = require('./fileTypeDetector');
 
 /**
  * Validate image file
+ *
+ * The declared MIME type must be an allowed image type and match the type
+ * detected from the file contents.
+ *
  * @param {Object} file - Multer file object
- * @returns {Object} - Validation result
+ * @returns {Object} - Validation result, with the detected `mimeType` when valid
  */
 function validateImageFile(file) {
   const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic'];
@@ -34,8 +34,15 @@ function validateImageFile(file) {
       error: `File too large. Maximum size: ${maxSize / (1024 * 1024)}MB` 
     };
   }
-  
-  return { valid: true };
+
+  try {
+    return { valid: true, mimeType: resolveImageType(file.path, file.originalname, file.mimetype) };
+  } catch (error) {
+    if (error.code !== 'file_type_mismatch') {
+      throw error;
+    }
+    return { valid: false, error: `File type mismatch: ${error.message}` };
+  }
 }
 
 /**
@@ -86,19 +93,22 @@ async function optimizeImage(filePath) {
 }
 
 /**
- * Extract text and description from image using OpenAI Vision API
+ * Extract text and description from image using the configured vision model
  * @param {Buffer} imageBuffer - Image buffer
  * @param {string} filename - Original filename
+ * @param {Object} options - Additional options
+ * @param {string} options.plan - Subscription plan, used to pick the model settings
+ * @param {Function} options.onUsage - Called with the model call, for usage accounting (see services/usageMeter.js)
  * @returns {Promise<Object>} - Extracted text and description
  */
-async function extractTextFromImage(imageBuffer, filename) {
+async function extractTextFromImage(imageBuffer, filename, options = {}) {
   try {
     // Convert buffer to base64
     const base64Image = imageBuffer.toString('base64');
     
-    // Create OpenAI Vision API request
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
+    // Create vision request
+    const response = await createChatCompletion('vision', {
+      plan: options.plan,
       messages: [
         {
           role: "user",
@@ -123,11 +133,14 @@ DESCRIPTION: [brief description of the image]`
             }
           ]
         }
-      ],
-      max_tokens: 1000
+      ]
     });
 
-    const content = response.choices[0].message.content;
+    if (options.onUsage) {
+      options.onUsage({ task: 'vision', model: response.model, usage: response.usage, images: 1 });
+    }
+
+    const content = response.content;
     
     // Parse the response
     const textMatch = content.match(/TEXT:\s*(.*?)(?=\nDESCRIPTION:|$)/s);
@@ -158,15 +171,16 @@ DESCRIPTION: [brief description of the image]`
  * Process a single image
  * @param {string} filePath - Path to the image file
  * @param {string} filename - Original filename
+ * @param {Object} options - Additional options passed to extractTextFromImage
  * @returns {Promise<Object>} - Processing result
  */
-async function processImage(filePath, filename) {
+async function processImage(filePath, filename, options = {}) {
   try {
     // Optimize image
     const optimizedBuffer = await optimizeImage(filePath);
     
     // Extract text and description
-    const { extractedText, imageDescription } = await extractTextFromImage(optimizedBuffer, filename);
+    const { extractedText, imageDescription } = await extractTextFromImage(optimizedBuffer, filename, options);
     
     // Clean up temporary file
     await fs.unlink(filePath);
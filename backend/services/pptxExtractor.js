@@ -0,0 +1,287 @@
+const AdmZip = require('adm-zip');
+const {
+  childElements,
+  childElement,
+  findElement,
+  findElements,
+} = require('../utils/xmlTree');
+const { toLetters, toRoman } = require('../utils/numberFormat');
+const { readPart, readRelationships } = require('../utils/officePackage');
+const { readOoxmlMetadata } = require('./documentMetadata');
+
+/**
+ * PPTX (PresentationML) reader.
+ *
+ * Reads the slides listed in ppt/presentation.xml in presentation order. For
+ * every slide it returns the title, the body as blocks (see
+ * services/documentStructure.js) and the speaker notes.
+ */
+
+const RELATIONSHIP_TYPES = {
+  notesSlide:
+    'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide',
+};
+
+// Placeholders that repeat on every slide and carry no content
+const SKIPPED_PLACEHOLDERS = new Set(['dt', 'ftr', 'hdr', 'sldNum', 'sldImg']);
+
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+/**
+ * Format an automatic bullet number (a:buAutoNum)
+ * @param {number} value - Counter value
+ * @param {string} scheme - Numbering scheme, e.g. arabicPeriod or alphaLcParenR
+ * @returns {string} - Label
+ */
+function formatAutoNumber(value, scheme) {
+  const match = /^(arabic|alphaLc|alphaUc|romanLc|romanUc)(.*)$/.exec(scheme);
+  if (!match) {
+    return `${value}.`;
+  }
+
+  let counter = String(value);
+  if (match[1] === 'alphaLc') {
+    counter = toLetters(value);
+  } else if (match[1] === 'alphaUc') {
+    counter = toLetters(value).toUpperCase();
+  } else if (match[1] === 'romanLc') {
+    counter = toRoman(value);
+  } else if (match[1] === 'romanUc') {
+    counter = toRoman(value).toUpperCase();
+  }
+
+  switch (match[2]) {
+    case 'ParenR':
+      return `${counter})`;
+    case 'ParenBoth':
+      return `(${counter})`;
+    case 'Plain':
+      return counter;
+    default:
+      return `${counter}.`;
+  }
+}
+
+/**
+ * Get the text of a DrawingML paragraph (a:p)
+ * @param {Object} paragraph - a:p element
+ * @returns {string} - Paragraph text
+ */
+function paragraphText(paragraph) {
+  let text = '';
+  for (const child of paragraph.children || []) {
+    if (child.name === 'a:r' || child.name === 'a:fld') {
+      for (const t of childElements(child, 'a:t')) {
+        text += (t.children || []).map(node => node.text || '').join('');
+      }
+    } else if (child.name === 'a:br') {
+      text += '\n';
+    }
+  }
+  return text;
+}
+
+/**
+ * Turn a text body into blocks
+ * @param {Object} txBody - p:txBody or a:txBody element
+ * @param {boolean} bulleted - Paragraphs are bulleted unless they say otherwise (body placeholders)
+ * @returns {Array<Object>} - Paragraph and list item blocks
+ */
+function textBodyBlocks(txBody, bulleted) {
+  const blocks = [];
+  const counters = [];
+
+  for (const paragraph of childElements(txBody, 'a:p')) {
+    const text = paragraphText(paragraph).trim();
+    if (!text) {
+      continue;
+    }
+
+    const pPr = childElement(paragraph, 'a:pPr');
+    const level = parseInt((pPr && pPr.attrs.lvl) || '0');
+    const bulletChar = childElement(pPr, 'a:buChar');
+    const autoNumber = childElement(pPr, 'a:buAutoNum');
+    counters.length = level + 1;
+
+    if (autoNumber) {
+      const start = parseInt(autoNumber.attrs.startAt || '1');
+      counters[level] = counters[level] ? counters[level] + 1 : start;
+      blocks.push({
+        type: 'listItem',
+        level,
+        label: formatAutoNumber(counters[level], autoNumber.attrs.type || ''),
+        text,
+      });
+    } else if (bulletChar || (bulleted && !childElement(pPr, 'a:buNone'))) {
+      blocks.push({
+        type: 'listItem',
+        level,
+        label: bulletChar ? bulletChar.attrs.char : '•',
+        text,
+      });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Turn a DrawingML table into a table block
+ * @param {Object} table - a:tbl element
+ * @returns {Object|null} - Table block
+ */
+function tableBlock(table) {
+  const rows = childElements(table, 'a:tr').map(row =>
+    childElements(row, 'a:tc').map(cell => {
+      if (cell.attrs.hMerge || cell.attrs.vMerge) {
+        return '';
+      }
+      return childElements(childElement(cell, 'a:txBody'), 'a:p')
+        .map(paragraph => paragraphText(paragraph).trim())
+        .filter(Boolean)
+        .join('\n');
+    })
+  );
+  return rows.length > 0 ? { type: 'table', rows } : null;
+}
+
+/**
+ * Collect the title and content blocks of a shape tree
+ * @param {Object} tree - p:spTree or p:grpSp element
+ * @param {Object} slide - Slide being built ({title, blocks})
+ */
+function walkShapes(tree, slide) {
+  for (const shape of tree.children || []) {
+    switch (shape.name) {
+      case 'p:sp': {
+        const placeholder = findElement(
+          childElement(shape, 'p:nvSpPr'),
+          'p:ph'
+        );
+        const type = placeholder ? placeholder.attrs.type || 'body' : null;
+        const txBody = childElement(shape, 'p:txBody');
+        if (!txBody || SKIPPED_PLACEHOLDERS.has(type)) {
+          break;
+        }
+        if (TITLE_PLACEHOLDERS.has(type)) {
+          const title = childElements(txBody, 'a:p')
+            .map(paragraph => paragraphText(paragraph).trim())
+            .filter(Boolean)
+            .join(' ');
+          slide.title = slide.title || title;
+          break;
+        }
+        slide.blocks.push(
+          ...textBodyBlocks(txBody, type === 'body' || type === 'obj')
+        );
+        break;
+      }
+      case 'p:graphicFrame':
+        for (const table of findElements(shape, 'a:tbl')) {
+          const block = tableBlock(table);
+          if (block) {
+            slide.blocks.push(block);
+          }
+        }
+        break;
+      case 'p:grpSp':
+        walkShapes(shape, slide);
+        break;
+      case 'mc:AlternateContent': {
+        const choice =
+          childElement(shape, 'mc:Choice') ||
+          childElement(shape, 'mc:Fallback');
+        if (choice) {
+          walkShapes(choice, slide);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Read the speaker notes of a slide
+ * @param {AdmZip} zip - Opened package
+ * @param {string} slidePart - Slide part name
+ * @returns {Promise<Array<string>>} - Notes paragraphs
+ */
+async function readSpeakerNotes(zip, slidePart) {
+  const rels = await readRelationships(zip, slidePart);
+  const notesRel = rels.find(rel => rel.type === RELATIONSHIP_TYPES.notesSlide);
+  const root = notesRel ? await readPart(zip, notesRel.part) : null;
+  if (!root) {
+    return [];
+  }
+
+  const notes = [];
+  for (const shape of findElements(root, 'p:sp')) {
+    const placeholder = findElement(childElement(shape, 'p:nvSpPr'), 'p:ph');
+    if (!placeholder || placeholder.attrs.type !== 'body') {
+      continue;
+    }
+    for (const block of textBodyBlocks(
+      childElement(shape, 'p:txBody'),
+      false
+    )) {
+      notes.push(block.text);
+    }
+  }
+  return notes;
+}
+
+/**
+ * Extract slides from a PPTX file
+ * @param {string} filePath - Path to PPTX file
+ * @returns {Promise<{slides: Array<Object>, metadata: Object}>} - Slides in presentation order with title, blocks, notes and hidden flag, and the document properties
+ */
+async function readPptx(filePath) {
+  const zip = new AdmZip(filePath);
+  const presentation = await readPart(zip, 'ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('Could not find ppt/presentation.xml in PPTX file');
+  }
+
+  const rels = new Map(
+    (await readRelationships(zip, 'ppt/presentation.xml')).map(rel => [
+      rel.id,
+      rel,
+    ])
+  );
+  const slideIds = findElements(
+    childElement(presentation, 'p:sldIdLst'),
+    'p:sldId'
+  );
+
+  const slides = [];
+  for (const slideId of slideIds) {
+    const rel = rels.get(slideId.attrs['r:id']);
+    const root = rel ? await readPart(zip, rel.part) : null;
+    if (!root) {
+      continue;
+    }
+
+    const slide = {
+      title: '',
+      blocks: [],
+      notes: [],
+      hidden: root.attrs.show === '0',
+    };
+    const spTree = findElement(root, 'p:spTree');
+    if (spTree) {
+      walkShapes(spTree, slide);
+    }
+    slide.notes = await readSpeakerNotes(zip, rel.part);
+    slides.push(slide);
+  }
+
+  return { slides, metadata: await readOoxmlMetadata(zip) };
+}
+
+module.exports = {
+  readPptx,
+};
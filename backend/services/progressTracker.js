@@ -0,0 +1,87 @@
+/**
+ * In-memory progress tracking for long-running document jobs.
+ *
+ * Clients pass a `progressId` of their choosing with the upload and poll
+ * `/api/progress/:progressId` while the request is still running. Entries
+ * are scoped to the user that created them and expire after a while.
+ */
+
+const PROGRESS_TTL = 60 * 60 * 1000; // 1 hour
+
+const entries = new Map();
+
+/**
+ * Build the map key for a user's progress entry
+ * @param {string} userId - Owner of the job
+ * @param {string} progressId - Client supplied job identifier
+ * @returns {string} - Map key
+ */
+function entryKey(userId, progressId) {
+  return `${userId}:${progressId}`;
+}
+
+/**
+ * Drop entries that have not been updated within the TTL
+ */
+function pruneExpired() {
+  const cutoff = Date.now() - PROGRESS_TTL;
+  for (const [key, entry] of entries) {
+    if (entry.updatedAt < cutoff) {
+      entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Record the latest progress of a job
+ * @param {string} userId - Owner of the job
+ * @param {string} progressId - Client supplied job identifier
+ * @param {Object} progress - Progress details (stage, completed, total, ...)
+ */
+function updateProgress(userId, progressId, progress) {
+  if (!progressId) {
+    return;
+  }
+  pruneExpired();
+  entries.set(entryKey(userId, progressId), {
+    ...progress,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Get the latest progress of a job
+ * @param {string} userId - Owner of the job
+ * @param {string} progressId - Client supplied job identifier
+ * @returns {Object|null} - Progress details or null if unknown
+ */
+function getProgress(userId, progressId) {
+  const entry = entries.get(entryKey(userId, progressId));
+  if (!entry || entry.updatedAt < Date.now() - PROGRESS_TTL) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Create an onProgress callback bound to a user's job
+ * @param {string} userId - Owner of the job
+ * @param {string} progressId - Client supplied job identifier
+ * @returns {Function} - Callback accepting progress details
+ */
+function createProgressReporter(userId, progressId) {
+  return progress => {
+    if (progress.total) {
+      console.log(
+        `Summary progress [${progressId || 'untracked'}]: ${progress.stage} ${progress.completed}/${progress.total}`
+      );
+    }
+    updateProgress(userId, progressId, progress);
+  };
+}
+
+module.exports = {
+  updateProgress,
+  getProgress,
+  createProgressReporter,
+};
@@ -0,0 +1,481 @@
+const { decodeBytes, encodingForCodePage } = require('../utils/encoding');
+
+/**
+ * RTF reader.
+ *
+ * Tokenizes the RTF source, tracks group state and turns the body text into
+ * the block list used by services/documentStructure.js. Destinations that
+ * never carry document text (font and color tables, pictures, field
+ * instructions, `\*` destinations, ...) are skipped. Hex escapes are decoded
+ * with the code page of the current font or the document `\ansicpg`, and
+ * `\uN` escapes with their fallback characters skipped.
+ */
+
+const DEFAULT_CODE_PAGE = 1252;
+
+// Destinations whose content is not part of the document text
+const SKIPPED_DESTINATIONS = new Set([
+  'author',
+  'buptim',
+  'colortbl',
+  'comment',
+  'creatim',
+  'datastore',
+  'doccomm',
+  'falt',
+  'fldinst',
+  'filetbl',
+  'footer',
+  'footerf',
+  'footerl',
+  'footerr',
+  'generator',
+  'header',
+  'headerf',
+  'headerl',
+  'headerr',
+  'info',
+  'keywords',
+  'latentstyles',
+  'listoverridetable',
+  'listtable',
+  'nonshppict',
+  'objclass',
+  'objdata',
+  'operator',
+  'panose',
+  'pict',
+  'printim',
+  'private',
+  'revtbl',
+  'rsidtbl',
+  'revtim',
+  'stylesheet',
+  'subject',
+  'template',
+  'themedata',
+  'title',
+  'colorschememapping',
+  'xmlnstbl',
+  'xmlopen',
+]);
+
+// Control words that stand for a single character
+const SPECIAL_CHARACTERS = {
+  bullet: '•',
+  emdash: '—',
+  endash: '–',
+  emspace: '\u2003',
+  enspace: '\u2002',
+  qmspace: '\u2005',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+};
+
+// \fcharset values that imply a code page
+const CHARSET_CODE_PAGES = {
+  77: 10000,
+  128: 932,
+  129: 949,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250,
+};
+
+/**
+ * Parse RTF source into blocks
+ * @param {string} source - RTF source read as latin1, one char per byte
+ * @returns {{blocks: Array<Object>, notes: Array<{number: number, text: string}>}} - Blocks and footnotes
+ */
+function parseRtf(source) {
+  const blocks = [];
+  const notes = [];
+  const fonts = {};
+  const stack = [];
+
+  let state = {
+    target: 'body',
+    skip: false,
+    hidden: false,
+    uc: 1,
+    font: null,
+    outlineLevel: null,
+    listLevel: null,
+    inList: false,
+    inTable: false,
+  };
+  let documentCodePage = DEFAULT_CODE_PAGE;
+  let defaultFont = null;
+  let fontDefinition = null;
+  let pendingBytes = [];
+  let charsToSkip = 0;
+
+  let paragraph = '';
+  let listLabel = '';
+  let noteText = '';
+  let cells = [];
+  let rows = [];
+
+  const emit = text => {
+    if (state.skip || state.hidden) {
+      return;
+    }
+    switch (state.target) {
+      case 'body':
+        paragraph += text;
+        break;
+      case 'note':
+        noteText += text;
+        break;
+      case 'listtext':
+        listLabel += text;
+        break;
+      default:
+        break;
+    }
+  };
+
+  const currentCodePage = () => {
+    const font = fonts[state.font !== null ? state.font : defaultFont];
+    if (font && font.codePage) {
+      return font.codePage;
+    }
+    if (font && CHARSET_CODE_PAGES[font.charset]) {
+      return CHARSET_CODE_PAGES[font.charset];
+    }
+    return documentCodePage;
+  };
+
+  const flushBytes = () => {
+    if (pendingBytes.length === 0) {
+      return;
+    }
+    const bytes = Uint8Array.from(pendingBytes);
+    pendingBytes = [];
+    emit(decodeBytes(bytes, encodingForCodePage(currentCodePage())));
+  };
+
+  const flushTable = () => {
+    if (rows.length > 0) {
+      blocks.push({ type: 'table', rows });
+    }
+    rows = [];
+    cells = [];
+  };
+
+  const endParagraph = () => {
+    if (state.target === 'note') {
+      noteText += '\n';
+      return;
+    }
+    if (state.target !== 'body' || state.skip) {
+      return;
+    }
+    if (state.inTable) {
+      paragraph += '\n';
+      return;
+    }
+
+    flushTable();
+    const text = paragraph.trim();
+    if (text) {
+      if (state.inList && listLabel.trim()) {
+        blocks.push({
+          type: 'listItem',
+          level: state.listLevel || 0,
+          label: listLabel.trim(),
+          text,
+        });
+      } else if (state.outlineLevel !== null && state.outlineLevel < 9) {
+        blocks.push({ type: 'heading', level: state.outlineLevel + 1, text });
+      } else {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+    paragraph = '';
+    listLabel = '';
+  };
+
+  const handleControlWord = (word, param) => {
+    if (state.skip) {
+      return;
+    }
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      return;
+    }
+    if (SPECIAL_CHARACTERS[word]) {
+      emit(SPECIAL_CHARACTERS[word]);
+      return;
+    }
+
+    switch (word) {
+      case 'ansicpg':
+        documentCodePage = param || DEFAULT_CODE_PAGE;
+        break;
+      case 'mac':
+        documentCodePage = 10000;
+        break;
+      case 'deff':
+        defaultFont = param;
+        break;
+      case 'fonttbl':
+        state.target = 'fonttbl';
+        break;
+      case 'f':
+        if (state.target === 'fonttbl') {
+          fontDefinition = param;
+          fonts[param] = fonts[param] || {};
+        } else {
+          state.font = param;
+        }
+        break;
+      case 'fcharset':
+        if (state.target === 'fonttbl' && fontDefinition !== null) {
+          fonts[fontDefinition].charset = param;
+        }
+        break;
+      case 'cpg':
+        if (state.target === 'fonttbl' && fontDefinition !== null) {
+          fonts[fontDefinition].codePage = param;
+        }
+        break;
+      case 'uc':
+        state.uc = param !== null ? param : 1;
+        break;
+      case 'u':
+        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+        charsToSkip = state.uc;
+        break;
+      case 'par':
+      case 'sect':
+        endParagraph();
+        break;
+      case 'line':
+        emit('\n');
+        break;
+      case 'tab':
+        emit('\t');
+        break;
+      case 'page':
+        if (state.target === 'body') {
+          endParagraph();
+          blocks.push({ type: 'pageBreak' });
+        }
+        break;
+      case 'pard':
+        state.outlineLevel = null;
+        state.listLevel = null;
+        state.inList = false;
+        state.inTable = false;
+        break;
+      case 'outlinelevel':
+        state.outlineLevel = param;
+        break;
+      case 'ls':
+        state.inList = true;
+        break;
+      case 'ilvl':
+        state.listLevel = param;
+        break;
+      case 'listtext':
+      case 'pntext':
+        state.target = 'listtext';
+        listLabel = '';
+        break;
+      case 'intbl':
+        state.inTable = true;
+        break;
+      case 'cell':
+      case 'nestcell':
+        cells.push(paragraph.trim());
+        paragraph = '';
+        break;
+      case 'row':
+      case 'nestrow':
+        rows.push(cells);
+        cells = [];
+        paragraph = '';
+        break;
+      case 'footnote':
+        state.target = 'note';
+        noteText = '';
+        break;
+      case 'chftn':
+        if (state.target === 'body') {
+          emit(`[${notes.length + 1}]`);
+        }
+        break;
+      case 'v':
+        state.hidden = param !== 0;
+        break;
+      case 'plain':
+        state.hidden = false;
+        break;
+      default:
+        break;
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '{') {
+      flushBytes();
+      stack.push({ ...state });
+      charsToSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (ch === '}') {
+      flushBytes();
+      const parent = stack.pop();
+      if (state.target === 'note' && parent && parent.target !== 'note') {
+        notes.push({
+          number: notes.length + 1,
+          text: noteText.replace(/\s+/g, ' ').trim(),
+        });
+      }
+      if (parent) {
+        state = parent;
+      }
+      charsToSkip = 0;
+      i++;
+      continue;
+    }
+
+    if (ch === '\\') {
+      const next = source[i + 1];
+
+      if (/[a-zA-Z]/.test(next || '')) {
+        const match = /^([a-zA-Z]{1,32})(-?\d+)? ?/.exec(
+          source.substring(i + 1, i + 48)
+        );
+        const word = match[1];
+        const param = match[2] !== undefined ? parseInt(match[2]) : null;
+        i += 1 + match[0].length;
+
+        if (word === 'bin') {
+          // Raw binary data follows, even inside skipped destinations
+          i += param || 0;
+          continue;
+        }
+        flushBytes();
+        if (charsToSkip > 0 && word !== 'u') {
+          charsToSkip--;
+          continue;
+        }
+        handleControlWord(word, param);
+        continue;
+      }
+
+      if (next === "'") {
+        const byte = parseInt(source.substring(i + 2, i + 4), 16);
+        i += 4;
+        if (charsToSkip > 0) {
+          charsToSkip--;
+          continue;
+        }
+        if (!Number.isNaN(byte)) {
+          pendingBytes.push(byte);
+        }
+        continue;
+      }
+
+      flushBytes();
+      i += 2;
+      if (charsToSkip > 0) {
+        charsToSkip--;
+        continue;
+      }
+      switch (next) {
+        case '\\':
+        case '{':
+        case '}':
+          emit(next);
+          break;
+        case '~':
+          emit('\u00a0');
+          break;
+        case '_':
+          emit('\u2011');
+          break;
+        case '*':
+          // Ignorable destination, none of them carry document text
+          state.skip = true;
+          break;
+        case '\r':
+        case '\n':
+          endParagraph();
+          break;
+        default:
+          break;
+      }
+      continue;
+    }
+
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    if (charsToSkip > 0) {
+      charsToSkip--;
+      i++;
+      continue;
+    }
+
+    const code = source.charCodeAt(i);
+    if (code > 0x7f) {
+      // Unescaped 8-bit text is in the current code page as well
+      pendingBytes.push(code);
+      i++;
+      continue;
+    }
+
+    // Plain ASCII run up to the next special character
+    let end = i + 1;
+    while (end < source.length && /[^\\{}\r\n\x80-\xff]/.test(source[end])) {
+      end++;
+    }
+    flushBytes();
+    emit(source.substring(i, end));
+    i = end;
+  }
+
+  flushBytes();
+  state.inTable = false;
+  endParagraph();
+  flushTable();
+
+  return { blocks, notes: notes.filter(note => note.text) };
+}
+
+/**
+ * Extract structured content from an RTF file
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {{blocks: Array<Object>, notes: Array<{number: number, text: string}>}} - Blocks and footnotes
+ */
+function readRtf(buffer) {
+  const source = buffer.toString('latin1');
+  if (!source.trimStart().startsWith('{\\rtf')) {
+    throw new Error('File is not a valid RTF document');
+  }
+  return parseRtf(source);
+}
+
+module.exports = {
+  readRtf,
+};
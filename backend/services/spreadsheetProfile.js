@@ -0,0 +1,344 @@
+/**
+ * Compact description of spreadsheet data for summarization.
+ *
+ * Instead of flattening every cell into text, each sheet is described by its
+ * size, header, per-column statistics, notable values and a few sample rows.
+ * Sheets come from the XLSX, ODS and CSV readers as
+ * { name, rows: [[value, ...], ...] } where values are strings, numbers,
+ * booleans, Date objects or null. Sheets with `decimalComma` set (semicolon
+ * separated CSV) read "1.234,5" as 1234.5.
+ */
+
+const SAMPLE_ROWS = 5;
+const TOP_VALUES = 3;
+// Text columns with more distinct values than this are not listed by value
+const MAX_CATEGORIES = 20;
+const MAX_VALUE_CHARS = 80;
+
+const NUMBER_PATTERN =
+  /^[-+]?[$€£¥]?\s?\d{1,3}(,\d{3})+(\.\d+)?%?$|^[-+]?[$€£¥]?\s?\d*\.?\d+([eE][-+]?\d+)?%?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?/;
+
+/**
+ * Interpret a cell value, recognizing numbers and ISO dates written as text
+ * @param {*} value - Raw cell value
+ * @param {boolean} decimalComma - Numbers use a decimal comma and dots as thousands separators
+ * @returns {{type: string, value: *}} - Typed value (empty, number, date, boolean or text)
+ */
+function typedValue(value, decimalComma = false) {
+  if (value === null || value === undefined || value === '') {
+    return { type: 'empty', value: null };
+  }
+  if (value instanceof Date) {
+    return { type: 'date', value };
+  }
+  if (typeof value === 'number') {
+    return { type: 'number', value };
+  }
+  if (typeof value === 'boolean') {
+    return { type: 'boolean', value };
+  }
+
+  const text = String(value).trim();
+  if (!text) {
+    return { type: 'empty', value: null };
+  }
+  const numeric = decimalComma
+    ? text.replace(/[.,]/g, separator => (separator === ',' ? '.' : ','))
+    : text;
+  if (NUMBER_PATTERN.test(numeric)) {
+    const number = parseFloat(numeric.replace(/[$€£¥,\s%+]/g, ''));
+    if (!Number.isNaN(number)) {
+      return {
+        type: 'number',
+        value: text.endsWith('%') ? number / 100 : number,
+      };
+    }
+  }
+  if (DATE_PATTERN.test(text)) {
+    const date = new Date(text);
+    if (!Number.isNaN(date.getTime())) {
+      return { type: 'date', value: date };
+    }
+  }
+  return { type: 'text', value: text };
+}
+
+/**
+ * Format a value for the description
+ * @param {*} value - Value
+ * @returns {string} - Display text
+ */
+function formatValue(value) {
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z')
+      ? iso.substring(0, 10)
+      : iso.substring(0, 16).replace('T', ' ');
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > MAX_VALUE_CHARS
+    ? `${text.substring(0, MAX_VALUE_CHARS - 1)}…`
+    : text;
+}
+
+/**
+ * Find the header row and the data rows of a sheet
+ * @param {Array<Array<*>>} rows - Sheet rows
+ * @param {Function} typed - Cell interpreter (typedValue with the sheet's number format)
+ * @returns {{header: Array<string>, data: Array<Array<*>>}} - Column names and data rows
+ */
+function splitHeader(rows, typed) {
+  // Columns that are empty throughout are dropped
+  const used = [];
+  for (const row of rows) {
+    row.forEach((cell, index) => {
+      used[index] = used[index] || typed(cell).type !== 'empty';
+    });
+  }
+  const columns = used.flatMap((isUsed, index) => (isUsed ? [index] : []));
+  const nonEmpty = rows
+    .filter(row => row.some(cell => typed(cell).type !== 'empty'))
+    .map(row => columns.map(index => row[index]));
+  const width = columns.length;
+  const defaultName = index => `Column ${columns[index] + 1}`;
+
+  if (nonEmpty.length === 0) {
+    return { header: [], data: [] };
+  }
+
+  // The first row is a header when it only holds labels and data follows
+  const first = nonEmpty[0].map(cell => typed(cell));
+  const firstIsLabels =
+    first.every(cell => cell.type === 'text' || cell.type === 'empty') &&
+    first.some(cell => cell.type === 'text');
+
+  if (firstIsLabels && nonEmpty.length > 1) {
+    const header = [];
+    for (let i = 0; i < width; i++) {
+      header.push(
+        first[i] && first[i].type === 'text' ? first[i].value : defaultName(i)
+      );
+    }
+    return { header, data: nonEmpty.slice(1) };
+  }
+
+  return {
+    header: Array.from({ length: width }, (_, i) => defaultName(i)),
+    data: nonEmpty,
+  };
+}
+
+/**
+ * Compute statistics for one column
+ * @param {string} name - Column name
+ * @param {Array<{type: string, value: *}>} cells - Typed cells of the column
+ * @returns {Object} - Column statistics
+ */
+function profileColumn(name, cells) {
+  const filled = cells.filter(cell => cell.type !== 'empty');
+  const counts = {};
+  for (const cell of filled) {
+    counts[cell.type] = (counts[cell.type] || 0) + 1;
+  }
+  // The column type is the type of the majority of its values
+  const type =
+    Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || 'empty';
+  const column = {
+    name,
+    type,
+    filled: filled.length,
+    empty: cells.length - filled.length,
+  };
+
+  const values = filled
+    .filter(cell => cell.type === type)
+    .map(cell => cell.value);
+  if (type === 'number') {
+    const sum = values.reduce((total, value) => total + value, 0);
+    column.min = Math.min(...values);
+    column.max = Math.max(...values);
+    column.sum = sum;
+    column.mean = sum / values.length;
+  } else if (type === 'date') {
+    const times = values.map(value => value.getTime());
+    column.min = new Date(Math.min(...times));
+    column.max = new Date(Math.max(...times));
+  } else if (type === 'text' || type === 'boolean') {
+    const frequencies = new Map();
+    for (const value of values) {
+      frequencies.set(value, (frequencies.get(value) || 0) + 1);
+    }
+    column.distinct = frequencies.size;
+    column.topValues = [...frequencies.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value, count }));
+  }
+
+  return column;
+}
+
+/**
+ * Describe a sheet by its size, columns, notable values and sample rows
+ * @param {{name: string, rows: Array<Array<*>>, decimalComma: boolean}} sheet - Sheet data
+ * @returns {Object} - Sheet profile
+ */
+function profileSheet(sheet) {
+  const typed = value => typedValue(value, Boolean(sheet.decimalComma));
+  const { header, data } = splitHeader(sheet.rows, typed);
+  const typedRows = data.map(row =>
+    header.map((_, index) => typed(row[index]))
+  );
+  const columns = header.map((name, index) =>
+    profileColumn(
+      name,
+      typedRows.map(row => row[index])
+    )
+  );
+
+  // Rows are labelled by their first text column, e.g. a region or product name
+  const labelIndex = columns.findIndex(column => column.type === 'text');
+  const rowLabel = rowIndex =>
+    labelIndex === -1
+      ? `row ${rowIndex + 2}`
+      : formatValue(typedRows[rowIndex][labelIndex].value);
+
+  const notable = [];
+  columns.forEach((column, index) => {
+    if (column.type !== 'number' || column.filled < 2 || index === labelIndex) {
+      return;
+    }
+    const values = typedRows.map(row =>
+      row[index].type === 'number' ? row[index].value : null
+    );
+    const maxRow = values.indexOf(column.max);
+    const minRow = values.indexOf(column.min);
+    notable.push(
+      `${column.name}: highest ${formatValue(column.max)} (${rowLabel(maxRow)}), lowest ${formatValue(column.min)} (${rowLabel(minRow)})`
+    );
+
+    const numbers = values.filter(value => value !== null);
+    const deviation = Math.sqrt(
+      numbers.reduce((total, value) => total + (value - column.mean) ** 2, 0) /
+        numbers.length
+    );
+    const outliers = values
+      .map((value, rowIndex) => ({ value, rowIndex }))
+      .filter(
+        ({ value }) =>
+          value !== null &&
+          deviation > 0 &&
+          Math.abs(value - column.mean) > 3 * deviation
+      );
+    if (outliers.length > 0) {
+      notable.push(
+        `${column.name}: unusual values ${outliers
+          .slice(0, TOP_VALUES)
+          .map(
+            ({ value, rowIndex }) =>
+              `${formatValue(value)} (${rowLabel(rowIndex)})`
+          )
+          .join(', ')}`
+      );
+    }
+  });
+
+  return {
+    name: sheet.name,
+    rowCount: data.length,
+    columnCount: header.length,
+    header,
+    columns,
+    notable,
+    sampleRows: data
+      .slice(0, SAMPLE_ROWS)
+      .map(row =>
+        header.map((_, index) => formatValue(typed(row[index]).value))
+      ),
+  };
+}
+
+/**
+ * Describe one column in a single line
+ * @param {Object} column - Column statistics
+ * @returns {string} - Description
+ */
+function describeColumn(column) {
+  const parts = [
+    `${column.filled} ${column.filled === 1 ? 'value' : 'values'}`,
+  ];
+  if (column.empty > 0) {
+    parts.push(`${column.empty} empty`);
+  }
+  if (column.type === 'number') {
+    parts.push(
+      `min ${formatValue(column.min)}`,
+      `max ${formatValue(column.max)}`,
+      `mean ${formatValue(column.mean)}`,
+      `sum ${formatValue(column.sum)}`
+    );
+  } else if (column.type === 'date') {
+    parts.push(`from ${formatValue(column.min)} to ${formatValue(column.max)}`);
+  } else if (column.topValues) {
+    parts.push(`${column.distinct} distinct`);
+    if (column.distinct <= MAX_CATEGORIES) {
+      parts.push(
+        `most common ${column.topValues.map(top => `${formatValue(top.value)} (${top.count})`).join(', ')}`
+      );
+    }
+  }
+  return `${column.name} (${column.type}): ${parts.join(', ')}`;
+}
+
+/**
+ * Turn a sheet profile into document blocks
+ * @param {Object} profile - Sheet profile from profileSheet
+ * @returns {Array<Object>} - Blocks (see services/documentStructure.js)
+ */
+function profileBlocks(profile) {
+  const blocks = [
+    { type: 'heading', level: 1, text: `Sheet: ${profile.name}` },
+    {
+      type: 'paragraph',
+      text: `${profile.rowCount} data rows, ${profile.columnCount} columns.`,
+    },
+  ];
+
+  if (profile.columns.length > 0) {
+    blocks.push({ type: 'heading', level: 2, text: 'Columns' });
+    for (const column of profile.columns) {
+      blocks.push({
+        type: 'listItem',
+        level: 0,
+        label: '•',
+        text: describeColumn(column),
+      });
+    }
+  }
+  if (profile.notable.length > 0) {
+    blocks.push({ type: 'heading', level: 2, text: 'Notable values' });
+    for (const line of profile.notable) {
+      blocks.push({ type: 'listItem', level: 0, label: '•', text: line });
+    }
+  }
+  if (profile.sampleRows.length > 0) {
+    blocks.push(
+      { type: 'heading', level: 2, text: 'Sample rows' },
+      { type: 'table', rows: [profile.header, ...profile.sampleRows] }
+    );
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  profileSheet,
+  profileBlocks,
+};
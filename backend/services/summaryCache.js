@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const SummaryCache = require('../models/SummaryCache');
+
+/**
+ * Cache of generated summaries.
+ *
+ * A summary is stored under a hash of the normalized extracted text and
+ * everything else it depends on: summary size, output language, source type,
+ * known names, LLM provider and model, and the prompt version of
+ * services/openaiService.js. Uploading the same document again, or a copy of
+ * it, then returns the stored summary without calling the model. Entries
+ * belong to one account (the tenant) and are only looked up for it, so a
+ * summary is never returned to an account that did not upload the text
+ * itself. Entries expire SUMMARY_CACHE_TTL_DAYS after their last use (see
+ * models/SummaryCache.js); the cache is off with SUMMARY_CACHE_ENABLED=false.
+ *
+ * The cache only saves money: lookups and writes that fail are logged and the
+ * summary is generated as usual.
+ */
+
+const SUMMARY_CACHE_ENABLED = process.env.SUMMARY_CACHE_ENABLED !== 'false';
+
+/**
+ * Normalize an extracted text for hashing, so that extractions differing only
+ * in whitespace or Unicode composition hash the same
+ * @param {string} text - Extracted text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compute the cache key of a summary
+ * @param {string} text - Extracted text
+ * @param {Object} settings - What else the summary depends on
+ * @param {string} settings.summarySize - Summary size
+ * @param {string} settings.outputLanguage - Language code of the summary
+ * @param {string} settings.sourceType - Source type from processDocument
+ * @param {Array<string>} settings.names - Names known from the source
+ * @param {string} settings.provider - LLM provider name
+ * @param {string} settings.model - Summary model
+ * @param {number} settings.promptVersion - Version of the summary prompts
+ * @returns {string} - Hex SHA-256 hash
+ */
+function summaryCacheKey(text, settings) {
+  const parts = {
+    text: normalizeText(text),
+    summarySize: settings.summarySize,
+    outputLanguage: settings.outputLanguage || null,
+    sourceType: settings.sourceType || null,
+    names: settings.names || [],
+    provider: settings.provider,
+    model: settings.model,
+    promptVersion: settings.promptVersion,
+  };
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(parts))
+    .digest('hex');
+}
+
+/**
+ * Get the tenant a user's summaries are cached for. Subscriptions belong to
+ * single users, so the tenant is the user's account
+ * @param {Object} userId - User
+ * @returns {string|null} - Tenant, or null when the summary is not cached (guests)
+ */
+function cacheTenant(userId) {
+  return SUMMARY_CACHE_ENABLED && userId ? `user:${userId}` : null;
+}
+
+/**
+ * Look up a cached summary
+ * @param {string} tenant - Tenant from cacheTenant
+ * @param {string} key - Key from summaryCacheKey
+ * @returns {Promise<Object|null>} - Stored summary, or null
+ */
+async function getCachedSummary(tenant, key) {
+  try {
+    const entry = await SummaryCache.findOneAndUpdate(
+      { tenant, key },
+      { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+      { new: true }
+    ).lean();
+    return entry ? entry.summary : null;
+  } catch (error) {
+    console.warn(`Summary cache lookup failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a summary, replacing an older one with the same key
+ * @param {string} tenant - Tenant from cacheTenant
+ * @param {string} key - Key from summaryCacheKey
+ * @param {Object} summary - Result of generateSummary
+ * @param {string} model - Summary model
+ * @returns {Promise<void>}
+ */
+async function storeCachedSummary(tenant, key, summary, model) {
+  try {
+    await SummaryCache.findOneAndUpdate(
+      { tenant, key },
+      {
+        summary,
+        model,
+        hits: 0,
+        createdAt: new Date(),
+        lastUsedAt: new Date(),
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.warn(`Could not cache summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  summaryCacheKey,
+  cacheTenant,
+  getCachedSummary,
+  storeCachedSummary,
+};
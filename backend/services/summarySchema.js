@@ -0,0 +1,155 @@
+/**
+ * JSON schema and validation for structured summary output.
+ *
+ * The shape matches the `summary` subdocument of models/Document.js, minus
+ * `rawResponse` which is added by the caller. Instead of `citations`, the
+ * model returns `sources`: for every list entry, at the same position, the
+ * passages of the document it is based on. They are checked against the text
+ * by services/citations.js.
+ */
+
+const LIST_FIELDS = [
+  'keyPoints',
+  'actionItems',
+  'importantDates',
+  'relevantNames',
+  'places',
+];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const SOURCES_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(
+    LIST_FIELDS.map(field => [field, { type: 'array', items: stringList }])
+  ),
+  required: LIST_FIELDS,
+  additionalProperties: false,
+};
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    executiveSummary: { type: 'string' },
+    keyPoints: stringList,
+    actionItems: stringList,
+    importantDates: stringList,
+    relevantNames: stringList,
+    places: stringList,
+    sources: SOURCES_SCHEMA,
+  },
+  required: ['executiveSummary', ...LIST_FIELDS, 'sources'],
+  additionalProperties: false,
+};
+
+/**
+ * Extract the JSON object from a model response
+ *
+ * Models that do not support response_format sometimes wrap the JSON in a
+ * markdown code fence or add a sentence around it.
+ *
+ * @param {string} content - Raw response text
+ * @returns {string} - JSON text
+ */
+function extractJsonText(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : content;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return candidate.trim();
+  }
+  return candidate.substring(start, end + 1);
+}
+
+/**
+ * Get the source passages given for one list entry
+ * @param {Object} sources - `sources` object of the response
+ * @param {string} field - List field
+ * @param {number} index - Position of the entry in the list
+ * @returns {Array<string>} - Passages; empty when missing or malformed
+ */
+function entrySources(sources, field, index) {
+  const list =
+    sources && typeof sources === 'object' && Array.isArray(sources[field])
+      ? sources[field][index]
+      : null;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .filter(quote => typeof quote === 'string' && quote.trim())
+    .map(quote => quote.trim());
+}
+
+/**
+ * Parse and validate a structured summary response
+ *
+ * Missing or malformed sources are not an error: the entries are kept
+ * without sources, as nothing the model left out can be cited anyway.
+ *
+ * @param {string} content - Raw response text
+ * @returns {{summary: Object|null, errors: Array<string>}} - Normalized summary, with `sources` aligned to its lists, or validation errors
+ */
+function parseSummaryResponse(content) {
+  let data;
+  try {
+    data = JSON.parse(extractJsonText(content || ''));
+  } catch (error) {
+    return {
+      summary: null,
+      errors: [`Response is not valid JSON: ${error.message}`],
+    };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { summary: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const errors = [];
+  const summary = {};
+  const sources = {};
+
+  if (
+    typeof data.executiveSummary !== 'string' ||
+    !data.executiveSummary.trim()
+  ) {
+    errors.push('executiveSummary must be a non-empty string');
+  } else {
+    summary.executiveSummary = data.executiveSummary.trim();
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = data[field];
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array of strings`);
+      continue;
+    }
+    if (value.some(item => typeof item !== 'string')) {
+      errors.push(`${field} must only contain strings`);
+      continue;
+    }
+    // Empty entries are dropped together with their sources, so both stay aligned
+    const entries = value
+      .map((item, index) => ({
+        item: item.trim(),
+        sources: entrySources(data.sources, field, index),
+      }))
+      .filter(entry => entry.item);
+    summary[field] = entries.map(entry => entry.item);
+    sources[field] = entries.map(entry => entry.sources);
+  }
+
+  if (errors.length > 0) {
+    return { summary: null, errors };
+  }
+  summary.sources = sources;
+  return { summary, errors };
+}
+
+module.exports = {
+  SUMMARY_SCHEMA,
+  LIST_FIELDS,
+  parseSummaryResponse,
+};
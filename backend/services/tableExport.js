@@ -0,0 +1,221 @@
+const AdmZip = require('adm-zip');
+
+/**
+ * Tables found in documents, as stored with the document and downloaded as
+ * CSV or XLSX.
+ *
+ * A stored table is `{page, rows}`, rows being arrays of cell strings. The
+ * tables come from the document structure (DOCX, ODT, HTML and Markdown
+ * tables, PDF tables read from the text positions). Spreadsheets are not
+ * stored: their structure only holds the profile of every sheet.
+ */
+
+// Stop storing tables once a document has this many cells
+const MAX_STORED_TABLE_CELLS =
+  parseInt(process.env.MAX_STORED_TABLE_CELLS) || 100000;
+
+const XLSX_MIME_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Get the tables of an extracted document for storage
+ * @param {Object} documentData - Result of processDocument
+ * @returns {Array<{page: number, rows: Array<Array<string>>}>} - Tables in document order
+ */
+function documentTables(documentData) {
+  if (
+    documentData.sourceType === 'spreadsheet' ||
+    !documentData.structure ||
+    !documentData.structure.tables
+  ) {
+    return [];
+  }
+
+  const tables = [];
+  let cellCount = 0;
+  for (const table of documentData.structure.tables) {
+    const cells = table.rows.reduce((sum, row) => sum + row.length, 0);
+    if (cellCount + cells > MAX_STORED_TABLE_CELLS) {
+      console.warn(
+        `Document has more than ${MAX_STORED_TABLE_CELLS} table cells, only the first ${tables.length} tables are stored`
+      );
+      break;
+    }
+    cellCount += cells;
+    tables.push({ page: table.page, rows: table.rows });
+  }
+  return tables;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {string} value - Cell text
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value || '';
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a table as CSV
+ * @param {{rows: Array<Array<string>>}} table - Table
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function tableToCsv(table) {
+  return (
+    table.rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+  );
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the spreadsheet name of a column
+ * @param {number} index - Zero based column index
+ * @returns {string} - Column name (A, B, ..., Z, AA, ...)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Build the worksheet part of a table; the first row is the bold header
+ * @param {{rows: Array<Array<string>>}} table - Table
+ * @returns {string} - Worksheet XML
+ */
+function worksheetXml(table) {
+  const rows = table.rows.map((row, rowIndex) => {
+    const style = rowIndex === 0 ? ' s="1"' : '';
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      const text = (value || '').trim();
+      if (!text) {
+        return '';
+      }
+      // Plain numbers are written as numbers; grouped or localized ones stay text
+      if (rowIndex > 0 && /^-?\d+(?:\.\d+)?$/.test(text) && text.length < 16) {
+        return `<c r="${ref}"><v>${text}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rows.join('')}</sheetData>` +
+    '</worksheet>'
+  );
+}
+
+/**
+ * Write tables as an XLSX workbook, one sheet per table
+ * @param {Array<{page: number, rows: Array<Array<string>>}>} tables - Tables
+ * @param {Array<number>} numbers - Table numbers (1-based) used in the sheet names
+ * @returns {Buffer} - XLSX file
+ */
+function tablesToXlsx(
+  tables,
+  numbers = tables.map((table, index) => index + 1)
+) {
+  const zip = new AdmZip();
+  const add = (name, xml) => zip.addFile(name, Buffer.from(xml, 'utf8'));
+  const sheets = tables.map((table, index) => ({
+    id: index + 1,
+    // Sheet names are limited to 31 characters
+    name: table.page
+      ? `Table ${numbers[index]} (page ${table.page})`.substring(0, 31)
+      : `Table ${numbers[index]}`,
+    table,
+  }));
+
+  add(
+    '[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets
+        .map(
+          sheet =>
+            `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        )
+        .join('') +
+      '</Types>'
+  );
+  add(
+    '_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'
+  );
+  add(
+    'xl/workbook.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets>' +
+      sheets
+        .map(
+          sheet =>
+            `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`
+        )
+        .join('') +
+      '</sheets></workbook>'
+  );
+  add(
+    'xl/_rels/workbook.xml.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets
+        .map(
+          sheet =>
+            `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`
+        )
+        .join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>'
+  );
+  add(
+    'xl/styles.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>'
+  );
+  for (const sheet of sheets) {
+    add(`xl/worksheets/sheet${sheet.id}.xml`, worksheetXml(sheet.table));
+  }
+  return zip.toBuffer();
+}
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  documentTables,
+  tableToCsv,
+  tablesToXlsx,
+};
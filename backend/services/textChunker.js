@@ -0,0 +1,271 @@
+/**
+ * Split long document text into chunks that fit a single model call.
+ *
+ * Chunks follow the natural boundaries of the document where possible:
+ * page breaks first, then section headings, then paragraphs. Only when a
+ * single paragraph is larger than the chunk size is it cut at sentence
+ * boundaries.
+ *
+ * When the extractor provides a document structure (see
+ * services/documentStructure.js) its headings, paragraphs and pages are used
+ * instead of guessing from the text, and every chunk records the character
+ * span and pages it covers.
+ */
+
+const { detectHeadingLevel, pageAtOffset } = require('./documentStructure');
+
+/**
+ * Check whether a line looks like a section heading
+ * @param {string} line - Single line of text
+ * @returns {boolean} - True if the line looks like a heading
+ */
+function isHeadingLine(line) {
+  return detectHeadingLevel(line) !== null;
+}
+
+/**
+ * Split text into sections on page breaks and heading lines
+ * @param {string} text - Full document text
+ * @returns {Array<{title: string, text: string}>} - Sections in document order
+ */
+function splitIntoSections(text) {
+  const sections = [];
+  let current = { title: '', lines: [] };
+
+  const flush = () => {
+    const body = current.lines.join('\n').trim();
+    if (body) {
+      sections.push({ title: current.title, text: body });
+    }
+  };
+
+  for (const page of text.split('\f')) {
+    for (const line of page.split('\n')) {
+      if (isHeadingLine(line) && current.lines.some(l => l.trim())) {
+        flush();
+        current = { title: line.trim(), lines: [line] };
+      } else {
+        if (!current.title && isHeadingLine(line)) {
+          current.title = line.trim();
+        }
+        current.lines.push(line);
+      }
+    }
+    // Keep page breaks as soft boundaries by ending the paragraph
+    current.lines.push('');
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Cut an oversized block of text into pieces no longer than maxChars
+ * @param {string} text - Text block
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {Array<string>} - Pieces in order
+ */
+function splitOversizedText(text, maxChars) {
+  const paragraphs = text.split(/\n\s*\n/);
+  const units = [];
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= maxChars) {
+      units.push(paragraph);
+      continue;
+    }
+    const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [
+      paragraph,
+    ];
+    for (const sentence of sentences) {
+      if (sentence.length <= maxChars) {
+        units.push(sentence);
+      } else {
+        // No usable boundary at all, fall back to a hard cut
+        for (let i = 0; i < sentence.length; i += maxChars) {
+          units.push(sentence.substring(i, i + maxChars));
+        }
+      }
+    }
+  }
+
+  return packUnits(units, maxChars, '\n\n');
+}
+
+/**
+ * Greedily pack text units into strings no longer than maxChars
+ * @param {Array<string>} units - Text units in order
+ * @param {number} maxChars - Maximum characters per packed string
+ * @param {string} separator - Separator placed between units
+ * @returns {Array<string>} - Packed strings
+ */
+function packUnits(units, maxChars, separator) {
+  const packed = [];
+  let current = '';
+
+  for (const unit of units) {
+    const piece = unit.trim();
+    if (!piece) {
+      continue;
+    }
+    if (
+      current &&
+      current.length + separator.length + piece.length > maxChars
+    ) {
+      packed.push(current);
+      current = '';
+    }
+    current = current ? current + separator + piece : piece;
+  }
+  if (current) {
+    packed.push(current);
+  }
+
+  return packed;
+}
+
+/**
+ * Split structured document text into sections using its heading offsets
+ * @param {string} text - Full document text
+ * @param {Object} structure - Document structure from processDocument
+ * @returns {Array<{title: string, start: number, end: number}>} - Sections in document order
+ */
+function splitStructuredSections(text, structure) {
+  const units = [...structure.paragraphs, ...(structure.tables || [])].sort(
+    (a, b) => a.start - b.start
+  );
+  const sections = [];
+  let current = null;
+
+  for (const unit of units) {
+    if (unit.type === 'heading' || !current) {
+      if (current) {
+        sections.push(current);
+      }
+      current = {
+        title:
+          unit.type === 'heading' ? text.substring(unit.start, unit.end) : '',
+        start: unit.start,
+        end: unit.end,
+      };
+      continue;
+    }
+    current.end = Math.max(current.end, unit.end);
+  }
+  if (current) {
+    sections.push(current);
+  }
+
+  return sections;
+}
+
+/**
+ * Split structured document text into chunks that keep their source offsets
+ * @param {string} text - Full document text
+ * @param {Object} structure - Document structure from processDocument
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<Object>} - Chunks with title, text, start, end and pages
+ */
+function chunkStructuredText(text, structure, maxChars) {
+  const spans = [];
+  let current = null;
+
+  const pushSpan = () => {
+    if (current) {
+      spans.push(current);
+    }
+    current = null;
+  };
+
+  for (const section of splitStructuredSections(text, structure)) {
+    const length = section.end - section.start;
+    if (length > maxChars) {
+      pushSpan();
+      // Locate each piece in the source so offsets stay exact
+      let cursor = section.start;
+      const body = text.substring(section.start, section.end);
+      for (const piece of splitOversizedText(body, maxChars)) {
+        const start = text.indexOf(piece, cursor);
+        const pieceStart = start === -1 ? cursor : start;
+        const pieceEnd = Math.min(pieceStart + piece.length, section.end);
+        spans.push({ title: section.title, start: pieceStart, end: pieceEnd });
+        cursor = pieceEnd;
+      }
+      continue;
+    }
+
+    if (current && section.end - current.start > maxChars) {
+      pushSpan();
+    }
+    if (!current) {
+      current = { ...section };
+    } else {
+      current.end = section.end;
+    }
+  }
+  pushSpan();
+
+  return spans.map(span => ({
+    title: span.title,
+    text: text.substring(span.start, span.end),
+    start: span.start,
+    end: span.end,
+    pages: {
+      start: pageAtOffset(structure, span.start),
+      end: pageAtOffset(structure, Math.max(span.start, span.end - 1)),
+    },
+  }));
+}
+
+/**
+ * Split document text into chunks for map-reduce summarization
+ * @param {string} text - Full document text
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @param {Object} options.structure - Document structure from processDocument (optional)
+ * @returns {Array<{index: number, title: string, text: string}>} - Chunks in document order, with start, end and pages when a structure is given
+ */
+function chunkText(text, { maxChars = 12000, structure = null } = {}) {
+  if (structure && structure.paragraphs && structure.paragraphs.length > 0) {
+    return chunkStructuredText(text, structure, maxChars).map(
+      (chunk, index) => ({ index, ...chunk })
+    );
+  }
+
+  const sections = splitIntoSections(text);
+  const chunks = [];
+  let current = null;
+
+  const pushChunk = () => {
+    if (current && current.text) {
+      chunks.push(current);
+    }
+    current = null;
+  };
+
+  for (const section of sections) {
+    if (section.text.length > maxChars) {
+      pushChunk();
+      for (const piece of splitOversizedText(section.text, maxChars)) {
+        chunks.push({ title: section.title, text: piece });
+      }
+      continue;
+    }
+
+    if (current && current.text.length + 2 + section.text.length > maxChars) {
+      pushChunk();
+    }
+    if (!current) {
+      current = { title: section.title, text: section.text };
+    } else {
+      current.text += '\n\n' + section.text;
+    }
+  }
+  pushChunk();
+
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
+
+module.exports = {
+  chunkText,
+};
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Upload = require('../models/Upload');
+const { SUPPORTED_EXTENSIONS } = require('./documentProcessor');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Resumable uploads.
+ *
+ * The client announces the file name and size, then sends the file in chunks
+ * at explicit offsets, each with a checksum (tus style `Upload-Checksum`
+ * header: "<algorithm> <base64 digest>"). After a dropped connection the
+ * client asks for the current offset and continues from there. Complete
+ * uploads are claimed once for processing; uploads that receive no chunk for
+ * UPLOAD_EXPIRY_HOURS expire and their data is deleted.
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const MAX_RESUMABLE_UPLOAD_SIZE =
+  parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || 200 * 1024 * 1024;
+const MAX_UPLOAD_CHUNK_SIZE =
+  parseInt(process.env.MAX_UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024;
+const UPLOAD_EXPIRY_HOURS = parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24;
+// Unfinished uploads a user can have at a time, each reserving up to MAX_RESUMABLE_UPLOAD_SIZE
+const MAX_OPEN_UPLOADS = parseInt(process.env.MAX_OPEN_UPLOADS) || 5;
+// A chunk write that takes longer than this is considered abandoned
+const CHUNK_LOCK_MS = 60 * 1000;
+
+// Checksum algorithms accepted in Upload-Checksum, by their tus names
+const CHECKSUM_ALGORITHMS = {
+  md5: 'md5',
+  sha1: 'sha1',
+  sha256: 'sha256',
+};
+
+/**
+ * Get the expiry date for an upload that just received data
+ * @returns {Date} - Expiry date
+ */
+function nextExpiry() {
+  return new Date(Date.now() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Start a resumable upload
+ * @param {string} userId - Owner of the upload
+ * @param {Object} params - Upload parameters
+ * @param {string} params.filename - Original file name
+ * @param {number} params.size - Total size in bytes
+ * @param {string} params.checksum - Optional SHA-256 (hex) of the whole file
+ * @returns {Promise<Object>} - Upload document
+ */
+async function createUpload(userId, { filename, size, checksum } = {}) {
+  if (!filename || typeof filename !== 'string') {
+    throw httpError(400, 'invalid_upload', 'filename is required');
+  }
+  const extension = path.extname(filename).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw httpError(
+      400,
+      'invalid_upload',
+      `Invalid file type. Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`
+    );
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    throw httpError(
+      400,
+      'invalid_upload',
+      'size must be a positive number of bytes'
+    );
+  }
+  if (size > MAX_RESUMABLE_UPLOAD_SIZE) {
+    throw httpError(
+      413,
+      'upload_too_large',
+      `File too large (limit: ${MAX_RESUMABLE_UPLOAD_SIZE} bytes)`,
+      { maxSize: MAX_RESUMABLE_UPLOAD_SIZE }
+    );
+  }
+  if (checksum !== undefined && !/^[0-9a-f]{64}$/i.test(checksum)) {
+    throw httpError(
+      400,
+      'invalid_upload',
+      'checksum must be a hex SHA-256 digest'
+    );
+  }
+
+  const openUploads = await Upload.countDocuments({
+    userId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (openUploads >= MAX_OPEN_UPLOADS) {
+    throw httpError(
+      429,
+      'too_many_uploads',
+      `Finish or cancel one of your ${openUploads} open uploads before starting another`,
+      { maxOpenUploads: MAX_OPEN_UPLOADS }
+    );
+  }
+
+  const id = new mongoose.Types.ObjectId();
+  const filePath = path.join(UPLOADS_DIR, `resumable-${id}${extension}`);
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  fs.writeFileSync(filePath, '');
+
+  const upload = new Upload({
+    _id: id,
+    userId,
+    originalFilename: filename,
+    fileSize: size,
+    checksum: checksum && checksum.toLowerCase(),
+    filePath,
+    expiresAt: nextExpiry(),
+  });
+  await upload.save();
+  return upload;
+}
+
+/**
+ * Find an upload of a user
+ * @param {string} userId - Owner of the upload
+ * @param {string} uploadId - Upload id
+ * @returns {Promise<Object>} - Upload document
+ */
+async function getUpload(userId, uploadId) {
+  const upload = mongoose.isValidObjectId(uploadId)
+    ? await Upload.findOne({ _id: uploadId, userId })
+    : null;
+  if (!upload) {
+    throw httpError(404, 'upload_not_found', 'Upload not found');
+  }
+  if (upload.expiresAt < new Date()) {
+    await removeUpload(upload);
+    throw httpError(410, 'upload_expired', 'Upload has expired');
+  }
+  return upload;
+}
+
+/**
+ * Parse an Upload-Checksum header
+ * @param {string} header - "<algorithm> <base64 digest>"
+ * @returns {{algorithm: string, digest: string}} - Node hash name and expected digest
+ */
+function parseChecksumHeader(header) {
+  const [name, digest] = (header || '').trim().split(/\s+/);
+  if (!name || !digest) {
+    throw httpError(
+      400,
+      'invalid_upload',
+      'Upload-Checksum header is required ("<algorithm> <base64 digest>")'
+    );
+  }
+  const algorithm = CHECKSUM_ALGORITHMS[name.toLowerCase()];
+  if (!algorithm) {
+    throw httpError(
+      400,
+      'invalid_upload',
+      `Unsupported checksum algorithm. Allowed: ${Object.keys(CHECKSUM_ALGORITHMS).join(', ')}`
+    );
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * Write a chunk at the current offset of an upload
+ * @param {string} userId - Owner of the upload
+ * @param {string} uploadId - Upload id
+ * @param {Object} chunk - Chunk to write
+ * @param {number} chunk.offset - Offset the client writes at (Upload-Offset)
+ * @param {Buffer} chunk.data - Chunk bytes
+ * @param {string} chunk.checksum - Upload-Checksum header
+ * @returns {Promise<Object>} - Updated upload document
+ */
+async function appendChunk(userId, uploadId, { offset, data, checksum }) {
+  const { algorithm, digest } = parseChecksumHeader(checksum);
+  const upload = await getUpload(userId, uploadId);
+
+  if (upload.status !== 'uploading') {
+    throw httpError(409, 'upload_busy', 'Upload is being finalized');
+  }
+  if (offset !== upload.offset) {
+    throw httpError(
+      409,
+      'offset_mismatch',
+      `Upload-Offset does not match the upload offset (${upload.offset})`,
+      { offset: upload.offset }
+    );
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw httpError(400, 'invalid_upload', 'Chunk is empty');
+  }
+  if (offset + data.length > upload.fileSize) {
+    throw httpError(
+      400,
+      'invalid_upload',
+      `Chunk exceeds the upload size (${upload.fileSize} bytes)`
+    );
+  }
+  if (crypto.createHash(algorithm).update(data).digest('base64') !== digest) {
+    throw httpError(460, 'checksum_mismatch', 'Chunk checksum mismatch');
+  }
+
+  // Only one chunk may be written at a time, and only at the expected offset
+  const now = new Date();
+  const locked = await Upload.findOneAndUpdate(
+    {
+      _id: upload._id,
+      offset,
+      status: 'uploading',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + CHUNK_LOCK_MS) } },
+    { new: true }
+  );
+  if (!locked) {
+    throw httpError(
+      409,
+      'upload_busy',
+      'Another chunk is being written to this upload'
+    );
+  }
+
+  try {
+    const file = await fs.promises.open(upload.filePath, 'r+');
+    try {
+      await file.write(data, 0, data.length, offset);
+    } finally {
+      await file.close();
+    }
+  } catch (error) {
+    await Upload.updateOne({ _id: upload._id }, { $unset: { lockedUntil: 1 } });
+    throw error;
+  }
+
+  return Upload.findOneAndUpdate(
+    { _id: upload._id },
+    {
+      $set: { offset: offset + data.length, expiresAt: nextExpiry() },
+      $unset: { lockedUntil: 1 },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Compute the SHA-256 of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Claim a complete upload for processing
+ * @param {string} userId - Owner of the upload
+ * @param {string} uploadId - Upload id
+ * @returns {Promise<Object>} - Upload document, now in the 'finalizing' state
+ */
+async function claimUpload(userId, uploadId) {
+  const upload = await getUpload(userId, uploadId);
+  if (upload.offset < upload.fileSize) {
+    throw httpError(409, 'upload_incomplete', 'Upload is incomplete', {
+      offset: upload.offset,
+      size: upload.fileSize,
+    });
+  }
+
+  const claimed = await Upload.findOneAndUpdate(
+    {
+      _id: upload._id,
+      status: 'uploading',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }],
+    },
+    { $set: { status: 'finalizing' } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, 'upload_busy', 'Upload is already being finalized');
+  }
+
+  if (
+    claimed.checksum &&
+    (await hashFile(claimed.filePath)) !== claimed.checksum
+  ) {
+    await removeUpload(claimed);
+    throw httpError(
+      460,
+      'checksum_mismatch',
+      'File checksum does not match the checksum given when the upload was created'
+    );
+  }
+  return claimed;
+}
+
+/**
+ * Return a claimed upload to the client, so it can be finalized again
+ * (e.g. with the password of an encrypted document)
+ * @param {Object} upload - Upload document
+ */
+async function releaseUpload(upload) {
+  await Upload.updateOne(
+    { _id: upload._id },
+    { $set: { status: 'uploading', expiresAt: nextExpiry() } }
+  );
+}
+
+/**
+ * Delete an upload and its data
+ * @param {Object} upload - Upload document
+ */
+async function removeUpload(upload) {
+  if (fs.existsSync(upload.filePath)) {
+    fs.unlinkSync(upload.filePath);
+  }
+  await Upload.deleteOne({ _id: upload._id });
+}
+
+/**
+ * Delete uploads that expired
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+async function removeExpiredUploads() {
+  const expired = await Upload.find({ expiresAt: { $lt: new Date() } });
+  for (const upload of expired) {
+    await removeUpload(upload);
+  }
+  return expired.length;
+}
+
+/**
+ * Periodically delete expired uploads
+ * @param {number} intervalMs - Time between sweeps
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function startExpirySweep(intervalMs = 15 * 60 * 1000) {
+  const timer = setInterval(() => {
+    removeExpiredUploads()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Removed ${count} expired uploads`);
+        }
+      })
+      .catch(error =>
+        console.error('Error removing expired uploads:', error.message)
+      );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  MAX_RESUMABLE_UPLOAD_SIZE,
+  MAX_UPLOAD_CHUNK_SIZE,
+  createUpload,
+  getUpload,
+  appendChunk,
+  claimUpload,
+  releaseUpload,
+  removeUpload,
+  startExpirySweep,
+};
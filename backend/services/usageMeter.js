@@ -0,0 +1,93 @@
+const Usage = require('../models/Usage');
+const { getModelPrice } = require('../config/pricing');
+
+/**
+ * Accounting of what every user costs at the LLM provider.
+ *
+ * Every call to a model is recorded for the user it was made for, in their
+ * Usage record of the month: the prompt and completion tokens reported by the
+ * provider, the images sent to the vision model, the characters spoken by the
+ * TTS model, and the cost estimated from config/pricing.js, in total and per
+ * task (summary, chat, embedding, vision, tts).
+ *
+ * Calls are described as {task, model, usage, images, characters}, where
+ * `usage` is the token usage returned by the provider. Services that know the
+ * user record them with recordUsage. The vision and TTS services report them
+ * through an `onUsage` option instead, like progress, because OCR runs in the
+ * extraction workers, which have no database connection; callers pass
+ * usageRecorder(userId). Recording never fails a request, errors are logged.
+ */
+
+/**
+ * Estimate the cost of a call
+ * @param {Object} counts - Model, tokens, images and characters of the call
+ * @returns {number} - Cost in USD; 0 for models without a price
+ */
+function estimateCost({
+  model,
+  promptTokens = 0,
+  completionTokens = 0,
+  images = 0,
+  characters = 0,
+}) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return 0;
+  }
+  return (
+    (promptTokens * (price.input || 0) +
+      completionTokens * (price.output || 0) +
+      characters * (price.characters || 0)) /
+      1000000 +
+    images * (price.image || 0)
+  );
+}
+
+/**
+ * Record a call to the LLM provider
+ * @param {Object} userId - User the call was made for; nothing is recorded without one (guests)
+ * @param {Object} call - Call with task, model, provider `usage`, and `images` or `characters`
+ * @returns {Promise<void>}
+ */
+async function recordUsage(userId, call) {
+  if (!userId || !call) {
+    return;
+  }
+
+  const usage = call.usage || {};
+  const counts = {
+    model: call.model,
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    images: call.images || 0,
+    characters: call.characters || 0,
+  };
+  try {
+    await Usage.incrementSpend(userId, call.task, {
+      promptTokens: counts.promptTokens,
+      completionTokens: counts.completionTokens,
+      images: counts.images,
+      characters: counts.characters,
+      cost: estimateCost(counts),
+    });
+  } catch (error) {
+    console.warn(`Could not record ${call.task} usage: ${error.message}`);
+  }
+}
+
+/**
+ * Create an `onUsage` callback that records the calls of a user
+ * @param {Object} userId - User the calls are made for
+ * @returns {Function} - Callback taking a call
+ */
+function usageRecorder(userId) {
+  return call => {
+    recordUsage(userId, call);
+  };
+}
+
+module.exports = {
+  estimateCost,
+  recordUsage,
+  usageRecorder,
+};
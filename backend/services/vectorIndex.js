@@ -0,0 +1,104 @@
+/**
+ * In-process vector index of each user's documents.
+ *
+ * The embeddings are stored in MongoDB with the documents and chunks; the
+ * index of a user is loaded into memory on their first search, as normalized
+ * Float32Array vectors, and searched exhaustively by cosine similarity. A
+ * user's index is dropped when one of their documents is indexed, and after
+ * VECTOR_INDEX_TTL_SECONDS so that other server processes pick up new
+ * documents too. At most VECTOR_INDEX_MAX_USERS indexes are kept, the least
+ * recently used are dropped first.
+ */
+
+const VECTOR_INDEX_TTL_SECONDS =
+  parseInt(process.env.VECTOR_INDEX_TTL_SECONDS) || 300;
+const VECTOR_INDEX_MAX_USERS =
+  parseInt(process.env.VECTOR_INDEX_MAX_USERS) || 100;
+
+// userId -> {entries, loadedAt}, in order of last use
+const indexes = new Map();
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector
+ * @returns {Float32Array} - Normalized vector
+ */
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  let length = 0;
+  for (const value of normalized) {
+    length += value * value;
+  }
+  length = Math.sqrt(length) || 1;
+  for (let i = 0; i < normalized.length; i++) {
+    normalized[i] /= length;
+  }
+  return normalized;
+}
+
+/**
+ * Get the index of a user, loading it when it is missing or expired
+ * @param {string} userId - User
+ * @param {Function} load - Async function returning the user's entries, each with an `embedding` array
+ * @returns {Promise<Array<Object>>} - Entries with a normalized `vector` instead of `embedding`
+ */
+async function getUserIndex(userId, load) {
+  const key = String(userId);
+  const cached = indexes.get(key);
+  if (
+    cached &&
+    Date.now() - cached.loadedAt < VECTOR_INDEX_TTL_SECONDS * 1000
+  ) {
+    indexes.delete(key);
+    indexes.set(key, cached);
+    return cached.entries;
+  }
+
+  const entries = (await load()).map(({ embedding, ...entry }) => ({
+    ...entry,
+    vector: normalize(embedding),
+  }));
+  indexes.delete(key);
+  indexes.set(key, { entries, loadedAt: Date.now() });
+  while (indexes.size > VECTOR_INDEX_MAX_USERS) {
+    indexes.delete(indexes.keys().next().value);
+  }
+  return entries;
+}
+
+/**
+ * Drop the index of a user, e.g. after one of their documents was indexed
+ * @param {string} userId - User
+ */
+function invalidateUserIndex(userId) {
+  indexes.delete(String(userId));
+}
+
+/**
+ * Find the entries closest to a query vector
+ * @param {Array<Object>} entries - Index entries
+ * @param {Array<number>} query - Query embedding
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<{entry: Object, score: number}>} - Entries by cosine similarity, best first
+ */
+function searchIndex(entries, query, limit) {
+  const vector = normalize(query);
+  const results = [];
+  for (const entry of entries) {
+    if (entry.vector.length !== vector.length) {
+      continue;
+    }
+    let score = 0;
+    for (let i = 0; i < vector.length; i++) {
+      score += vector[i] * entry.vector[i];
+    }
+    results.push({ entry, score });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+  getUserIndex,
+  invalidateUserIndex,
+  searchIndex,
+};
@@ -0,0 +1,210 @@
+const AdmZip = require('adm-zip');
+const {
+  childElements,
+  childElement,
+  findElement,
+  textContent,
+} = require('../utils/xmlTree');
+const { readPart, readRelationships } = require('../utils/officePackage');
+const { readOoxmlMetadata } = require('./documentMetadata');
+
+/**
+ * XLSX (SpreadsheetML) reader.
+ *
+ * Reads the worksheets listed in xl/workbook.xml in workbook order and returns
+ * their cells as rows of typed values: shared and inline strings, numbers,
+ * booleans and dates (numbers with a date number format).
+ */
+
+// Built-in number formats that display dates or times
+const BUILTIN_DATE_FORMATS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47,
+]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Day zero of the 1900 date system, shifted for the 1900 leap year bug
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+/**
+ * Check whether a custom number format displays a date or time
+ * @param {string} formatCode - Number format code
+ * @returns {boolean} - True for date and time formats
+ */
+function isDateFormat(formatCode) {
+  // Drop quoted literals, escaped characters and [Red]/[$-409] sections
+  const code = formatCode
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(code) && !/^general$/i.test(code.trim());
+}
+
+/**
+ * Read the shared string table
+ * @param {AdmZip} zip - Opened package
+ * @param {string|undefined} partName - Shared strings part
+ * @returns {Promise<Array<string>>} - Strings by index
+ */
+async function readSharedStrings(zip, partName) {
+  const root = partName ? await readPart(zip, partName) : null;
+  return childElements(root, 'si').map(item =>
+    (item.children || [])
+      .filter(child => child.name === 't' || child.name === 'r')
+      .map(textContent)
+      .join('')
+  );
+}
+
+/**
+ * Find the cell styles (xf indexes) that format numbers as dates
+ * @param {AdmZip} zip - Opened package
+ * @param {string|undefined} partName - Styles part
+ * @returns {Promise<Set<number>>} - Style indexes with a date format
+ */
+async function readDateStyles(zip, partName) {
+  const root = partName ? await readPart(zip, partName) : null;
+  const customDateFormats = new Set(
+    childElements(childElement(root, 'numFmts'), 'numFmt')
+      .filter(format => isDateFormat(format.attrs.formatCode || ''))
+      .map(format => parseInt(format.attrs.numFmtId))
+  );
+
+  const dateStyles = new Set();
+  childElements(childElement(root, 'cellXfs'), 'xf').forEach((xf, index) => {
+    const formatId = parseInt(xf.attrs.numFmtId || '0');
+    if (BUILTIN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) {
+      dateStyles.add(index);
+    }
+  });
+  return dateStyles;
+}
+
+/**
+ * Convert a cell reference column ("B" in "B12") to a zero-based index
+ * @param {string} reference - Cell reference
+ * @returns {number} - Column index, -1 if the reference has no column
+ */
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/.exec(reference || '');
+  if (!letters) {
+    return -1;
+  }
+  let index = 0;
+  for (const letter of letters[0]) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Get the value of a worksheet cell
+ * @param {Object} cell - c element
+ * @param {Object} context - Shared strings, date styles and date system
+ * @returns {*} - String, number, boolean, Date or null
+ */
+function cellValue(cell, context) {
+  const type = cell.attrs.t || 'n';
+  const valueElement = childElement(cell, 'v');
+  const raw = valueElement ? textContent(valueElement) : '';
+
+  switch (type) {
+    case 's':
+      return context.sharedStrings[parseInt(raw)] || null;
+    case 'inlineStr':
+      return textContent(childElement(cell, 'is')) || null;
+    case 'str':
+    case 'e':
+      return raw || null;
+    case 'b':
+      return raw === '1';
+    default: {
+      if (raw === '') {
+        return null;
+      }
+      const number = parseFloat(raw);
+      if (Number.isNaN(number)) {
+        return raw;
+      }
+      if (context.dateStyles.has(parseInt(cell.attrs.s || '0'))) {
+        const epoch = context.date1904 ? EPOCH_1904 : EPOCH_1900;
+        return new Date(epoch + Math.round(number * MS_PER_DAY));
+      }
+      return number;
+    }
+  }
+}
+
+/**
+ * Read the rows of a worksheet
+ * @param {Object} root - Worksheet root element
+ * @param {Object} context - Shared strings, date styles and date system
+ * @returns {Array<Array<*>>} - Rows of cell values
+ */
+function readRows(root, context) {
+  const rows = [];
+  for (const row of childElements(childElement(root, 'sheetData'), 'row')) {
+    const rowNumber = parseInt(row.attrs.r) || rows.length + 1;
+    const cells = [];
+    for (const cell of childElements(row, 'c')) {
+      const index = columnIndex(cell.attrs.r);
+      cells[index === -1 ? cells.length : index] = cellValue(cell, context);
+    }
+    // Keep gaps between rows so row numbers stay meaningful
+    while (rows.length < rowNumber - 1) {
+      rows.push([]);
+    }
+    rows.push(Array.from(cells, value => (value === undefined ? null : value)));
+  }
+  return rows;
+}
+
+/**
+ * Extract worksheets from an XLSX file
+ * @param {string} filePath - Path to XLSX file
+ * @returns {Promise<{sheets: Array<{name: string, rows: Array<Array<*>>}>, metadata: Object}>} - Visible sheets in workbook order and the document properties
+ */
+async function readXlsx(filePath) {
+  const zip = new AdmZip(filePath);
+  const workbook = await readPart(zip, 'xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Could not find xl/workbook.xml in XLSX file');
+  }
+
+  const rels = await readRelationships(zip, 'xl/workbook.xml');
+  const partOfType = type => {
+    const rel = rels.find(candidate => candidate.type.endsWith(`/${type}`));
+    return rel ? rel.part : undefined;
+  };
+  const workbookPr = childElement(workbook, 'workbookPr');
+  const context = {
+    sharedStrings: await readSharedStrings(zip, partOfType('sharedStrings')),
+    dateStyles: await readDateStyles(zip, partOfType('styles')),
+    date1904: Boolean(
+      workbookPr && ['1', 'true'].includes(workbookPr.attrs.date1904)
+    ),
+  };
+
+  const sheets = [];
+  for (const sheet of childElements(
+    childElement(workbook, 'sheets'),
+    'sheet'
+  )) {
+    if (sheet.attrs.state === 'hidden' || sheet.attrs.state === 'veryHidden') {
+      continue;
+    }
+    const rel = rels.find(candidate => candidate.id === sheet.attrs['r:id']);
+    const root = rel ? await readPart(zip, rel.part) : null;
+    // Chart sheets and dialog sheets have no sheetData
+    if (!root || !findElement(root, 'sheetData')) {
+      continue;
+    }
+    sheets.push({ name: sheet.attrs.name, rows: readRows(root, context) });
+  }
+
+  return { sheets, metadata: await readOoxmlMetadata(zip) };
+}
+
+module.exports = {
+  readXlsx,
+};
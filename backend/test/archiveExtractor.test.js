@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const {
+  unpackArchive,
+  removeUnpackedFiles,
+} = require('../services/archiveExtractor');
+
+const SUPPORTED = ['.txt', '.pdf', '.docx'];
+
+let directory;
+
+/**
+ * Write a ZIP archive to the test directory
+ * @param {string} name - Archive file name
+ * @param {Object} entries - Contents by entry name
+ * @returns {string} - Path to the archive
+ */
+function writeZip(name, entries) {
+  const zip = new AdmZip();
+  for (const [entryName, content] of Object.entries(entries)) {
+    zip.addFile(entryName, Buffer.from(content));
+  }
+  const filePath = path.join(directory, name);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+/**
+ * Replace bytes in a file everywhere they occur (local and central headers)
+ * @param {string} filePath - File to patch
+ * @param {Buffer} search - Bytes to replace
+ * @param {Buffer} replacement - Bytes of the same length
+ */
+function patchFile(filePath, search, replacement) {
+  const data = fs.readFileSync(filePath);
+  let index = data.indexOf(search);
+  while (index !== -1) {
+    replacement.copy(data, index);
+    index = data.indexOf(search, index + 1);
+  }
+  fs.writeFileSync(filePath, data);
+}
+
+describe('unpackArchive', () => {
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('unpacks supported files and lists the others as skipped', () => {
+    const archive = writeZip('mixed.zip', {
+      'notes/a.txt': 'First document',
+      'b.txt': 'Second document',
+      'image.bmp': 'not supported',
+      'inner.zip': 'nested',
+      '__MACOSX/._a.txt': 'metadata',
+      '.DS_Store': 'metadata',
+    });
+
+    const { files, skipped } = unpackArchive(archive, SUPPORTED);
+    try {
+      // adm-zip lists entries in name order
+      assert.deepEqual(
+        files.map(file => file.name),
+        ['b.txt', 'notes/a.txt']
+      );
+      assert.equal(fs.readFileSync(files[1].path, 'utf8'), 'First document');
+      assert.ok(files.every(file => file.path.startsWith(`${archive}-entry-`)));
+      assert.deepEqual(skipped, [
+        { name: 'image.bmp', reason: 'Unsupported file type' },
+        { name: 'inner.zip', reason: 'Nested archives are not processed' },
+      ]);
+    } finally {
+      removeUnpackedFiles(files);
+    }
+    assert.ok(files.every(file => !fs.existsSync(file.path)));
+  });
+
+  it('rejects entries with parent-relative paths', () => {
+    const archive = writeZip('traversal.zip', { 'xx/evil.txt': 'evil' });
+    patchFile(archive, Buffer.from('xx/evil'), Buffer.from('../evil'));
+
+    assert.throws(() => unpackArchive(archive, SUPPORTED), {
+      code: 'archive_rejected',
+      message: /Unsafe path/,
+    });
+  });
+
+  it('rejects entries with a suspicious compression ratio', () => {
+    const archive = writeZip('bomb.zip', {
+      'zeros.txt': Buffer.alloc(4 * 1024 * 1024),
+    });
+
+    assert.throws(() => unpackArchive(archive, SUPPORTED), {
+      code: 'archive_rejected',
+      message: /compression ratio/,
+    });
+  });
+
+  it('rejects entries that inflate to more than their declared size', () => {
+    const content = 'A line of text that compresses well. '.repeat(200);
+    const archive = writeZip('lying.zip', { 'big.txt': content });
+    const declared = Buffer.alloc(4);
+    declared.writeUInt32LE(content.length);
+    const smaller = Buffer.alloc(4);
+    smaller.writeUInt32LE(100);
+    patchFile(archive, declared, smaller);
+
+    assert.throws(() => unpackArchive(archive, SUPPORTED), {
+      code: 'archive_rejected',
+      message: /larger than its declared size/,
+    });
+    assert.deepEqual(
+      fs.readdirSync(directory).filter(name => name.startsWith('lying.zip-')),
+      []
+    );
+  });
+
+  it('rejects files that are not ZIP archives', () => {
+    const filePath = path.join(directory, 'plain.zip');
+    fs.writeFileSync(filePath, 'not a zip file');
+
+    assert.throws(() => unpackArchive(filePath, SUPPORTED), {
+      code: 'archive_rejected',
+    });
+  });
+});
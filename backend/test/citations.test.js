@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  locateQuote,
+  verifyCitations,
+  reverifyCitations,
+} = require('../services/citations');
+
+const TEXT =
+  'The board met on “Monday” to review the budget.\n\n' +
+  'Spending rose 4 % – mostly on   travel.\nThe next review is in May.';
+
+// Two real pages: the second starts with "Spending"
+const STRUCTURE = {
+  pagesEstimated: false,
+  pages: [
+    { number: 1, start: 0 },
+    { number: 2, start: TEXT.indexOf('Spending') },
+  ],
+};
+
+describe('locateQuote', () => {
+  it('finds a passage copied as is', () => {
+    const start = TEXT.indexOf('review the budget');
+    assert.deepEqual(locateQuote(TEXT, 'review the budget'), {
+      start,
+      end: start + 'review the budget'.length,
+    });
+  });
+
+  it('ignores case, whitespace, quotes and dashes', () => {
+    const span = locateQuote(TEXT, 'met on "monday" to');
+    assert.equal(TEXT.substring(span.start, span.end), 'met on “Monday” to');
+
+    const across = locateQuote(TEXT, 'rose 4 % - mostly on travel. The next');
+    assert.equal(
+      TEXT.substring(across.start, across.end),
+      'rose 4 % – mostly on   travel.\nThe next'
+    );
+  });
+
+  it('strips quotes and ellipses the model put around the passage', () => {
+    const span = locateQuote(TEXT, '“…the next review is in May…”');
+    assert.equal(
+      TEXT.substring(span.start, span.end),
+      'The next review is in May'
+    );
+  });
+
+  it('does not match passages that are too short or not in the text', () => {
+    assert.equal(locateQuote(TEXT, 'May'), null);
+    assert.equal(locateQuote(TEXT, ''), null);
+    assert.equal(locateQuote(TEXT, 'the board met on Tuesday'), null);
+  });
+});
+
+describe('verifyCitations', () => {
+  it('cites passages found in the text with their pages', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const citations = verifyCitations(
+      {
+        keyPoints: [
+          ['review the budget', 'invented passage about revenue'],
+          ['mostly on travel', 'Spending rose', 'next review'],
+        ],
+        importantDates: [['next review is in May']],
+      },
+      TEXT,
+      STRUCTURE
+    );
+
+    assert.deepEqual(
+      citations.map(({ field, item, page, quote }) => ({
+        field,
+        item,
+        page,
+        quote,
+      })),
+      [
+        { field: 'keyPoints', item: 0, page: 1, quote: 'review the budget' },
+        {
+          field: 'keyPoints',
+          item: 1,
+          page: 2,
+          quote: 'mostly on   travel',
+        },
+        { field: 'keyPoints', item: 1, page: 2, quote: 'Spending rose' },
+        {
+          field: 'importantDates',
+          item: 0,
+          page: 2,
+          quote: 'next review is in May',
+        },
+      ]
+    );
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('leaves out pages that were only estimated', () => {
+    const citations = verifyCitations(
+      { keyPoints: [['Spending rose']] },
+      TEXT,
+      { ...STRUCTURE, pagesEstimated: true }
+    );
+    assert.equal(citations[0].page, undefined);
+  });
+
+  it('returns no citations without sources or text', () => {
+    assert.deepEqual(verifyCitations(null, TEXT, STRUCTURE), []);
+    assert.deepEqual(
+      verifyCitations({ keyPoints: [['budget']] }, '', STRUCTURE),
+      []
+    );
+  });
+});
+
+describe('reverifyCitations', () => {
+  it('finds stored citations at their offsets in a new text', t => {
+    t.mock.method(console, 'warn', () => {});
+    const stored = [
+      { field: 'keyPoints', item: 1, quote: 'Spending rose', start: 0, end: 1 },
+      { field: 'summary', item: 0, quote: 'review the budget' },
+      { field: 'keyPoints', item: 0, quote: 'no longer in the text' },
+    ];
+    const text = `Preface.\n\n${TEXT}`;
+
+    const citations = reverifyCitations(stored, text, null);
+    assert.deepEqual(citations, [
+      {
+        field: 'keyPoints',
+        item: 1,
+        page: undefined,
+        start: text.indexOf('Spending rose'),
+        end: text.indexOf('Spending rose') + 'Spending rose'.length,
+        quote: 'Spending rose',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, mock, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const llmProvider = require('../services/llmProvider');
+const usageMeter = require('../services/usageMeter');
+
+const MODEL = 'test-embedding';
+const USER_ID = new mongoose.Types.ObjectId();
+
+// Query embeddings: the budget query points the way of the budget report,
+// the volcano query is orthogonal to everything stored
+const QUERY_EMBEDDINGS = {
+  'budget growth': [1, 0, 0],
+  'volcano eruptions': [0, 0, 1],
+};
+
+let embeddingConfigured = true;
+
+// documentSearch takes these when it is loaded, so replace them first
+mock.method(llmProvider, 'isEmbeddingConfigured', () => embeddingConfigured);
+mock.method(llmProvider, 'getTaskSettings', () => ({ model: MODEL }));
+mock.method(llmProvider, 'createEmbeddings', ([text]) =>
+  Promise.resolve({
+    embeddings: [QUERY_EMBEDDINGS[text]],
+    model: MODEL,
+    usage: {},
+  })
+);
+mock.method(usageMeter, 'recordUsage', async () => {});
+const { searchDocuments } = require('../services/documentSearch');
+
+const budget = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: USER_ID,
+  originalFilename: 'budget.pdf',
+  embeddingModel: MODEL,
+  summaryEmbedding: [0.8, 0.6, 0],
+  summary: { executiveSummary: 'Review of the yearly budget', keyPoints: [] },
+};
+const rota = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: USER_ID,
+  originalFilename: 'rota.docx',
+  summary: { executiveSummary: 'Support team rota', keyPoints: [] },
+};
+const chunks = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    documentId: budget._id,
+    userId: USER_ID,
+    index: 0,
+    text: 'The budget grew by four percent.',
+    embedding: [0.9, 0.1, 0],
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    documentId: rota._id,
+    userId: USER_ID,
+    index: 0,
+    text: 'Support staff rotate over the holidays.',
+  },
+];
+
+/**
+ * Check a stored value against a query condition
+ * @param {*} value - Stored value
+ * @param {*} condition - Value, or {$in} or {$ne}
+ * @returns {boolean} - True if the value meets the condition
+ */
+function meets(value, condition) {
+  if (condition && condition.$in) {
+    return condition.$in.some(item => String(item) === String(value));
+  }
+  if (condition && condition.$ne) {
+    return value !== condition.$ne;
+  }
+  return String(value) === String(condition);
+}
+
+/**
+ * Build a query over stored records that can be chained like a Mongoose query
+ * @param {Array<Object>} records - Stored records
+ * @param {Object} filter - Conditions by field
+ * @returns {Object} - Chainable query, awaitable and iterable through cursor()
+ */
+function query(records, filter) {
+  const results = records.filter(record =>
+    Object.entries(filter).every(([field, condition]) =>
+      meets(record[field], condition)
+    )
+  );
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    cursor: () => results,
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject),
+  };
+  return chain;
+}
+
+mock.method(Document, 'find', filter => query([budget, rota], filter));
+mock.method(DocumentChunk, 'find', filter => query(chunks, filter));
+
+describe('searchDocuments', () => {
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('finds documents close to the query', async () => {
+    const { mode, results } = await searchDocuments(USER_ID, 'budget growth');
+
+    assert.equal(mode, 'semantic');
+    assert.deepEqual(
+      results.map(result => result.originalFilename),
+      ['budget.pdf']
+    );
+    assert.equal(
+      results[0].passages[0].excerpt,
+      'The budget grew by four percent.'
+    );
+  });
+
+  it('returns nothing for a query unrelated to every document', async () => {
+    const { mode, results } = await searchDocuments(
+      USER_ID,
+      'volcano eruptions'
+    );
+
+    assert.equal(mode, 'semantic');
+    assert.deepEqual(results, []);
+  });
+
+  it('ranks documents by the words of the query without embeddings', async () => {
+    embeddingConfigured = false;
+    try {
+      const { mode, results } = await searchDocuments(USER_ID, 'holidays');
+
+      assert.equal(mode, 'keyword');
+      assert.deepEqual(
+        results.map(result => result.originalFilename),
+        ['rota.docx']
+      );
+      assert.equal(
+        results[0].passages[0].excerpt,
+        'Support staff rotate over the holidays.'
+      );
+      assert.deepEqual((await searchDocuments(USER_ID, 'volcano')).results, []);
+    } finally {
+      embeddingConfigured = true;
+    }
+  });
+});
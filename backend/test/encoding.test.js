@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  detectEncoding,
+  decodeText,
+  normalizeControlCharacters,
+} = require('../utils/encoding');
+const { detectFileType } = require('../services/fileTypeDetector');
+
+/**
+ * Encode text as UTF-16 big endian
+ * @param {string} text - Text to encode
+ * @returns {Buffer} - UTF-16BE bytes
+ */
+function utf16be(text) {
+  return Buffer.from(text, 'utf16le').swap16();
+}
+
+/**
+ * Encode text in a single-byte code page
+ * @param {string} text - Text made of characters of the code page
+ * @param {string} encoding - WHATWG label of the code page
+ * @returns {Buffer} - Encoded bytes
+ */
+function encodeSingleByte(text, encoding) {
+  const decoder = new TextDecoder(encoding);
+  const bytes = new Map();
+  for (let byte = 0; byte < 256; byte++) {
+    bytes.set(decoder.decode(Uint8Array.of(byte)), byte);
+  }
+  return Buffer.from(Array.from(text, ch => bytes.get(ch)));
+}
+
+describe('detectEncoding', () => {
+  it('follows byte order marks', () => {
+    assert.deepEqual(detectEncoding(Buffer.from('\uFEFFText', 'utf8')), {
+      encoding: 'utf-8',
+      bom: true,
+    });
+    assert.deepEqual(detectEncoding(Buffer.from('\uFEFFText', 'utf16le')), {
+      encoding: 'utf-16le',
+      bom: true,
+    });
+    assert.deepEqual(detectEncoding(utf16be('\uFEFFText')), {
+      encoding: 'utf-16be',
+      bom: true,
+    });
+  });
+
+  it('recognizes UTF-16 without a byte order mark', () => {
+    const text = 'Plain text saved as UTF-16 without a mark.';
+    assert.equal(
+      detectEncoding(Buffer.from(text, 'utf16le')).encoding,
+      'utf-16le'
+    );
+    assert.equal(detectEncoding(utf16be(text)).encoding, 'utf-16be');
+  });
+
+  it('prefers UTF-8 when the bytes are valid UTF-8', () => {
+    assert.deepEqual(detectEncoding(Buffer.from('Café – naïve', 'utf8')), {
+      encoding: 'utf-8',
+      bom: false,
+    });
+  });
+
+  it('falls back to windows-1252 for Western European text', () => {
+    const bytes = encodeSingleByte('Café crème, “quoted”', 'windows-1252');
+    assert.equal(detectEncoding(bytes).encoding, 'windows-1252');
+  });
+
+  it('picks the code page whose letters form words', () => {
+    const text = 'Η γλώσσα μας είναι πολύ παλιά και πλούσια.';
+    assert.deepEqual(decodeText(encodeSingleByte(text, 'iso-8859-7')), {
+      text,
+      encoding: 'iso-8859-7',
+    });
+  });
+});
+
+describe('decodeText', () => {
+  it('removes the byte order mark', () => {
+    assert.deepEqual(decodeText(Buffer.from('\uFEFFHello', 'utf16le')), {
+      text: 'Hello',
+      encoding: 'utf-16le',
+    });
+  });
+
+  it('decodes the typographic quotes of windows-1252', () => {
+    const { text } = decodeText(Buffer.from([0x41, 0x93, 0x42, 0x94]));
+    assert.equal(text, 'A“B”');
+  });
+});
+
+describe('normalizeControlCharacters', () => {
+  it('turns every kind of line break into LF', () => {
+    assert.equal(
+      normalizeControlCharacters('a\r\nb\rc\u0085d e f\u000bg'),
+      'a\nb\nc\nd\ne\nf\ng'
+    );
+  });
+
+  it('keeps tabs and form feeds and removes other controls', () => {
+    assert.equal(
+      normalizeControlCharacters('a\tb\fc\u0000d\u0007e\u007ff\u009bg\uFEFFh'),
+      'a\tb\fcdefgh'
+    );
+  });
+});
+
+describe('detectFileType', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'encoding-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('accepts UTF-16 text without a byte order mark', () => {
+    const little = path.join(directory, 'little.txt');
+    const big = path.join(directory, 'big.txt');
+    fs.writeFileSync(little, Buffer.from('Meeting notes\r\n', 'utf16le'));
+    fs.writeFileSync(big, utf16be('Meeting notes\r\n'));
+
+    assert.equal(detectFileType(little).type, 'text');
+    assert.equal(detectFileType(big).type, 'text');
+  });
+
+  it('does not take binary data for text', () => {
+    const binary = path.join(directory, 'data.bin');
+    fs.writeFileSync(binary, Buffer.from([0, 1, 2, 3, 0, 0, 255, 254, 7, 0]));
+
+    assert.equal(detectFileType(binary).type, 'unknown');
+  });
+});
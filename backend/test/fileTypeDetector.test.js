@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { detectFileType } = require('../services/fileTypeDetector');
+
+const ODF_TEXT = 'application/vnd.oasis.opendocument.text';
+const CONTENT_START =
+  '<?xml version="1.0"?><office:document-content><office:body>';
+
+let directory;
+
+/**
+ * Write a ZIP package to the test directory
+ * @param {string} name - File name
+ * @param {Object} parts - Contents by part name
+ * @returns {string} - Path to the package
+ */
+function writePackage(name, parts) {
+  const zip = new AdmZip();
+  for (const [partName, content] of Object.entries(parts)) {
+    zip.addFile(partName, Buffer.from(content));
+  }
+  const filePath = path.join(directory, name);
+  zip.writeZip(filePath);
+  return filePath;
+}
+
+/**
+ * Replace bytes in a file everywhere they occur (local and central headers)
+ * @param {string} filePath - File to patch
+ * @param {Buffer} search - Bytes to replace
+ * @param {Buffer} replacement - Bytes of the same length
+ */
+function patchFile(filePath, search, replacement) {
+  const data = fs.readFileSync(filePath);
+  let index = data.indexOf(search);
+  while (index !== -1) {
+    replacement.copy(data, index);
+    index = data.indexOf(search, index + 1);
+  }
+  fs.writeFileSync(filePath, data);
+}
+
+describe('detectFileType for ZIP packages', () => {
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'detector-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('recognizes ODF packages by their mimetype part', () => {
+    const filePath = writePackage('text.odt', {
+      mimetype: ODF_TEXT,
+      'content.xml': `${CONTENT_START}<office:text/></office:body>`,
+    });
+    assert.equal(detectFileType(filePath).type, 'odt');
+  });
+
+  it('recognizes OOXML packages by their content types', () => {
+    const filePath = writePackage('report.docx', {
+      '[Content_Types].xml':
+        '<Types><Override PartName="/doc.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>',
+      'doc.xml': '<w:document/>',
+    });
+    assert.equal(detectFileType(filePath).type, 'docx');
+  });
+
+  it('falls back to the body element of content.xml', () => {
+    const filePath = writePackage('sheet.ods', {
+      'content.xml': `${CONTENT_START}<office:spreadsheet></office:spreadsheet>`,
+    });
+    assert.equal(detectFileType(filePath).type, 'ods');
+  });
+
+  it('does not inflate a content.xml with the ratio of a bomb', () => {
+    const filePath = writePackage('bomb.odt', {
+      'content.xml': `${CONTENT_START}<office:text>${' '.repeat(32 * 1024 * 1024)}`,
+    });
+    assert.ok(fs.statSync(filePath).size < 100 * 1024);
+
+    assert.equal(detectFileType(filePath).type, 'zip');
+  });
+
+  it('only inflates the start of a part that lies about its size', () => {
+    const content = `${CONTENT_START}${' '.repeat(16 * 1024 * 1024)}<office:text>`;
+    const filePath = writePackage('lying.odt', { 'content.xml': content });
+    const declared = Buffer.alloc(4);
+    declared.writeUInt32LE(Buffer.byteLength(content));
+    const smaller = Buffer.alloc(4);
+    smaller.writeUInt32LE(100);
+    patchFile(filePath, declared, smaller);
+
+    assert.equal(detectFileType(filePath).type, 'zip');
+  });
+});
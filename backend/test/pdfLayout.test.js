@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { layoutPage } = require('../services/pdfLayout');
+
+/**
+ * Build a pdf.js text item with 10pt text, 5pt per character
+ * @param {string} str - Item text
+ * @param {number} x - Left edge
+ * @param {number} y - Baseline
+ * @returns {Object} - Text content item
+ */
+function item(str, x, y) {
+  return { str, transform: [10, 0, 0, 10, x, y], width: str.length * 5 };
+}
+
+/**
+ * Build the items of a line of text with cells at the given positions
+ * @param {number} y - Baseline
+ * @param {Array<[string, number]>} cells - Cell texts and left edges
+ * @returns {Array<Object>} - Text content items
+ */
+function row(y, cells) {
+  return cells.map(([str, x]) => item(str, x, y));
+}
+
+describe('layoutPage', () => {
+  it('reads lines with aligned cells as a table', () => {
+    const { text, blocks } = layoutPage([
+      item('Quarterly results', 50, 700),
+      ...row(670, [
+        ['Region', 50],
+        ['Q1', 200],
+        ['Q2', 300],
+      ]),
+      ...row(655, [
+        ['North', 50],
+        ['120', 200],
+        ['135', 300],
+      ]),
+      ...row(640, [
+        ['South', 50],
+        ['98', 200],
+        ['101', 300],
+      ]),
+      item('Figures in thousands.', 50, 610),
+    ]);
+
+    assert.deepEqual(blocks, [
+      { type: 'paragraph', text: 'Quarterly results' },
+      {
+        type: 'table',
+        rows: [
+          ['Region', 'Q1', 'Q2'],
+          ['North', '120', '135'],
+          ['South', '98', '101'],
+        ],
+      },
+      { type: 'paragraph', text: 'Figures in thousands.' },
+    ]);
+    assert.equal(text.split('\n').length, 5);
+  });
+
+  it('leaves a column empty in rows without a value for it', () => {
+    const { blocks } = layoutPage([
+      ...row(670, [
+        ['Item', 50],
+        ['Price', 200],
+        ['Note', 300],
+      ]),
+      ...row(655, [
+        ['Pens', 50],
+        ['2.50', 200],
+      ]),
+      ...row(640, [
+        ['Paper', 50],
+        ['4.00', 200],
+        ['Recycled', 300],
+      ]),
+    ]);
+
+    assert.deepEqual(blocks[0].rows, [
+      ['Item', 'Price', 'Note'],
+      ['Pens', '2.50', ''],
+      ['Paper', '4.00', 'Recycled'],
+    ]);
+  });
+
+  it('joins items of one cell and keeps words apart', () => {
+    const { blocks } = layoutPage([
+      item('Total', 50, 670),
+      item('amount', 78, 670),
+      item('Value', 200, 670),
+      item('Net', 50, 655),
+      item('10', 200, 655),
+    ]);
+
+    assert.deepEqual(blocks[0].rows, [
+      ['Total amount', 'Value'],
+      ['Net', '10'],
+    ]);
+  });
+
+  it('does not read two columns of prose as a table', () => {
+    const left = 'The first column of the page continues with a long line';
+    const right = 'while the second column tells another story at length';
+    const { blocks } = layoutPage([
+      ...row(670, [
+        [left, 50],
+        [right, 350],
+      ]),
+      ...row(655, [
+        [left, 50],
+        [right, 350],
+      ]),
+    ]);
+
+    assert.ok(blocks.every(block => block.type !== 'table'));
+  });
+
+  it('does not continue a table across a wide vertical gap', () => {
+    const { blocks } = layoutPage([
+      ...row(670, [
+        ['A', 50],
+        ['1', 200],
+      ]),
+      ...row(655, [
+        ['B', 50],
+        ['2', 200],
+      ]),
+      ...row(500, [
+        ['C', 50],
+        ['3', 200],
+      ]),
+    ]);
+
+    assert.deepEqual(blocks[0].rows, [
+      ['A', '1'],
+      ['B', '2'],
+    ]);
+    assert.notEqual(blocks[1].type, 'table');
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const photoProcessor = require('../services/photoProcessor');
+
+// pdfOcr takes processImage when it is loaded, so replace it first: page 2
+// fails like a rejected vision model call, the others are read
+const processImage = mock.method(
+  photoProcessor,
+  'processImage',
+  (imagePath, name) => {
+    fs.unlinkSync(imagePath);
+    if (name.endsWith('-page-2.png')) {
+      return Promise.resolve({ success: false, error: 'Rate limit reached' });
+    }
+    return Promise.resolve({ success: true, extractedText: `Text of ${name}` });
+  }
+);
+const { ocrPdfPages } = require('../services/pdfOcr');
+
+let directory;
+
+/**
+ * Write a PDF with empty pages, like a scan without a text layer
+ * @param {string} filePath - Where to write the PDF
+ * @param {number} pageCount - Number of pages
+ * @returns {Promise<void>} - Resolves when the file is written
+ */
+function writeBlankPdf(filePath, pageCount) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [200, 200] });
+    const stream = fs.createWriteStream(filePath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+    for (let page = 1; page < pageCount; page++) {
+      doc.addPage({ size: [200, 200] });
+    }
+    doc.end();
+  });
+}
+
+describe('ocrPdfPages', () => {
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-test-'));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reports a page that fails and reads the others', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const filePath = path.join(directory, 'scan.pdf');
+    await writeBlankPdf(filePath, 3);
+    const progress = [];
+
+    const { texts, failedPages } = await ocrPdfPages(filePath, [1, 2, 3], {
+      onProgress: update => progress.push(update.completed),
+    });
+
+    assert.deepEqual(
+      [...texts],
+      [
+        [1, 'Text of scan-page-1.png'],
+        [3, 'Text of scan-page-3.png'],
+      ]
+    );
+    assert.deepEqual(failedPages, [2]);
+    assert.deepEqual(progress, [0, 1, 2, 3]);
+    assert.equal(processImage.mock.callCount(), 3);
+    assert.deepEqual(fs.readdirSync(directory), ['scan.pdf']);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readRtf } = require('../services/rtfExtractor');
+
+/**
+ * Read an RTF source written with single backslashes
+ * @param {string} source - RTF text
+ * @returns {Object} - Result of readRtf
+ */
+function read(source) {
+  return readRtf(Buffer.from(source, 'latin1'));
+}
+
+describe('readRtf', () => {
+  it('decodes hex escapes with the document code page', () => {
+    const { blocks } = read(
+      "{\\rtf1\\ansi\\ansicpg1251 \\'cf\\'f0\\'e8\\'e2\\'e5\\'f2\\par}"
+    );
+    assert.deepEqual(blocks, [{ type: 'paragraph', text: 'Привет' }]);
+  });
+
+  it('decodes hex escapes as Windows-1252 without a code page', () => {
+    const { blocks } = read("{\\rtf1\\ansi Caf\\'e9 \\'93quoted\\'94\\par}");
+    assert.equal(blocks[0].text, 'Café “quoted”');
+  });
+
+  it('decodes Unicode escapes and skips their fallback characters', () => {
+    const { blocks } = read(
+      '{\\rtf1\\ansi Caf\\u233?s and \\uc2\\u8212 xx dash\\par}'
+    );
+    assert.equal(blocks[0].text, 'Cafés and — dash');
+  });
+
+  it('decodes negative Unicode escapes as 16-bit code units', () => {
+    const { blocks } = read('{\\rtf1\\ansi Smile \\u-10179?\\u-8704?\\par}');
+    assert.equal(blocks[0].text, 'Smile \u{1F600}');
+  });
+
+  it('leaves out font tables and ignorable destinations', () => {
+    const { blocks } = read(
+      '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}{\\*\\generator Word;}\\f0 Body\\par}'
+    );
+    assert.deepEqual(blocks, [{ type: 'paragraph', text: 'Body' }]);
+  });
+
+  it('keeps the text of formatting groups in its paragraph', () => {
+    const { blocks } = read('{\\rtf1\\ansi{\\b Bold} and {\\i italic}\\par}');
+    assert.equal(blocks[0].text, 'Bold and italic');
+  });
+
+  it('splits paragraphs on \\par', () => {
+    const { blocks } = read('{\\rtf1\\ansi One\\par Two\\par}');
+    assert.deepEqual(
+      blocks.map(block => block.text),
+      ['One', 'Two']
+    );
+  });
+
+  it('reads table rows and cells', () => {
+    const { blocks } = read(
+      '{\\rtf1\\ansi\\trowd\\cellx1000\\cellx2000 A\\cell B\\cell\\row\\trowd\\cellx1000\\cellx2000 C\\cell D\\cell\\row}'
+    );
+    assert.deepEqual(blocks, [
+      {
+        type: 'table',
+        rows: [
+          ['A', 'B'],
+          ['C', 'D'],
+        ],
+      },
+    ]);
+  });
+
+  it('collects footnotes apart from the body text', () => {
+    const { blocks, notes } = read(
+      '{\\rtf1\\ansi Text{\\footnote Note one}\\par}'
+    );
+    assert.equal(blocks[0].text, 'Text');
+    assert.deepEqual(notes, [{ number: 1, text: 'Note one' }]);
+  });
+
+  it('treats escaped braces and backslashes as text', () => {
+    const { blocks } = read('{\\rtf1\\ansi \\{a\\} \\\\b\\par}');
+    assert.equal(blocks[0].text, '{a} \\b');
+  });
+});
@@ -0,0 +1,341 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Upload = require('../models/Upload');
+const {
+  createUpload,
+  appendChunk,
+  claimUpload,
+} = require('../services/uploadStore');
+
+const USER_ID = new mongoose.Types.ObjectId();
+
+// Upload documents by id, standing in for the collection
+const uploads = new Map();
+let directory;
+
+/**
+ * Check whether a stored upload matches a query of the upload store
+ * @param {Object} upload - Stored upload
+ * @param {Object} filter - Query with _id and optional offset, status and lock conditions
+ * @returns {boolean} - True if the upload matches
+ */
+function matches(upload, filter) {
+  if (String(upload._id) !== String(filter._id)) {
+    return false;
+  }
+  if (filter.offset !== undefined && upload.offset !== filter.offset) {
+    return false;
+  }
+  if (filter.status !== undefined && upload.status !== filter.status) {
+    return false;
+  }
+  if (filter.$or) {
+    const unlocked = !upload.lockedUntil || upload.lockedUntil < new Date();
+    if (!unlocked) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Apply $set and $unset to a stored upload
+ * @param {Object} upload - Stored upload
+ * @param {Object} update - Update with $set and $unset
+ */
+function applyUpdate(upload, update) {
+  Object.assign(upload, update.$set);
+  for (const field of Object.keys(update.$unset || {})) {
+    delete upload[field];
+  }
+}
+
+/**
+ * Store an upload with an empty file in the test directory
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Stored upload
+ */
+function addUpload(fields = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  const upload = {
+    _id,
+    userId: USER_ID,
+    originalFilename: 'report.txt',
+    fileSize: 10,
+    offset: 0,
+    status: 'uploading',
+    filePath: path.join(directory, `${_id}.txt`),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  };
+  fs.writeFileSync(upload.filePath, '');
+  uploads.set(String(_id), upload);
+  return upload;
+}
+
+/**
+ * Build the Upload-Checksum header of a chunk
+ * @param {Buffer} data - Chunk bytes
+ * @returns {string} - "sha256 <base64 digest>"
+ */
+function checksum(data) {
+  return `sha256 ${crypto.createHash('sha256').update(data).digest('base64')}`;
+}
+
+describe('uploadStore', () => {
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+    mock.method(Upload, 'findOne', filter =>
+      Promise.resolve(
+        [...uploads.values()].find(
+          upload =>
+            matches(upload, filter) &&
+            String(upload.userId) === String(filter.userId)
+        )
+      )
+    );
+    mock.method(Upload, 'findOneAndUpdate', (filter, update) => {
+      const upload = [...uploads.values()].find(stored =>
+        matches(stored, filter)
+      );
+      if (upload) {
+        applyUpdate(upload, update);
+      }
+      return Promise.resolve(upload || null);
+    });
+    mock.method(Upload, 'updateOne', (filter, update) => {
+      applyUpdate(uploads.get(String(filter._id)), update);
+      return Promise.resolve();
+    });
+    mock.method(Upload, 'deleteOne', filter => {
+      uploads.delete(String(filter._id));
+      return Promise.resolve();
+    });
+    mock.method(Upload, 'countDocuments', filter =>
+      Promise.resolve(
+        [...uploads.values()].filter(
+          upload =>
+            String(upload.userId) === String(filter.userId) &&
+            upload.expiresAt > filter.expiresAt.$gt
+        ).length
+      )
+    );
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    uploads.clear();
+  });
+
+  describe('appendChunk', () => {
+    it('writes chunks at consecutive offsets', async () => {
+      const upload = addUpload();
+      const first = Buffer.from('Hello');
+      const second = Buffer.from(' you!');
+
+      let updated = await appendChunk(USER_ID, String(upload._id), {
+        offset: 0,
+        data: first,
+        checksum: checksum(first),
+      });
+      assert.equal(updated.offset, 5);
+      assert.equal(updated.lockedUntil, undefined);
+
+      updated = await appendChunk(USER_ID, String(upload._id), {
+        offset: 5,
+        data: second,
+        checksum: checksum(second),
+      });
+      assert.equal(updated.offset, 10);
+      assert.equal(fs.readFileSync(upload.filePath, 'utf8'), 'Hello you!');
+    });
+
+    it('rejects a chunk at the wrong offset with the expected offset', async () => {
+      const upload = addUpload({ offset: 5 });
+      const data = Buffer.from('again');
+
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), {
+          offset: 0,
+          data,
+          checksum: checksum(data),
+        }),
+        { status: 409, code: 'offset_mismatch', details: { offset: 5 } }
+      );
+    });
+
+    it('rejects a damaged chunk without moving the offset', async () => {
+      const upload = addUpload();
+      const data = Buffer.from('Hello');
+
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), {
+          offset: 0,
+          data,
+          checksum: checksum(Buffer.from('Hellp')),
+        }),
+        { status: 460, code: 'checksum_mismatch' }
+      );
+      assert.equal(uploads.get(String(upload._id)).offset, 0);
+    });
+
+    it('rejects a chunk that runs past the announced size', async () => {
+      const upload = addUpload({ offset: 8 });
+      const data = Buffer.from('abc');
+
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), {
+          offset: 8,
+          data,
+          checksum: checksum(data),
+        }),
+        { status: 400, code: 'invalid_upload' }
+      );
+    });
+
+    it('rejects a chunk while another one is being written', async () => {
+      const upload = addUpload({
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+      });
+      const data = Buffer.from('Hello');
+
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), {
+          offset: 0,
+          data,
+          checksum: checksum(data),
+        }),
+        { status: 409, code: 'upload_busy' }
+      );
+    });
+
+    it('requires a checksum header with a supported algorithm', async () => {
+      const upload = addUpload();
+      const data = Buffer.from('Hello');
+
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), { offset: 0, data }),
+        { status: 400, code: 'invalid_upload' }
+      );
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), {
+          offset: 0,
+          data,
+          checksum: 'crc32 AAAA',
+        }),
+        { status: 400, code: 'invalid_upload' }
+      );
+    });
+
+    it('does not find uploads of other users', async () => {
+      const upload = addUpload();
+      const data = Buffer.from('Hello');
+
+      await assert.rejects(
+        appendChunk(new mongoose.Types.ObjectId(), String(upload._id), {
+          offset: 0,
+          data,
+          checksum: checksum(data),
+        }),
+        { status: 404, code: 'upload_not_found' }
+      );
+    });
+
+    it('removes an expired upload and its data', async () => {
+      const upload = addUpload({ expiresAt: new Date(Date.now() - 1000) });
+      const data = Buffer.from('Hello');
+
+      await assert.rejects(
+        appendChunk(USER_ID, String(upload._id), {
+          offset: 0,
+          data,
+          checksum: checksum(data),
+        }),
+        { status: 410, code: 'upload_expired' }
+      );
+      assert.equal(uploads.size, 0);
+      assert.equal(fs.existsSync(upload.filePath), false);
+    });
+  });
+
+  describe('claimUpload', () => {
+    it('refuses incomplete uploads', async () => {
+      const upload = addUpload({ offset: 4 });
+
+      await assert.rejects(claimUpload(USER_ID, String(upload._id)), {
+        status: 409,
+        code: 'upload_incomplete',
+        details: { offset: 4, size: 10 },
+      });
+    });
+
+    it('claims a complete upload once', async () => {
+      const upload = addUpload({ offset: 10 });
+      fs.writeFileSync(upload.filePath, 'Hello you!');
+
+      const claimed = await claimUpload(USER_ID, String(upload._id));
+      assert.equal(claimed.status, 'finalizing');
+      await assert.rejects(claimUpload(USER_ID, String(upload._id)), {
+        status: 409,
+        code: 'upload_busy',
+      });
+    });
+
+    it('verifies the whole-file checksum', async () => {
+      const upload = addUpload({
+        offset: 10,
+        checksum: crypto
+          .createHash('sha256')
+          .update('Hello you?')
+          .digest('hex'),
+      });
+      fs.writeFileSync(upload.filePath, 'Hello you!');
+
+      await assert.rejects(claimUpload(USER_ID, String(upload._id)), {
+        status: 460,
+        code: 'checksum_mismatch',
+      });
+      assert.equal(uploads.size, 0);
+    });
+  });
+
+  describe('createUpload', () => {
+    it('limits the number of open uploads of a user', async () => {
+      for (let i = 0; i < 5; i++) {
+        addUpload();
+      }
+
+      await assert.rejects(
+        createUpload(USER_ID, { filename: 'report.pdf', size: 1000 }),
+        { status: 429, code: 'too_many_uploads' }
+      );
+    });
+
+    it('validates the file name and size', async () => {
+      await assert.rejects(
+        createUpload(USER_ID, { filename: 'program.exe', size: 1000 }),
+        { status: 400, code: 'invalid_upload' }
+      );
+      await assert.rejects(
+        createUpload(USER_ID, { filename: 'report.pdf', size: 0 }),
+        { status: 400, code: 'invalid_upload' }
+      );
+      await assert.rejects(
+        createUpload(USER_ID, {
+          filename: 'report.pdf',
+          size: 1024 * 1024 * 1024,
+        }),
+        { status: 413, code: 'upload_too_large' }
+      );
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Usage = require('../models/Usage');
+const Subscription = require('../models/Subscription');
+const { rejectOverAllowance } = require('../middleware/subscriptionAuth');
+
+// The billing routes create a Stripe client when they are loaded; nothing in
+// these tests calls Stripe
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_x';
+const billingRoutes = require('../routes/billing');
+
+/**
+ * Build a response that records its status and the body passed to json()
+ * @returns {Object} - Express-like response
+ */
+function recordResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Get the last handler of a billing route (the one after requireAuth)
+ * @param {string} routePath - Route path
+ * @returns {Function} - Route handler
+ */
+function billingHandler(routePath) {
+  const layer = billingRoutes.stack.find(
+    candidate => candidate.route && candidate.route.path === routePath
+  );
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+}
+
+describe('usage limits in responses', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends null for the limits of an unlimited plan', () => {
+    assert.deepEqual(Usage.limitsForResponse(Usage.getLimits('pro')), {
+      documents: null,
+      pages: null,
+      chats: null,
+      tokens: null,
+      cost: null,
+    });
+    assert.deepEqual(Usage.limitsForResponse(Usage.getLimits('free')), {
+      documents: 5,
+      pages: 100,
+      chats: 20,
+      tokens: null,
+      cost: null,
+    });
+  });
+
+  it('reports a plan without spend limits in /usage/costs', async () => {
+    mock.method(Subscription, 'findOne', () =>
+      Promise.resolve({ plan: 'pro' })
+    );
+    mock.method(Usage, 'getSpendHistory', () => Promise.resolve([]));
+    const res = recordResponse();
+
+    await billingHandler('/usage/costs')(
+      { user: { _id: 'user-1' }, query: {} },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.limits, { tokens: null, cost: null });
+    assert.equal(res.body.plan, 'pro');
+  });
+
+  it('sends null for unlimited values when an upload is rejected', () => {
+    const res = recordResponse();
+
+    rejectOverAllowance({ subscription: { plan: 'free' } }, res, {
+      allowed: false,
+      reason: 'document_limit',
+      current: { documentCount: 5, pageCount: 10 },
+      requested: { documents: 2, pages: 4 },
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body.limits, {
+      documents: 5,
+      pages: 100,
+      chats: 20,
+      tokens: null,
+      cost: null,
+    });
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Byte decoding helpers for legacy code pages.
+ *
+ * Node's TextDecoder handles windows-1252 through its latin1 fast path, which
+ * drops the bytes 0x80-0x9F instead of mapping them to the Windows characters
+ * (euro sign, curly quotes, dashes, ...). Those bytes are mapped here.
+ *
+ * Text without a declared encoding is detected: a byte order mark wins, then
+ * UTF-16 (recognized by its NUL bytes) and valid UTF-8; anything else is
+ * decoded with every legacy candidate and the most plausible result is kept
+ * (letters that form words in a single script, no symbols inside words, no
+ * undefined or control characters).
+ */
+
+const DEFAULT_ENCODING = 'windows-1252';
+
+// windows-1252 characters for the bytes 0x80-0x9F, undefined bytes are "\0"
+const WINDOWS_1252_HIGH = '€\0‚ƒ„…†‡ˆ‰Š‹Œ\0Ž\0\0‘’“”•–—˜™š›œ\0žŸ';
+
+// Code pages that do not follow the windows-N / iso-8859-N naming
+const CODE_PAGE_ENCODINGS = {
+  866: 'ibm866',
+  874: 'windows-874',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  10000: 'macintosh',
+  20866: 'koi8-r',
+  65001: 'utf-8',
+};
+
+const decoders = new Map();
+
+// Legacy encodings tried for text that is neither UTF-8 nor UTF-16, in order
+// of preference when they score the same
+const LEGACY_ENCODINGS = [
+  'windows-1252',
+  'iso-8859-15',
+  'iso-8859-2',
+  'iso-8859-5',
+  'iso-8859-7',
+  'iso-8859-9',
+  'shift_jis',
+];
+
+// Detection only looks at the start of the file
+const DETECTION_SAMPLE_SIZE = 64 * 1024;
+
+// Bytes without a character in windows-1252
+const WINDOWS_1252_UNDEFINED = new Set([0x81, 0x8d, 0x8f, 0x90, 0x9d]);
+
+// windows-1252 letters that mostly show up in misdecoded Turkish text
+const RARE_LATIN_LETTERS = new Set(['Ð', 'ð', 'Ý', 'ý', 'Þ', 'þ']);
+
+// Characters that are expected between two letters
+const WORD_PUNCTUATION = new Set(['’', '‘', '·', '‐', '‑']);
+
+/**
+ * Get the encoding label for a Windows code page number
+ * @param {number} codePage - Code page number
+ * @returns {string} - Encoding label, windows-1252 for unknown code pages
+ */
+function encodingForCodePage(codePage) {
+  if (codePage >= 1250 && codePage <= 1258) {
+    return `windows-${codePage}`;
+  }
+  if (codePage >= 28591 && codePage <= 28606) {
+    return `iso-8859-${codePage - 28590}`;
+  }
+  return CODE_PAGE_ENCODINGS[codePage] || DEFAULT_ENCODING;
+}
+
+/**
+ * Decode windows-1252 bytes
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} - Decoded text
+ */
+function decodeWindows1252(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    if (byte < 0x80 || byte > 0x9f) {
+      text += String.fromCharCode(byte);
+    } else if (WINDOWS_1252_HIGH[byte - 0x80] !== '\0') {
+      text += WINDOWS_1252_HIGH[byte - 0x80];
+    }
+  }
+  return text;
+}
+
+/**
+ * Decode bytes in the given encoding
+ * @param {Uint8Array} bytes - Raw bytes
+ * @param {string} encoding - WHATWG encoding label
+ * @returns {string} - Decoded text, windows-1252 for unsupported encodings
+ */
+function decodeBytes(bytes, encoding = DEFAULT_ENCODING) {
+  const label = encoding.toLowerCase();
+  if (label === DEFAULT_ENCODING) {
+    return decodeWindows1252(bytes);
+  }
+
+  if (!decoders.has(label)) {
+    try {
+      decoders.set(label, new TextDecoder(label));
+    } catch (error) {
+      decoders.set(label, null);
+    }
+  }
+  const decoder = decoders.get(label);
+  return decoder ? decoder.decode(bytes) : decodeWindows1252(bytes);
+}
+
+/**
+ * Detect a byte order mark
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string|null} - Encoding the mark stands for
+ */
+function detectBom(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return 'utf-16le';
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * Recognize UTF-16 without a byte order mark by its NUL bytes: Latin text
+ * has a zero high byte in every other position
+ * @param {Uint8Array} sample - Start of the file
+ * @returns {string|null} - 'utf-16le', 'utf-16be' or null
+ */
+function detectUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs === 0) {
+    return null;
+  }
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) {
+      evenZeros++;
+    }
+    if (sample[i + 1] === 0) {
+      oddZeros++;
+    }
+  }
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+    return 'utf-16le';
+  }
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * Check whether bytes are valid UTF-8 (a sequence cut off at the end of the
+ * sample is allowed)
+ * @param {Uint8Array} sample - Start of the file
+ * @returns {boolean} - True if the bytes decode without errors
+ */
+function isUtf8(sample) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the script of a letter
+ * @param {string} ch - Character
+ * @returns {string|null} - Script name, null if the character is not a letter
+ */
+function letterScript(ch) {
+  if (!ch || !/\p{L}/u.test(ch)) {
+    return null;
+  }
+  if (/\p{Script=Latin}/u.test(ch)) {
+    return 'latin';
+  }
+  if (/\p{Script=Cyrillic}/u.test(ch)) {
+    return 'cyrillic';
+  }
+  if (/\p{Script=Greek}/u.test(ch)) {
+    return 'greek';
+  }
+  if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々]/u.test(ch)) {
+    return 'japanese';
+  }
+  return 'other';
+}
+
+/**
+ * Score how plausible a decoded text is
+ *
+ * Only non-ASCII characters are scored: letters next to letters of the same
+ * script count for the encoding, letters mixed with another script, long runs
+ * of accented Latin letters, case changes inside words, symbols inside words
+ * and replacement or control characters count against it.
+ *
+ * @param {string} text - Decoded sample
+ * @returns {number} - Score, higher is more plausible
+ */
+function scoreDecoding(text) {
+  const chars = Array.from(text);
+  let score = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const code = ch.codePointAt(0);
+    if (code < 0x80) {
+      continue;
+    }
+    if (ch === '\uFFFD' || code <= 0x9f) {
+      score -= 5;
+      continue;
+    }
+
+    const prev = chars[i - 1];
+    const next = chars[i + 1];
+    const script = letterScript(ch);
+    const neighbours = [letterScript(prev), letterScript(next)].filter(Boolean);
+
+    if (!script) {
+      // Symbols such as "¹" or "±" inside a word come from the wrong code page
+      const alphabetic = neighbours.filter(
+        neighbour => neighbour !== 'japanese' && neighbour !== 'other'
+      );
+      if (alphabetic.length === 2 && !WORD_PUNCTUATION.has(ch)) {
+        score -= 2;
+      } else if (ch === '¤') {
+        score -= 1;
+      }
+      continue;
+    }
+
+    if (neighbours.some(neighbour => neighbour !== script)) {
+      score -= 2;
+    } else if (
+      script === 'latin' &&
+      prev > '\x7f' &&
+      next > '\x7f' &&
+      neighbours.length === 2
+    ) {
+      score -= 1;
+    } else if (!RARE_LATIN_LETTERS.has(ch)) {
+      score += 1;
+    }
+    if (
+      letterScript(prev) &&
+      prev === prev.toLowerCase() &&
+      prev !== prev.toUpperCase() &&
+      ch !== ch.toLowerCase()
+    ) {
+      score -= 1;
+    }
+  }
+  return score;
+}
+
+/**
+ * Detect the encoding of text without a declared encoding
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {{encoding: string, bom: boolean}} - WHATWG encoding label and whether a byte order mark was found
+ */
+function detectEncoding(bytes) {
+  const bom = detectBom(bytes);
+  if (bom) {
+    return { encoding: bom, bom: true };
+  }
+
+  const sample = bytes.subarray(0, DETECTION_SAMPLE_SIZE);
+  const utf16 = detectUtf16(sample);
+  if (utf16) {
+    return { encoding: utf16, bom: false };
+  }
+  if (isUtf8(sample)) {
+    return { encoding: 'utf-8', bom: false };
+  }
+
+  let undefinedBytes = 0;
+  for (const byte of sample) {
+    if (WINDOWS_1252_UNDEFINED.has(byte)) {
+      undefinedBytes++;
+    }
+  }
+
+  let best = null;
+  for (const encoding of LEGACY_ENCODINGS) {
+    let score = scoreDecoding(decodeBytes(sample, encoding));
+    if (encoding === 'windows-1252') {
+      score -= 5 * undefinedBytes;
+    }
+    if (!best || score > best.score) {
+      best = { encoding, score };
+    }
+  }
+  return { encoding: best.encoding, bom: false };
+}
+
+/**
+ * Detect the encoding of text bytes and decode them
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {{text: string, encoding: string}} - Decoded text without byte order mark and the detected encoding
+ */
+function decodeText(bytes) {
+  const { encoding } = detectEncoding(bytes);
+  // TextDecoder removes the byte order mark
+  return { text: decodeBytes(bytes, encoding), encoding };
+}
+
+// Characters that become LF besides CR: VT, NEL, line and paragraph separators
+const LINE_BREAKS = new Set([0x0b, 0x85, 0x2028, 0x2029]);
+
+/**
+ * Check whether a character is removed from text: C0 controls other than tab,
+ * LF, FF and CR, DEL, C1 controls and byte order marks
+ * @param {number} code - UTF-16 code unit
+ * @returns {boolean} - True if the character is removed
+ */
+function isRemovedControl(code) {
+  return (
+    (code <= 0x1f && ![0x09, 0x0a, 0x0c, 0x0d].includes(code)) ||
+    (code >= 0x7f && code <= 0x9f) ||
+    code === 0xfeff
+  );
+}
+
+/**
+ * Normalize line breaks and remove control characters
+ *
+ * CR LF, CR, NEL, vertical tabs and Unicode line and paragraph separators
+ * become LF; tabs, line feeds and form feeds (page breaks) are kept; other C0
+ * and C1 control characters, DEL and stray byte order marks are removed.
+ *
+ * @param {string} text - Decoded text
+ * @returns {string} - Normalized text
+ */
+function normalizeControlCharacters(text) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0x0d) {
+      result += '\n';
+      if (text.charCodeAt(i + 1) === 0x0a) {
+        i++;
+      }
+    } else if (LINE_BREAKS.has(code)) {
+      result += '\n';
+    } else if (!isRemovedControl(code)) {
+      result += text[i];
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  encodingForCodePage,
+  decodeBytes,
+  detectEncoding,
+  decodeText,
+  normalizeControlCharacters,
+};
@@ -2,9 +2,6 @@ const logger = require('./logger');
 
 // Required environment variables for production
 const requiredEnvVars = {
-  // OpenAI Configuration
-  OPENAI_API_KEY: 'OpenAI API key is required for document processing',
-  
   // MongoDB Configuration
   MONGODB_URI: 'MongoDB connection string is required',
   
@@ -27,6 +24,20 @@ const requiredEnvVars = {
   FRONTEND_URL: 'Frontend URL is required for CORS configuration',
 };
 
+// Required environment variables for each LLM provider (LLM_PROVIDER)
+const providerEnvVars = {
+  openai: {
+    OPENAI_API_KEY: 'OpenAI API key is required for document processing',
+  },
+  azure: {
+    AZURE_OPENAI_API_KEY: 'Azure OpenAI API key is required for document processing',
+    AZURE_OPENAI_ENDPOINT: 'Azure OpenAI endpoint is required for document processing',
+  },
+  local: {
+    LOCAL_LLM_BASE_URL: 'Local LLM server URL is required for document processing',
+  },
+};
+
 // Optional environment variables with defaults
 const optionalEnvVars = {
   PORT: '5001',
@@ -39,8 +50,14 @@ const validateEnvironment = () => {
   const missingVars = [];
   const warnings = [];
 
-  // Check required variables
-  for (const [varName, description] of Object.entries(requiredEnvVars)) {
+  // Check required variables, including those of the selected LLM provider
+  const provider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  if (!providerEnvVars[provider]) {
+    missingVars.push({ name: 'LLM_PROVIDER', description: `Unknown LLM provider "${provider}". Use one of: ${Object.keys(providerEnvVars).join(', ')}` });
+  }
+  const required = { ...requiredEnvVars, ...providerEnvVars[provider] };
+
+  for (const [varName, description] of Object.entries(required)) {
     if (!process.env[varName]) {
       missingVars.push({ name: varName, description });
     }
@@ -114,5 +131,6 @@ const validateSpecificVariables = () => {
 module.exports = {
   validateEnvironment,
   requiredEnvVars,
+  providerEnvVars,
   optionalEnvVars
 }; 
\ No newline at end of file
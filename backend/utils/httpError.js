@@ -0,0 +1,23 @@
+/**
+ * Errors that services throw for the routes to answer with.
+ */
+
+/**
+ * Create an error carrying the HTTP response it should produce
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine readable reason
+ * @param {string} message - Message for the client
+ * @param {Object} details - Extra fields for the response
+ * @returns {Error} - Error with status, code and details
+ */
+function httpError(status, code, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+module.exports = {
+  httpError,
+};
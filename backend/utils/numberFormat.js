@@ -0,0 +1,57 @@
+/**
+ * Number formatting helpers for list labels in office documents.
+ */
+
+const ROMAN_NUMERALS = [
+  [1000, 'm'],
+  [900, 'cm'],
+  [500, 'd'],
+  [400, 'cd'],
+  [100, 'c'],
+  [90, 'xc'],
+  [50, 'l'],
+  [40, 'xl'],
+  [10, 'x'],
+  [9, 'ix'],
+  [5, 'v'],
+  [4, 'iv'],
+  [1, 'i'],
+];
+
+/**
+ * Format a number as lowercase letters (1 -> a, 27 -> aa)
+ * @param {number} value - Positive number
+ * @returns {string} - Letter sequence
+ */
+function toLetters(value) {
+  let result = '';
+  let n = value;
+  while (n > 0) {
+    n--;
+    result = String.fromCharCode(97 + (n % 26)) + result;
+    n = Math.floor(n / 26);
+  }
+  return result;
+}
+
+/**
+ * Format a number as lowercase roman numerals
+ * @param {number} value - Positive number
+ * @returns {string} - Roman numeral
+ */
+function toRoman(value) {
+  let result = '';
+  let n = value;
+  for (const [amount, numeral] of ROMAN_NUMERALS) {
+    while (n >= amount) {
+      result += numeral;
+      n -= amount;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  toLetters,
+  toRoman,
+};
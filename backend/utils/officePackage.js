@@ -0,0 +1,57 @@
+const path = require('path');
+const { parseXml, childElements } = require('./xmlTree');
+
+/**
+ * Helpers for ZIP based office packages (OOXML and OpenDocument).
+ *
+ * Parts are read synchronously from the opened package; parsing their XML
+ * (xml2js) is asynchronous.
+ */
+
+/**
+ * Read and parse an XML part of the package
+ * @param {AdmZip} zip - Opened package
+ * @param {string} entryName - Part name inside the package
+ * @returns {Promise<Object|null>} - Root element or null if the part is missing
+ */
+async function readPart(zip, entryName) {
+  const entry = zip.getEntry(entryName);
+  if (!entry) {
+    return null;
+  }
+  const root = await parseXml(entry.getData().toString('utf8'));
+  return root;
+}
+
+/**
+ * Read the relationships of an OOXML part
+ * @param {AdmZip} zip - Opened package
+ * @param {string} partName - Part name, e.g. word/document.xml
+ * @returns {Promise<Array<Object>>} - Relationships with resolved part names
+ */
+async function readRelationships(zip, partName) {
+  const directory = path.posix.dirname(partName);
+  const relsName = path.posix.join(
+    directory,
+    '_rels',
+    `${path.posix.basename(partName)}.rels`
+  );
+  const root = await readPart(zip, relsName);
+
+  return childElements(root, 'Relationship').map(rel => {
+    const target = rel.attrs.Target || '';
+    return {
+      id: rel.attrs.Id,
+      type: rel.attrs.Type,
+      external: rel.attrs.TargetMode === 'External',
+      part: target.startsWith('/')
+        ? target.substring(1)
+        : path.posix.normalize(path.posix.join(directory, target)),
+    };
+  });
+}
+
+module.exports = {
+  readPart,
+  readRelationships,
+};
@@ -0,0 +1,140 @@
+const xml2js = require('xml2js');
+
+/**
+ * Ordered XML tree helpers for the office document readers.
+ *
+ * xml2js groups children by tag name by default, which loses the order of
+ * paragraphs, tables and text runs. These helpers parse with child order
+ * preserved and convert the result into a compact tree:
+ *   element: { name, attrs, children }
+ *   text:    { text }
+ */
+
+const parserOptions = {
+  explicitChildren: true,
+  preserveChildrenOrder: true,
+  charsAsChildren: true,
+  includeWhiteChars: true,
+  explicitCharkey: true,
+  trim: false,
+  normalize: false,
+};
+
+/**
+ * Convert an xml2js node into a compact tree node
+ * @param {Object} node - xml2js node
+ * @returns {Object} - Compact tree node
+ */
+function convertNode(node) {
+  if (node['#name'] === '__text__') {
+    return { text: node._ || '' };
+  }
+
+  return {
+    name: node['#name'],
+    attrs: node.$ || {},
+    children: (node.$$ || []).map(convertNode),
+  };
+}
+
+/**
+ * Parse an XML string into an ordered tree
+ * @param {string} xml - XML source
+ * @returns {Promise<Object>} - Root element node
+ */
+async function parseXml(xml) {
+  const parser = new xml2js.Parser(parserOptions);
+  const result = await parser.parseStringPromise(xml);
+  const rootName = Object.keys(result)[0];
+  return convertNode({ ...result[rootName], '#name': rootName });
+}
+
+/**
+ * Get the local part of a qualified name ("w:p" -> "p")
+ * @param {string} name - Qualified element or attribute name
+ * @returns {string} - Local name
+ */
+function localName(name) {
+  const index = name.indexOf(':');
+  return index === -1 ? name : name.substring(index + 1);
+}
+
+/**
+ * Get direct child elements with the given qualified name
+ * @param {Object} node - Element node
+ * @param {string} name - Qualified element name
+ * @returns {Array<Object>} - Matching child elements
+ */
+function childElements(node, name) {
+  if (!node || !node.children) {
+    return [];
+  }
+  return node.children.filter(child => child.name === name);
+}
+
+/**
+ * Get the first direct child element with the given qualified name
+ * @param {Object} node - Element node
+ * @param {string} name - Qualified element name
+ * @returns {Object|null} - Matching child element
+ */
+function childElement(node, name) {
+  return childElements(node, name)[0] || null;
+}
+
+/**
+ * Find all descendant elements with the given qualified name
+ * @param {Object} node - Element node
+ * @param {string} name - Qualified element name
+ * @returns {Array<Object>} - Matching elements in document order
+ */
+function findElements(node, name) {
+  const found = [];
+  const visit = current => {
+    for (const child of current.children || []) {
+      if (child.name === name) {
+        found.push(child);
+      }
+      visit(child);
+    }
+  };
+  if (node) {
+    visit(node);
+  }
+  return found;
+}
+
+/**
+ * Find the first descendant element with the given qualified name
+ * @param {Object} node - Element node
+ * @param {string} name - Qualified element name
+ * @returns {Object|null} - Matching element
+ */
+function findElement(node, name) {
+  return findElements(node, name)[0] || null;
+}
+
+/**
+ * Concatenate all text below a node
+ * @param {Object} node - Tree node
+ * @returns {string} - Text content
+ */
+function textContent(node) {
+  if (!node) {
+    return '';
+  }
+  if (node.text !== undefined) {
+    return node.text;
+  }
+  return (node.children || []).map(textContent).join('');
+}
+
+module.exports = {
+  parseXml,
+  localName,
+  childElements,
+  childElement,
+  findElements,
+  findElement,
+  textContent,
+};